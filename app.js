@@ -8,24 +8,112 @@ const cors = require("cors");
 const { NotFoundError } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { requestContext } = require("./middleware/requestContext");
+const { logRequests } = require("./middleware/requestLogger");
+const { measureRequests } = require("./middleware/metrics");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobRoutes = require("./routes/jobs");
-
-const morgan = require("morgan");
+const searchRoutes = require("./routes/search");
+const technologiesRoutes = require("./routes/technologies");
+const adminRoutes = require("./routes/admin");
+const graphqlRoutes = require("./routes/graphql");
+const { buildOpenApiSpec, docsPage } = require("./helpers/openapi");
+const { logger } = require("./helpers/logger");
+const { renderMetrics } = require("./helpers/metrics");
+const db = require("./db");
+const { READY_TIMEOUT_MS } = require("./config");
 
 const app = express();
 
+app.use(logRequests);
+app.use(measureRequests);
 app.use(cors());
 app.use(express.json());
-app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(requestContext);
+
+/** The API's routers, by where they're mounted. */
+const ROUTERS = {
+  "/auth": authRoutes,
+  "/companies": companiesRoutes,
+  "/users": usersRoutes,
+  "/jobs": jobRoutes,
+  "/search": searchRoutes,
+  "/technologies": technologiesRoutes,
+  "/admin": adminRoutes,
+  "/graphql": graphqlRoutes,
+};
+
+for (let [prefix, router] of Object.entries(ROUTERS)) {
+  // for the metrics' route labels (see middleware/metrics.js)
+  app.use(prefix, function (req, res, next) {
+    res.locals.routePrefix = prefix;
+    return next();
+  }, router);
+}
+
+
+/** GET /openapi.json => the OpenAPI document for the API (see helpers/openapi.js)
+ *
+ * Authorization required: none
+ */
+
+let openApiSpec;
+app.get("/openapi.json", function (req, res) {
+  openApiSpec = openApiSpec || buildOpenApiSpec(documentedRouters());
+  return res.json(openApiSpec);
+});
 
-app.use("/auth", authRoutes);
-app.use("/companies", companiesRoutes);
-app.use("/users", usersRoutes);
-app.use("/jobs", jobRoutes);
+/** GET /docs => a page for browsing and trying out the API
+ *
+ * Authorization required: none
+ */
+
+app.get("/docs", function (req, res) {
+  return res.type("html").send(docsPage("/openapi.json"));
+});
+
+
+/** GET /health => { status: "ok" }
+ *
+ * For liveness probes: answers as long as the app is running.
+ *
+ * Authorization required: none
+ */
+
+app.get("/health", function (req, res) {
+  return res.json({ status: "ok" });
+});
+
+/** GET /ready => { status: "ok" }
+ *
+ * For readiness probes: responds 503 { status: "unavailable" } if the
+ * database can't be reached within READY_TIMEOUT_MS.
+ *
+ * Authorization required: none
+ */
+
+app.get("/ready", async function (req, res) {
+  try {
+    await db.ping(READY_TIMEOUT_MS);
+  } catch (err) {
+    logger.warn("not ready", { err });
+    return res.status(503).json({ status: "unavailable" });
+  }
+  return res.json({ status: "ok" });
+});
+
+/** GET /metrics => request counts and timings, error counts and database
+ * query timings, in the Prometheus text format (see helpers/metrics.js)
+ *
+ * Authorization required: none
+ */
+
+app.get("/metrics", function (req, res) {
+  return res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
 
 
 /** Handle 404 errors -- this matches everything */
@@ -35,13 +123,57 @@ app.use(function (req, res, next) {
 
 /** Generic error handler; anything unhandled goes here. */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
+  if (status >= 500) logger.error("unhandled error", { requestId: res.locals.requestId, err });
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  // set by a route before it failed; errors aren't to be cached
+  for (let header of ["ETag", "Last-Modified", "Cache-Control"]) res.removeHeader(header);
 
   return res.status(status).json({
     error: { message, status },
   });
 });
 
+
+/** The OpenAPI entries for the app's own routes (see helpers/openapi.js). */
+
+app.openapi = {
+  "GET /openapi.json": {
+    summary: "The OpenAPI document for the API",
+    returns: "this document",
+  },
+  "GET /docs": {
+    summary: "A page for browsing and trying out the API",
+    returnsType: "text/html",
+    returns: "an HTML page",
+  },
+  "GET /health": {
+    summary: "For liveness probes: answers as long as the app is running",
+    returns: '{ status: "ok" }',
+  },
+  "GET /ready": {
+    summary: "For readiness probes: answers once the database can be reached",
+    description: 'Responds 503 { status: "unavailable" } if the database can\'t be reached ' +
+        "within READY_TIMEOUT_MS.",
+    status: [200, 503],
+    returns: '{ status: "ok" }, or 503 { status: "unavailable" }',
+  },
+  "GET /metrics": {
+    summary: "Request counts and timings, error counts and database query timings",
+    returnsType: "text/plain",
+    returns: "the metrics, in the Prometheus text format",
+  },
+};
+
+/** What the OpenAPI document covers, by mount path: the API's routers, and
+ * the app's own routes (as if they were a router mounted at ""). */
+
+function documentedRouters() {
+  return { "": { stack: app._router.stack, openapi: app.openapi }, ...ROUTERS };
+}
+
+app.ROUTERS = ROUTERS;
+app.documentedRouters = documentedRouters;
+
 module.exports = app;
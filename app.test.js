@@ -2,6 +2,8 @@ const request = require("supertest");
 
 const app = require("./app");
 const db = require("./db");
+const { logger } = require("./helpers/logger");
+const { createToken } = require("./helpers/tokens");
 
 
 test("not found for site 404", async function () {
@@ -9,11 +11,166 @@ test("not found for site 404", async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
-test("not found for site 404 (test stack print)", async function () {
-  process.env.NODE_ENV = "";
-  const resp = await request(app).get("/no-such-path");
-  expect(resp.statusCode).toEqual(404);
-  delete process.env.NODE_ENV;
+test("health", async function () {
+  const resp = await request(app).get("/health");
+  expect(resp.statusCode).toEqual(200);
+  expect(resp.body).toEqual({ status: "ok" });
+});
+
+describe("GET /ready", function () {
+  test("ok when the database answers", async function () {
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ status: "ok" });
+  });
+
+  test("503 when it doesn't", async function () {
+    jest.spyOn(db, "ping").mockRejectedValueOnce(new Error("connection refused"));
+    try {
+      const resp = await request(app).get("/ready");
+      expect(resp.statusCode).toEqual(503);
+      expect(resp.body).toEqual({ status: "unavailable" });
+    } finally {
+      db.ping.mockRestore();
+    }
+  });
+});
+
+describe("GET /metrics", function () {
+  /** The value of the metric line starting with prefix, or 0 if there's none. */
+  async function metric(prefix) {
+    const resp = await request(app).get("/metrics");
+    const line = resp.text.split("\n").find(l => l.startsWith(prefix + " "));
+    return line ? +line.split(" ").pop() : 0;
+  }
+
+  test("serves the text format", async function () {
+    const resp = await request(app).get("/metrics");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(resp.text).toContain("# TYPE http_request_duration_seconds histogram");
+  });
+
+  test("counts requests by route pattern and status, and errors by status", async function () {
+    const ok = 'http_requests_total{method="GET",route="/technologies",status="200"}';
+    const missing = 'http_requests_total{method="GET",route="/companies/:handle",status="404"}';
+    const unmatched = 'http_requests_total{method="GET",route="unmatched",status="404"}';
+    const errors = 'http_errors_total{status="404"}';
+    const before = [await metric(ok), await metric(missing), await metric(unmatched), await metric(errors)];
+
+    await request(app).get("/technologies");
+    await request(app).get("/companies/nope");
+    await request(app).get("/no-such-path");
+
+    expect([await metric(ok), await metric(missing), await metric(unmatched), await metric(errors)])
+        .toEqual([before[0] + 1, before[1] + 1, before[2] + 1, before[3] + 2]);
+    expect(await metric('http_request_duration_seconds_count{method="GET",route="/technologies"}'))
+        .toBeGreaterThanOrEqual(1);
+  });
+
+  test("times database queries", async function () {
+    const count = 'db_query_duration_seconds_count{operation="SELECT"}';
+    const before = await metric(count);
+    await db.query("SELECT 1");
+    expect(await metric(count)).toEqual(before + 1);
+
+    const failed = 'db_query_errors_total{operation="SELECT"}';
+    const failedBefore = await metric(failed);
+    await expect(db.query("SELECT nope")).rejects.toThrow();
+    expect(await metric(failed)).toEqual(failedBefore + 1);
+  });
+});
+
+describe("request ids and logging", function () {
+  let lines;
+  beforeEach(function () {
+    lines = [];
+    logger.level = "debug";
+    logger.write = line => lines.push(JSON.parse(line));
+  });
+  afterEach(function () {
+    logger.level = "silent";
+  });
+
+  test("gives each request a new id", async function () {
+    const resp = await request(app).get("/no-such-path");
+    expect(resp.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    const again = await request(app).get("/no-such-path");
+    expect(again.headers["x-request-id"]).not.toEqual(resp.headers["x-request-id"]);
+  });
+
+  test("keeps the id it was sent, if it's usable", async function () {
+    const resp = await request(app).get("/docs").set("X-Request-Id", "abc-123");
+    expect(resp.headers["x-request-id"]).toEqual("abc-123");
+
+    const bad = await request(app).get("/docs").set("X-Request-Id", "no spaces <here>");
+    expect(bad.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("logs requests with their id, user and time", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    await request(app).get("/docs?token=abc")
+        .set("X-Request-Id", "abc-123")
+        .set("authorization", `Bearer ${token}`);
+    expect(lines).toEqual([{
+      time: expect.any(String),
+      level: "info",
+      msg: "request",
+      requestId: "abc-123",
+      method: "GET",
+      url: "/docs?token=[REDACTED]",
+      status: 200,
+      user: "u1",
+      durationMs: expect.any(Number),
+    }]);
+  });
+
+  test("logs probes at debug", async function () {
+    await request(app).get("/health");
+    expect(lines).toEqual([expect.objectContaining({ level: "debug", url: "/health" })]);
+  });
+
+  test("logs client errors as warnings", async function () {
+    await request(app).get("/no-such-path");
+    expect(lines).toEqual([expect.objectContaining({ level: "warn", status: 404, user: null })]);
+  });
+
+  test("logs unhandled errors with the request's id, without secrets", async function () {
+    const err = new Error(`failed with Bearer abc`);
+    jest.spyOn(db, "query").mockRejectedValueOnce(err);
+    try {
+      const resp = await request(app).get("/technologies");
+      expect(resp.statusCode).toEqual(500);
+      const requestId = resp.headers["x-request-id"];
+      expect(lines).toEqual([
+        expect.objectContaining({
+          level: "error",
+          msg: "unhandled error",
+          requestId,
+          err: expect.objectContaining({ message: "failed with Bearer [REDACTED]" }),
+        }),
+        expect.objectContaining({ level: "error", msg: "request", requestId, status: 500 }),
+      ]);
+    } finally {
+      db.query.mockRestore();
+    }
+  });
+});
+
+test("serves the OpenAPI document", async function () {
+  const resp = await request(app).get("/openapi.json");
+  expect(resp.statusCode).toEqual(200);
+  expect(resp.body.info.title).toEqual("Jobly");
+  expect(resp.body.paths["/jobs/{ref}"].get.summary).toEqual("Get a job by its id or slug");
+  expect(Object.keys(resp.body.paths)).toEqual(expect.arrayContaining(
+      ["/openapi.json", "/docs", "/health", "/ready", "/metrics"]));
+});
+
+test("serves the docs page", async function () {
+  const resp = await request(app).get("/docs");
+  expect(resp.statusCode).toEqual(200);
+  expect(resp.type).toEqual("text/html");
+  expect(resp.text).toContain('"/openapi.json"');
 });
 
 afterAll(function () {
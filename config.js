@@ -3,7 +3,6 @@
 /** Shared config for application; can be required many places. */
 
 require("dotenv").config();
-require("colors");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
@@ -16,21 +15,134 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// The most database connections the app holds open at once
+const DB_POOL_SIZE = +process.env.DB_POOL_SIZE || 10;
+
+// Access tokens are short-lived; clients trade their refresh token for a new
+// one at POST /auth/refresh. Refresh tokens are single use, and a new one
+// (valid for REFRESH_TOKEN_TTL_DAYS) comes back with every refresh.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// How outgoing email is sent (see helpers/mailer.js): "smtp" through the
+// server at SMTP_URL, "file" to a local outbox file, or "memory" (tests).
+const MAILER = process.env.MAILER ||
+    (process.env.NODE_ENV === "test" ? "memory" : (process.env.SMTP_URL ? "smtp" : "file"));
+
+const SMTP_URL = process.env.SMTP_URL || "smtp://localhost:25";
+
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
+const OUTBOX_FILE = process.env.OUTBOX_FILE || "outbox.jsonl";
+
+// Where the frontend lives; links in emails point here
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+const EMAIL_VERIFICATION_TTL_HOURS = +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+// When true, users can't apply to jobs until they've verified their email.
+// Read it as config.REQUIRE_VERIFIED_EMAIL (not destructured) so it can be
+// changed while the app is running, e.g. in tests.
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === "true";
+
+// Deleted companies, jobs and users can be restored until they're purged;
+// POST /admin/purge removes those deleted more than this many days ago.
+const SOFT_DELETE_RETENTION_DAYS = +process.env.SOFT_DELETE_RETENTION_DAYS || 30;
+
+// Webhook deliveries that fail are retried WEBHOOK_RETRY_BASE_SECONDS later,
+// then twice as long after each further failure, until WEBHOOK_MAX_ATTEMPTS
+// attempts have been made. The worker started by server.js looks for
+// deliveries that are due every WEBHOOK_POLL_INTERVAL_MS.
+const WEBHOOK_MAX_ATTEMPTS = +process.env.WEBHOOK_MAX_ATTEMPTS || 8;
+
+const WEBHOOK_RETRY_BASE_SECONDS = +process.env.WEBHOOK_RETRY_BASE_SECONDS || 30;
+
+const WEBHOOK_TIMEOUT_MS = +process.env.WEBHOOK_TIMEOUT_MS || 10000;
+
+const WEBHOOK_POLL_INTERVAL_MS = +process.env.WEBHOOK_POLL_INTERVAL_MS || 5000;
+
+// Where rate limit counters and account lockouts are kept (see
+// helpers/rateLimitStore.js): "memory" in this process, or "postgres" so every
+// process running the app shares them.
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// How often expired counters are cleared out of the "postgres" store
+const RATE_LIMIT_PRUNE_INTERVAL_MS = +process.env.RATE_LIMIT_PRUNE_INTERVAL_MS || 10 * 60 * 1000;
+
+// How many POST /auth/token requests one IP address, and one username, may
+// make per LOGIN_RATE_LIMIT_WINDOW_MINUTES; and how many POST /auth/register
+// requests one IP address may make per hour.
+const LOGIN_RATE_LIMIT_PER_IP = +process.env.LOGIN_RATE_LIMIT_PER_IP || 30;
+
+const LOGIN_RATE_LIMIT_PER_USERNAME = +process.env.LOGIN_RATE_LIMIT_PER_USERNAME || 10;
+
+const LOGIN_RATE_LIMIT_WINDOW_MINUTES = +process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES || 15;
+
+const REGISTER_RATE_LIMIT_PER_IP = +process.env.REGISTER_RATE_LIMIT_PER_IP || 10;
+
+// After LOCKOUT_THRESHOLD failed logins in a row (within the login rate limit
+// window), an account is locked for LOCKOUT_BASE_SECONDS. Each further
+// lockout within a day is twice as long, up to LOCKOUT_MAX_SECONDS.
+const LOCKOUT_THRESHOLD = +process.env.LOCKOUT_THRESHOLD || 5;
+
+const LOCKOUT_BASE_SECONDS = +process.env.LOCKOUT_BASE_SECONDS || 60;
+
+const LOCKOUT_MAX_SECONDS = +process.env.LOCKOUT_MAX_SECONDS || 60 * 60;
+
+// The most deeply nested, and the most costly, query POST /graphql will run
+// (see graphql/limits.js for how cost is counted).
+const GRAPHQL_MAX_DEPTH = +process.env.GRAPHQL_MAX_DEPTH || 7;
+
+const GRAPHQL_MAX_COMPLEXITY = +process.env.GRAPHQL_MAX_COMPLEXITY || 10000;
+
+// The least important log lines written (see helpers/logger.js): "debug",
+// "info", "warn", "error" or "silent". Tests are silent unless asked.
+const LOG_LEVEL = process.env.LOG_LEVEL || (process.env.NODE_ENV === "test" ? "silent" : "info");
+
+// How long GET /ready waits for the database before saying it isn't ready
+const READY_TIMEOUT_MS = +process.env.READY_TIMEOUT_MS || 2000;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
-console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
-console.log("PORT:".yellow, PORT.toString());
-console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
-console.log("Database:".yellow, getDatabaseUri());
-console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  DB_POOL_SIZE,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  MAILER,
+  SMTP_URL,
+  MAIL_FROM,
+  OUTBOX_FILE,
+  APP_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_VERIFIED_EMAIL,
+  SOFT_DELETE_RETENTION_DAYS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_POLL_INTERVAL_MS,
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_PRUNE_INTERVAL_MS,
+  LOGIN_RATE_LIMIT_PER_IP,
+  LOGIN_RATE_LIMIT_PER_USERNAME,
+  LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+  REGISTER_RATE_LIMIT_PER_IP,
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_BASE_SECONDS,
+  LOCKOUT_MAX_SECONDS,
+  GRAPHQL_MAX_DEPTH,
+  GRAPHQL_MAX_COMPLEXITY,
+  LOG_LEVEL,
+  READY_TIMEOUT_MS,
   getDatabaseUri,
 };
@@ -12,6 +12,7 @@ describe("config can come from env", function () {
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.LOG_LEVEL).toEqual("info");
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
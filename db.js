@@ -1,23 +1,130 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+/** Database setup for jobly.
+ *
+ * Queries go through a pool of connections, DB_POOL_SIZE of them at most, so
+ * requests don't wait on each other for a single connection.
+ *
+ * Anything that makes more than one change (or checks something and then
+ * changes something based on it) should run inside db.withTransaction(), so
+ * it happens all together or not at all.
+ *
+ * Queries made with db.query are timed for GET /metrics.
+ */
 
-let db;
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_SIZE } = require("./config");
+const { logger } = require("./helpers/logger");
+const { metrics, startTimer } = require("./helpers/metrics");
 
-if (process.env.NODE_ENV === "production") {
-  db = new Client({
-    connectionString: getDatabaseUri(),
-    ssl: {
-      rejectUnauthorized: false
+const pool = new Pool({
+  connectionString: getDatabaseUri(),
+  max: DB_POOL_SIZE,
+  ...(process.env.NODE_ENV === "production"
+      ? { ssl: { rejectUnauthorized: false } }
+      : {}),
+});
+
+// a connection that fails while sitting idle in the pool (say, the server
+// restarted) is dropped by the pool; without a listener it'd crash the app
+pool.on("error", function (err) {
+  logger.error("idle database connection failed", { err });
+});
+
+// the client of the transaction the current code is running in, if any
+const transactions = new AsyncLocalStorage();
+let savepoints = 0;
+
+/** The kind of query text is, for its metrics: SELECT, INSERT, ... */
+
+function operationOf(text) {
+  const match = /^\s*(\w+)/.exec(text);
+  return match ? match[1].toUpperCase() : "OTHER";
+}
+
+/** Run a query, inside the current transaction if there is one. */
+
+async function query(text, params) {
+  const elapsed = startTimer();
+  const operation = operationOf(text);
+  try {
+    return await (transactions.getStore() || pool).query(text, params);
+  } catch (err) {
+    metrics.dbQueryErrors.inc({ operation });
+    throw err;
+  } finally {
+    metrics.dbQueryDuration.observe({ operation }, elapsed());
+  }
+}
+
+/** Run async fn(client) in a transaction, returning what it returns.
+ *
+ * Commits if fn resolves and rolls back if it throws (the error is rethrown).
+ * While fn runs, db.query uses the transaction's client too, so model
+ * methods called from fn are part of the transaction without having to be
+ * passed the client.
+ *
+ * Called inside another transaction, it uses a savepoint instead: only fn's
+ * work is rolled back if fn throws, and the outer transaction carries on.
+ */
+
+async function withTransaction(fn) {
+  const outer = transactions.getStore();
+  if (outer) {
+    const savepoint = `jobly_savepoint_${++savepoints}`;
+    await outer.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await fn(outer);
+      await outer.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await outer.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
     }
+  }
+
+  const client = await pool.connect();
+  // a connection that can't even roll back is thrown away, not reused
+  let broken;
+  try {
+    await client.query("BEGIN");
+    const result = await transactions.run(client, () => fn(client));
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(rollbackErr => { broken = rollbackErr; });
+    throw err;
+  } finally {
+    client.release(broken);
+  }
+}
+
+/** Check the database can be reached, within timeoutMs; throws if not. */
+
+async function ping(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer from the database in ${timeoutMs}ms`)),
+        timeoutMs);
   });
-} else {
-  db = new Client({
-    connectionString: getDatabaseUri()
-  });
+  try {
+    await Promise.race([query("SELECT 1"), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Close every connection in the pool. */
+
+function end() {
+  return pool.end();
 }
 
-db.connect();
 
-module.exports = db;
\ No newline at end of file
+module.exports = {
+  pool,
+  query,
+  withTransaction,
+  ping,
+  end,
+};
@@ -0,0 +1,116 @@
+"use strict";
+
+const db = require("./db");
+
+beforeAll(async function () {
+  await db.query("CREATE TABLE IF NOT EXISTS db_test (n INTEGER)");
+});
+
+afterEach(async function () {
+  await db.query("DELETE FROM db_test");
+});
+
+afterAll(async function () {
+  await db.query("DROP TABLE db_test");
+  await db.end();
+});
+
+async function numbers() {
+  const result = await db.query("SELECT n FROM db_test ORDER BY n");
+  return result.rows.map(r => r.n);
+}
+
+describe("ping", function () {
+  test("works", async function () {
+    await db.ping(1000);
+  });
+
+  test("throws if the database doesn't answer in time", async function () {
+    jest.spyOn(db.pool, "query").mockReturnValueOnce(new Promise(() => {}));
+    try {
+      await expect(db.ping(10)).rejects.toThrow("No answer from the database in 10ms");
+    } finally {
+      db.pool.query.mockRestore();
+    }
+  });
+});
+
+describe("withTransaction", function () {
+  test("commits, and returns what fn returns", async function () {
+    const result = await db.withTransaction(async client => {
+      await client.query("INSERT INTO db_test VALUES (1)");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await numbers()).toEqual([1]);
+  });
+
+  test("rolls back and rethrows if fn throws", async function () {
+    await expect(db.withTransaction(async client => {
+      await client.query("INSERT INTO db_test VALUES (1)");
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("db.query inside fn is part of the transaction", async function () {
+    await expect(db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test VALUES (1)");
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("changes aren't seen outside until committed", async function () {
+    await db.withTransaction(async client => {
+      await client.query("INSERT INTO db_test VALUES (1)");
+      const outside = await db.pool.query("SELECT n FROM db_test");
+      expect(outside.rows).toEqual([]);
+    });
+    expect(await numbers()).toEqual([1]);
+  });
+
+  test("nested: a failing inner transaction only undoes its own work", async function () {
+    await db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test VALUES (1)");
+      await expect(db.withTransaction(async () => {
+        await db.query("INSERT INTO db_test VALUES (2)");
+        throw new Error("oops");
+      })).rejects.toThrow("oops");
+      await db.withTransaction(async () => {
+        await db.query("INSERT INTO db_test VALUES (3)");
+      });
+    });
+    expect(await numbers()).toEqual([1, 3]);
+  });
+
+  test("nested: a failing outer transaction undoes the inner one too", async function () {
+    await expect(db.withTransaction(async () => {
+      await db.withTransaction(async () => {
+        await db.query("INSERT INTO db_test VALUES (1)");
+      });
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("transactions run side by side on their own connections", async function () {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+
+    const first = db.withTransaction(async client => {
+      await client.query("INSERT INTO db_test VALUES (1)");
+      await held;
+    });
+    const second = db.withTransaction(async client => {
+      await client.query("INSERT INTO db_test VALUES (2)");
+    });
+
+    // the second commits while the first is still open
+    await second;
+    expect(await numbers()).toEqual([2]);
+    release();
+    await first;
+    expect(await numbers()).toEqual([1, 2]);
+  });
+});
@@ -44,10 +44,33 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 409 CONFLICT error. */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict") {
+    super(message, 409);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is how many seconds the client should wait before trying again;
+ * it's sent as the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
+  TooManyRequestsError,
 };
\ No newline at end of file
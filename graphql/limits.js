@@ -0,0 +1,133 @@
+"use strict";
+
+const {
+  Kind,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isListType,
+} = require("graphql");
+
+const { BadRequestError } = require("../expressError");
+const { DEFAULT_PAGE_SIZE } = require("../helpers/pagination");
+
+/** Limits on how big a GraphQL query may be, checked before it runs.
+ *
+ * depth: how deeply fields are nested; { company { jobs { title } } } is 3.
+ *
+ * complexity: roughly how many values the query could return. Each field
+ * costs 1, plus the cost of its fields times how many of them there may be:
+ *   - a field taking a limit argument (a page of companies, jobs or users)
+ *     may return that many, or DEFAULT_PAGE_SIZE if it isn't given; the list
+ *     of them inside the page is counted once
+ *   - any other list (a company's jobs, a job's applicants, ...) is counted
+ *     as NESTED_LIST_SIZE of them
+ *
+ * Introspection fields (__schema, __type, __typename) don't count, so tools
+ * like GraphiQL can load the schema.
+ */
+
+const NESTED_LIST_SIZE = 10;
+
+/** Measure the operation in document that would run.
+ *
+ * schema: the GraphQL schema
+ * document: the parsed (and validated) query
+ * options: { operationName, variables }, as given with the query
+ *
+ * Returns { depth, complexity }
+ */
+
+function measureQuery(schema, document, { operationName, variables = {} } = {}) {
+  const operation = getOperationAST(document, operationName);
+  if (!operation) return { depth: 0, complexity: 0 };
+
+  const fragments = {};
+  for (let definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+  }
+
+  // the fields selected on parentType, fragments and all
+  function fieldsOf(selectionSet, parentType) {
+    const fields = [];
+    for (let selection of selectionSet.selections) {
+      if (selection.kind === Kind.FIELD) {
+        fields.push({ node: selection, parentType });
+      } else {
+        const fragment = selection.kind === Kind.INLINE_FRAGMENT
+            ? selection
+            : fragments[selection.name.value];
+        const type = fragment.typeCondition
+            ? schema.getType(fragment.typeCondition.name.value)
+            : parentType;
+        fields.push(...fieldsOf(fragment.selectionSet, type));
+      }
+    }
+    return fields;
+  }
+
+  function measure(selectionSet, parentType, sized) {
+    let depth = 0;
+    let complexity = 0;
+
+    for (let { node, parentType: type } of fieldsOf(selectionSet, parentType)) {
+      if (node.name.value.startsWith("__")) continue;
+      const fieldDef = type.getFields()[node.name.value];
+      let childDepth = 0;
+      let childComplexity = 0;
+      let size = 1;
+
+      if (node.selectionSet) {
+        const hasLimit = fieldDef.args.some(a => a.name === "limit");
+        if (hasLimit) {
+          let args = {};
+          try {
+            args = getArgumentValues(fieldDef, node, variables);
+          } catch (err) {
+            // bad arguments are reported when the query runs
+          }
+          size = Number.isInteger(args.limit) ? args.limit : DEFAULT_PAGE_SIZE;
+        } else if (isListType(getNullableType(fieldDef.type)) && !sized) {
+          size = NESTED_LIST_SIZE;
+        }
+        const child = measure(node.selectionSet, getNamedType(fieldDef.type), hasLimit);
+        childDepth = child.depth;
+        childComplexity = child.complexity;
+      }
+
+      depth = Math.max(depth, 1 + childDepth);
+      complexity += 1 + size * childComplexity;
+    }
+
+    return { depth, complexity };
+  }
+
+  const rootType = schema.getRootType(operation.operation);
+  return measure(operation.selectionSet, rootType, false);
+}
+
+/** Throw BadRequestError if the query is nested deeper than maxDepth, or
+ * costs more than maxComplexity.
+ *
+ * schema, document, options: as for measureQuery
+ */
+
+function checkQueryLimits(schema, document, { maxDepth, maxComplexity, ...options }) {
+  const { depth, complexity } = measureQuery(schema, document, options);
+  if (depth > maxDepth) {
+    throw new BadRequestError(`Query is nested too deeply: ${depth} levels, at most ${maxDepth}`);
+  }
+  if (complexity > maxComplexity) {
+    throw new BadRequestError(
+        `Query is too complex: it costs ${complexity}, at most ${maxComplexity}; ` +
+        "ask for fewer fields, or smaller pages");
+  }
+}
+
+
+module.exports = {
+  NESTED_LIST_SIZE,
+  measureQuery,
+  checkQueryLimits,
+};
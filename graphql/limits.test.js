@@ -0,0 +1,72 @@
+"use strict";
+
+const { parse } = require("graphql");
+
+const { BadRequestError } = require("../expressError");
+const { schema } = require("./schema");
+const { measureQuery, checkQueryLimits } = require("./limits");
+
+function measure(query, options) {
+  return measureQuery(schema, parse(query), options);
+}
+
+describe("measureQuery", function () {
+  test("counts every field once outside lists", function () {
+    expect(measure(`{ company(handle: "c1") { handle name } }`))
+        .toEqual({ depth: 2, complexity: 3 });
+  });
+
+  test("counts nested lists as NESTED_LIST_SIZE", function () {
+    expect(measure(`{ company(handle: "c1") { jobs { id title } } }`))
+        .toEqual({ depth: 3, complexity: 1 + 1 + 10 * 2 });
+  });
+
+  test("counts pages by their limit, or the default page size", function () {
+    expect(measure(`{ jobs(limit: 5) { jobs { id } nextCursor } }`).complexity)
+        .toEqual(1 + 5 * (1 + 1 + 1));
+    expect(measure(`{ jobs { jobs { id } } }`).complexity).toEqual(1 + 50 * (1 + 1));
+  });
+
+  test("takes the limit from variables", function () {
+    const query = `query ($limit: Int) { companies(limit: $limit) { companies { handle } } }`;
+    expect(measure(query, { variables: { limit: 2 } }).complexity).toEqual(1 + 2 * (1 + 1));
+  });
+
+  test("follows fragments", function () {
+    expect(measure(`
+      { company(handle: "c1") { ...withJobs } }
+      fragment withJobs on Company { jobs { ... on Job { id } } }
+    `)).toEqual({ depth: 3, complexity: 1 + 1 + 10 * 1 });
+  });
+
+  test("only measures the operation that would run", function () {
+    const query = `
+      query Small { job(id: 1) { id } }
+      query Big { jobs { jobs { id } } }
+    `;
+    expect(measure(query, { operationName: "Small" })).toEqual({ depth: 2, complexity: 2 });
+  });
+
+  test("leaves out introspection", function () {
+    expect(measure(`{ __schema { types { fields { type { ofType { name } } } } } }`))
+        .toEqual({ depth: 0, complexity: 0 });
+  });
+});
+
+describe("checkQueryLimits", function () {
+  const document = parse(`{ company(handle: "c1") { jobs { id } } }`);
+
+  test("passes queries within the limits", function () {
+    checkQueryLimits(schema, document, { maxDepth: 3, maxComplexity: 12 });
+  });
+
+  test("throws for queries too deep", function () {
+    expect(() => checkQueryLimits(schema, document, { maxDepth: 2, maxComplexity: 100 }))
+        .toThrow(new BadRequestError("Query is nested too deeply: 3 levels, at most 2"));
+  });
+
+  test("throws for queries too complex", function () {
+    expect(() => checkQueryLimits(schema, document, { maxDepth: 3, maxComplexity: 11 }))
+        .toThrow(/Query is too complex: it costs 12, at most 11/);
+  });
+});
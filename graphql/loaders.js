@@ -0,0 +1,69 @@
+"use strict";
+
+const DataLoader = require("dataloader");
+
+const { NotFoundError } = require("../expressError");
+const Application = require("../models/application");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const User = require("../models/user");
+
+/** DataLoaders for the GraphQL resolvers.
+ *
+ * Every load made while resolving one level of a query is collected into a
+ * single model call, so { companies { jobs { company { name } } } } makes one
+ * query for the jobs of every company on the page, not one per company.
+ *
+ * Loaders cache what they've loaded, so a new set is made for each request
+ * (see makeLoaders): nothing is shared between users, or kept once the
+ * request is done.
+ */
+
+/** A loader for things looked up by a unique key; keys that aren't found
+ * load as a NotFoundError. */
+
+function byKey(getMany, key, what) {
+  return new DataLoader(async keys => {
+    const rows = await getMany(keys);
+    const found = new Map(rows.map(r => [r[key], r]));
+    return keys.map(k => found.get(k) || new NotFoundError(`No ${what}: ${k}`));
+  });
+}
+
+/** A loader for lists of things that belong to a key; keys with nothing
+ * load as an empty list. */
+
+function groupedBy(findMany, key) {
+  return new DataLoader(async keys => {
+    const rows = await findMany(keys);
+    const groups = new Map(keys.map(k => [k, []]));
+    for (let row of rows) groups.get(row[key]).push(row);
+    return keys.map(k => groups.get(k));
+  });
+}
+
+/** Make the loaders for one request.
+ *
+ * Returns {
+ *   company: handle => company
+ *   job: id => job
+ *   user: username => user
+ *   jobsByCompany: handle => [job, ...]
+ *   applicationsByJob: job id => [application, ...]
+ *   applicationsByUser: username => [application, ...]
+ * }
+ */
+
+function makeLoaders() {
+  return {
+    company: byKey(handles => Company.getMany(handles), "handle", "company"),
+    job: byKey(ids => Job.getMany(ids), "id", "job"),
+    user: byKey(usernames => User.getMany(usernames), "username", "user"),
+    jobsByCompany: groupedBy(handles => Job.findForCompanies(handles), "companyhandle"),
+    applicationsByJob: groupedBy(ids => Application.findFor("jobId", ids), "jobId"),
+    applicationsByUser: groupedBy(usernames => Application.findFor("username", usernames), "username"),
+  };
+}
+
+
+module.exports = { makeLoaders };
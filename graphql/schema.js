@@ -0,0 +1,229 @@
+"use strict";
+
+const { buildSchema } = require("graphql");
+
+const { UnauthorizedError } = require("../expressError");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const User = require("../models/user");
+
+/** The GraphQL schema served at POST /graphql.
+ *
+ * The types are the same companies, jobs, users and applications the REST
+ * routes return, with the links between them as fields, so a page can get
+ * everything it needs in one request:
+ *
+ *   { company(handle: "c1") { name jobs { title applicants { username } } } }
+ *
+ * Related things are loaded through the request's DataLoaders (see
+ * graphql/loaders.js), and who may see what follows the REST routes.
+ */
+
+const typeDefs = `
+  "A company that posts jobs."
+  type Company {
+    handle: String!
+    name: String!
+    description: String
+    numEmployees: Int
+    logoUrl: String
+    "The company's open jobs."
+    jobs: [Job!]!
+  }
+
+  type Job {
+    id: Int!
+    title: String!
+    salary: Int
+    equity: String
+    companyHandle: String!
+    slug: String
+    company: Company!
+    "The users who applied. Admins only."
+    applicants: [User!]!
+    "The applications to the job. Admins only."
+    applications: [Application!]!
+  }
+
+  "Admins can see every user; anyone else only themselves."
+  type User {
+    username: String!
+    firstName: String!
+    lastName: String!
+    email: String!
+    emailVerified: Boolean!
+    isAdmin: Boolean!
+    "The user's applications, to jobs that are still open."
+    applications: [Application!]!
+  }
+
+  type Application {
+    username: String!
+    jobId: Int!
+    "applied, interviewing, offered, hired, rejected or withdrawn"
+    state: String!
+    "When the state last changed, like 2021-10-06T12:00:00.000Z"
+    updatedAt: String
+    job: Job!
+    user: User!
+  }
+
+  type CompanyPage {
+    companies: [Company!]!
+    nextCursor: String
+    prevCursor: String
+  }
+
+  type JobPage {
+    jobs: [Job!]!
+    nextCursor: String
+    prevCursor: String
+  }
+
+  type UserPage {
+    users: [User!]!
+    nextCursor: String
+    prevCursor: String
+  }
+
+  "The list fields take the same filters and paging as GET /companies, GET /jobs and GET /users."
+  type Query {
+    company(handle: String!): Company
+    companies(
+      name: String
+      minEmployees: Int
+      maxEmployees: Int
+      limit: Int
+      after: String
+      before: String
+      sort: String
+    ): CompanyPage!
+    job(id: Int!): Job
+    jobs(
+      title: String
+      minSalary: Int
+      hasEquity: Boolean
+      companyHandle: [String!]
+      technology: String
+      limit: Int
+      after: String
+      before: String
+      sort: String
+    ): JobPage!
+    "Admins, or the user themselves."
+    user(username: String!): User
+    "Admins only."
+    users(
+      username: String
+      firstName: String
+      lastName: String
+      email: String
+      isAdmin: Boolean
+      emailVerified: Boolean
+      limit: Int
+      after: String
+      before: String
+      sort: String
+    ): UserPage!
+  }
+`;
+
+/** The same checks as ensureLoggedInAndIsAdmin and ensureLoggedInIsAdminOrUser
+ * (see middleware/auth.js), on the request's context. */
+
+function ensureAdmin({ user }) {
+  if (!user || !user.isAdmin) throw new UnauthorizedError();
+}
+
+function ensureAdminOrUser({ user }, username) {
+  if (!user) throw new UnauthorizedError();
+  if (username !== user.username && !user.isAdmin) throw new UnauthorizedError();
+}
+
+/** The arguments given to a list field, as a model's findAll query. */
+
+function queryFrom(args) {
+  const query = {};
+  for (let [key, value] of Object.entries(args)) {
+    if (value !== null && value !== undefined) query[key] = value;
+  }
+  return query;
+}
+
+const resolvers = {
+  Query: {
+    company: (_, { handle }, { loaders }) => loaders.company.load(handle),
+    async companies(_, args, { loaders }) {
+      const page = await Company.findAll(queryFrom(args));
+      for (let company of page.companies) loaders.company.prime(company.handle, company);
+      return page;
+    },
+    job: (_, { id }, { loaders }) => loaders.job.load(id),
+    async jobs(_, args, { loaders }) {
+      const page = await Job.findAll(queryFrom(args));
+      for (let job of page.jobs) loaders.job.prime(job.id, job);
+      return page;
+    },
+    user(_, { username }, context) {
+      ensureAdminOrUser(context, username);
+      return context.loaders.user.load(username);
+    },
+    users(_, args, context) {
+      ensureAdmin(context);
+      return User.findAll(queryFrom(args));
+    },
+  },
+
+  Company: {
+    jobs: (company, _, { loaders }) => loaders.jobsByCompany.load(company.handle),
+  },
+
+  Job: {
+    companyHandle: job => job.companyhandle,
+    company: (job, _, { loaders }) => loaders.company.load(job.companyhandle),
+    async applicants(job, _, context) {
+      ensureAdmin(context);
+      const applications = await context.loaders.applicationsByJob.load(job.id);
+      return context.loaders.user.loadMany(applications.map(a => a.username));
+    },
+    applications(job, _, context) {
+      ensureAdmin(context);
+      return context.loaders.applicationsByJob.load(job.id);
+    },
+  },
+
+  User: {
+    applications(user, _, context) {
+      ensureAdminOrUser(context, user.username);
+      return context.loaders.applicationsByUser.load(user.username);
+    },
+  },
+
+  Application: {
+    updatedAt: application => application.updatedAt && application.updatedAt.toISOString(),
+    job: (application, _, { loaders }) => loaders.job.load(application.jobId),
+    user(application, _, context) {
+      ensureAdminOrUser(context, application.username);
+      return context.loaders.user.load(application.username);
+    },
+  },
+};
+
+/** Build the schema from typeDefs, with resolvers as the fields' resolve
+ * functions. */
+
+function makeSchema() {
+  const schema = buildSchema(typeDefs);
+  for (let [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (let [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+const schema = makeSchema();
+
+
+module.exports = { schema };
@@ -0,0 +1,43 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/** Conditional GETs: clients that already have a response can ask for it
+ * again with If-None-Match (its ETag) or If-Modified-Since (its
+ * Last-Modified), and get an empty 304 Not Modified if nothing changed.
+ *
+ * Routes check before doing the real work:
+ *
+ *   if (isNotModified(req, res, await Company.versionInfo())) {
+ *     return res.status(304).end();
+ *   }
+ *
+ * The ETag is made from the version and the URL, so each filter, sort and
+ * page of a list gets its own. Last-Modified is only good to the second;
+ * clients that need better should use the ETag.
+ */
+
+/** Set the response's ETag and Last-Modified, and say whether the client's
+ * copy is still fresh.
+ *
+ * info: { version, lastModified } from a model's versionInfo(), or null if
+ *       there's nothing to go on (the response is then sent as usual)
+ */
+
+function isNotModified(req, res, info) {
+  if (!info) return false;
+
+  const hash = crypto.createHash("sha1")
+      .update(`${info.version} ${req.originalUrl}`)
+      .digest("base64url");
+  res.set({
+    "ETag": `W/"${hash}"`,
+    "Last-Modified": info.lastModified.toUTCString(),
+    // caches may keep it, but have to check with us before using it
+    "Cache-Control": "no-cache",
+  });
+  return req.fresh;
+}
+
+
+module.exports = { isNotModified };
@@ -0,0 +1,151 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Split CSV text into records.
+ *
+ * Follows RFC 4180: fields are separated by commas, records by LF or CRLF,
+ * and a field in double quotes can hold commas, newlines and "" (an escaped
+ * quote). Blank lines are skipped.
+ *
+ * returns: [{ line, fields }, ...]
+ *            line: the line number (from 1) the record starts on
+ *            fields: the record's values, all strings
+ *
+ * Throws BadRequestError on badly quoted fields.
+ */
+
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;   // inside a quoted field
+  let wasQuoted = false;  // the current field was quoted (so it can't continue)
+  let line = 1;
+  let recordLine = 1;
+
+  function endField() {
+    fields.push(field);
+    field = "";
+    wasQuoted = false;
+  }
+
+  function endRecord() {
+    endField();
+    const blank = fields.length === 1 && fields[0] === "";
+    if (!blank) records.push({ line: recordLine, fields });
+    fields = [];
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+        wasQuoted = true;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\n" || (ch === "\r" && text[i + 1] === "\n")) {
+      if (ch === "\r") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (wasQuoted) {
+      throw new BadRequestError(`Line ${line}: unexpected text after a closing quote`);
+    } else if (ch === '"') {
+      if (field !== "") throw new BadRequestError(`Line ${line}: unexpected quote in a field`);
+      quoted = true;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new BadRequestError(`Line ${recordLine}: unterminated quoted field`);
+  endRecord();
+
+  return records;
+}
+
+/** Read CSV text with a header row into objects, for validating against a
+ * JSON schema.
+ *
+ * The header names the properties (e.g. handle,name,numEmployees). Empty
+ * values are left out of the object, and values of "integer" or "number"
+ * properties in the schema are turned into numbers when they look like one
+ * (anything else is left as a string for the schema to reject).
+ *
+ * returns: [{ line, data, errors }, ...] for each row after the header
+ *            errors: problems with the row itself (it has a different number
+ *                    of fields than the header); data is null if there are any
+ *
+ * Throws BadRequestError if there's no header, or a header name is empty or
+ * repeated.
+ */
+
+function readCsvObjects(text, schema) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new BadRequestError("CSV is empty; the first line must be a header");
+
+  const names = header.fields.map(name => name.trim());
+  const seen = new Set();
+  for (let name of names) {
+    if (!name) throw new BadRequestError(`Line ${header.line}: header has an empty column name`);
+    if (seen.has(name)) throw new BadRequestError(`Line ${header.line}: column "${name}" appears twice`);
+    seen.add(name);
+  }
+
+  const properties = schema.properties || {};
+  return records.map(({ line, fields }) => {
+    if (fields.length !== names.length) {
+      return {
+        line,
+        data: null,
+        errors: [`expected ${names.length} fields, found ${fields.length}`],
+      };
+    }
+
+    const data = {};
+    names.forEach((name, idx) => {
+      const value = fields[idx];
+      if (value === "") return;
+
+      const type = properties[name] && properties[name].type;
+      const isNumeric = (type === "integer" || type === "number") &&
+          /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value);
+      data[name] = isNumeric ? Number(value) : value;
+    });
+    return { line, data, errors: [] };
+  });
+}
+
+/** Turn one value into a CSV field: quoted if it needs to be, with null and
+ * undefined as empty fields and dates as ISO 8601 times.
+ *
+ * Strings that a spreadsheet would run as a formula (starting with =, +, -,
+ * @, a tab or a CR) get a ' in front, so opening an export in Excel can't
+ * run something a user typed into their name.
+ */
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Turn a list of values into one line of CSV, ending in CRLF. */
+
+function csvLine(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+
+module.exports = { parseCsv, readCsvObjects, csvLine };
@@ -0,0 +1,87 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { parseCsv, readCsvObjects, csvLine } = require("./csv");
+
+describe("parseCsv", () => {
+  test("works with quotes, escaped quotes and CRLF", () => {
+    const csv = 'a,b\r\n"x, y","say ""hi"""\r\n';
+    expect(parseCsv(csv)).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 2, fields: ["x, y", 'say "hi"'] },
+    ]);
+  });
+
+  test("counts lines inside quoted fields and skips blank lines", () => {
+    const csv = 'a,b\n"one\ntwo",2\n\n3,4';
+    expect(parseCsv(csv)).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 2, fields: ["one\ntwo", "2"] },
+      { line: 5, fields: ["3", "4"] },
+    ]);
+  });
+
+  test("keeps empty fields", () => {
+    expect(parseCsv("a,,c")).toEqual([{ line: 1, fields: ["a", "", "c"] }]);
+  });
+
+  test("throws on an unterminated quote", () => {
+    expect(() => parseCsv('a,"b\n')).toThrow(BadRequestError);
+  });
+
+  test("throws on a quote in the middle of a field", () => {
+    expect(() => parseCsv('a,b"c"')).toThrow(BadRequestError);
+    expect(() => parseCsv('a,"b"c')).toThrow(BadRequestError);
+  });
+});
+
+describe("readCsvObjects", () => {
+  const schema = {
+    properties: {
+      name: { type: "string" },
+      size: { type: "integer" },
+      share: { type: "number" },
+    },
+  };
+
+  test("works: names fields from the header and converts numbers", () => {
+    const csv = "name,size,share\nc1,10,0.5\nc2,,abc\n";
+    expect(readCsvObjects(csv, schema)).toEqual([
+      { line: 2, data: { name: "c1", size: 10, share: 0.5 }, errors: [] },
+      { line: 3, data: { name: "c2", share: "abc" }, errors: [] },
+    ]);
+  });
+
+  test("reports rows with the wrong number of fields", () => {
+    const csv = "name,size\nc1\n";
+    expect(readCsvObjects(csv, schema)).toEqual([
+      { line: 2, data: null, errors: ["expected 2 fields, found 1"] },
+    ]);
+  });
+
+  test("throws on an empty file or a repeated column", () => {
+    expect(() => readCsvObjects("", schema)).toThrow(BadRequestError);
+    expect(() => readCsvObjects("name,name\na,b", schema)).toThrow(BadRequestError);
+  });
+});
+
+describe("csvLine", () => {
+  test("works: quotes only fields that need it", () => {
+    expect(csvLine(["a", 'say "hi"', "x,y", "two\nlines", 1, true, null, undefined]))
+        .toEqual('a,"say ""hi""","x,y","two\nlines",1,true,,\r\n');
+  });
+
+  test("writes dates as ISO times", () => {
+    expect(csvLine([new Date("2021-10-06T12:00:00Z")])).toEqual("2021-10-06T12:00:00.000Z\r\n");
+  });
+
+  test("defuses strings a spreadsheet would run as formulas", () => {
+    expect(csvLine(["=1+2", "+1", "-x", "@SUM(A1)", "\tx", "\rx", "a=b", -1]))
+        .toEqual(`'=1+2,'+1,'-x,'@SUM(A1),'\tx,"'\rx",a=b,-1\r\n`);
+  });
+
+  test("round trips through parseCsv", () => {
+    const values = ["a", 'say "hi"', "x,y", "two\nlines"];
+    expect(parseCsv(csvLine(values))[0].fields).toEqual(values);
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { MAX_PAGE_SIZE } = require("./pagination");
+const { csvLine } = require("./csv");
+const { logger } = require("./logger");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+/** Split an export request's query into the format and the model's filters.
+ *
+ * query: the request.query object
+ *
+ * returns: { format, filters }
+ *            format: "csv" (the default) or "ndjson"
+ *            filters: everything else, for the model's findAll
+ *
+ * Throws BadRequestError on an unknown format, or on paging parameters (an
+ * export is always everything that matches).
+ */
+
+function extractExportParams(query = {}) {
+  const { format = "csv", ...filters } = query;
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new BadRequestError(`format must be one of: [${Object.keys(FORMATS)}]`);
+  }
+
+  const paging = ["limit", "after", "before"].filter(k => filters[k] !== undefined);
+  if (paging.length) {
+    throw new BadRequestError(`Exports can't be paged; remove: [${paging}]`);
+  }
+  return { format, filters };
+}
+
+/** Whether the client went away (or the response was ended some other way),
+ * so there's no point writing to it. */
+
+function isGone(res) {
+  return res.destroyed || res.writableEnded;
+}
+
+/** Wait until a response has room for more data (or the client went away). */
+
+function waitForDrain(res) {
+  // "close" may already have happened, and won't happen again
+  if (isGone(res)) return Promise.resolve();
+  return new Promise(resolve => {
+    function done() {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    }
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+/** Stream every row a keyset-paginated findAll returns as a file download.
+ *
+ * Only one page of rows is in memory at a time: each page is written out
+ * before the next is fetched, and when the client can't keep up we wait for
+ * the response to drain first.
+ *
+ * res: the express response
+ * options: {
+ *   name: the download's file name, without extension (like "companies")
+ *   format: "csv" or "ndjson" (see extractExportParams)
+ *   columns: the row properties to export, in order; they're also the CSV header
+ *   fetchPage(query): the model's findAll, returning { rows, nextCursor }
+ *                     for the paging parameters in query
+ * }
+ *
+ * Errors fetching the first page are thrown as usual, before anything is
+ * sent. After that the response has started, so an error ends the download
+ * early instead (the client sees a truncated response).
+ */
+
+async function streamExport(res, { name, format, columns, fetchPage }) {
+  const { contentType, extension } = FORMATS[format];
+  let page = await fetchPage({ limit: MAX_PAGE_SIZE });
+
+  res.status(200).set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${name}.${extension}"`,
+  });
+
+  try {
+    let chunk = format === "csv" ? csvLine(columns) : "";
+    while (true) {
+      for (let row of page.rows) {
+        const values = columns.map(c => row[c] === undefined ? null : row[c]);
+        chunk += format === "csv"
+            ? csvLine(values)
+            : JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, values[i]]))) + "\n";
+      }
+      if (isGone(res)) break;
+      if (!res.write(chunk)) await waitForDrain(res);
+      chunk = "";
+
+      if (isGone(res) || !page.nextCursor) break;
+      page = await fetchPage({ limit: MAX_PAGE_SIZE, after: page.nextCursor });
+    }
+    res.end();
+  } catch (err) {
+    logger.error("export failed", { err });
+    res.destroy();
+  }
+}
+
+
+module.exports = { extractExportParams, streamExport };
@@ -0,0 +1,62 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { Writable } = require("stream");
+const { extractExportParams, streamExport } = require("./export");
+
+describe("extractExportParams", () => {
+  test("defaults to csv and passes filters through", () => {
+    expect(extractExportParams({ title: "c", sort: "-salary" })).toEqual({
+      format: "csv",
+      filters: { title: "c", sort: "-salary" },
+    });
+  });
+
+  test("takes the format", () => {
+    expect(extractExportParams({ format: "ndjson" })).toEqual({ format: "ndjson", filters: {} });
+  });
+
+  test("throws on an unknown format", () => {
+    expect(() => extractExportParams({ format: "xml" })).toThrow(BadRequestError);
+  });
+
+  test("throws on paging parameters", () => {
+    expect(() => extractExportParams({ limit: "5" })).toThrow(BadRequestError);
+    expect(() => extractExportParams({ after: "abc" })).toThrow(BadRequestError);
+  });
+});
+
+
+describe("streamExport", () => {
+  /** A response-like stream that never finishes writing, so it fills up
+   * after the first write. */
+
+  function makeRes() {
+    const res = new Writable({ highWaterMark: 1, write() {} });
+    res.status = () => res;
+    res.set = () => res;
+    return res;
+  }
+
+  test("stops when the client has already gone", async () => {
+    const res = makeRes();
+    const fetchPage = jest.fn(async () => {
+      res.destroy();
+      await new Promise(resolve => res.on("close", resolve));
+      return { rows: [{ id: 1 }], nextCursor: "next" };
+    });
+
+    await streamExport(res, { name: "jobs", format: "csv", columns: ["id"], fetchPage });
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops when the client goes while waiting to write", async () => {
+    const res = makeRes();
+    const fetchPage = jest.fn(async () => ({ rows: [{ id: 1 }], nextCursor: "next" }));
+
+    const done = streamExport(res, { name: "jobs", format: "csv", columns: ["id"], fetchPage });
+    setImmediate(() => res.destroy());
+    await done;
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,187 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Declarative filters for the models' "findAll" methods.
+ *
+ * Each model declares the filters it takes as an object mapping the query
+ * parameter to how it filters:
+ *
+ *   {
+ *     column: the SQL column (or expression) the filter is on
+ *     type: what the value is turned into before it's used: "string"
+ *           (default), "integer", "number" or "boolean"
+ *     op: how the column is compared with the value (default "eq"):
+ *         eq       column = value
+ *         ilike    column contains value, ignoring case (% and _ in the
+ *                  value are matched literally)
+ *         gte      column >= value
+ *         lte      column <= value
+ *         in       column is one of the values; given as "a,b,c" or by
+ *                  repeating the parameter
+ *         between  column is from the first value to the second, inclusive;
+ *                  given as "low,high"
+ *         isNull   column IS NULL for true, IS NOT NULL for false (the value
+ *                  is always a boolean)
+ *     where: (instead of column and op) a function taking the value's $n
+ *            placeholder and returning the condition, for filters that
+ *            aren't a simple comparison on one column
+ *   }
+ *
+ * For example, Company has:
+ *
+ *   {
+ *     name: { column: "name", op: "ilike" },
+ *     minEmployees: { column: "num_employees", type: "integer", op: "gte" },
+ *     maxEmployees: { column: "num_employees", type: "integer", op: "lte" },
+ *   }
+ */
+
+const OPS = ["eq", "ilike", "gte", "lte", "in", "between", "isNull"];
+
+const SQL_FOR_OP = {
+  eq: (column, param) => `${column} = ${param}`,
+  ilike: (column, param) => `${column} ILIKE ${param}`,
+  gte: (column, param) => `${column} >= ${param}`,
+  lte: (column, param) => `${column} <= ${param}`,
+  in: (column, param) => `${column} = ANY(${param})`,
+  between: (column, low, high) => `${column} BETWEEN ${low} AND ${high}`,
+};
+
+/** Turn one value from the query string into the filter's type.
+ *
+ * Values from a request's query string are always strings; values from a
+ * JSON body (or a model's own callers) may already be the right type.
+ *
+ * Throws BadRequestError if it can't be.
+ */
+
+function coerce(key, type, value) {
+  if (type === "integer" || type === "number") {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      throw new BadRequestError(`${key} must be a number`);
+    }
+    if (type === "integer" && !Number.isInteger(number)) {
+      throw new BadRequestError(`${key} must be a whole number`);
+    }
+    return number;
+  }
+
+  if (type === "boolean") {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new BadRequestError(`${key} must be true or false`);
+  }
+
+  if (typeof value === "object") throw new BadRequestError(`${key} must be a string`);
+  return String(value);
+}
+
+/** Split a list filter's value ("a,b,c", or an array from a repeated
+ * parameter) into its items.
+ */
+
+function listItems(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map(i => typeof i === "string" ? i.trim() : i).filter(i => i !== "");
+}
+
+/** Check filters from a request against a model's declared filters, and turn
+ * their values into the right types.
+ *
+ * filters: the filters from extractPageParams (helpers/pagination.js), or
+ *          any object of filter values
+ * fields: the model's declared filters (see above)
+ *
+ * returns: [{ key, field, value }, ...] for the filters given, where value is
+ *          a list for "in" and "between" filters
+ *
+ * Throws BadRequestError on unknown filters, values of the wrong type, and
+ * ranges whose low end is above their high end.
+ */
+
+function parseFilters(filters = {}, fields) {
+  const keys = Object.keys(filters);
+  const invalidKeys = keys.filter(k => !Object.prototype.hasOwnProperty.call(fields, k));
+  if (invalidKeys.length) {
+    throw new BadRequestError(
+        `These parameters in your query string are invalid: [${invalidKeys}]; ` +
+        `allowed: [${Object.keys(fields)}]`);
+  }
+
+  const parsed = keys.map(key => {
+    const field = fields[key];
+    const op = field.op || "eq";
+    if (!field.where && OPS.indexOf(op) === -1) throw new Error(`Unknown filter op: ${op}`);
+    const value = filters[key];
+
+    if (op === "in" || op === "between") {
+      const items = listItems(value).map(v => coerce(key, field.type, v));
+      if (!items.length) throw new BadRequestError(`${key} needs at least one value`);
+      if (op === "between") {
+        if (items.length !== 2) throw new BadRequestError(`${key} must be two values: low,high`);
+        if (items[0] > items[1]) {
+          throw new BadRequestError(`${key} must be low,high; ${items[0]} is above ${items[1]}`);
+        }
+      }
+      return { key, field, value: items };
+    }
+
+    if (Array.isArray(value)) throw new BadRequestError(`${key} can only be given once`);
+    const type = op === "isNull" ? "boolean" : field.type;
+    return { key, field, value: coerce(key, type, value) };
+  });
+
+  // a "min" filter above the "max" filter on the same column can't match anything
+  for (let min of parsed.filter(f => f.field.op === "gte")) {
+    for (let max of parsed.filter(f => f.field.op === "lte" && f.field.column === min.field.column)) {
+      if (min.value > max.value) {
+        throw new BadRequestError(`${min.key} cannot be greater than ${max.key}.`);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/** Build the SQL for a model's filters.
+ *
+ * filters, fields: as for parseFilters
+ * options: { paramOffset }
+ *   paramOffset: how many $n parameters the caller's query already uses
+ *
+ * returns: { where, values }
+ *    where: the conditions, ANDed together, for the query's WHERE clause
+ *           ("" if there are no filters)
+ *    values: the values for the parameters used in where
+ *
+ * Throws BadRequestError as parseFilters does.
+ *
+ * usage: used by the models' "findAll" methods, alongside sqlForPage.
+ */
+
+function sqlForFilters(filters, fields, { paramOffset = 0 } = {}) {
+  const values = [];
+  function param(value) {
+    values.push(value);
+    return `$${paramOffset + values.length}`;
+  }
+
+  const conditions = parseFilters(filters, fields).map(({ field, value }) => {
+    const op = field.op || "eq";
+    if (field.where) return `(${field.where(param(value))})`;
+    if (op === "isNull") return `${field.column} IS ${value ? "" : "NOT "}NULL`;
+    if (op === "between") return SQL_FOR_OP.between(field.column, param(value[0]), param(value[1]));
+    if (op === "ilike") return SQL_FOR_OP.ilike(field.column, param(`%${value.replace(/[\\%_]/g, "\\$&")}%`));
+    return SQL_FOR_OP[op](field.column, param(value));
+  });
+
+  return { where: conditions.join(" AND "), values };
+}
+
+
+module.exports = {
+  parseFilters,
+  sqlForFilters,
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { parseFilters, sqlForFilters } = require("./filters");
+
+const fields = {
+  title: { column: "title", op: "ilike" },
+  minSalary: { column: "salary", type: "integer", op: "gte" },
+  maxSalary: { column: "salary", type: "integer", op: "lte" },
+  equity: { column: "equity", type: "number" },
+  hasEquity: { column: "(equity > 0)", type: "boolean" },
+  companyHandle: { column: "company_handle", op: "in" },
+  salaryRange: { column: "salary", type: "integer", op: "between" },
+  noSlug: { column: "slug", op: "isNull" },
+  technology: { where: param => `id IN (SELECT job_id FROM t WHERE name = ${param})` },
+};
+
+describe("parseFilters", () => {
+  test("coerces values from a query string", () => {
+    const parsed = parseFilters(
+        { minSalary: "100", equity: "0.5", hasEquity: "false", companyHandle: "c1, c2" },
+        fields);
+    expect(parsed.map(({ key, value }) => ({ key, value }))).toEqual([
+      { key: "minSalary", value: 100 },
+      { key: "equity", value: 0.5 },
+      { key: "hasEquity", value: false },
+      { key: "companyHandle", value: ["c1", "c2"] },
+    ]);
+  });
+
+  test("takes values that already have the right type", () => {
+    const parsed = parseFilters({ minSalary: 100, hasEquity: true }, fields);
+    expect(parsed.map(p => p.value)).toEqual([100, true]);
+  });
+
+  test("takes repeated parameters for in filters", () => {
+    const [parsed] = parseFilters({ companyHandle: ["c1", "c2"] }, fields);
+    expect(parsed.value).toEqual(["c1", "c2"]);
+  });
+
+  test("throws on unknown filters, listing them", () => {
+    expect(() => parseFilters({ title: "c", potato: "soup" }, fields))
+        .toThrow(/These parameters in your query string are invalid: \[potato\]/);
+  });
+
+  test.each([
+    [{ minSalary: "lots" }, "minSalary must be a number"],
+    [{ minSalary: "1.5" }, "minSalary must be a whole number"],
+    [{ minSalary: "" }, "minSalary must be a number"],
+    [{ hasEquity: "yes" }, "hasEquity must be true or false"],
+    [{ title: ["a", "b"] }, "title can only be given once"],
+    [{ companyHandle: "," }, "companyHandle needs at least one value"],
+    [{ salaryRange: "1,2,3" }, "salaryRange must be two values: low,high"],
+    [{ salaryRange: "5,1" }, "salaryRange must be low,high; 5 is above 1"],
+    [{ minSalary: "5", maxSalary: "1" }, "minSalary cannot be greater than maxSalary."],
+  ])("throws BadRequestError on %j", (filters, message) => {
+    expect(() => parseFilters(filters, fields)).toThrow(new BadRequestError(message));
+  });
+});
+
+describe("sqlForFilters", () => {
+  test("works: no filters", () => {
+    expect(sqlForFilters({}, fields)).toEqual({ where: "", values: [] });
+  });
+
+  test("works: every op", () => {
+    const { where, values } = sqlForFilters({
+      title: "eng",
+      minSalary: "100",
+      hasEquity: "true",
+      companyHandle: "c1,c2",
+      salaryRange: "10,20",
+      noSlug: "false",
+      technology: "sql",
+    }, fields, { paramOffset: 1 });
+
+    expect(where).toEqual([
+      "title ILIKE $2",
+      "salary >= $3",
+      "(equity > 0) = $4",
+      "company_handle = ANY($5)",
+      "salary BETWEEN $6 AND $7",
+      "slug IS NOT NULL",
+      "(id IN (SELECT job_id FROM t WHERE name = $8))",
+    ].join(" AND "));
+    expect(values).toEqual(["%eng%", 100, true, ["c1", "c2"], 10, 20, "sql"]);
+  });
+
+  test("ilike matches % and _ literally", () => {
+    const { values } = sqlForFilters({ title: "100%_done\\" }, fields);
+    expect(values).toEqual(["%100\\%\\_done\\\\%"]);
+  });
+
+  test("isNull true", () => {
+    expect(sqlForFilters({ noSlug: "true" }, fields)).toEqual({ where: "slug IS NULL", values: [] });
+  });
+});
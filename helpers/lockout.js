@@ -0,0 +1,66 @@
+"use strict";
+
+/** Locking accounts after repeated failed logins.
+ *
+ * After LOCKOUT_THRESHOLD failed logins in a row, a username is locked for
+ * LOCKOUT_BASE_SECONDS, and logging in as it fails (even with the right
+ * password) until the lock runs out. Every further lockout within a day of
+ * the last doubles the time, up to LOCKOUT_MAX_SECONDS; a successful login
+ * starts over.
+ *
+ * This goes by the username that was tried, whether or not such a user
+ * exists, so it doesn't give away which usernames are real. The counts are
+ * kept in the rate limit store (see helpers/rateLimitStore.js).
+ */
+
+const config = require("../config");
+const { TooManyRequestsError } = require("../expressError");
+const { getRateLimitStore } = require("./rateLimitStore");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+/** Throws TooManyRequestsError if the username is locked. */
+
+async function checkLockout(username) {
+  const lock = await getRateLimitStore().get(`locked:${username}`);
+  if (lock) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(lock.expiresAt) - Date.now()) / 1000));
+    throw new TooManyRequestsError(
+        "Too many failed logins; this account is locked for now", retryAfter);
+  }
+}
+
+/** Count a failed login for the username, locking it if that was one too
+ * many; returns true if it's now locked. */
+
+async function recordLoginFailure(username) {
+  const store = getRateLimitStore();
+  const windowMs = config.LOGIN_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+  const failures = await store.increment(`failures:${username}`, windowMs);
+  if (failures.count < config.LOCKOUT_THRESHOLD) return false;
+
+  const lockouts = await store.increment(`lockouts:${username}`, DAY_MS);
+  const seconds = Math.min(
+      config.LOCKOUT_BASE_SECONDS * 2 ** (lockouts.count - 1),
+      config.LOCKOUT_MAX_SECONDS);
+  await store.set(`locked:${username}`, 1, seconds * 1000);
+  await store.delete(`failures:${username}`);
+  return true;
+}
+
+/** Forget the username's failed logins and past lockouts, after it has
+ * logged in. */
+
+async function clearLoginFailures(username) {
+  const store = getRateLimitStore();
+  await store.delete(`failures:${username}`);
+  await store.delete(`lockouts:${username}`);
+}
+
+
+module.exports = {
+  checkLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+};
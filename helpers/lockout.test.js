@@ -0,0 +1,55 @@
+"use strict";
+
+const db = require("../db");
+const config = require("../config");
+const { TooManyRequestsError } = require("../expressError");
+const { getRateLimitStore } = require("./rateLimitStore");
+const { checkLockout, recordLoginFailure, clearLoginFailures } = require("./lockout");
+
+afterAll(async function () {
+  await db.end();
+});
+
+beforeEach(function () {
+  getRateLimitStore().clear();
+});
+
+/** Fail logging in as username until it's locked. */
+async function failUntilLocked(username) {
+  for (let i = 1; i < config.LOCKOUT_THRESHOLD; i++) {
+    expect(await recordLoginFailure(username)).toEqual(false);
+  }
+  expect(await recordLoginFailure(username)).toEqual(true);
+}
+
+describe("lockout", function () {
+  test("locks after LOCKOUT_THRESHOLD failures", async function () {
+    await failUntilLocked("u1");
+    const err = await checkLockout("u1").catch(e => e);
+    expect(err).toBeInstanceOf(TooManyRequestsError);
+    expect(err.retryAfter).toEqual(config.LOCKOUT_BASE_SECONDS);
+
+    // other usernames are fine
+    await checkLockout("u2");
+  });
+
+  test("each lockout is longer, up to LOCKOUT_MAX_SECONDS", async function () {
+    const store = getRateLimitStore();
+    const durations = [];
+    for (let i = 0; i < 8; i++) {
+      await failUntilLocked("u1");
+      const lock = await store.get("locked:u1");
+      durations.push(Math.round((lock.expiresAt - Date.now()) / 1000));
+      await store.delete("locked:u1");
+    }
+    const base = config.LOCKOUT_BASE_SECONDS;
+    expect(durations.slice(0, 3)).toEqual([base, base * 2, base * 4]);
+    expect(Math.max(...durations)).toEqual(config.LOCKOUT_MAX_SECONDS);
+  });
+
+  test("a successful login starts over", async function () {
+    for (let i = 1; i < config.LOCKOUT_THRESHOLD; i++) await recordLoginFailure("u1");
+    await clearLoginFailures("u1");
+    expect(await recordLoginFailure("u1")).toEqual(false);
+  });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+/** The app's logger: one JSON object per line on stdout, like
+ *
+ *   {"time":"2021-10-06T12:00:00.000Z","level":"info","msg":"request",
+ *    "requestId":"8f3a...","method":"GET","url":"/jobs","status":200,...}
+ *
+ * Lines logged while handling a request get its requestId (see
+ * helpers/requestContext.js). Anything that looks like a secret -- fields
+ * named like passwords or tokens, bearer tokens and JWTs, passwords in URLs,
+ * the SECRET_KEY -- is replaced with "[REDACTED]" before it's written.
+ *
+ * Lines below LOG_LEVEL are dropped; "silent" drops everything.
+ */
+
+const { LOG_LEVEL, SECRET_KEY } = require("../config");
+const { getRequestContext } = require("./requestContext");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = "[REDACTED]";
+
+// fields whose values are always secret, wherever they turn up
+const SECRET_FIELD = /passw(or)?d|secret|token$|authorization|cookie|api_?key/i;
+
+// secrets inside strings (messages, URLs, error stacks)
+const SECRET_PATTERNS = [
+  [/(bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/(\/\/[^:/@\s]+:)[^@\s]+@/g, `$1${REDACTED}@`],
+  [/([?&][^=&\s]*(?:token|passw(?:or)?d|secret|key)[^=&\s]*=)[^&\s]*/gi, `$1${REDACTED}`],
+];
+
+/** A copy of value with secrets in it replaced by "[REDACTED]". Errors become
+ * { name, message, status, stack }. */
+
+function redact(value, seen = new Set()) {
+  if (typeof value === "string") {
+    for (let [pattern, replacement] of SECRET_PATTERNS) {
+      value = value.replace(pattern, replacement);
+    }
+    return value.split(SECRET_KEY).join(REDACTED);
+  }
+  if (value instanceof Error) {
+    const { name, message, status, stack } = value;
+    return redact({ name, message, status, stack }, seen);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== "object") return value;
+
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+  const copy = Array.isArray(value)
+      ? value.map(v => redact(v, seen))
+      : Object.fromEntries(Object.entries(value).map(([key, v]) =>
+          [key, SECRET_FIELD.test(key) && v !== null && v !== undefined ? REDACTED : redact(v, seen)]));
+  seen.delete(value);
+  return copy;
+}
+
+
+/** Logs at or above level by passing each line to write.
+ *
+ * level and write can be changed while the app is running, e.g. in tests:
+ *
+ *   logger.level = "debug";
+ *   logger.write = line => lines.push(JSON.parse(line));
+ */
+
+class Logger {
+  constructor({ level = "info", write = line => process.stdout.write(line + "\n") } = {}) {
+    this.level = level;
+    this.write = write;
+  }
+
+  /** Log msg, with fields (an object, or an Error to log as { err }). */
+
+  log(level, msg, fields = {}) {
+    if (!(LEVELS[level] >= LEVELS[this.level])) return;
+    if (fields instanceof Error) fields = { err: fields };
+
+    const { requestId } = getRequestContext();
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...fields,
+    };
+    this.write(JSON.stringify(redact(line)));
+  }
+
+  debug(msg, fields) { this.log("debug", msg, fields); }
+
+  info(msg, fields) { this.log("info", msg, fields); }
+
+  warn(msg, fields) { this.log("warn", msg, fields); }
+
+  error(msg, fields) { this.log("error", msg, fields); }
+}
+
+const logger = new Logger({ level: LOG_LEVEL });
+
+
+module.exports = { logger, Logger, LEVELS, redact };
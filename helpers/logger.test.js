@@ -0,0 +1,84 @@
+"use strict";
+
+const { Logger, redact } = require("./logger");
+const { runWithRequestContext } = require("./requestContext");
+const { SECRET_KEY } = require("../config");
+
+function makeLogger(level = "info") {
+  const lines = [];
+  const logger = new Logger({ level, write: line => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+}
+
+describe("Logger", function () {
+  test("writes one JSON object per line", function () {
+    const { logger, lines } = makeLogger();
+    logger.info("hello", { n: 1 });
+    expect(lines).toEqual([{ time: expect.any(String), level: "info", msg: "hello", n: 1 }]);
+  });
+
+  test("drops lines below its level", function () {
+    const { logger, lines } = makeLogger("warn");
+    logger.debug("a");
+    logger.info("b");
+    logger.warn("c");
+    logger.error("d");
+    expect(lines.map(l => l.msg)).toEqual(["c", "d"]);
+
+    logger.level = "silent";
+    logger.error("e");
+    expect(lines).toHaveLength(2);
+  });
+
+  test("adds the request's id", function () {
+    const { logger, lines } = makeLogger();
+    runWithRequestContext({ requestId: "req-1", actor: "u1" }, () => logger.info("in"));
+    logger.info("out");
+    expect(lines[0].requestId).toEqual("req-1");
+    expect(lines[1].requestId).toBeUndefined();
+  });
+
+  test("logs errors with their stack", function () {
+    const { logger, lines } = makeLogger();
+    logger.error("failed", new Error("boom"));
+    expect(lines[0].err).toEqual({ name: "Error", message: "boom", stack: expect.stringContaining("boom") });
+  });
+});
+
+describe("redact", function () {
+  test("hides fields named like secrets", function () {
+    expect(redact({
+      username: "u1",
+      password: "hunter2",
+      user: { refreshToken: "abc", passwordHash: "x" },
+      headers: { authorization: "Bearer abc", cookie: "s=1" },
+      apiKey: null,
+    })).toEqual({
+      username: "u1",
+      password: "[REDACTED]",
+      user: { refreshToken: "[REDACTED]", passwordHash: "[REDACTED]" },
+      headers: { authorization: "[REDACTED]", cookie: "[REDACTED]" },
+      apiKey: null,
+    });
+  });
+
+  test("hides secrets inside strings", function () {
+    expect(redact("sent Bearer abc.def-1 twice")).toEqual("sent Bearer [REDACTED] twice");
+    expect(redact("token eyJhbGciOiJIUzI1NiJ9.eyJ1IjoxfQ.sig_1 bad"))
+        .toEqual("token [REDACTED] bad");
+    expect(redact("postgresql://jobly:hunter2@db/jobly"))
+        .toEqual("postgresql://jobly:[REDACTED]@db/jobly");
+    expect(redact("/auth/verify?token=abc&next=/jobs"))
+        .toEqual("/auth/verify?token=[REDACTED]&next=/jobs");
+    expect(redact(`key is ${SECRET_KEY}`)).toEqual("key is [REDACTED]");
+  });
+
+  test("works on arrays, dates and cycles", function () {
+    const a = { list: ["Bearer x", new Date(0)] };
+    a.self = a;
+    expect(redact(a)).toEqual({
+      list: ["Bearer [REDACTED]", "1970-01-01T00:00:00.000Z"],
+      self: "[Circular]",
+    });
+  });
+});
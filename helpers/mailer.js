@@ -0,0 +1,108 @@
+"use strict";
+
+/** Sending email.
+ *
+ * The rest of the app calls sendMail({ to, subject, text }) and doesn't care
+ * how the message goes out. Which adapter does the sending comes from MAILER
+ * in config.js:
+ *
+ * - "smtp": sends through the SMTP server at SMTP_URL
+ * - "file": appends each message as a line of JSON to OUTBOX_FILE, so the
+ *           whole app works offline in development
+ * - "memory": keeps messages in an array; the tests read them from there
+ */
+
+const fs = require("fs");
+const nodemailer = require("nodemailer");
+const { MAILER, SMTP_URL, MAIL_FROM, OUTBOX_FILE } = require("../config");
+
+
+/** Sends mail through an SMTP server. */
+
+class SmtpMailer {
+  constructor(url = SMTP_URL, from = MAIL_FROM) {
+    this.from = from;
+    this.transport = nodemailer.createTransport(url);
+  }
+
+  async send({ to, subject, text }) {
+    await this.transport.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+
+/** "Sends" mail by appending it to a local file, one JSON object per line. */
+
+class FileMailer {
+  constructor(path = OUTBOX_FILE, from = MAIL_FROM) {
+    this.from = from;
+    this.path = path;
+  }
+
+  async send({ to, subject, text }) {
+    const message = { from: this.from, to, subject, text, sentAt: new Date() };
+    await fs.promises.appendFile(this.path, JSON.stringify(message) + "\n");
+  }
+}
+
+
+/** "Sends" mail by keeping it in memory, in this.outbox. */
+
+class MemoryMailer {
+  constructor(from = MAIL_FROM) {
+    this.from = from;
+    this.outbox = [];
+  }
+
+  async send({ to, subject, text }) {
+    this.outbox.push({ from: this.from, to, subject, text, sentAt: new Date() });
+  }
+
+  /** Empty the outbox. */
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+
+/** Make a mailer of the given kind ("smtp", "file" or "memory"). */
+
+function createMailer(kind = MAILER) {
+  if (kind === "smtp") return new SmtpMailer();
+  if (kind === "file") return new FileMailer();
+  if (kind === "memory") return new MemoryMailer();
+  throw new Error(`Unknown mailer: ${kind}`);
+}
+
+let mailer;
+
+/** Return the mailer the app is using, making it the first time. */
+
+function getMailer() {
+  if (!mailer) mailer = createMailer();
+  return mailer;
+}
+
+/** Swap in a different mailer (any object with an async send(message)). */
+
+function setMailer(newMailer) {
+  mailer = newMailer;
+}
+
+/** Send { to, subject, text } with the app's mailer. */
+
+async function sendMail(message) {
+  return getMailer().send(message);
+}
+
+
+module.exports = {
+  SmtpMailer,
+  FileMailer,
+  MemoryMailer,
+  createMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+};
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  FileMailer,
+  MemoryMailer,
+  createMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+} = require("./mailer");
+
+const message = { to: "a@b.com", subject: "Hi", text: "Hello" };
+
+describe("createMailer", function () {
+  test("works", function () {
+    expect(createMailer("memory")).toBeInstanceOf(MemoryMailer);
+    expect(createMailer("file")).toBeInstanceOf(FileMailer);
+  });
+
+  test("uses the memory mailer in tests", function () {
+    expect(getMailer()).toBeInstanceOf(MemoryMailer);
+  });
+
+  test("throws on unknown kinds", function () {
+    expect(() => createMailer("pigeon")).toThrow();
+  });
+});
+
+describe("MemoryMailer", function () {
+  test("works", async function () {
+    const mailer = new MemoryMailer("jobly@example.com");
+    await mailer.send(message);
+    expect(mailer.outbox).toEqual([
+      { ...message, from: "jobly@example.com", sentAt: expect.any(Date) },
+    ]);
+    mailer.clear();
+    expect(mailer.outbox).toEqual([]);
+  });
+});
+
+describe("FileMailer", function () {
+  test("works: appends one line of JSON per message", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-"));
+    const file = path.join(dir, "outbox.jsonl");
+    try {
+      const mailer = new FileMailer(file, "jobly@example.com");
+      await mailer.send(message);
+      await mailer.send({ ...message, subject: "Again" });
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse);
+      expect(lines.map(l => l.subject)).toEqual(["Hi", "Again"]);
+      expect(lines[0]).toEqual({
+        ...message,
+        from: "jobly@example.com",
+        sentAt: expect.any(String),
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("sendMail", function () {
+  test("sends with the mailer set by setMailer", async function () {
+    const original = getMailer();
+    const mailer = new MemoryMailer();
+    setMailer(mailer);
+    try {
+      await sendMail(message);
+      expect(mailer.outbox.length).toEqual(1);
+    } finally {
+      setMailer(original);
+    }
+  });
+});
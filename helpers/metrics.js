@@ -0,0 +1,143 @@
+"use strict";
+
+/** Counters and histograms of what the app is doing, served at GET /metrics
+ * in the Prometheus text format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * Each metric keeps one value per set of labels it's been given, so labels
+ * must come from a small, fixed set of values (route patterns like
+ * /jobs/:ref, not the URLs requested).
+ */
+
+// upper bounds, in seconds, of the histograms' buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** A label value, quoted as the text format wants it. */
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+/** labels as {a="1",b="2"}, in the metric's labelNames order, or "" if none. */
+
+function formatLabels(labelNames, labels) {
+  const pairs = labelNames
+      .filter(name => labels[name] !== undefined)
+      .map(name => `${name}=${quote(labels[name])}`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/** Returns a function that returns the seconds since startTimer was called. */
+
+function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+
+/** A count that only goes up, like requests answered. */
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON of the label values => { labels, value }
+    this.values = new Map();
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += by;
+    this.values.set(key, entry);
+  }
+
+  /** The metric in the text format. */
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (let { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+
+/** How many observations (like request durations) fell at or under each of
+ * buckets, with their count and sum. */
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    // JSON of the label values => { labels, counts (per bucket), count, sum }
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    const entry = this.values.get(key) ||
+        { labels, counts: this.buckets.map(() => 0), count: 0, sum: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.count++;
+    entry.sum += value;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (let { labels, counts, count, sum } of this.values.values()) {
+      const names = [...this.labelNames, "le"];
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(names, { ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(names, { ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+
+/** The app's metrics. */
+
+const metrics = {
+  httpRequests: new Counter("http_requests_total",
+      "Requests answered, by method, route and status.",
+      ["method", "route", "status"]),
+  httpRequestDuration: new Histogram("http_request_duration_seconds",
+      "How long requests took to answer, by method and route.",
+      ["method", "route"]),
+  httpErrors: new Counter("http_errors_total",
+      "Requests answered with a 4xx or 5xx, by status.",
+      ["status"]),
+  dbQueryDuration: new Histogram("db_query_duration_seconds",
+      "How long database queries took, by kind (SELECT, INSERT, ...).",
+      ["operation"]),
+  dbQueryErrors: new Counter("db_query_errors_total",
+      "Database queries that failed, by kind.",
+      ["operation"]),
+};
+
+/** Every metric, in the text format. */
+
+function renderMetrics() {
+  return Object.values(metrics).map(m => m.render()).join("\n") + "\n";
+}
+
+
+module.exports = {
+  Counter,
+  Histogram,
+  DEFAULT_BUCKETS,
+  metrics,
+  renderMetrics,
+  startTimer,
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+const { Counter, Histogram, startTimer } = require("./metrics");
+
+describe("Counter", function () {
+  test("counts per set of labels", function () {
+    const counter = new Counter("things_total", "Things.", ["kind", "size"]);
+    counter.inc({ kind: "a", size: 1 });
+    counter.inc({ size: 1, kind: "a" }, 2);
+    counter.inc({ kind: "b", size: 1 });
+    expect(counter.render()).toEqual([
+      "# HELP things_total Things.",
+      "# TYPE things_total counter",
+      'things_total{kind="a",size="1"} 3',
+      'things_total{kind="b",size="1"} 1',
+    ].join("\n"));
+  });
+
+  test("works without labels, and quotes label values", function () {
+    const counter = new Counter("plain_total", "Plain.", ["path"]);
+    counter.inc();
+    counter.inc({ path: 'a"b\\c\nd' });
+    expect(counter.render().split("\n").slice(2)).toEqual([
+      "plain_total 1",
+      'plain_total{path="a\\"b\\\\c\\nd"} 1',
+    ]);
+  });
+});
+
+describe("Histogram", function () {
+  test("counts observations into buckets", function () {
+    const histogram = new Histogram("took_seconds", "Took.", ["route"], [0.1, 1]);
+    histogram.observe({ route: "/a" }, 0.05);
+    histogram.observe({ route: "/a" }, 0.5);
+    histogram.observe({ route: "/a" }, 5);
+    expect(histogram.render()).toEqual([
+      "# HELP took_seconds Took.",
+      "# TYPE took_seconds histogram",
+      'took_seconds_bucket{route="/a",le="0.1"} 1',
+      'took_seconds_bucket{route="/a",le="1"} 2',
+      'took_seconds_bucket{route="/a",le="+Inf"} 3',
+      'took_seconds_sum{route="/a"} 5.55',
+      'took_seconds_count{route="/a"} 3',
+    ].join("\n"));
+  });
+});
+
+describe("startTimer", function () {
+  test("returns the seconds since it started", async function () {
+    const elapsed = startTimer();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(elapsed()).toBeGreaterThanOrEqual(0.015);
+    expect(elapsed()).toBeLessThan(5);
+  });
+});
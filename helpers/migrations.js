@@ -0,0 +1,218 @@
+"use strict";
+
+/** Versioned database migrations.
+ *
+ * Each migration is a pair of SQL files in migrations/:
+ *
+ *   0002_add_job_locations.up.sql     makes the change
+ *   0002_add_job_locations.down.sql   undoes it
+ *
+ * The leading number is the version; migrations run in version order. Which
+ * ones have been run is kept in the schema_migrations table. Each migration
+ * runs in its own transaction, so one that fails leaves nothing half done.
+ *
+ * The functions here take the database (db.js) as their first argument.
+ * migrate.js is the command line interface to this.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+const FILE_NAME = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+
+/** Find the migrations in a directory.
+ *
+ * Returns [{ version, name, up, down }, ...] in version order, where up and
+ * down are the files' paths.
+ *
+ * Throws if a file in the directory isn't named like a migration, a
+ * migration is missing its up or down file, or two migrations share a
+ * version.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (let file of fs.readdirSync(dir)) {
+    const match = FILE_NAME.exec(file);
+    if (!match) throw new Error(`Not a migration file name: ${file}`);
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations have version ${version}: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  for (let m of migrations) {
+    if (!m.up || !m.down) {
+      throw new Error(`Migration ${m.version}_${m.name} needs both an .up.sql and a .down.sql file`);
+    }
+  }
+  return migrations;
+}
+
+/** Make the schema_migrations table, if it isn't there yet. */
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version TEXT PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`);
+}
+
+/** Find the migrations that have been run.
+ *
+ * Returns [{ version, name, appliedAt }, ...] in version order.
+ */
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query(
+        `SELECT version, name, applied_at AS "appliedAt"
+         FROM schema_migrations`);
+
+  return result.rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/** Show every migration, and whether it has been run.
+ *
+ * Returns [{ version, name, appliedAt }, ...] in version order, where
+ * appliedAt is null for pending migrations. Migrations that have been run
+ * but whose files are gone are included, with missing: true.
+ */
+
+async function migrationStatus(db, dir = MIGRATIONS_DIR) {
+  const applied = new Map((await appliedMigrations(db)).map(m => [m.version, m]));
+  const status = loadMigrations(dir).map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.has(version) ? applied.get(version).appliedAt : null,
+  }));
+
+  const known = new Set(status.map(m => m.version));
+  for (let m of applied.values()) {
+    if (!known.has(m.version)) status.push({ ...m, missing: true });
+  }
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/** Find the migrations that haven't been run yet, in the order they'd run. */
+
+async function pendingMigrations(db, dir = MIGRATIONS_DIR) {
+  const applied = new Set((await appliedMigrations(db)).map(m => m.version));
+  return loadMigrations(dir).filter(m => !applied.has(m.version));
+}
+
+/** Run one migration file and record (or unrecord) it, in a transaction. */
+
+async function runMigration(db, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], "utf8");
+  try {
+    await db.withTransaction(async client => {
+      await client.query(sql);
+      if (direction === "up") {
+        await client.query(
+              `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+            [migration.version, migration.name]);
+      } else {
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+      }
+    });
+  } catch (err) {
+    err.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/** Run pending migrations, oldest first.
+ *
+ * options: { to, dir }
+ *   to: (optional) the last version to run; later ones are left pending
+ *
+ * Returns the migrations that were run, [{ version, name }, ...]
+ */
+
+async function migrateUp(db, { to, dir = MIGRATIONS_DIR } = {}) {
+  const pending = (await pendingMigrations(db, dir))
+      .filter(m => to === undefined || Number(m.version) <= Number(to));
+
+  for (let m of pending) await runMigration(db, m, "up");
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/** Undo the latest migrations that have been run, newest first.
+ *
+ * options: { steps, to, dir }
+ *   steps: how many to undo (default 1)
+ *   to: undo every migration after this version instead (0 undoes them all)
+ *
+ * Returns the migrations that were undone, [{ version, name }, ...]
+ *
+ * Throws if one that needs undoing has no files.
+ */
+
+async function migrateDown(db, { steps = 1, to, dir = MIGRATIONS_DIR } = {}) {
+  const files = new Map(loadMigrations(dir).map(m => [m.version, m]));
+  const applied = (await appliedMigrations(db)).reverse();
+  const undo = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter(m => Number(m.version) > Number(to));
+
+  for (let m of undo) {
+    const migration = files.get(m.version);
+    if (!migration) throw new Error(`Can't undo migration ${m.version}_${m.name}: its files are gone`);
+    await runMigration(db, migration, "down");
+  }
+  return undo.map(({ version, name }) => ({ version, name }));
+}
+
+/** Throws if any migrations haven't been run, listing them. */
+
+async function checkMigrations(db, dir = MIGRATIONS_DIR) {
+  const pending = await pendingMigrations(db, dir);
+  if (pending.length) {
+    const names = pending.map(m => `${m.version}_${m.name}`).join(", ");
+    throw new Error(`The database has pending migrations: ${names}. Run "node migrate.js up".`);
+  }
+}
+
+/** Make the files for a new migration, numbered after the last one.
+ *
+ * Returns { version, name, up, down }
+ */
+
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9_]+$/.test(name)) {
+    throw new Error("Migration names can only have lowercase letters, digits and underscores");
+  }
+
+  const migrations = loadMigrations(dir);
+  const last = migrations.length ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(4, "0");
+  const up = path.join(dir, `${version}_${name}.up.sql`);
+  const down = path.join(dir, `${version}_${name}.down.sql`);
+  fs.writeFileSync(up, `-- ${name}\n\n`);
+  fs.writeFileSync(down, `-- undoes ${version}_${name}.up.sql\n\n`);
+  return { version, name, up, down };
+}
+
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown,
+  checkMigrations,
+  createMigration,
+};
@@ -0,0 +1,186 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("../db");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown,
+  checkMigrations,
+  createMigration,
+} = require("./migrations");
+
+// test migrations use high versions and their own tables, so they can't get
+// mixed up with the real ones already run on the test database
+let dir;
+
+function write(file, sql) {
+  fs.writeFileSync(path.join(dir, file), sql);
+}
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  write("9001_make_a.up.sql", "CREATE TABLE migration_test_a (id INTEGER);");
+  write("9001_make_a.down.sql", "DROP TABLE migration_test_a;");
+  write("9002_make_b.up.sql", "CREATE TABLE migration_test_b (id INTEGER);");
+  write("9002_make_b.down.sql", "DROP TABLE migration_test_b;");
+});
+
+afterEach(async function () {
+  fs.rmSync(dir, { recursive: true });
+  await db.query("DROP TABLE IF EXISTS migration_test_a, migration_test_b");
+  await db.query("DELETE FROM schema_migrations WHERE version LIKE '9___'");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+async function tableExists(name) {
+  const result = await db.query("SELECT to_regclass($1) AS oid", [name]);
+  return result.rows[0].oid !== null;
+}
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: "9001",
+        name: "make_a",
+        up: path.join(dir, "9001_make_a.up.sql"),
+        down: path.join(dir, "9001_make_a.down.sql"),
+      },
+      {
+        version: "9002",
+        name: "make_b",
+        up: path.join(dir, "9002_make_b.up.sql"),
+        down: path.join(dir, "9002_make_b.down.sql"),
+      },
+    ]);
+  });
+
+  test("the real migrations load", function () {
+    expect(loadMigrations(MIGRATIONS_DIR)[0]).toEqual(expect.objectContaining({
+      version: "0001",
+      name: "baseline",
+    }));
+  });
+
+  test("throws on badly named files", function () {
+    write("notes.txt", "");
+    expect(() => loadMigrations(dir)).toThrow("Not a migration file name");
+  });
+
+  test("throws on a missing down file", function () {
+    write("9003_half.up.sql", "");
+    expect(() => loadMigrations(dir)).toThrow("needs both");
+  });
+
+  test("throws on two migrations with one version", function () {
+    write("9002_other.up.sql", "");
+    write("9002_other.down.sql", "");
+    expect(() => loadMigrations(dir)).toThrow("Two migrations have version 9002");
+  });
+});
+
+/************************************** migrateUp / migrateDown */
+
+describe("migrateUp", function () {
+  test("runs pending migrations in order, once", async function () {
+    expect(await migrateUp(db, { dir })).toEqual([
+      { version: "9001", name: "make_a" },
+      { version: "9002", name: "make_b" },
+    ]);
+    expect(await tableExists("migration_test_a")).toEqual(true);
+    expect(await tableExists("migration_test_b")).toEqual(true);
+    expect(await pendingMigrations(db, dir)).toEqual([]);
+    expect(await migrateUp(db, { dir })).toEqual([]);
+  });
+
+  test("up to a version", async function () {
+    expect(await migrateUp(db, { to: 9001, dir })).toEqual([{ version: "9001", name: "make_a" }]);
+    expect(await tableExists("migration_test_b")).toEqual(false);
+  });
+
+  test("a failing migration is rolled back, and stops the run", async function () {
+    write("9002_make_b.up.sql", "CREATE TABLE migration_test_b (id INTEGER); SELECT nope;");
+    await expect(migrateUp(db, { dir })).rejects.toThrow("Migration 9002_make_b (up) failed");
+    expect(await tableExists("migration_test_a")).toEqual(true);
+    expect(await tableExists("migration_test_b")).toEqual(false);
+    expect((await pendingMigrations(db, dir)).map(m => m.version)).toEqual(["9002"]);
+  });
+});
+
+describe("migrateDown", function () {
+  test("undoes the last migration", async function () {
+    await migrateUp(db, { dir });
+    expect(await migrateDown(db, { dir })).toEqual([{ version: "9002", name: "make_b" }]);
+    expect(await tableExists("migration_test_b")).toEqual(false);
+    expect(await tableExists("migration_test_a")).toEqual(true);
+  });
+
+  test("down to a version", async function () {
+    await migrateUp(db, { dir });
+    // everything after 9000 is only the test migrations
+    expect(await migrateDown(db, { to: 9000, dir })).toEqual([
+      { version: "9002", name: "make_b" },
+      { version: "9001", name: "make_a" },
+    ]);
+    expect(await tableExists("migration_test_a")).toEqual(false);
+  });
+});
+
+/************************************** migrationStatus / checkMigrations */
+
+describe("migrationStatus", function () {
+  test("works", async function () {
+    await migrateUp(db, { to: 9001, dir });
+    const status = (await migrationStatus(db, dir)).filter(m => m.version.startsWith("9"));
+    expect(status).toEqual([
+      { version: "9001", name: "make_a", appliedAt: expect.any(Date) },
+      { version: "9002", name: "make_b", appliedAt: null },
+    ]);
+  });
+
+  test("lists run migrations whose files are gone", async function () {
+    const status = await migrationStatus(db, dir);
+    expect(status[0]).toEqual({ version: "0001", name: "baseline", appliedAt: expect.any(Date), missing: true });
+  });
+});
+
+describe("checkMigrations", function () {
+  test("the test database is up to date", async function () {
+    await checkMigrations(db);
+  });
+
+  test("throws when migrations are pending", async function () {
+    await expect(checkMigrations(db, dir)).rejects.toThrow("pending migrations: 9001_make_a, 9002_make_b");
+  });
+});
+
+/************************************** createMigration */
+
+describe("createMigration", function () {
+  test("numbers after the last migration", function () {
+    const made = createMigration("make_c", dir);
+    expect(made).toEqual({
+      version: "9003",
+      name: "make_c",
+      up: path.join(dir, "9003_make_c.up.sql"),
+      down: path.join(dir, "9003_make_c.down.sql"),
+    });
+    expect(loadMigrations(dir)).toHaveLength(3);
+  });
+
+  test("throws on bad names", function () {
+    expect(() => createMigration("Make C!", dir)).toThrow();
+  });
+});
@@ -0,0 +1,272 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { version } = require("../package.json");
+
+/** The OpenAPI document for the API, served at GET /openapi.json.
+ *
+ * Request bodies come straight from schemas/*.json, the same schemas the
+ * routes validate against. Everything else comes from the routes themselves:
+ * each router has an "openapi" object describing its routes, keyed by
+ * "METHOD /path" as the route is declared on the router:
+ *
+ *   router.openapi = {
+ *     "POST /": {
+ *       summary: "Add a company",
+ *       auth: "admin",
+ *       body: "companyNew",
+ *       status: 201,
+ *       returns: "{ company }",
+ *     },
+ *     ...
+ *   };
+ *
+ *   summary: one line about what the route does
+ *   description: (optional) anything more to say
+ *   auth: who may call it (see AUTH below)
+ *   body: the schemas/*.json the body is checked with, by name
+ *   bodyType: the body's content type when it isn't JSON (then body isn't used)
+ *   query: the query parameters, as { name: { type, description, required } };
+ *          filterParams and PAGE_PARAMS make these for the list routes
+ *   status: the status code on success (default 200), or a list of them;
+ *           304 is for routes answering conditional GETs
+ *   returns: what the response holds, like the route's doc comment has it
+ *   returnsType: the response's content types when it isn't JSON
+ *
+ * helpers/openapi.test.js fails for any route without an entry here.
+ */
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+const AUTH = {
+  none: "none",
+  login: "login",
+  admin: "login AND admin priviledges",
+  self: "login AND (admin priviledges OR the user in the URL)",
+  recruiter: "login AND (admin priviledges OR recruiter for the company)",
+};
+
+/** The paging parameters every list route takes (see helpers/pagination.js). */
+
+const PAGE_PARAMS = {
+  limit: { type: "integer", description: "page size (default 50, max 500)" },
+  after: { type: "string", description: "the nextCursor from a previous response, for the next page" },
+  before: { type: "string", description: "the prevCursor from a previous response, for the previous page" },
+  sort: { type: "string", description: "comma separated keys, each prefixed with - to sort it descending" },
+};
+
+const FILTER_DESCRIPTIONS = {
+  eq: "equal to",
+  ilike: "contains, ignoring case",
+  gte: "at least",
+  lte: "at most",
+  in: "one of, comma separated",
+  between: "from low to high, given as low,high",
+  isNull: "true for none, false for any",
+};
+
+/** Query parameters for a model's declared filters (see helpers/filters.js). */
+
+function filterParams(fields) {
+  const params = {};
+  for (let [key, field] of Object.entries(fields)) {
+    const op = field.op || "eq";
+    const type = (op === "in" || op === "between" || field.where) ? "string" : field.type || "string";
+    params[key] = {
+      type: op === "isNull" ? "boolean" : type,
+      ...(field.where ? {} : { description: FILTER_DESCRIPTIONS[op] }),
+    };
+  }
+  return params;
+}
+
+/** Every schemas/*.json, by name, as OpenAPI components. */
+
+function loadSchemas() {
+  const schemas = {};
+  for (let file of fs.readdirSync(SCHEMAS_DIR).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const schema = { ...require(path.join(SCHEMAS_DIR, file)) };
+    delete schema.$schema;
+    delete schema.$id;
+    schemas[path.basename(file, ".json")] = schema;
+  }
+  schemas.Error = {
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          message: { description: "what went wrong; a list of messages for invalid data" },
+          status: { type: "integer" },
+        },
+      },
+    },
+  };
+  return schemas;
+}
+
+/** The routes declared on each router: [{ prefix, method, path, key }, ...]
+ *
+ * routers: { mount path: router }, as app.js mounts them
+ */
+
+function listRoutes(routers) {
+  const routes = [];
+  for (let [prefix, router] of Object.entries(routers)) {
+    for (let layer of router.stack) {
+      if (!layer.route) continue;
+      for (let method of Object.keys(layer.route.methods)) {
+        method = method.toUpperCase();
+        const routePath = layer.route.path;
+        routes.push({ prefix, method, path: routePath, key: `${method} ${routePath}` });
+      }
+    }
+  }
+  return routes;
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+  };
+}
+
+/** The OpenAPI operation for one route. */
+
+function operation(prefix, routePath, spec) {
+  // the app's own routes (like /health) are mounted at ""
+  const tag = prefix.slice(1) || "app";
+  const pathParams = (routePath.match(/:\w+/g) || []).map(p => p.slice(1));
+  const auth = spec.auth || "none";
+  if (!AUTH[auth]) throw new Error(`Unknown auth "${auth}" for ${prefix}${routePath}`);
+
+  const parameters = [
+    ...pathParams.map(name => ({ name, in: "path", required: true, schema: { type: "string" } })),
+    ...Object.entries(spec.query || {}).map(([name, param]) => ({
+      name,
+      in: "query",
+      required: !!param.required,
+      ...(param.description ? { description: param.description } : {}),
+      schema: { type: param.type || "string" },
+    })),
+  ];
+
+  const responses = {};
+  for (let status of [].concat(spec.status || 200)) {
+    if (status === 304) {
+      responses[status] = { description: "Not modified since the If-None-Match / If-Modified-Since given" };
+      continue;
+    }
+    const content = {};
+    for (let type of [].concat(spec.returnsType || [])) content[type] = { schema: { type: "string" } };
+    responses[status] = {
+      description: spec.returns || "OK",
+      content: spec.returnsType ? content : { "application/json": { schema: { type: "object" } } },
+    };
+  }
+  if (spec.body || spec.bodyType || spec.query) responses[400] = errorResponse("Invalid data");
+  if (auth !== "none") responses[401] = errorResponse("Not logged in, or not allowed");
+  if (pathParams.length) responses[404] = errorResponse("Not found");
+
+  const op = {
+    tags: [tag],
+    summary: spec.summary,
+    description: [spec.description, `Authorization required: ${AUTH[auth]}`]
+        .filter(Boolean).join("\n\n"),
+    ...(parameters.length ? { parameters } : {}),
+    responses,
+    ...(auth !== "none" ? { security: [{ bearerAuth: [] }] } : {}),
+  };
+
+  if (spec.bodyType) {
+    op.requestBody = { required: true, content: { [spec.bodyType]: { schema: { type: "string" } } } };
+  } else if (spec.body) {
+    op.requestBody = {
+      required: true,
+      content: { "application/json": { schema: { $ref: `#/components/schemas/${spec.body}` } } },
+    };
+  }
+
+  return op;
+}
+
+/** Build the OpenAPI document.
+ *
+ * routers: { mount path: router }, as app.js mounts them, with the app's own
+ *          routes at "" (see documentedRouters in app.js)
+ *
+ * Throws if a route's entry is missing, or names a body schema that doesn't
+ * exist: the document shouldn't quietly leave things out.
+ */
+
+function buildOpenApiSpec(routers) {
+  const schemas = loadSchemas();
+  const paths = {};
+
+  for (let { prefix, method, path: routePath, key } of listRoutes(routers)) {
+    const spec = (routers[prefix].openapi || {})[key];
+    if (!spec) throw new Error(`No OpenAPI entry for ${method} ${prefix}${routePath}`);
+    if (spec.body && !spec.bodyType && !schemas[spec.body]) {
+      throw new Error(`No schema "${spec.body}" for ${method} ${prefix}${routePath}`);
+    }
+
+    const openApiPath = (prefix + routePath).replace(/:(\w+)/g, "{$1}").replace(/(.)\/$/, "$1");
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method.toLowerCase()] = operation(prefix, routePath, spec);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly",
+      version,
+      description: "Companies, the jobs they post, and the users who apply to them.",
+    },
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "The token from POST /auth/token or POST /auth/register",
+        },
+      },
+    },
+  };
+}
+
+/** An HTML page showing the document with Swagger UI. */
+
+function docsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Jobly API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs" });
+  </script>
+</body>
+</html>
+`;
+}
+
+
+module.exports = {
+  PAGE_PARAMS,
+  filterParams,
+  listRoutes,
+  buildOpenApiSpec,
+  docsPage,
+};
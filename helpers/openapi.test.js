@@ -0,0 +1,105 @@
+"use strict";
+
+const express = require("express");
+
+const app = require("../app");
+const db = require("../db");
+const { filterParams, listRoutes, buildOpenApiSpec } = require("./openapi");
+
+afterAll(function () {
+  return db.end();
+});
+
+describe("the API's document", function () {
+  // the routers, and the app's own routes (at "")
+  const routers = app.documentedRouters();
+
+  test("every route has an entry", function () {
+    const routes = listRoutes(routers);
+    expect(routes).toContainEqual(expect.objectContaining({ prefix: "", key: "GET /health" }));
+
+    const missing = routes
+        .filter(({ prefix, key }) => !(routers[prefix].openapi || {})[key])
+        .map(({ prefix, method, path }) => `${method} ${prefix}${path}`);
+    // add an entry to the router's (or app.js's) "openapi" object for each of these
+    expect(missing).toEqual([]);
+  });
+
+  test("every entry is for a route", function () {
+    const stale = [];
+    for (let [prefix, router] of Object.entries(routers)) {
+      const keys = listRoutes({ [prefix]: router }).map(r => r.key);
+      for (let key of Object.keys(router.openapi || {})) {
+        if (!keys.includes(key)) stale.push(`${prefix} ${key}`);
+      }
+    }
+    expect(stale).toEqual([]);
+  });
+
+  test("builds", function () {
+    const spec = buildOpenApiSpec(routers);
+    expect(spec.openapi).toEqual("3.1.0");
+    expect(spec.components.schemas.companyNew.required).toEqual(["name", "handle", "description"]);
+    expect(spec.components.schemas.companyNew.$id).toBeUndefined();
+
+    const create = spec.paths["/companies"].post;
+    expect(create.tags).toEqual(["companies"]);
+    expect(create.requestBody.content["application/json"].schema)
+        .toEqual({ $ref: "#/components/schemas/companyNew" });
+    expect(create.security).toEqual([{ bearerAuth: [] }]);
+    expect(Object.keys(create.responses)).toEqual(["201", "400", "401"]);
+
+    const get = spec.paths["/companies/{handle}"].get;
+    expect(get.parameters).toEqual([
+      { name: "handle", in: "path", required: true, schema: { type: "string" } },
+    ]);
+    expect(get.security).toBeUndefined();
+    expect(Object.keys(get.responses)).toEqual(["200", "304", "404"]);
+    expect(get.responses[304].content).toBeUndefined();
+
+    const ready = spec.paths["/ready"].get;
+    expect(ready.tags).toEqual(["app"]);
+    expect(Object.keys(ready.responses)).toEqual(["200", "503"]);
+  });
+});
+
+describe("buildOpenApiSpec", function () {
+  function routerWith(openapi) {
+    const router = new express.Router();
+    router.get("/:id", (req, res) => res.json({}));
+    router.openapi = openapi;
+    return router;
+  }
+
+  test("throws for a route without an entry", function () {
+    expect(() => buildOpenApiSpec({ "/things": routerWith({}) }))
+        .toThrow("No OpenAPI entry for GET /things/:id");
+  });
+
+  test("throws for a body schema that doesn't exist", function () {
+    const router = routerWith({ "GET /:id": { summary: "Get a thing", body: "thingNew" } });
+    expect(() => buildOpenApiSpec({ "/things": router }))
+        .toThrow('No schema "thingNew" for GET /things/:id');
+  });
+
+  test("throws for an unknown auth", function () {
+    const router = routerWith({ "GET /:id": { summary: "Get a thing", auth: "owner" } });
+    expect(() => buildOpenApiSpec({ "/things": router })).toThrow('Unknown auth "owner"');
+  });
+});
+
+describe("filterParams", function () {
+  test("works", function () {
+    expect(filterParams({
+      name: { column: "name", op: "ilike" },
+      minEmployees: { column: "num_employees", type: "integer", op: "gte" },
+      handles: { column: "handle", op: "in" },
+      technology: { where: param => `t = ${param}` },
+    })).toEqual({
+      name: { type: "string", description: "contains, ignoring case" },
+      minEmployees: { type: "integer", description: "at least" },
+      handles: { type: "string", description: "one of, comma separated" },
+      technology: { type: "string" },
+    });
+  });
+});
@@ -0,0 +1,217 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/** Split the paging parameters out of a request query.
+ *
+ * query: the request.query object
+ *
+ * returns: { page, filters }
+ *            page: { limit, after, before, sort } (any of them may be undefined)
+ *            filters: everything else in the query, for the model's own filtering
+ */
+
+function extractPageParams(query = {}) {
+  const { limit, after, before, sort, ...filters } = query;
+  return { page: { limit, after, before, sort }, filters };
+}
+
+/** Turn a sort string like "-salary,title" into a list of sort keys.
+ *
+ * sort: the "sort" query parameter; a comma separated list of keys, each
+ *       optionally prefixed with "-" to sort that key in descending order
+ * sortable: an object mapping the keys that may be sorted on to their SQL
+ *           column, or to { column, field, type } where
+ *             field: the row property returned by the model's query, if it
+ *                    isn't named the same as the key
+ *             type: the column's type, for checking cursors (see
+ *                   CURSOR_VALUE_TYPES); "text" if not given
+ *
+ * returns: [{ key, column, field, type, desc }, ...]
+ *
+ * Throws BadRequestError on keys that aren't allowed, or are given twice.
+ */
+
+function parseSort(sort, sortable) {
+  if (typeof sort !== "string" || !sort.trim()) {
+    throw new BadRequestError("sort must be a comma separated list of fields");
+  }
+
+  const seen = new Set();
+  return sort.split(",").map(part => {
+    const trimmed = part.trim();
+    const desc = trimmed.startsWith("-");
+    const key = desc ? trimmed.slice(1) : trimmed;
+
+    if (!Object.prototype.hasOwnProperty.call(sortable, key)) {
+      throw new BadRequestError(`Cannot sort on "${key}"; allowed: [${Object.keys(sortable)}]`);
+    }
+    if (seen.has(key)) throw new BadRequestError(`Cannot sort on "${key}" twice`);
+    seen.add(key);
+
+    const spec = typeof sortable[key] === "string" ? { column: sortable[key] } : sortable[key];
+    const { column, field = key, type = "text" } = spec;
+    return { key, column, field, type, desc };
+  });
+}
+
+/** Cursors are opaque to clients: base64url encoded JSON holding the sort
+ * they were made for and the sort values of the row they point at.
+ */
+
+// what a (non-null) sort value in a cursor may be, by its column's type, so an
+// edited cursor is a 400 rather than a database error
+const CURSOR_VALUE_TYPES = {
+  text: v => typeof v === "string",
+  integer: v => Number.isInteger(v) && Math.abs(v) <= 2147483647,
+  numeric: v => Number.isFinite(v) || (typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v)),
+  timestamp: v => typeof v === "string" && !Number.isNaN(Date.parse(v)),
+};
+
+function encodeCursor(sort, row, keys) {
+  const values = keys.map(k => row[k.field] === undefined ? null : row[k.field]);
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== keys.length ||
+      !decoded.v.every((v, i) => v === null || CURSOR_VALUE_TYPES[keys[i].type](v))) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (decoded.s !== sort) {
+    throw new BadRequestError("Cursor was made for a different sort; start again without a cursor");
+  }
+  return decoded.v;
+}
+
+/** SQL for "this row comes strictly after `value` on this key".
+ *
+ * NULLs sort last when going forwards, so they sort first when going backwards.
+ */
+
+function sqlForKeyAfter(key, param, value) {
+  if (value === null) return key.nullsFirst ? `${key.column} IS NOT NULL` : "FALSE";
+
+  const compare = `${key.column} ${key.desc ? "<" : ">"} ${param}`;
+  return key.nullsFirst ? compare : `(${compare} OR ${key.column} IS NULL)`;
+}
+
+function sqlForKeyEqual(key, param, value) {
+  return value === null ? `${key.column} IS NULL` : `${key.column} = ${param}`;
+}
+
+/** Build the SQL needed to fetch one page of a keyset-paginated query.
+ *
+ * page: the { limit, after, before, sort } object from extractPageParams
+ *
+ * options: {
+ *   sortable: see parseSort
+ *   defaultSort: the sort string to use when the request doesn't give one
+ *   tiebreaker: a unique, non-null key in `sortable` (like "handle" or "id"),
+ *               added to the end of every sort so that rows are never skipped
+ *               or repeated between pages
+ *   paramOffset: how many $n parameters the caller's query already uses
+ * }
+ *
+ * returns: an object with:
+ *    where: a condition to AND into the query's WHERE clause ("" if none)
+ *    orderBy: "ORDER BY ..."
+ *    limit: "LIMIT $n"
+ *    values: the values for the parameters used in where and limit
+ *    finish(rows): call with the rows the query returned, returns
+ *                  { rows, nextCursor, prevCursor }
+ *
+ * usage: used by the models' "findAll" methods. The query fetches one row more
+ *        than the limit so we can tell whether there's another page.
+ */
+
+function sqlForPage(page, { sortable, defaultSort, tiebreaker, paramOffset = 0 }) {
+  const { after, before } = page;
+  if (after !== undefined && before !== undefined) {
+    throw new BadRequestError("Use only one of after and before");
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (page.limit !== undefined) {
+    limit = Number(page.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new BadRequestError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  const sort = page.sort === undefined ? defaultSort : page.sort;
+  const keys = parseSort(sort, sortable);
+  if (!keys.some(k => k.key === tiebreaker)) keys.push(...parseSort(tiebreaker, sortable));
+
+  // going backwards: flip every key, then put the rows back in order in finish()
+  const backwards = before !== undefined;
+  const queryKeys = keys.map(k => ({
+    ...k,
+    desc: backwards ? !k.desc : k.desc,
+    nullsFirst: backwards,
+  }));
+
+  const values = [];
+  let where = "";
+  const cursor = backwards ? before : after;
+  if (cursor !== undefined) {
+    const cursorValues = decodeCursor(cursor, sort, keys);
+    const params = cursorValues.map(v => {
+      if (v === null) return null;
+      values.push(v);
+      return `$${paramOffset + values.length}`;
+    });
+
+    // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND c > z) ...
+    const branches = queryKeys.map((key, idx) => {
+      const equal = queryKeys.slice(0, idx)
+          .map((k, j) => sqlForKeyEqual(k, params[j], cursorValues[j]));
+      return [...equal, sqlForKeyAfter(key, params[idx], cursorValues[idx])].join(" AND ");
+    });
+    where = `(${branches.map(b => `(${b})`).join(" OR ")})`;
+  }
+
+  const orderBy = "ORDER BY " + queryKeys.map(k =>
+      `${k.column} ${k.desc ? "DESC" : "ASC"} NULLS ${k.nullsFirst ? "FIRST" : "LAST"}`).join(", ");
+
+  values.push(limit + 1);
+  const limitSql = `LIMIT $${paramOffset + values.length}`;
+
+  function finish(rows) {
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (backwards) pageRows.reverse();
+
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : after !== undefined;
+
+    return {
+      rows: pageRows,
+      nextCursor: hasNext && last ? encodeCursor(sort, last, keys) : null,
+      prevCursor: hasPrev && first ? encodeCursor(sort, first, keys) : null,
+    };
+  }
+
+  return { where, orderBy, limit: limitSql, values, finish };
+}
+
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  extractPageParams,
+  parseSort,
+  sqlForPage,
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { extractPageParams, parseSort, sqlForPage } = require("./pagination");
+
+const sortable = {
+  title: "title",
+  salary: { column: "salary", type: "integer" },
+  companyHandle: { column: "company_handle", field: "companyhandle" },
+  id: { column: "id", type: "integer" },
+};
+
+/** A cursor as the helpers make them, for sort and values. */
+function cursorFor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString("base64url");
+}
+
+describe("extractPageParams", () => {
+  test("splits paging parameters from filters", () => {
+    const { page, filters } = extractPageParams({ title: "c", limit: "2", sort: "-salary" });
+    expect(page).toEqual({ limit: "2", after: undefined, before: undefined, sort: "-salary" });
+    expect(filters).toEqual({ title: "c" });
+  });
+});
+
+describe("parseSort", () => {
+  test("works with multiple keys and directions", () => {
+    expect(parseSort("-salary,companyHandle", sortable)).toEqual([
+      { key: "salary", column: "salary", field: "salary", type: "integer", desc: true },
+      { key: "companyHandle", column: "company_handle", field: "companyhandle", type: "text", desc: false },
+    ]);
+  });
+
+  test("throws on keys that aren't allowed", () => {
+    expect(() => parseSort("password", sortable)).toThrow(BadRequestError);
+  });
+
+  test("throws on repeated keys", () => {
+    expect(() => parseSort("title,-title", sortable)).toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForPage", () => {
+  const options = { sortable, defaultSort: "title", tiebreaker: "id", paramOffset: 2 };
+
+  test("first page: default sort plus tiebreaker, one extra row", () => {
+    const paging = sqlForPage({ limit: "10" }, options);
+    expect(paging.where).toEqual("");
+    expect(paging.orderBy).toEqual("ORDER BY title ASC NULLS LAST, id ASC NULLS LAST");
+    expect(paging.limit).toEqual("LIMIT $3");
+    expect(paging.values).toEqual([11]);
+  });
+
+  test("cursors round trip and continue after the last row", () => {
+    const first = sqlForPage({ limit: "2", sort: "-salary" }, options);
+    const page = first.finish([
+      { id: 1, title: "a", salary: 300 },
+      { id: 2, title: "b", salary: 200 },
+      { id: 3, title: "c", salary: 100 },
+    ]);
+    expect(page.rows.map(r => r.id)).toEqual([1, 2]);
+    expect(page.prevCursor).toBeNull();
+
+    const next = sqlForPage({ limit: "2", sort: "-salary", after: page.nextCursor }, options);
+    expect(next.values).toEqual([200, 2, 3]);
+    expect(next.where).toEqual(
+        "(((salary < $3 OR salary IS NULL)) OR (salary = $3 AND (id > $4 OR id IS NULL)))");
+  });
+
+  test("null sort values are handled in cursors", () => {
+    const first = sqlForPage({ limit: "1", sort: "salary" }, options);
+    const { nextCursor } = first.finish([{ id: 5, salary: null }, { id: 6, salary: null }]);
+    const next = sqlForPage({ limit: "1", sort: "salary", after: nextCursor }, options);
+    expect(next.where).toEqual("((FALSE) OR (salary IS NULL AND (id > $3 OR id IS NULL)))");
+  });
+
+  test("going backwards flips the order and restores it", () => {
+    const first = sqlForPage({ limit: "1" }, options);
+    const { nextCursor } = first.finish([{ id: 1, title: "a" }, { id: 2, title: "b" }]);
+    const back = sqlForPage({ limit: "1", before: nextCursor }, options);
+    expect(back.orderBy).toEqual("ORDER BY title DESC NULLS FIRST, id DESC NULLS FIRST");
+    const page = back.finish([{ id: 0, title: "0" }, { id: -1, title: "-" }]);
+    expect(page.rows).toEqual([{ id: 0, title: "0" }]);
+    expect(page.prevCursor).not.toBeNull();
+    expect(page.nextCursor).not.toBeNull();
+  });
+
+  test("throws on a cursor made for another sort", () => {
+    const first = sqlForPage({ limit: "1" }, options);
+    const { nextCursor } = first.finish([{ id: 1, title: "a" }, { id: 2, title: "b" }]);
+    expect(() => sqlForPage({ sort: "-salary", after: nextCursor }, options))
+        .toThrow(BadRequestError);
+  });
+
+  test("throws on bad limits and cursors", () => {
+    expect(() => sqlForPage({ limit: "0" }, options)).toThrow(BadRequestError);
+    expect(() => sqlForPage({ limit: "abc" }, options)).toThrow(BadRequestError);
+    expect(() => sqlForPage({ limit: "501" }, options)).toThrow(BadRequestError);
+    expect(() => sqlForPage({ after: "not-a-cursor" }, options)).toThrow(BadRequestError);
+    expect(() => sqlForPage({ after: "x", before: "y" }, options)).toThrow(BadRequestError);
+  });
+
+  test("throws on cursors whose values don't fit their columns", () => {
+    expect(sqlForPage({ sort: "-salary", after: cursorFor("-salary", [200, 2]) }, options).values)
+        .toEqual([200, 2, 51]);
+    for (let values of [["lots", 2], [200, "2"], [200, 1.5], [200, 2 ** 31], [200, {}]]) {
+      expect(() => sqlForPage({ sort: "-salary", after: cursorFor("-salary", values) }, options))
+          .toThrow(new BadRequestError("Invalid cursor"));
+    }
+    expect(() => sqlForPage({ after: cursorFor("title", [5, 1]) }, options))
+        .toThrow(new BadRequestError("Invalid cursor"));
+  });
+});
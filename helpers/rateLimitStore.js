@@ -0,0 +1,189 @@
+"use strict";
+
+/** Where rate limit counters live.
+ *
+ * A counter is { count, expiresAt }: a number that goes away at expiresAt.
+ * Which store keeps them comes from RATE_LIMIT_STORE in config.js:
+ *
+ * - "memory": a Map in this process. Fine for a single process, but each
+ *             process counts separately, and restarting forgets everything.
+ * - "postgres": the rate_limits table, shared by every process using the
+ *               database
+ *
+ * Every store has the same async methods:
+ *   increment(key, ttlMs): add one to a counter, starting it (at 1, expiring
+ *                          ttlMs from now) if it doesn't exist or has expired;
+ *                          returns the counter
+ *   get(key): returns the counter, or null if there isn't one
+ *   set(key, count, ttlMs): replace a counter
+ *   delete(key): remove a counter
+ *
+ * Stores that need their expired counters cleared out now and then also have
+ * prune(); server.js runs it with startPruning().
+ */
+
+const db = require("../db");
+const config = require("../config");
+const { logger } = require("./logger");
+
+const { RATE_LIMIT_STORE } = config;
+
+// the memory store sweeps out expired counters once it holds this many
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+
+/** Keeps counters in memory. */
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.expiresAt.getTime() <= now) {
+      if (this.counters.size >= MEMORY_STORE_SWEEP_SIZE) this.sweep(now);
+      counter = { count: 0, expiresAt: new Date(now + ttlMs) };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt.getTime() <= Date.now()) return null;
+    return { ...counter };
+  }
+
+  async set(key, count, ttlMs) {
+    this.counters.set(key, { count, expiresAt: new Date(Date.now() + ttlMs) });
+  }
+
+  async delete(key) {
+    this.counters.delete(key);
+  }
+
+  /** Remove every counter. */
+
+  clear() {
+    this.counters.clear();
+  }
+
+  /** Remove expired counters. */
+
+  sweep(now = Date.now()) {
+    for (let [key, counter] of this.counters) {
+      if (counter.expiresAt.getTime() <= now) this.counters.delete(key);
+    }
+  }
+}
+
+
+/** Keeps counters in the rate_limits table.
+ *
+ * Times come from clock_timestamp(), not NOW(), so they're right even inside
+ * a long transaction. Expired rows are replaced when their key is next used,
+ * and swept out with prune(): keys are IPs and usernames clients choose, so
+ * without it the table would grow without end.
+ */
+
+class PostgresStore {
+  async increment(key, ttlMs) {
+    const result = await db.query(
+          `INSERT INTO rate_limits (key, count, expires_at)
+           VALUES ($1, 1, clock_timestamp() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE
+           SET count = CASE WHEN rate_limits.expires_at <= clock_timestamp() THEN 1
+                            ELSE rate_limits.count + 1 END,
+               expires_at = CASE WHEN rate_limits.expires_at <= clock_timestamp() THEN EXCLUDED.expires_at
+                                 ELSE rate_limits.expires_at END
+           RETURNING count, expires_at AS "expiresAt"`,
+        [key, ttlMs / 1000]);
+
+    return result.rows[0];
+  }
+
+  async get(key) {
+    const result = await db.query(
+          `SELECT count, expires_at AS "expiresAt"
+           FROM rate_limits
+           WHERE key = $1 AND expires_at > clock_timestamp()`,
+        [key]);
+
+    return result.rows[0] || null;
+  }
+
+  async set(key, count, ttlMs) {
+    await db.query(
+          `INSERT INTO rate_limits (key, count, expires_at)
+           VALUES ($1, $2, clock_timestamp() + make_interval(secs => $3))
+           ON CONFLICT (key) DO UPDATE
+           SET count = EXCLUDED.count, expires_at = EXCLUDED.expires_at`,
+        [key, count, ttlMs / 1000]);
+  }
+
+  async delete(key) {
+    await db.query(`DELETE FROM rate_limits WHERE key = $1`, [key]);
+  }
+
+  /** Remove expired counters; returns how many there were. */
+
+  async prune() {
+    const result = await db.query(
+          `DELETE FROM rate_limits WHERE expires_at <= clock_timestamp()`);
+    return result.rowCount;
+  }
+}
+
+
+/** Make a store of the given kind ("memory" or "postgres"). */
+
+function createRateLimitStore(kind = RATE_LIMIT_STORE) {
+  if (kind === "memory") return new MemoryStore();
+  if (kind === "postgres") return new PostgresStore();
+  throw new Error(`Unknown rate limit store: ${kind}`);
+}
+
+let store;
+
+/** Return the store the app is using, making it the first time. */
+
+function getRateLimitStore() {
+  if (!store) store = createRateLimitStore();
+  return store;
+}
+
+/** Swap in a different store (any object with the methods above). */
+
+function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+/** Prune the app's store every intervalMs, if it has prune(); returns a
+ * function that stops it. */
+
+function startPruning(intervalMs = config.RATE_LIMIT_PRUNE_INTERVAL_MS) {
+  const timer = setInterval(async function () {
+    const current = getRateLimitStore();
+    if (!current.prune) return;
+    try {
+      await current.prune();
+    } catch (err) {
+      logger.error("rate limit pruning failed", { err });
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+}
+
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  startPruning,
+};
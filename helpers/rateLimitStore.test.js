@@ -0,0 +1,108 @@
+"use strict";
+
+const db = require("../db");
+const {
+  MemoryStore,
+  PostgresStore,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  startPruning,
+} = require("./rateLimitStore");
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("createRateLimitStore", function () {
+  test("works", function () {
+    expect(createRateLimitStore("memory")).toBeInstanceOf(MemoryStore);
+    expect(createRateLimitStore("postgres")).toBeInstanceOf(PostgresStore);
+  });
+
+  test("uses the memory store by default", function () {
+    expect(getRateLimitStore()).toBeInstanceOf(MemoryStore);
+  });
+
+  test("throws on unknown kinds", function () {
+    expect(() => createRateLimitStore("abacus")).toThrow();
+  });
+});
+
+// both stores have to behave the same
+describe.each([
+  ["MemoryStore", () => new MemoryStore()],
+  ["PostgresStore", () => new PostgresStore()],
+])("%s", function (name, makeStore) {
+  let store;
+
+  beforeEach(async function () {
+    store = makeStore();
+  });
+
+  afterEach(async function () {
+    await db.query("DELETE FROM rate_limits");
+  });
+
+  test("increment counts up until the counter expires", async function () {
+    const first = await store.increment("k", 60000);
+    expect(first).toEqual({ count: 1, expiresAt: expect.any(Date) });
+    const second = await store.increment("k", 60000);
+    expect(second).toEqual({ count: 2, expiresAt: first.expiresAt });
+    expect(await store.increment("other", 60000)).toEqual(expect.objectContaining({ count: 1 }));
+
+    await store.set("k", 5, -1000);
+    expect(await store.get("k")).toBeNull();
+    expect(await store.increment("k", 60000)).toEqual(expect.objectContaining({ count: 1 }));
+  });
+
+  test("get / set / delete", async function () {
+    expect(await store.get("k")).toBeNull();
+    await store.set("k", 3, 60000);
+    expect(await store.get("k")).toEqual({ count: 3, expiresAt: expect.any(Date) });
+    await store.delete("k");
+    expect(await store.get("k")).toBeNull();
+  });
+});
+
+describe("MemoryStore.sweep", function () {
+  test("removes expired counters", async function () {
+    const store = new MemoryStore();
+    await store.set("old", 1, -1000);
+    await store.set("new", 1, 60000);
+    store.sweep();
+    expect([...store.counters.keys()]).toEqual(["new"]);
+  });
+});
+
+describe("startPruning", function () {
+  test("prunes the app's store every interval until stopped", async function () {
+    const prune = jest.fn().mockResolvedValue(0);
+    setRateLimitStore({ prune });
+    const stop = startPruning(10);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 35));
+      expect(prune.mock.calls.length).toBeGreaterThanOrEqual(2);
+    } finally {
+      stop();
+      setRateLimitStore(null);
+    }
+    const calls = prune.mock.calls.length;
+    await new Promise(resolve => setTimeout(resolve, 25));
+    expect(prune.mock.calls.length).toEqual(calls);
+  });
+});
+
+describe("PostgresStore.prune", function () {
+  test("removes expired counters", async function () {
+    try {
+      const store = new PostgresStore();
+      await store.set("old", 1, -1000);
+      await store.set("new", 1, 60000);
+      expect(await store.prune()).toEqual(1);
+      expect(await store.get("new")).not.toBeNull();
+    } finally {
+      await db.query("DELETE FROM rate_limits");
+    }
+  });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+/** Per-request context that code deep inside a request can read without it
+ * being passed down through every function call.
+ *
+ * The context is { requestId, actor }, where actor is the username of the
+ * logged in user (or null). Outside of a request (scripts, most model tests)
+ * there is no context, and getRequestContext() returns {}.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/** Run fn with the given context; returns what fn returns. */
+
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/** Return the context of the request being handled, or {} if there isn't one. */
+
+function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+};
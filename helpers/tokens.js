@@ -1,9 +1,15 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * The token expires after ACCESS_TOKEN_EXPIRES_IN. If familyId is given, it is
+ * stored in the token as "fam", so the token stops working when that refresh
+ * token family is revoked (see models/refreshToken.js).
+ */
 
-function createToken(user) {
+function createToken(user, familyId) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
 
@@ -11,8 +17,23 @@ function createToken(user) {
     username: user.username,
     isAdmin: user.isAdmin || false,
   };
+  if (familyId) payload.fam = familyId;
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return the hash we store for an opaque token (refresh tokens and the like),
+ * so that a leaked database doesn't leak usable tokens. */
+
+function hashOpaqueToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/** return a new random opaque token and its hash: { token, hash } */
+
+function createOpaqueToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashOpaqueToken(token) };
+}
+
+module.exports = { createToken, createOpaqueToken, hashOpaqueToken };
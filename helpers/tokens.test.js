@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createOpaqueToken, hashOpaqueToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,6 +8,7 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
     });
@@ -18,6 +19,7 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
     });
@@ -29,8 +31,31 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
     });
   });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test("works: includes token family", function () {
+    const token = createToken({ username: "test", isAdmin: false }, "fam-1");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.fam).toEqual("fam-1");
+  });
+});
+
+describe("createOpaqueToken", function () {
+  test("works", function () {
+    const { token, hash } = createOpaqueToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).toEqual(hashOpaqueToken(token));
+    expect(hash).not.toEqual(token);
+    expect(createOpaqueToken().token).not.toEqual(token);
+  });
 });
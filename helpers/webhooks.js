@@ -0,0 +1,84 @@
+"use strict";
+
+/** Signing and sending webhook requests (see models/webhook.js).
+ *
+ * Each request is a POST of a JSON body, with these headers:
+ *
+ * - X-Jobly-Event: the event, like "application.created"
+ * - X-Jobly-Delivery: the delivery id; retries of a delivery reuse it, so
+ *                     receivers can ignore ones they've already handled
+ * - X-Jobly-Timestamp: when the request was signed, in seconds since 1970
+ * - X-Jobly-Signature: "sha256=" and the hex HMAC-SHA256 of
+ *                      "<timestamp>.<body>", keyed with the webhook's secret
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+
+/** Sign a request body; returns the X-Jobly-Signature header value. */
+
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return "sha256=" + hmac.digest("hex");
+}
+
+/** Check a request's signature, the way a receiver would; returns true or
+ * false. */
+
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/** How long to wait before retrying a delivery that has failed `attempts`
+ * times, in seconds: base, then doubling each time, up to a day. */
+
+function retryDelaySeconds(attempts, base) {
+  return Math.min(base * 2 ** (attempts - 1), 24 * 60 * 60);
+}
+
+/** POST a signed webhook request.
+ *
+ * options: { url, secret, event, deliveryId, body, timeoutMs }
+ *   body: the JSON body, already a string
+ *
+ * Returns the response's status code. The response body is ignored.
+ *
+ * Throws if the request can't be made, or the receiver goes quiet for
+ * timeoutMs.
+ */
+
+function sendWebhook({ url, secret, event, deliveryId, body, timeoutMs }) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+    "User-Agent": "Jobly-Webhooks",
+    "X-Jobly-Event": event,
+    "X-Jobly-Delivery": String(deliveryId),
+    "X-Jobly-Timestamp": String(timestamp),
+    "X-Jobly-Signature": signPayload(secret, timestamp, body),
+  };
+
+  return new Promise((resolve, reject) => {
+    const transport = url.startsWith("https:") ? https : http;
+    const req = transport.request(url, { method: "POST", headers, timeout: timeoutMs }, res => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(new Error(`No response within ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  retryDelaySeconds,
+  sendWebhook,
+};
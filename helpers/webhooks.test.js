@@ -0,0 +1,87 @@
+"use strict";
+
+const http = require("http");
+const {
+  signPayload,
+  verifySignature,
+  retryDelaySeconds,
+  sendWebhook,
+} = require("./webhooks");
+
+describe("signPayload / verifySignature", function () {
+  test("works", function () {
+    const signature = signPayload("shh", 1600000000, '{"a":1}');
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature("shh", 1600000000, '{"a":1}', signature)).toEqual(true);
+  });
+
+  test("fails for a different secret, timestamp or body", function () {
+    const signature = signPayload("shh", 1600000000, '{"a":1}');
+    expect(verifySignature("other", 1600000000, '{"a":1}', signature)).toEqual(false);
+    expect(verifySignature("shh", 1600000001, '{"a":1}', signature)).toEqual(false);
+    expect(verifySignature("shh", 1600000000, '{"a":2}', signature)).toEqual(false);
+    expect(verifySignature("shh", 1600000000, '{"a":1}', "sha256=nope")).toEqual(false);
+  });
+});
+
+describe("retryDelaySeconds", function () {
+  test("doubles each time, up to a day", function () {
+    expect([1, 2, 3, 4].map(n => retryDelaySeconds(n, 30))).toEqual([30, 60, 120, 240]);
+    expect(retryDelaySeconds(20, 30)).toEqual(24 * 60 * 60);
+  });
+});
+
+describe("sendWebhook", function () {
+  let server;
+  let url;
+  let received;
+  let status;
+
+  beforeAll(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = status;
+        res.end("ok");
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  beforeEach(function () {
+    received = [];
+    status = 200;
+  });
+
+  afterAll(async function () {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test("POSTs a signed body and returns the status", async function () {
+    status = 202;
+    const body = JSON.stringify({ event: "job.created" });
+    const result = await sendWebhook({
+      url, secret: "shh", event: "job.created", deliveryId: 7, body, timeoutMs: 1000,
+    });
+
+    expect(result).toEqual(202);
+    expect(received).toHaveLength(1);
+    const { headers } = received[0];
+    expect(received[0].body).toEqual(body);
+    expect(headers["content-type"]).toEqual("application/json");
+    expect(headers["x-jobly-event"]).toEqual("job.created");
+    expect(headers["x-jobly-delivery"]).toEqual("7");
+    expect(verifySignature("shh", headers["x-jobly-timestamp"], body, headers["x-jobly-signature"]))
+        .toEqual(true);
+  });
+
+  test("throws if nothing is listening", async function () {
+    await expect(sendWebhook({
+      url: "http://127.0.0.1:1/hook", secret: "shh", event: "job.created", deliveryId: 1,
+      body: "{}", timeoutMs: 1000,
+    })).rejects.toThrow();
+  });
+});
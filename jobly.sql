@@ -3,9 +3,9 @@
 
 DROP DATABASE jobly;
 CREATE DATABASE jobly;
+\! node migrate.js up
 \connect jobly
 
-\i jobly-schema.sql
 \i jobly-seed.sql
 
 \echo 'Delete and recreate jobly_test db?'
@@ -13,6 +13,4 @@ CREATE DATABASE jobly;
 
 DROP DATABASE jobly_test;
 CREATE DATABASE jobly_test;
-\connect jobly_test
-
-\i jobly-schema.sql
+\! NODE_ENV=test node migrate.js up
@@ -5,6 +5,8 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const RefreshToken = require("../models/refreshToken");
+const Recruiter = require("../models/recruiter");
 
 
 /** Middleware: Authenticate user.
@@ -12,15 +14,21 @@ const { UnauthorizedError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * Expired tokens are not valid, and neither are tokens from a token family
+ * that has been revoked (by logging out, or by refresh token reuse).
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (!payload.fam || !(await RefreshToken.isFamilyRevoked(payload.fam))) {
+        res.locals.user = payload;
+      }
     }
     return next();
   } catch (err) {
@@ -78,9 +86,47 @@ function ensureLoggedInIsAdminOrUser(req, res, next) {
 }
 
 
+/** Make middleware that lets in admins, and recruiters for a company.
+ *
+ * getHandles(req, res) returns the handle of the company the request acts on,
+ * or a list of handles when it touches several (like moving a job from one
+ * company to another); it may be async. Recruiters have to recruit for every
+ * company given.
+ *
+ * If the user is not logged in, or is neither an admin nor a recruiter for
+ * the companies, it will raise Unauthorized.
+ */
+
+function ensureAdminOrRecruiterFor(getHandles) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (user.isAdmin) return next();
+
+      let handles = await getHandles(req, res);
+      if (!Array.isArray(handles)) handles = [handles];
+      if (!handles.length || handles.some(h => typeof h !== "string")) {
+        throw new UnauthorizedError();
+      }
+
+      for (let handle of handles) {
+        if (!(await Recruiter.isRecruiter(user.username, handle))) {
+          throw new UnauthorizedError();
+        }
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureLoggedInAndIsAdmin,
-  ensureLoggedInIsAdminOrUser
+  ensureLoggedInIsAdminOrUser,
+  ensureAdminOrRecruiterFor,
 };
@@ -1,10 +1,12 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
+const db = require("../db");
 const { UnauthorizedError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  ensureAdminOrRecruiterFor,
 } = require("./auth");
 
 
@@ -12,6 +14,12 @@ const { SECRET_KEY } = require("../config");
 const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
 
+afterAll(async() => {
+  await db.end();
+});
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET_KEY);
+
 
 describe("authenticateJWT", function () {
   test("works: via header", function () {
@@ -54,6 +62,17 @@ describe("authenticateJWT", function () {
     authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
 });
 
 
@@ -78,3 +97,48 @@ describe("ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+
+describe("ensureAdminOrRecruiterFor", function () {
+  const middleware = ensureAdminOrRecruiterFor(req => req.params.handle);
+
+  test("works for admin", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth if not a recruiter for the company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth if no company given", async function () {
+    expect.assertions(1);
+    const req = { params: {} };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth if no login", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+/** Middleware to count requests and time them (see helpers/metrics.js). */
+
+const { metrics, startTimer } = require("../helpers/metrics");
+
+
+/** The route a request matched, like /jobs/:ref, or "unmatched" for those
+ * that matched none (so made up URLs don't each get their own label).
+ *
+ * The routers' prefix is taken from res.locals.routePrefix, set by app.js
+ * when the request enters a router: req.baseUrl has been reset by the time
+ * a request that failed in a router finishes.
+ */
+
+function routeOf(req, res) {
+  if (!req.route) return "unmatched";
+  const prefix = res.locals.routePrefix || "";
+  const path = req.route.path;
+  return prefix && path === "/" ? prefix : prefix + path;
+}
+
+
+/** Middleware: once the request's been answered, count it by method, route
+ * and status, add its time to the duration histogram, and count it as an
+ * error if it failed.
+ */
+
+function measureRequests(req, res, next) {
+  const elapsed = startTimer();
+  res.on("finish", function () {
+    const labels = { method: req.method, route: routeOf(req, res) };
+    const status = res.statusCode;
+    metrics.httpRequests.inc({ ...labels, status });
+    metrics.httpRequestDuration.observe(labels, elapsed());
+    if (status >= 400) metrics.httpErrors.inc({ status });
+  });
+  return next();
+}
+
+
+module.exports = {
+  measureRequests,
+  routeOf,
+};
@@ -0,0 +1,48 @@
+"use strict";
+
+/** Middleware to limit how often a client can hit a route. */
+
+const { TooManyRequestsError } = require("../expressError");
+const { getRateLimitStore } = require("../helpers/rateLimitStore");
+
+
+/** Make middleware that allows `limit` requests per `windowMs` for each key.
+ *
+ * options: {
+ *   name: what's being limited, like "login-ip"; keeps this limit's counters
+ *         apart from other limits'
+ *   limit: how many requests a key may make in a window (a number, or a
+ *          function returning one, so it can be read from config each time)
+ *   windowMs: how long a window lasts, from a key's first request in it
+ *   key(req): what to count the request against, like req.ip; requests it
+ *             returns null or undefined for aren't limited
+ * }
+ *
+ * Once a key is over its limit, requests fail with 429 Too Many Requests,
+ * with a Retry-After header saying when the window ends.
+ */
+
+function rateLimit({ name, limit, windowMs, key }) {
+  return async function (req, res, next) {
+    try {
+      const value = key(req);
+      if (value === null || value === undefined) return next();
+
+      const max = typeof limit === "function" ? limit() : limit;
+      const ttl = typeof windowMs === "function" ? windowMs() : windowMs;
+      const { count, expiresAt } = await getRateLimitStore().increment(`${name}:${value}`, ttl);
+      if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((new Date(expiresAt) - Date.now()) / 1000));
+        throw new TooManyRequestsError("Too many requests; please try again later", retryAfter);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
+module.exports = {
+  rateLimit,
+};
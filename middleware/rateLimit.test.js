@@ -0,0 +1,50 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const { getRateLimitStore } = require("../helpers/rateLimitStore");
+const { rateLimit } = require("./rateLimit");
+
+afterAll(async function () {
+  await db.end();
+});
+
+beforeEach(function () {
+  getRateLimitStore().clear();
+});
+
+/** Run middleware on req; resolves to what it passed to next. */
+function run(middleware, req) {
+  return new Promise(resolve => middleware(req, {}, resolve));
+}
+
+describe("rateLimit", function () {
+  const limiter = rateLimit({ name: "test", limit: 2, windowMs: 60000, key: req => req.ip });
+
+  test("allows requests up to the limit, per key", async function () {
+    expect(await run(limiter, { ip: "1.1.1.1" })).toBeUndefined();
+    expect(await run(limiter, { ip: "1.1.1.1" })).toBeUndefined();
+    expect(await run(limiter, { ip: "2.2.2.2" })).toBeUndefined();
+  });
+
+  test("429 with a retry time once over the limit", async function () {
+    await run(limiter, { ip: "1.1.1.1" });
+    await run(limiter, { ip: "1.1.1.1" });
+    const err = await run(limiter, { ip: "1.1.1.1" });
+    expect(err).toBeInstanceOf(TooManyRequestsError);
+    expect(err.status).toEqual(429);
+    expect(err.retryAfter).toBeGreaterThan(0);
+    expect(err.retryAfter).toBeLessThanOrEqual(60);
+  });
+
+  test("requests without a key aren't limited", async function () {
+    const byName = rateLimit({ name: "test", limit: 1, windowMs: 60000, key: req => req.name });
+    for (let i = 0; i < 3; i++) expect(await run(byName, {})).toBeUndefined();
+  });
+
+  test("limits can be functions", async function () {
+    const limiter = rateLimit({ name: "fn", limit: () => 1, windowMs: () => 60000, key: () => "k" });
+    expect(await run(limiter, {})).toBeUndefined();
+    expect(await run(limiter, {})).toBeInstanceOf(TooManyRequestsError);
+  });
+});
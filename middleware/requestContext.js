@@ -0,0 +1,29 @@
+"use strict";
+
+/** Middleware to set up the request context (see helpers/requestContext.js). */
+
+const crypto = require("crypto");
+const { runWithRequestContext } = require("../helpers/requestContext");
+
+
+/** Middleware: make the request's id and the logged in user available to
+ * everything that runs while handling the request.
+ *
+ * Must come after logRequests, which gives the request its id, and
+ * authenticateJWT, which finds the logged in user.
+ */
+
+function requestContext(req, res, next) {
+  const user = res.locals.user;
+  const context = {
+    requestId: res.locals.requestId || crypto.randomUUID(),
+    actor: user ? user.username : null,
+  };
+  res.locals.requestId = context.requestId;
+  return runWithRequestContext(context, () => next());
+}
+
+
+module.exports = {
+  requestContext,
+};
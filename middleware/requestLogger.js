@@ -0,0 +1,56 @@
+"use strict";
+
+/** Middleware to give each request an id and log it. */
+
+const crypto = require("crypto");
+const { logger } = require("../helpers/logger");
+
+// probed every few seconds; logged at debug unless they fail
+const PROBES = ["/health", "/ready", "/metrics"];
+
+// ids we'll take from a client or proxy's X-Request-Id; anything else is replaced
+const REQUEST_ID = /^[\w.:@=+/-]{1,128}$/;
+
+
+/** Middleware: give the request an id, and log it once it's been answered.
+ *
+ * The id is the request's X-Request-Id if it has a usable one (so a proxy's
+ * id can be followed through), or a new UUID. It's sent back as X-Request-Id
+ * and kept as res.locals.requestId, where requestContext picks it up.
+ *
+ * The log line has the method, URL, status, logged in user and how long it
+ * took. Requests that fail with a 5xx are logged as errors, other 4xx as
+ * warnings. Successful probes (GET /health and the like) are logged at debug.
+ *
+ * Must come first, so even requests rejected before reaching a route are
+ * logged with an id.
+ */
+
+function logRequests(req, res, next) {
+  const header = req.get("X-Request-Id");
+  const requestId = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  res.locals.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", function () {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error"
+        : status >= 400 ? "warn"
+        : PROBES.includes(req.path) ? "debug" : "info";
+    logger[level]("request", {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      user: res.locals.user ? res.locals.user.username : null,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    });
+  });
+  return next();
+}
+
+
+module.exports = {
+  logRequests,
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+/** Command line tool for database migrations (see helpers/migrations.js).
+ *
+ * Works on the database from getDatabaseUri() in config.js, so set NODE_ENV
+ * or DATABASE_URL to pick which one:
+ *
+ *   node migrate.js up [version]     run pending migrations (up to version)
+ *   node migrate.js down [steps]     undo the last migration (or steps of them)
+ *   node migrate.js down --to N      undo every migration after version N
+ *   node migrate.js status           list migrations and whether they've run
+ *   node migrate.js create <name>    make the files for a new migration
+ */
+
+const db = require("./db");
+const {
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require("./helpers/migrations");
+
+const USAGE = `Usage:
+  node migrate.js up [version]
+  node migrate.js down [steps]
+  node migrate.js down --to <version>
+  node migrate.js status
+  node migrate.js create <name>`;
+
+/** Parse a whole-number argument; throws with the usage on anything else. */
+
+function wholeNumber(arg) {
+  if (!/^\d+$/.test(arg)) throw new Error(`Not a whole number: ${arg}\n${USAGE}`);
+  return Number(arg);
+}
+
+function describe({ version, name }) {
+  return `${version}_${name}`;
+}
+
+async function main([command, ...args]) {
+  if (command === "up") {
+    const to = args[0] === undefined ? undefined : wholeNumber(args[0]);
+    const applied = await migrateUp(db, { to });
+    if (!applied.length) console.log("Nothing to migrate.");
+    for (let m of applied) console.log(`Applied ${describe(m)}`);
+
+  } else if (command === "down") {
+    const options = args[0] === "--to"
+        ? { to: wholeNumber(args[1]) }
+        : { steps: args[0] === undefined ? 1 : wholeNumber(args[0]) };
+    const undone = await migrateDown(db, options);
+    if (!undone.length) console.log("Nothing to undo.");
+    for (let m of undone) console.log(`Undid ${describe(m)}`);
+
+  } else if (command === "status") {
+    for (let m of await migrationStatus(db)) {
+      const state = m.missing
+          ? "applied, but its files are missing"
+          : (m.appliedAt ? `applied ${m.appliedAt.toISOString()}` : "pending");
+      console.log(`${describe(m)}: ${state}`);
+    }
+
+  } else if (command === "create") {
+    if (!args[0]) throw new Error(USAGE);
+    const { up, down } = createMigration(args[0]);
+    console.log(`Created ${up}\nCreated ${down}`);
+
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2))
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,23 @@
+-- drops everything 0001_baseline.up.sql made, dependents first
+
+DROP TABLE audit_log;
+DROP TABLE rate_limits;
+DROP TABLE webhook_deliveries;
+DROP TABLE webhooks;
+DROP TABLE company_recruiters;
+DROP TABLE notification_preferences;
+DROP TABLE notifications;
+DROP TABLE job_alerts;
+DROP TABLE saved_searches;
+DROP TABLE user_technologies;
+DROP TABLE job_technologies;
+DROP TABLE technologies;
+DROP TABLE email_verification_tokens;
+DROP TABLE password_reset_tokens;
+DROP TABLE refresh_tokens;
+DROP TABLE token_families;
+DROP TABLE application_transitions;
+DROP TABLE applications;
+DROP TABLE jobs;
+DROP TABLE users;
+DROP TABLE companies;
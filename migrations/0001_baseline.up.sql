@@ -0,0 +1,257 @@
+-- the schema as it was when migrations were introduced; later changes go in
+-- their own numbered migrations
+
+CREATE TABLE companies (
+  handle VARCHAR(25) PRIMARY KEY CHECK (handle = lower(handle)),
+  name TEXT UNIQUE NOT NULL,
+  num_employees INTEGER CHECK (num_employees >= 0),
+  description TEXT NOT NULL,
+  logo_url TEXT,
+  -- full-text search document; Postgres recomputes it on every insert/update
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED,
+  -- set when the company is deleted; it's only really removed when purged
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX companies_search_vector_idx ON companies USING GIN (search_vector);
+
+CREATE TABLE users (
+  username VARCHAR(25) PRIMARY KEY,
+  password TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL
+    CHECK (position('@' IN email) > 1),
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  salary INTEGER CHECK (salary >= 0),
+  equity NUMERIC CHECK (equity <= 1.0),
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  slug TEXT UNIQUE
+    CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$' AND slug !~ '^[0-9]+$'),
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', coalesce(title, ''))
+  ) STORED,
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX jobs_search_vector_idx ON jobs USING GIN (search_vector);
+
+CREATE TABLE applications (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('applied', 'interviewing', 'offered', 'hired', 'rejected', 'withdrawn')),
+  PRIMARY KEY (username, job_id)
+);
+
+CREATE TABLE application_transitions (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE token_families (
+  id TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE TABLE refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  family_id TEXT NOT NULL
+    REFERENCES token_families ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+-- email is the address the link was sent to; the link only verifies the
+-- account while it still uses that address
+CREATE TABLE email_verification_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+-- skills: what a job asks for and what a user knows. Names are stored
+-- lowercase, so "Python" and "python" are the same technology
+CREATE TABLE technologies (
+  name VARCHAR(50) PRIMARY KEY
+    CHECK (name = lower(name) AND name = btrim(name) AND name <> '')
+);
+
+CREATE TABLE job_technologies (
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  technology VARCHAR(50) NOT NULL
+    REFERENCES technologies ON DELETE CASCADE,
+  PRIMARY KEY (job_id, technology)
+);
+
+CREATE INDEX job_technologies_technology_idx ON job_technologies (technology);
+
+CREATE TABLE user_technologies (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  technology VARCHAR(50) NOT NULL
+    REFERENCES technologies ON DELETE CASCADE,
+  PRIMARY KEY (username, technology)
+);
+
+-- a user's named GET /jobs filters. A NULL filter matches every job, as if it
+-- had been left out of the query string
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  title TEXT,
+  min_salary INTEGER,
+  has_equity BOOLEAN,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (username, name)
+);
+
+-- one alert per saved search and job, made when a job is posted or changed
+-- so that it matches the search
+CREATE TABLE job_alerts (
+  id SERIAL PRIMARY KEY,
+  saved_search_id INTEGER NOT NULL
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, job_id)
+);
+
+-- in-app messages telling a user something happened to them; data holds
+-- what the message is about, and depends on the type
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  type TEXT NOT NULL
+    CHECK (type IN ('application-updated', 'job-updated', 'job-deleted', 'account-updated')),
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMPTZ
+);
+
+CREATE INDEX notifications_username_idx ON notifications (username, id);
+
+-- the notification types a user has turned on or off; a type with no row
+-- here is on
+CREATE TABLE notification_preferences (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  type TEXT NOT NULL
+    CHECK (type IN ('application-updated', 'job-updated', 'job-deleted', 'account-updated')),
+  enabled BOOLEAN NOT NULL,
+  PRIMARY KEY (username, type)
+);
+
+-- users who may manage a company's profile, jobs and applications
+-- without being admins
+CREATE TABLE company_recruiters (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+-- URLs a company's systems want events POSTed to, signed with secret
+CREATE TABLE webhooks (
+  id SERIAL PRIMARY KEY,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- the delivery queue, and the log of how each delivery went. Pending
+-- deliveries are sent once next_attempt_at has passed
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL
+    REFERENCES webhooks ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+
+-- rate limit counters and account lockouts, when RATE_LIMIT_STORE is
+-- "postgres" (see helpers/rateLimitStore.js)
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- one row per create / update / delete of a company, job or user. actor and
+-- entity_id are plain text so entries outlive the users and rows they mention
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor VARCHAR(25),
+  request_id TEXT,
+  entity TEXT NOT NULL
+    CHECK (entity IN ('company', 'job', 'user')),
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge')),
+  before JSONB,
+  after JSONB
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
+CREATE INDEX audit_log_occurred_at_idx ON audit_log (occurred_at);
@@ -0,0 +1,4 @@
+-- undoes 0002_add_updated_at.up.sql
+
+ALTER TABLE jobs DROP COLUMN updated_at;
+ALTER TABLE companies DROP COLUMN updated_at;
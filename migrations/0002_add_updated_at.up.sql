@@ -0,0 +1,11 @@
+-- add_updated_at
+
+-- when each company and job last changed (created, updated, deleted or
+-- restored), for conditional GETs; set by the models. Rows that are already
+-- here count as changed now.
+
+ALTER TABLE companies ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE jobs ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX companies_updated_at_idx ON companies (updated_at);
+CREATE INDEX jobs_updated_at_idx ON jobs (updated_at);
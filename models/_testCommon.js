@@ -3,12 +3,27 @@ const bcrypt = require("bcrypt");
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
+/** Empty every table (except the migrations record) and restart the ids.
+ *
+ * Queries run on a pool of connections and models commit their own
+ * transactions, so tests can't just roll back what they did; they start
+ * from, and clean up to, an empty database instead.
+ */
+
+async function resetDatabase() {
+  const result = await db.query(
+        `SELECT tablename
+         FROM pg_tables
+         WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`);
+  const tables = result.rows.map(r => `"${r.tablename}"`).join(", ");
+  await db.query(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+}
+
 async function commonBeforeAll() {
-  // noinspection SqlWithoutWhere
-  await db.query("DELETE FROM companies");
-  // noinspection SqlWithoutWhere
-  await db.query("DELETE FROM users");
+  await resetDatabase();
+}
 
+async function commonBeforeEach() {
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
     VALUES ('c1', 'C1', 1, 'Desc1', 'http://c1.img'),
@@ -30,12 +45,8 @@ async function commonBeforeAll() {
       ]);
 }
 
-async function commonBeforeEach() {
-  await db.query("BEGIN");
-}
-
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await resetDatabase();
 }
 
 async function commonAfterAll() {
@@ -44,6 +55,7 @@ async function commonAfterAll() {
 
 
 module.exports = {
+  resetDatabase,
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
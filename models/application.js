@@ -0,0 +1,352 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const Notification = require("./notification");
+const Webhook = require("./webhook");
+
+/** The states an application can move to from each state.
+ *
+ * applied -> interviewing -> offered -> hired is the happy path; any
+ * application that isn't finished yet can also be rejected or withdrawn.
+ * hired, rejected and withdrawn are final.
+ */
+
+const TRANSITIONS = {
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["hired", "rejected", "withdrawn"],
+  hired: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** Related functions for job applications. */
+
+class Application {
+
+  /** Can an application in state `from` be moved to state `to`?
+   *
+   * Returns true or false.
+   */
+
+  static canTransition(from, to) {
+    const allowed = TRANSITIONS[from] || [];
+    return allowed.indexOf(to) !== -1;
+  }
+
+  /** Add a row to an application's transition history.
+   *
+   * fromState is null for the very first row (when the application is made).
+   *
+   * Returns { fromState, toState, changedAt }
+   */
+
+  static async recordTransition(username, jobId, fromState, toState) {
+    const result = await db.query(
+          `INSERT INTO application_transitions
+           (username, job_id, from_state, to_state)
+           VALUES ($1, $2, $3, $4)
+           RETURNING from_state AS "fromState",
+                     to_state AS "toState",
+                     changed_at AS "changedAt"`,
+        [username, jobId, fromState, toState]);
+
+    return result.rows[0];
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, history }
+   *   where history is [{ fromState, toState, changedAt }, ...], oldest first
+   *
+   * Throws NotFoundError if the user has not applied to the job, or the job
+   * has been deleted.
+   */
+
+  static async get(username, jobId) {
+    const appRes = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = $1 AND a.job_id = $2 AND j.deleted_at IS NULL`,
+        [username, jobId]);
+
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application from ${username} for job ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_at AS "changedAt"
+           FROM application_transitions
+           WHERE username = $1 AND job_id = $2
+           ORDER BY changed_at, id`,
+        [username, jobId]);
+
+    application.history = historyRes.rows;
+    return application;
+  }
+
+  /** Find all of a user's applications, with the current state of each.
+   *
+   * Returns [{ jobId, title, companyHandle, state, updatedAt }, ...]
+   *   where updatedAt is the time of the most recent state change
+   *
+   * Applications to deleted jobs are left out.
+   */
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT a.job_id AS "jobId",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  a.state,
+                  (SELECT MAX(t.changed_at)
+                   FROM application_transitions AS t
+                   WHERE t.username = a.username AND t.job_id = a.job_id) AS "updatedAt"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = $1 AND j.deleted_at IS NULL
+           ORDER BY a.job_id`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Find all applications to a company's jobs, with the current state of each.
+   *
+   * Returns [{ username, jobId, title, state, updatedAt }, ...]
+   *
+   * Applications to deleted jobs, and from deleted users, are left out.
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   */
+
+  static async findForCompany(companyHandle) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+        [companyHandle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+
+    const result = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  j.title,
+                  a.state,
+                  (SELECT MAX(t.changed_at)
+                   FROM application_transitions AS t
+                   WHERE t.username = a.username AND t.job_id = a.job_id) AS "updatedAt"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = a.username
+           WHERE j.company_handle = $1 AND j.deleted_at IS NULL AND u.deleted_at IS NULL
+           ORDER BY a.job_id, a.username`,
+        [companyHandle]);
+
+    return result.rows;
+  }
+
+  /** Find all applications to several jobs at once, or from several users
+   * at once, with the current state of each.
+   *
+   * key: "jobId" or "username", what ids are
+   * ids: the job ids or usernames
+   *
+   * Returns [{ username, jobId, state, updatedAt }, ...], in job id order,
+   * then username.
+   *
+   * Applications to deleted jobs, and from deleted users, are left out.
+   */
+
+  static async findFor(key, ids) {
+    const column = { jobId: "a.job_id", username: "a.username" }[key];
+    if (!column) throw new Error(`Can't find applications by ${key}`);
+
+    const result = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state,
+                  (SELECT MAX(t.changed_at)
+                   FROM application_transitions AS t
+                   WHERE t.username = a.username AND t.job_id = a.job_id) AS "updatedAt"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = a.username
+           WHERE ${column} = ANY($1) AND j.deleted_at IS NULL AND u.deleted_at IS NULL
+           ORDER BY a.job_id, a.username`,
+        [ids]);
+
+    return result.rows;
+  }
+
+  /** Check the application filters in a request query, and turn them into
+   * WHERE clause conditions.
+   *
+   * Returns { conditions, values }
+   *
+   * Throws BadRequestError on unknown parameters or bad values.
+   */
+
+  static sqlForFilters(filters) {
+    const validParams = ["username", "jobId", "companyHandle", "state"];
+    const invalidKeys = Object.keys(filters).filter(k => validParams.indexOf(k) === -1);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query
+                                                       string are invalid: [${invalidKeys}]`);
+
+    if (filters.jobId !== undefined && !/^\d+$/.test(filters.jobId)) {
+      throw new BadRequestError("jobId must be a job's id");
+    }
+    if (filters.state !== undefined && !(filters.state in TRANSITIONS)) {
+      throw new BadRequestError(`Invalid application state: ${filters.state}`);
+    }
+
+    const columns = {
+      username: "a.username = $",
+      jobId: "a.job_id = $",
+      companyHandle: "j.company_handle = $",
+      state: "a.state = $",
+    };
+    const conditions = [];
+    const values = [];
+    for (let key of validParams) {
+      if (filters[key] === undefined) continue;
+      values.push(filters[key]);
+      conditions.push(columns[key] + values.length);
+    }
+    return { conditions, values };
+  }
+
+  /** Find all applications, with details of the job and company.
+   *
+   * query: the request.query object
+   *   - filters: username, jobId, companyHandle and state
+   *   - paging (see helpers/pagination.js): limit, after and before.
+   *     Applications are always in job id order, then username.
+   *
+   * Applications to deleted jobs, and from deleted users, are left out.
+   *
+   * Returns { applications, nextCursor, prevCursor }
+   *   where applications is [{ username, jobId, jobTitle, salary, equity,
+   *                            companyHandle, companyName, state, updatedAt }, ...]
+   */
+
+  static async findAll(query = {}) {
+    const { page, filters } = extractPageParams(query);
+    if (page.sort !== undefined) {
+      throw new BadRequestError("Applications are always sorted by jobId, then username");
+    }
+    const { conditions, values } = this.sqlForFilters(filters);
+
+    const paging = sqlForPage(page, {
+      sortable: {
+        jobId: { column: "a.job_id", field: "jobId", type: "integer" },
+        username: { column: "a.username", field: "username" },
+      },
+      defaultSort: "jobId,username",
+      tiebreaker: "username",
+      paramOffset: values.length,
+    });
+    conditions.push("j.deleted_at IS NULL", "u.deleted_at IS NULL");
+    if (paging.where) conditions.push(paging.where);
+
+    const result = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  j.title AS "jobTitle",
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  a.state,
+                  (SELECT MAX(t.changed_at)
+                   FROM application_transitions AS t
+                   WHERE t.username = a.username AND t.job_id = a.job_id) AS "updatedAt"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+             JOIN users AS u ON u.username = a.username
+           WHERE ${conditions.join(" AND ")}
+           ${paging.orderBy}
+           ${paging.limit}`,
+        [...values, ...paging.values]);
+
+    const { rows, nextCursor, prevCursor } = paging.finish(result.rows);
+    return { applications: rows, nextCursor, prevCursor };
+  }
+
+  /** Move an application to a new state.
+   *
+   * The applicant gets an application-updated notification, and the
+   * company's webhooks get an application.updated event.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if there is no such application (or its job has been
+   * deleted), and BadRequestError if the state machine doesn't allow the move.
+   */
+
+  static async transition(username, jobId, toState) {
+    return db.withTransaction(async client => {
+      if (!(toState in TRANSITIONS)) {
+        throw new BadRequestError(`Invalid application state: ${toState}`);
+      }
+
+      const current = await client.query(
+            `SELECT a.state, j.title, j.company_handle AS "companyHandle"
+             FROM applications AS a
+               JOIN jobs AS j ON j.id = a.job_id
+             WHERE a.username = $1 AND a.job_id = $2 AND j.deleted_at IS NULL`,
+          [username, jobId]);
+
+      if (!current.rows[0]) {
+        throw new NotFoundError(`No application from ${username} for job ${jobId}`);
+      }
+
+      const fromState = current.rows[0].state;
+      if (!this.canTransition(fromState, toState)) {
+        throw new BadRequestError(`Cannot move application from ${fromState} to ${toState}`);
+      }
+
+      // only update if nobody else moved it in the meantime
+      const result = await client.query(
+            `UPDATE applications
+             SET state = $1
+             WHERE username = $2 AND job_id = $3 AND state = $4
+             RETURNING username, job_id AS "jobId", state`,
+          [toState, username, jobId, fromState]);
+
+      const application = result.rows[0];
+      if (!application) {
+        throw new BadRequestError("Application was changed by another request; please retry");
+      }
+
+      await this.recordTransition(username, jobId, fromState, toState);
+      await Notification.notify([username], "application-updated", {
+        jobId,
+        jobTitle: current.rows[0].title,
+        fromState,
+        toState,
+      });
+      await Webhook.enqueue(current.rows[0].companyHandle, "application.updated", {
+        username,
+        jobId,
+        fromState,
+        toState,
+      });
+
+      return application;
+    });
+  }
+}
+
+Application.TRANSITIONS = TRANSITIONS;
+
+
+module.exports = Application;
@@ -0,0 +1,249 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Application = require("./application.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+beforeEach(async() => {
+  const result = await db.query(
+    `INSERT INTO jobs
+     (title, salary, equity, company_handle)
+     VALUES
+     ('worker', 50000, 0.2, 'c3')
+     RETURNING id`
+  );
+  jobId = result.rows[0].id;
+  await User.apply("u1", jobId);
+});
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("allows the happy path", function () {
+    expect(Application.canTransition("applied", "interviewing")).toBe(true);
+    expect(Application.canTransition("interviewing", "offered")).toBe(true);
+    expect(Application.canTransition("offered", "hired")).toBe(true);
+  });
+
+  test("allows rejecting or withdrawing unfinished applications", function () {
+    expect(Application.canTransition("interviewing", "rejected")).toBe(true);
+    expect(Application.canTransition("offered", "withdrawn")).toBe(true);
+  });
+
+  test("does not allow skipping states or leaving a final state", function () {
+    expect(Application.canTransition("applied", "hired")).toBe(false);
+    expect(Application.canTransition("rejected", "interviewing")).toBe(false);
+    expect(Application.canTransition("hired", "withdrawn")).toBe(false);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: new application starts as applied", async function () {
+    const application = await Application.get("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "applied",
+      history: [
+        { fromState: null, toState: "applied", changedAt: expect.any(Date) },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u2", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    const applications = await Application.findForUser("u1");
+    expect(applications).toEqual([
+      {
+        jobId,
+        title: "worker",
+        companyHandle: "c3",
+        state: "applied",
+        updatedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findForUser("u2");
+    expect(applications).toEqual([]);
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    const applications = await Application.findForCompany("c3");
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        jobId,
+        title: "worker",
+        state: "applied",
+        updatedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findForCompany("c1");
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Application.findForCompany("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findFor */
+
+describe("findFor", function () {
+  test("works: by job", async function () {
+    await User.apply("u2", jobId);
+    const applications = await Application.findFor("jobId", [jobId, 0]);
+    expect(applications).toEqual([
+      { username: "u1", jobId, state: "applied", updatedAt: expect.any(Date) },
+      { username: "u2", jobId, state: "applied", updatedAt: expect.any(Date) },
+    ]);
+  });
+
+  test("works: by user, leaving out deleted users", async function () {
+    await User.apply("u2", jobId);
+    await User.remove("u2");
+    const applications = await Application.findFor("username", ["u1", "u2"]);
+    expect(applications.map(a => a.username)).toEqual(["u1"]);
+  });
+
+  test("throws for anything else", async function () {
+    await expect(Application.findFor("state", ["applied"])).rejects.toThrow();
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: includes job and company details", async function () {
+    await User.apply("u2", jobId);
+    const { applications, nextCursor, prevCursor } = await Application.findAll();
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        jobId,
+        jobTitle: "worker",
+        salary: 50000,
+        equity: "0.2",
+        companyHandle: "c3",
+        companyName: "C3",
+        state: "applied",
+        updatedAt: expect.any(Date),
+      },
+      expect.objectContaining({ username: "u2", jobId }),
+    ]);
+    expect(nextCursor).toBeNull();
+    expect(prevCursor).toBeNull();
+  });
+
+  test("works: filters and pages", async function () {
+    await User.apply("u2", jobId);
+    await Application.transition("u2", jobId, "rejected");
+
+    const rejected = await Application.findAll({ state: "rejected", companyHandle: "c3" });
+    expect(rejected.applications.map(a => a.username)).toEqual(["u2"]);
+
+    const first = await Application.findAll({ limit: "1" });
+    expect(first.applications.map(a => a.username)).toEqual(["u1"]);
+    const second = await Application.findAll({ limit: "1", after: first.nextCursor });
+    expect(second.applications.map(a => a.username)).toEqual(["u2"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test("leaves out deleted users", async function () {
+    await User.remove("u1");
+    const { applications } = await Application.findAll();
+    expect(applications).toEqual([]);
+  });
+
+  test("bad request on invalid filters or a sort", async function () {
+    await expect(Application.findAll({ nope: "x" })).rejects.toThrow(BadRequestError);
+    await expect(Application.findAll({ state: "ghosted" })).rejects.toThrow(BadRequestError);
+    await expect(Application.findAll({ jobId: "abc" })).rejects.toThrow(BadRequestError);
+    await expect(Application.findAll({ sort: "username" })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+  test("works and records history", async function () {
+    await Application.transition("u1", jobId, "interviewing");
+    const application = await Application.transition("u1", jobId, "offered");
+    expect(application).toEqual({ username: "u1", jobId, state: "offered" });
+
+    const found = await Application.get("u1", jobId);
+    expect(found.history.map(h => [h.fromState, h.toState])).toEqual([
+      [null, "applied"],
+      ["applied", "interviewing"],
+      ["interviewing", "offered"],
+    ]);
+  });
+
+  test("bad request on a move the state machine doesn't allow", async function () {
+    try {
+      await Application.transition("u1", jobId, "hired");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on unknown state", async function () {
+    try {
+      await Application.transition("u1", jobId, "ghosted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.transition("u2", jobId, "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
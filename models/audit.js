@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { getRequestContext } = require("../helpers/requestContext");
+
+const ENTITIES = ["company", "job", "user"];
+
+/** Related functions for the audit log.
+ *
+ * The Company, Job and User models record every create, update, delete,
+ * restore and purge here, with who did it (the logged in user, from the
+ * request context) and what the row looked like before and after.
+ */
+
+class Audit {
+
+  /** Record a change to a company, job or user.
+   *
+   * entity: "company", "job" or "user"
+   * entityId: the handle, id or username of what changed
+   * action: "create", "update", "delete", "restore" or "purge"
+   * before / after: snapshots of the row (null where there isn't one, like
+   *                 before a create). Don't pass anything secret, like
+   *                 password hashes.
+   *
+   * Returns undefined.
+   */
+
+  static async record(entity, entityId, action, { before = null, after = null } = {}) {
+    const { actor = null, requestId = null } = getRequestContext();
+    await db.query(
+          `INSERT INTO audit_log
+           (actor, request_id, entity, entity_id, action, before, after)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          actor,
+          requestId,
+          entity,
+          String(entityId),
+          action,
+          before && JSON.stringify(before),
+          after && JSON.stringify(after),
+        ]);
+  }
+
+  /** Check the audit log filters in a request query, and turn them into
+   * WHERE clause conditions.
+   *
+   * Returns { conditions, values }
+   *
+   * Throws BadRequestError on unknown parameters or bad values.
+   */
+
+  static sqlForFilters(filters) {
+    const validParams = ["actor", "entity", "entityId", "from", "to"];
+    const invalidKeys = Object.keys(filters).filter(k => validParams.indexOf(k) === -1);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query
+                                                       string are invalid: [${invalidKeys}]`);
+
+    if (filters.entity !== undefined && ENTITIES.indexOf(filters.entity) === -1) {
+      throw new BadRequestError(`entity must be one of: [${ENTITIES}]`);
+    }
+    for (let key of ["from", "to"]) {
+      if (filters[key] !== undefined && isNaN(Date.parse(filters[key]))) {
+        throw new BadRequestError(`${key} must be a date or time, like 2021-10-06T12:00:00Z`);
+      }
+    }
+
+    const columns = {
+      actor: "actor = $",
+      entity: "entity = $",
+      entityId: "entity_id = $",
+      from: "occurred_at >= $",
+      to: "occurred_at < $",
+    };
+    const conditions = [];
+    const values = [];
+    for (let key of validParams) {
+      if (filters[key] === undefined) continue;
+      values.push(filters[key]);
+      conditions.push(columns[key] + values.length);
+    }
+    return { conditions, values };
+  }
+
+  /** Find audit log entries, newest first.
+   *
+   * query: the request.query object
+   *   - filters: actor (a username), entity ("company", "job" or "user"),
+   *     entityId, from and to (times; from is inclusive, to is exclusive)
+   *   - paging (see helpers/pagination.js): limit, after, before, and sort,
+   *     which can only use "id" (default "-id", newest first)
+   *
+   * Returns { entries, nextCursor, prevCursor }
+   *   where entries is [{ id, occurredAt, actor, requestId, entity, entityId,
+   *                       action, before, after }, ...]
+   */
+
+  static async findAll(query = {}) {
+    const { page, filters } = extractPageParams(query);
+    const { conditions, values } = this.sqlForFilters(filters);
+
+    const paging = sqlForPage(page, {
+      sortable: { id: { column: "id", type: "integer" } },
+      defaultSort: "-id",
+      tiebreaker: "id",
+      paramOffset: values.length,
+    });
+    if (paging.where) conditions.push(paging.where);
+    const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await db.query(
+          `SELECT id,
+                  occurred_at AS "occurredAt",
+                  actor,
+                  request_id AS "requestId",
+                  entity,
+                  entity_id AS "entityId",
+                  action,
+                  before,
+                  after
+           FROM audit_log
+           ${whereClause}
+           ${paging.orderBy}
+           ${paging.limit}`,
+        [...values, ...paging.values]);
+
+    const { rows, nextCursor, prevCursor } = paging.finish(result.rows);
+    return { entries: rows, nextCursor, prevCursor };
+  }
+}
+
+
+module.exports = Audit;
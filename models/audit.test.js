@@ -0,0 +1,145 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Audit = require("./audit.js");
+const Company = require("./company.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const { runWithRequestContext } = require("../helpers/requestContext");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async () => { await db.query("DELETE FROM audit_log"); });
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: takes the actor and request id from the request context", async function () {
+    await runWithRequestContext({ requestId: "req-1", actor: "u1" }, () =>
+        Audit.record("company", "c1", "update", { before: { a: 1 }, after: { a: 2 } }));
+
+    const { entries } = await Audit.findAll();
+    expect(entries).toEqual([
+      {
+        id: expect.any(Number),
+        occurredAt: expect.any(Date),
+        actor: "u1",
+        requestId: "req-1",
+        entity: "company",
+        entityId: "c1",
+        action: "update",
+        before: { a: 1 },
+        after: { a: 2 },
+      },
+    ]);
+  });
+
+  test("works: outside of a request", async function () {
+    await Audit.record("job", 7, "delete", { before: { id: 7 } });
+
+    const { entries } = await Audit.findAll();
+    expect(entries[0]).toEqual(expect.objectContaining({
+      actor: null,
+      requestId: null,
+      entityId: "7",
+      before: { id: 7 },
+      after: null,
+    }));
+  });
+});
+
+/************************************** model changes */
+
+describe("model changes are recorded", function () {
+  test("company create, update and delete, with the deleted jobs", async function () {
+    await Company.create({ handle: "new", name: "New", description: "New Description", numEmployees: 1, logoUrl: null });
+    await Company.update("new", { name: "Newer" });
+    const job = await Job.create({ title: "j", salary: 1, equity: "0", companyHandle: "new" });
+    await Company.remove("new");
+
+    const { entries } = await Audit.findAll({ entity: "company" });
+    expect(entries.map(e => e.action)).toEqual(["delete", "update", "create"]);
+    expect(entries[1].before.name).toEqual("New");
+    expect(entries[1].after.name).toEqual("Newer");
+    expect(entries[0].before.jobs).toEqual([
+      { id: job.id, title: "j", salary: 1, equity: "0", slug: null },
+    ]);
+  });
+
+  test("job update", async function () {
+    const job = await Job.create({ title: "j", salary: 1, equity: "0", companyHandle: "c1" });
+    await Job.update(job.id, { salary: 2 });
+
+    const { entries } = await Audit.findAll({ entity: "job", entityId: String(job.id) });
+    expect(entries[0].action).toEqual("update");
+    expect(entries[0].before.salary).toEqual(1);
+    expect(entries[0].after.salary).toEqual(2);
+  });
+
+  test("user snapshots never include passwords", async function () {
+    await User.update("u1", { password: "newpassword" });
+    await User.remove("u1");
+
+    const { entries } = await Audit.findAll({ entity: "user" });
+    expect(entries.map(e => e.action)).toEqual(["delete", "update"]);
+    expect(entries[1].after.passwordChanged).toEqual(true);
+    for (let entry of entries) {
+      expect(JSON.stringify(entry)).not.toContain("$2b$");
+      expect(entry.before.password).toBeUndefined();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await runWithRequestContext({ actor: "u1" }, () => Audit.record("company", "c1", "update"));
+    await runWithRequestContext({ actor: "u2" }, () => Audit.record("job", "1", "delete"));
+    await runWithRequestContext({ actor: "u2" }, () => Audit.record("user", "u1", "update"));
+  });
+
+  test("works: newest first", async function () {
+    const { entries } = await Audit.findAll();
+    expect(entries.map(e => e.entity)).toEqual(["user", "job", "company"]);
+  });
+
+  test("works: filter by actor", async function () {
+    const { entries } = await Audit.findAll({ actor: "u2" });
+    expect(entries.map(e => e.entity)).toEqual(["user", "job"]);
+  });
+
+  test("works: filter by time range", async function () {
+    await db.query(
+        `UPDATE audit_log SET occurred_at = '2021-01-01T00:00:00Z' WHERE entity = 'company'`);
+    const { entries } = await Audit.findAll({ from: "2020-12-31", to: "2021-01-02" });
+    expect(entries.map(e => e.entity)).toEqual(["company"]);
+  });
+
+  test("works: paging", async function () {
+    const first = await Audit.findAll({ limit: 2 });
+    expect(first.entries.map(e => e.entity)).toEqual(["user", "job"]);
+    const second = await Audit.findAll({ limit: 2, after: first.nextCursor });
+    expect(second.entries.map(e => e.entity)).toEqual(["company"]);
+  });
+
+  test("bad request on invalid filters", async function () {
+    for (let query of [{ entity: "nope" }, { from: "not a date" }, { color: "red" }]) {
+      try {
+        await Audit.findAll(query);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
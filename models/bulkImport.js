@@ -0,0 +1,191 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { readCsvObjects } = require("../helpers/csv");
+const Audit = require("./audit");
+const JobAlert = require("./jobAlert");
+const Webhook = require("./webhook");
+
+const companyNewSchema = require("../schemas/companyNew.json");
+const jobNewSchema = require("../schemas/jobNew.json");
+
+/** Related functions for importing companies and jobs from CSV files.
+ *
+ * Every row is checked the same way POST /companies and POST /jobs check a
+ * request body (the same JSON schemas, and the same duplicate / missing
+ * company checks), before anything is written. All the good rows are then
+ * inserted with one INSERT statement, in the same transaction as the checks
+ * and the audit log entries, so either all of them are imported or none are.
+ *
+ * Each import returns a report:
+ *   { dryRun, strict, rows, imported, errors }
+ *     rows: the number of rows in the file (not counting the header)
+ *     imported: the companies / jobs created (always empty for a dry run, and
+ *               for a strict import with any errors)
+ *     errors: [{ line, messages }, ...] for each bad row, with the line it
+ *             starts on in the file
+ */
+
+class BulkImport {
+
+  /** Check each row against a JSON schema.
+   *
+   * Returns [{ line, data, errors }, ...], with the schema's messages added
+   * to each row's errors.
+   */
+
+  static validateRows(csv, schema) {
+    const rows = readCsvObjects(csv, schema);
+    if (!rows.length) throw new BadRequestError("CSV has a header but no rows");
+
+    for (let row of rows) {
+      if (!row.data) continue;
+      const validator = jsonschema.validate(row.data, schema);
+      row.errors.push(...validator.errors.map(e => e.stack));
+    }
+    return rows;
+  }
+
+  /** Insert the rows that have no errors (unless it's a dry run, or strict
+   * and some rows have errors), and build the report.
+   *
+   * insert: a function taking the good rows' data and returning the created
+   *         records
+   */
+
+  static async finish(rows, { dryRun, strict }, insert) {
+    const errors = rows
+        .filter(r => r.errors.length)
+        .map(r => ({ line: r.line, messages: r.errors }));
+    const good = rows.filter(r => !r.errors.length).map(r => r.data);
+
+    let imported = [];
+    if (!dryRun && good.length && !(strict && errors.length)) {
+      imported = await insert(good);
+    }
+
+    return { dryRun, strict, rows: rows.length, imported, errors };
+  }
+
+  /** Import companies from CSV text.
+   *
+   * The header uses the same names as POST /companies:
+   *   handle,name,description,numEmployees,logoUrl
+   *
+   * options: { dryRun, strict }
+   *   dryRun: check every row, but don't import anything
+   *   strict: don't import anything if any row has errors
+   *
+   * Returns the import report (see above), where imported is
+   *   [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *
+   * Throws BadRequestError if the CSV can't be read at all.
+   */
+
+  static async companies(csv, { dryRun = false, strict = false } = {}) {
+    return db.withTransaction(async client => {
+      const rows = this.validateRows(csv, companyNewSchema);
+
+      const checked = rows.filter(r => !r.errors.length);
+
+      // handles and names are unique in the database too, so a clash would
+      // otherwise fail the whole insert
+      const existing = await client.query(
+            `SELECT handle, name FROM companies WHERE handle = ANY($1) OR name = ANY($2)`,
+          [checked.map(r => r.data.handle), checked.map(r => r.data.name)]);
+      const handles = new Set(existing.rows.map(r => r.handle));
+      const names = new Set(existing.rows.map(r => r.name));
+
+      for (let row of checked) {
+        const { handle, name } = row.data;
+        if (handle !== handle.toLowerCase()) row.errors.push(`Handle must be lowercase: ${handle}`);
+        if (handles.has(handle)) row.errors.push(`Duplicate company: ${handle}`);
+        if (names.has(name)) row.errors.push(`Duplicate company name: ${name}`);
+        handles.add(handle);
+        names.add(name);
+      }
+
+      return this.finish(rows, { dryRun, strict }, async companies => {
+        const result = await client.query(
+              `INSERT INTO companies
+               (handle, name, description, num_employees, logo_url)
+               SELECT handle, name, description, "numEmployees", "logoUrl"
+               FROM jsonb_to_recordset($1::jsonb)
+                 AS r(handle TEXT, name TEXT, description TEXT,
+                      "numEmployees" INTEGER, "logoUrl" TEXT)
+               RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+            [JSON.stringify(companies)]);
+
+        for (let company of result.rows) {
+          await Audit.record("company", company.handle, "create", { after: company });
+        }
+        return result.rows;
+      });
+    });
+  }
+
+  /** Import jobs from CSV text.
+   *
+   * The header uses the same names as POST /jobs:
+   *   title,salary,equity,companyHandle,slug
+   *
+   * options: { dryRun, strict }, as for companies()
+   *
+   * Returns the import report (see above), where imported is
+   *   [{ id, title, salary, equity, companyhandle, slug }, ...], in file order
+   *
+   * Throws BadRequestError if the CSV can't be read at all.
+   */
+
+  static async jobs(csv, { dryRun = false, strict = false } = {}) {
+    return db.withTransaction(async client => {
+      const rows = this.validateRows(csv, jobNewSchema);
+      const checked = rows.filter(r => !r.errors.length);
+
+      const companiesRes = await client.query(
+            `SELECT handle FROM companies WHERE handle = ANY($1) AND deleted_at IS NULL FOR SHARE`,
+          [checked.map(r => r.data.companyHandle)]);
+      const companies = new Set(companiesRes.rows.map(r => r.handle));
+
+      const slugsRes = await client.query(
+            `SELECT slug FROM jobs WHERE slug = ANY($1)`,
+          [checked.filter(r => r.data.slug).map(r => r.data.slug)]);
+      const slugs = new Set(slugsRes.rows.map(r => r.slug));
+
+      for (let row of checked) {
+        const { companyHandle, slug } = row.data;
+        if (!companies.has(companyHandle)) row.errors.push(`No company: ${companyHandle}`);
+        if (slug) {
+          if (slugs.has(slug)) row.errors.push(`Duplicate job slug: ${slug}`);
+          slugs.add(slug);
+        }
+      }
+
+      return this.finish(rows, { dryRun, strict }, async jobs => {
+        const result = await client.query(
+              `INSERT INTO jobs
+               (title, salary, equity, company_handle, slug)
+               SELECT title, salary, equity, "companyHandle", slug
+               FROM jsonb_to_recordset($1::jsonb)
+                 AS r(title TEXT, salary INTEGER, equity NUMERIC,
+                      "companyHandle" TEXT, slug TEXT)
+               RETURNING id, title, salary, equity, company_handle AS companyHandle, slug`,
+            [JSON.stringify(jobs)]);
+
+        const created = result.rows.sort((a, b) => a.id - b.id);
+        for (let job of created) {
+          await Audit.record("job", job.id, "create", { after: job });
+          await JobAlert.recordForJob(job.id);
+          await Webhook.enqueue(job.companyhandle, "job.created", Webhook.jobData(job));
+        }
+        return created;
+      });
+    });
+  }
+}
+
+
+module.exports = BulkImport;
@@ -0,0 +1,146 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const BulkImport = require("./bulkImport.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const companiesCsv =
+    "handle,name,description,numEmployees,logoUrl\n" +
+    "new1,New One,First,10,http://new1.img\n" +
+    "c1,Dup,Already here,5,\n" +
+    "new2,New Two,,x,\n" +
+    'new3,"New, Three","Has ""quotes""",,\n';
+
+/************************************** companies */
+
+describe("companies", function () {
+  test("works: imports the good rows and reports the bad ones", async function () {
+    const report = await BulkImport.companies(companiesCsv);
+    expect(report).toEqual({
+      dryRun: false,
+      strict: false,
+      rows: 4,
+      imported: [
+        {
+          handle: "new1",
+          name: "New One",
+          description: "First",
+          numEmployees: 10,
+          logoUrl: "http://new1.img",
+        },
+        {
+          handle: "new3",
+          name: "New, Three",
+          description: 'Has "quotes"',
+          numEmployees: null,
+          logoUrl: null,
+        },
+      ],
+      errors: [
+        { line: 3, messages: ["Duplicate company: c1"] },
+        {
+          line: 4,
+          messages: [
+            "instance.numEmployees is not of a type(s) integer",
+            'instance requires property "description"',
+          ],
+        },
+      ],
+    });
+
+    const res = await db.query(
+        "SELECT handle FROM companies WHERE handle LIKE 'new%' ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["new1", "new3"]);
+  });
+
+  test("dry run imports nothing", async function () {
+    const report = await BulkImport.companies(companiesCsv, { dryRun: true });
+    expect(report.imported).toEqual([]);
+    expect(report.errors.length).toEqual(2);
+
+    const res = await db.query("SELECT handle FROM companies WHERE handle LIKE 'new%'");
+    expect(res.rows).toEqual([]);
+  });
+
+  test("strict imports nothing if any row is bad", async function () {
+    const report = await BulkImport.companies(companiesCsv, { strict: true });
+    expect(report.imported).toEqual([]);
+    expect(report.errors.length).toEqual(2);
+
+    const res = await db.query("SELECT handle FROM companies WHERE handle LIKE 'new%'");
+    expect(res.rows).toEqual([]);
+  });
+
+  test("reports handles and names repeated within the file", async function () {
+    const csv = "handle,name,description\n" +
+                "new1,New,d\n" +
+                "new1,Other,d\n" +
+                "new2,New,d\n" +
+                "New3,Upper,d\n";
+    const report = await BulkImport.companies(csv);
+    expect(report.imported.map(c => c.handle)).toEqual(["new1"]);
+    expect(report.errors).toEqual([
+      { line: 3, messages: ["Duplicate company: new1"] },
+      { line: 4, messages: ["Duplicate company name: New"] },
+      { line: 5, messages: ["Handle must be lowercase: New3"] },
+    ]);
+  });
+
+  test("bad request with no rows", async function () {
+    await expect(BulkImport.companies("handle,name,description\n"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** jobs */
+
+describe("jobs", function () {
+  test("works: imports the good rows in file order", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c3'");
+    const csv = "title,salary,equity,companyHandle,slug\n" +
+                "j1,100,0.1,c1,job-one\n" +
+                "j2,200,0,nope,\n" +
+                "j3,300,0,c3,\n" +
+                "j4,400,2,c1,\n" +
+                "j5,500,0,c2,job-one\n" +
+                "j6,600,0,c2,\n" +
+                "j7,700,,c2,\n";
+    const report = await BulkImport.jobs(csv);
+    expect(report.imported).toEqual([
+      {
+        id: expect.any(Number),
+        title: "j1",
+        salary: 100,
+        equity: "0.1",
+        companyhandle: "c1",
+        slug: "job-one",
+      },
+      {
+        id: expect.any(Number),
+        title: "j6",
+        salary: 600,
+        equity: "0",
+        companyhandle: "c2",
+        slug: null,
+      },
+    ]);
+    expect(report.errors).toEqual([
+      { line: 3, messages: ["No company: nope"] },
+      { line: 4, messages: ["No company: c3"] },
+      { line: 5, messages: ["instance.equity must have a maximum value of 1"] },
+      { line: 6, messages: ["Duplicate job slug: job-one"] },
+      { line: 8, messages: ['instance requires property "equity"'] },
+    ]);
+  });
+});
@@ -3,51 +3,21 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { sqlForFilters } = require("../helpers/filters");
+const Audit = require("./audit");
 
-/** Related functions for companies. */
-
-class Company {
-  /**
-   * Helper function that is used to format the request query string used in the 
-   * database query's WHERE clause in the "findAll" method. 
-   * 
-   * key: a key from request.query, but also the name of a column in the "companies" table
-   * idx: an index, used to prevent SQL injects with statements such as "WHERE name = $1"
-   * 
-   * return: No return; modifies the array member in place
-   */
+/** The filters Company.findAll takes (see helpers/filters.js). */
 
-  static makeKeyStatementsForWhereClauses(key, idx) {
-    if (key === "name") return ` ${key} ILIKE $${idx+1}`
-    if (key === "minEmployees") return `num_employees >= $${idx+1}`
-    if (key === "maxEmployees") return `num_employees <= $${idx+1}`
-  }
+const FILTERS = {
+  name: { column: "name", op: "ilike" },
+  minEmployees: { column: "num_employees", type: "integer", op: "gte" },
+  maxEmployees: { column: "num_employees", type: "integer", op: "lte" },
+};
 
-  /**
-   * Checking to make sure that the route's request query is valid, 
-   * and throwing errors if it isn't. 
-   * 
-   * query: the request.query object
-   * 
-   * keys: an array of the keys from the request.query object
-   * 
-   * return: null.
-   * 
-   */
-  static checkForBadQueries(query, keys) {
-    const validParams = ["name", "minEmployees", "maxEmployees"];
-    const invalidKeys = keys.filter(k => validParams.indexOf(k) === -1);
-    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query 
-                                                       string are invalid: [${invalidKeys}]`);
-    if (query.minEmployees && query.maxEmployees) {
-      const min = parseInt(query.minEmployees);
-      const max = parseInt(query.maxEmployees);
-      if (min > max) {
-        throw new BadRequestError("minEmployees cannot be greater than maxEmployees.");
-      };
-    };
-  };
+/** Related functions for companies. */
 
+class Company {
   /** Create a company (from data), update db, return new company data.
    *
    * data should be { handle, name, description, numEmployees, logoUrl }
@@ -58,62 +28,57 @@ class Company {
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
+    return db.withTransaction(async client => {
+      // ON CONFLICT rather than checking first, so two requests racing to
+      // make the same company can't both get past the check
+      const result = await client.query(
+            `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (handle) DO NOTHING
+             RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [
+            handle,
+            name,
+            description,
+            numEmployees,
+            logoUrl,
+          ],
+      );
+      const company = result.rows[0];
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
-    const result = await db.query(
-          `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-        [
-          handle,
-          name,
-          description,
-          numEmployees,
-          logoUrl,
-        ],
-    );
-    const company = result.rows[0];
+      if (!company) throw new BadRequestError(`Duplicate company: ${handle}`);
+      await Audit.record("company", company.handle, "create", { after: company });
 
-    return company;
+      return company;
+    });
   }
 
   /** Find all companies.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { companies, nextCursor, prevCursor }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
    * 
    * Accepts a query string: parameters are "name", "minEmployees", and "maxEmployees"
-   * if any parameters are given outside of those three terms, the method will throw a
-   * BadRequestError. 
+   * (see FILTERS above); if any parameters are given outside of those three terms
+   * (and the paging parameters below), the method will throw a BadRequestError,
+   * as it will for values of the wrong type, or minEmployees > maxEmployees.
    * 
-   * name: the name of a company
+   * name: part of the name of a company (not case sensitive)
    * minEmployees: the minimum number of employees a company will have
    * maxEmployees: the maximum number of employees a company will have
    * 
-   * One query is made for instances when there is no query string, and another query is 
-   * made to reflect the query string, meaning that the database query will only look for the values
-   * that were present in the query string itself; not all three possible values (unless all three were given).
-   * 
+   * Paging parameters (see helpers/pagination.js):
+   * limit: how many companies to return (default 50)
+   * after / before: the nextCursor / prevCursor from a previous page
+   * sort: any of "name", "handle", "numEmployees", comma separated, "-" prefix
+   *       for descending (default "name")
    * */
 
   static async findAll(query = {}) {
-    const keys = Object.keys(query);
-    this.checkForBadQueries(query, keys);
-    let queryKeys = keys.map((key, idx) => this.makeKeyStatementsForWhereClauses(key, idx)).join(" AND ");
-
-    if (query.name) {
-      query.name = `%${query.name}%`;
-    };
-
-    const values = Object.values(query);
-    let whereClause = queryKeys.length ? `WHERE ${queryKeys}` : "";
+    const { filtering, paging } = this.sqlForFindAll(query);
+    const conditions = ["deleted_at IS NULL", filtering.where, paging.where].filter(c => c.length);
+    let whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
 
     const companiesRes = await db.query(
       `SELECT handle,
@@ -123,10 +88,36 @@ class Company {
               logo_url AS "logoUrl"
         FROM companies
         ${whereClause}
-        ORDER BY name`, [...values]);
-    return companiesRes.rows;
+        ${paging.orderBy}
+        ${paging.limit}`, [...filtering.values, ...paging.values]);
+
+    const { rows, nextCursor, prevCursor } = paging.finish(companiesRes.rows);
+    return { companies: rows, nextCursor, prevCursor };
   };
 
+  /** The filtering and paging SQL for a findAll query (see
+   * helpers/filters.js and helpers/pagination.js).
+   *
+   * Throws BadRequestError on a bad query, so routes can check one before
+   * doing anything else with it.
+   */
+
+  static sqlForFindAll(query = {}) {
+    const { page, filters } = extractPageParams(query);
+    const filtering = sqlForFilters(filters, FILTERS);
+    const paging = sqlForPage(page, {
+      sortable: {
+        name: "name",
+        handle: "handle",
+        numEmployees: { column: "num_employees", type: "integer" },
+      },
+      defaultSort: "name",
+      tiebreaker: "handle",
+      paramOffset: filtering.values.length,
+    });
+    return { filtering, paging };
+  }
+
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
@@ -143,7 +134,7 @@ class Company {
                   num_employees AS "numEmployees",
                   logo_url AS "logoUrl"
            FROM companies
-           WHERE handle = $1`,
+           WHERE handle = $1 AND deleted_at IS NULL`,
         [handle]);
 
     const company = companyRes.rows[0];
@@ -153,6 +144,57 @@ class Company {
     return company;
   }
 
+  /** Given a list of company handles, return data about those companies.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...], in
+   * no particular order. Handles that aren't found (or were deleted) are
+   * left out.
+   **/
+
+  static async getMany(handles) {
+    const result = await db.query(
+          `SELECT handle,
+                  name,
+                  description,
+                  num_employees AS "numEmployees",
+                  logo_url AS "logoUrl"
+           FROM companies
+           WHERE handle = ANY($1) AND deleted_at IS NULL`,
+        [handles]);
+
+    return result.rows;
+  }
+
+  /** When companies last changed, for conditional GETs (see
+   * helpers/conditionalGet.js).
+   *
+   * Given a handle, it's for that company. Otherwise it's for all of them,
+   * deleted ones included, since deleting a company changes the lists.
+   *
+   * Returns { version, lastModified }
+   *   where version changes whenever the companies do, and lastModified is
+   *   when they last did
+   *
+   * Returns null if there's no such company (or no companies at all).
+   **/
+
+  static async versionInfo(handle) {
+    const result = handle === undefined
+        ? await db.query(
+              `SELECT COUNT(*) || '-' || MAX(updated_at) AS version,
+                      MAX(updated_at) AS "lastModified"
+               FROM companies`)
+        : await db.query(
+              `SELECT updated_at::TEXT AS version,
+                      updated_at AS "lastModified"
+               FROM companies
+               WHERE handle = $1 AND deleted_at IS NULL`,
+            [handle]);
+
+    const info = result.rows[0];
+    return info && info.lastModified ? info : null;
+  }
+
   /** Update company data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
@@ -166,47 +208,138 @@ class Company {
    */
 
   static async update(handle, data) {
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          numEmployees: "num_employees",
-          logoUrl: "logo_url",
-        });
-    const handleVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
-    const company = result.rows[0];
+    return db.withTransaction(async client => {
+      const { setCols, values } = sqlForPartialUpdate(
+          data,
+          {
+            numEmployees: "num_employees",
+            logoUrl: "logo_url",
+          });
+      const before = await this.get(handle);
+      const handleVarIdx = "$" + (values.length + 1);
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+      const querySql = `UPDATE companies 
+                        SET ${setCols}, updated_at = NOW()
+                        WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
+                        RETURNING handle, 
+                                  name, 
+                                  description, 
+                                  num_employees AS "numEmployees", 
+                                  logo_url AS "logoUrl"`;
+      const result = await client.query(querySql, [...values, handle]);
+      const company = result.rows[0];
 
-    return company;
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+      await Audit.record("company", handle, "update", { before, after: company });
+
+      return company;
+    });
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company; returns undefined.
+   *
+   * This is a soft delete: the company is only marked deleted, and can be
+   * brought back with restore() until it's purged. Its jobs are deleted with
+   * it (with the same deleted_at, so restoring the company restores exactly
+   * those jobs), and are included in the audit log entry.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
-    const result = await db.query(
-          `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
-        [handle]);
-    const company = result.rows[0];
+    return db.withTransaction(async client => {
+      const before = await this.get(handle);
+      const jobsRes = await client.query(
+            `SELECT id, title, salary, equity, slug
+             FROM jobs
+             WHERE company_handle = $1 AND deleted_at IS NULL
+             ORDER BY id`,
+          [handle]);
+      before.jobs = jobsRes.rows;
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+      const result = await client.query(
+            `WITH deleted AS (
+               UPDATE companies
+               SET deleted_at = NOW(), updated_at = NOW()
+               WHERE handle = $1 AND deleted_at IS NULL
+               RETURNING handle, deleted_at
+             ), deleted_jobs AS (
+               UPDATE jobs AS j
+               SET deleted_at = d.deleted_at, updated_at = d.deleted_at
+               FROM deleted AS d
+               WHERE j.company_handle = d.handle AND j.deleted_at IS NULL
+             )
+             SELECT handle FROM deleted`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+      await Audit.record("company", handle, "delete", { before });
+    });
+  }
+
+  /** Bring back a deleted company, along with the jobs deleted with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there is no deleted company with this handle.
+   **/
+
+  static async restore(handle) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `WITH old AS (
+               SELECT handle, deleted_at
+               FROM companies
+               WHERE handle = $1 AND deleted_at IS NOT NULL
+             ), restored_jobs AS (
+               UPDATE jobs AS j
+               SET deleted_at = NULL, updated_at = NOW()
+               FROM old
+               WHERE j.company_handle = old.handle AND j.deleted_at = old.deleted_at
+             )
+             UPDATE companies AS c
+             SET deleted_at = NULL, updated_at = NOW()
+             FROM old
+             WHERE c.handle = old.handle
+             RETURNING c.handle,
+                       c.name,
+                       c.description,
+                       c.num_employees AS "numEmployees",
+                       c.logo_url AS "logoUrl"`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+      await Audit.record("company", handle, "restore", { after: company });
+
+      return company;
+    });
+  }
+
+  /** Permanently remove companies (and their jobs) that were deleted more
+   * than `olderThanDays` days ago.
+   *
+   * Returns the handles of the companies removed.
+   **/
+
+  static async purge(olderThanDays) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM companies
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING handle`,
+          [olderThanDays]);
+
+      const handles = result.rows.map(r => r.handle);
+      for (let handle of handles) await Audit.record("company", handle, "purge");
+      return handles;
+    });
   }
 }
 
+Company.FILTERS = FILTERS;
+
 
 module.exports = Company;
@@ -54,13 +54,25 @@ describe("create", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request for one of two racing creates", async function () {
+    const results = await Promise.allSettled([
+      Company.create(newCompany),
+      Company.create(newCompany),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason).toBeInstanceOf(BadRequestError);
+
+    const audits = await db.query(`SELECT * FROM audit_log WHERE entity_id = 'new'`);
+    expect(audits.rows.length).toEqual(1);
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -91,7 +103,7 @@ describe("findAll", function () {
       minEmployees: 1,
       maxEmployees: 5
     };
-    const companies = await Company.findAll(queryString);
+    const { companies } = await Company.findAll(queryString);
     expect(companies).toEqual(
       [
         {
@@ -108,7 +120,7 @@ describe("findAll", function () {
     const queryString = {
       name: "c"
     };
-    const companies = await Company.findAll(queryString);
+    const { companies } = await Company.findAll(queryString);
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -138,7 +150,7 @@ describe("findAll", function () {
       name: "c",
       minEmployees: 2
     };
-    const companies = await Company.findAll(queryString);
+    const { companies } = await Company.findAll(queryString);
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -156,17 +168,38 @@ describe("findAll", function () {
       },
     ]);
   });
+  test("works: pages through results with cursors", async() => {
+    const first = await Company.findAll({ limit: 2 });
+    expect(first.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(first.prevCursor).toBeNull();
+
+    const second = await Company.findAll({ limit: 2, after: first.nextCursor });
+    expect(second.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(second.nextCursor).toBeNull();
+
+    const back = await Company.findAll({ limit: 2, before: second.prevCursor });
+    expect(back.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(back.prevCursor).toBeNull();
+  });
+  test("works: sort with filters", async() => {
+    const { companies } = await Company.findAll({ sort: "-numEmployees", minEmployees: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+  });
+  test("does not work: sort on a field that isn't allowed", async() => {
+    try {
+      await Company.findAll({ sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
   test("does not work: bad key in query", async() => {
     const queryString = {
       name: "c",
       minEmployees: 1,
       potato: "soup"
     };
-    const keys = Object.keys(queryString);
-    await expect(async() => {
-      Company.checkForBadQueries(queryString, keys)
-    }
-    ).rejects.toThrow();
+    await expect(Company.findAll(queryString)).rejects.toThrow(BadRequestError);
   });
   test("does not work: minEmployees > maxEmployees", async() => {
     const queryString = {
@@ -174,10 +207,16 @@ describe("findAll", function () {
       minEmployees: 5,
       maxEmployees: 1
     };
-    const keys = Object.keys(queryString);
-    await expect(async() => {
-      await Company.checkForBadQueries(queryString, keys);
-    }).rejects.toThrow(new BadRequestError("minEmployees cannot be greater than maxEmployees."));
+    await expect(Company.findAll(queryString))
+        .rejects.toThrow(new BadRequestError("minEmployees cannot be greater than maxEmployees."));
+  });
+  test("does not work: minEmployees isn't a number", async() => {
+    await expect(Company.findAll({ minEmployees: "lots" }))
+        .rejects.toThrow(new BadRequestError("minEmployees must be a number"));
+  });
+  test("works: % in name is matched literally", async() => {
+    const { companies } = await Company.findAll({ name: "%" });
+    expect(companies).toEqual([]);
   });
 });
 
@@ -205,6 +244,56 @@ describe("get", function () {
   });
 });
 
+/************************************** getMany */
+
+describe("getMany", function () {
+  test("works, leaving out handles that aren't found", async function () {
+    let companies = await Company.getMany(["c2", "c1", "nope"]);
+    expect(companies.map(c => c.handle).sort()).toEqual(["c1", "c2"]);
+    expect(companies).toContainEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+  });
+
+  test("leaves out deleted companies", async function () {
+    await Company.remove("c1");
+    expect(await Company.getMany(["c1"])).toEqual([]);
+  });
+});
+
+/************************************** versionInfo */
+
+describe("versionInfo", function () {
+  test("works: one company", async function () {
+    const info = await Company.versionInfo("c1");
+    expect(info).toEqual({ version: expect.any(String), lastModified: expect.any(Date) });
+
+    await Company.update("c1", { name: "New" });
+    const updated = await Company.versionInfo("c1");
+    expect(updated.version).not.toEqual(info.version);
+    expect(updated.lastModified >= info.lastModified).toBe(true);
+  });
+
+  test("works: all companies, changing when one is deleted", async function () {
+    const info = await Company.versionInfo();
+    await Company.remove("c1");
+    const removed = await Company.versionInfo();
+    expect(removed.version).not.toEqual(info.version);
+    await Company.restore("c1");
+    expect((await Company.versionInfo()).version).not.toEqual(removed.version);
+  });
+
+  test("null if no such company", async function () {
+    expect(await Company.versionInfo("nope")).toBeNull();
+    await Company.remove("c1");
+    expect(await Company.versionInfo("c1")).toBeNull();
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -287,8 +376,40 @@ describe("remove", function () {
   test("works", async function () {
     await Company.remove("c1");
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("deletes the company's jobs too", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0, 'c1')`);
+    await Company.remove("c1");
+    const res = await db.query(
+        "SELECT deleted_at FROM jobs WHERE company_handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("deleted companies are left out of findAll and get", async function () {
+    await Company.remove("c1");
+    const { companies } = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    try {
+      await Company.get("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.remove("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
   });
 
   test("not found if no such company", async function () {
@@ -300,3 +421,59 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works, bringing back only the jobs deleted with the company", async function () {
+    const jobsRes = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('old', 100, 0, 'c1'), ('live', 200, 0, 'c1')
+         RETURNING id, title`);
+    const oldId = jobsRes.rows.find(j => j.title === "old").id;
+    await db.query(
+        `UPDATE jobs SET deleted_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [oldId]);
+
+    await Company.remove("c1");
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+
+    const res = await db.query(
+        "SELECT title FROM jobs WHERE company_handle='c1' AND deleted_at IS NULL");
+    expect(res.rows.map(r => r.title)).toEqual(["live"]);
+  });
+
+  test("not found if the company isn't deleted", async function () {
+    try {
+      await Company.restore("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await Company.remove("c1");
+    await Company.remove("c2");
+    await db.query(
+        `UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days' WHERE handle = 'c1'`);
+
+    const handles = await Company.purge(30);
+    expect(handles).toEqual(["c1"]);
+
+    const res = await db.query(
+        "SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+  });
+});
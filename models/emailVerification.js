@@ -0,0 +1,76 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { APP_URL, EMAIL_VERIFICATION_TTL_HOURS } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification token is emailed to the user as a link. Only its hash is
+ * stored; it expires after EMAIL_VERIFICATION_TTL_HOURS and can only be used
+ * once. Each token remembers the address it was sent to, so a link sent
+ * before the user changed their email can't verify the new address.
+ */
+
+class EmailVerification {
+
+  /** Email a verification link for this user's address. Returns undefined. */
+
+  static async send(username, email) {
+    const { token, hash } = createOpaqueToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens
+           (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [hash, username, email, EMAIL_VERIFICATION_TTL_HOURS]);
+
+    await sendMail({
+      to: email,
+      subject: "Verify your Jobly email address",
+      text: `Please confirm that ${email} is the email address for the Jobly account "${username}":\n` +
+            `${APP_URL}/verify-email?token=${token}\n\n` +
+            `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    });
+  }
+
+  /** Verify a user's email using a verification token.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used,
+   * or if the user has changed their email since it was sent.
+   */
+
+  static async confirm(token) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE email_verification_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING username, email`,
+          [hashOpaqueToken(token)]);
+
+      const claimed = result.rows[0];
+      if (!claimed) throw new BadRequestError("Invalid or expired verification token");
+
+      const userRes = await client.query(
+            `UPDATE users
+             SET email_verified = TRUE
+             WHERE username = $1 AND email = $2 AND deleted_at IS NULL
+             RETURNING username, email`,
+          [claimed.username, claimed.email]);
+
+      const user = userRes.rows[0];
+      if (!user) {
+        throw new BadRequestError("This link is for an email address the account no longer uses");
+      }
+
+      return user;
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
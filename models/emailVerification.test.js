@@ -0,0 +1,106 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const { getMailer } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(() => getMailer().clear());
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the verification token out of the last email sent. */
+
+function tokenFromLastEmail() {
+  const { outbox } = getMailer();
+  return outbox[outbox.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works: emails a link, stores only the hash", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+
+    const { outbox } = getMailer();
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("u1@email.com");
+
+    const found = await db.query(
+        "SELECT token_hash, username, email FROM email_verification_tokens");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].username).toEqual("u1");
+    expect(found.rows[0].email).toEqual("u1@email.com");
+    expect(found.rows[0].token_hash).not.toEqual(tokenFromLastEmail());
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+    const result = await EmailVerification.confirm(tokenFromLastEmail());
+    expect(result).toEqual({ username: "u1", email: "u1@email.com" });
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("tokens only work once", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+    const token = tokenFromLastEmail();
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await EmailVerification.confirm(tokenFromLastEmail());
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the email has changed since", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+    const token = tokenFromLastEmail();
+    await db.query("UPDATE users SET email = 'other@email.com' WHERE username = 'u1'");
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(false);
+  });
+
+  test("bad request with unknown token", async function () {
+    try {
+      await EmailVerification.confirm("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -3,51 +3,84 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { sqlForFilters } = require("../helpers/filters");
+const Audit = require("./audit");
+const JobAlert = require("./jobAlert");
+const Notification = require("./notification");
+const Webhook = require("./webhook");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
 } = require("../expressError");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** The filters Job.findAll takes (see helpers/filters.js). */
+
+const FILTERS = {
+  title: { column: "title", op: "ilike" },
+  minSalary: { column: "salary", type: "integer", op: "gte" },
+  // true: only jobs with equity; false: only jobs without
+  hasEquity: { column: "(equity > 0)", type: "boolean" },
+  companyHandle: { column: "company_handle", op: "in" },
+  // jobs tagged with the technology (not case sensitive)
+  technology: {
+    where: param => `id IN (SELECT job_id
+                            FROM job_technologies
+                            WHERE technology = lower(trim(${param})))`,
+  },
+};
+
 /** Related functions for jobs. */
 
 class Job {
-    /**
-   * Helper function that is used to format the request query string used in the 
-   * database query's WHERE clause in the "findAll" method. 
+  /** Check that a slug isn't already used by another job.
    * 
-   * key: a key from request.query, but also the name of a column in the "jobs" table
-   * idx: an index, used to prevent SQL injects with statements such as "WHERE name = $1"
+   * parameters:
+   *    slug: the slug to check: a String
+   *    id: (optional) the id of the job that is allowed to keep this slug
    * 
-   * return: No return; modifies the array member in place
+   * return:
+   *    - raises BadRequestError if another job already has the slug
+   *    - returns undefined otherwise
    */
 
-  static makeKeyStatementsForWhereClauses(query, key, idx) {
-    const equityAmt = query.hasEquity === 'false' || !query.hasEquity ? '=' : '>';
+  static async checkForDuplicateSlug(slug, id = null) {
+    const duplicateCheck = await db.query(
+      `SELECT id
+       FROM jobs
+       WHERE slug = $1 AND id IS DISTINCT FROM $2`,
+       [slug, id]
+    );
 
-    if (key === "title") return ` ${key} ILIKE $${idx+1}`
-    if (key === "minSalary") return `salary >= $${idx+1}`
-    if (key === "hasEquity") return `equity ${equityAmt} $${idx+1}`
-  }
+    if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate job slug: ${slug}`);
+  };
 
-  /**
-   * Checking to make sure that the route's request query is valid, 
-   * and throwing errors if it isn't. 
-   * 
-   * query: the request.query object
-   * 
-   * keys: an array of the keys from the request.query object
+
+  /** Check that a company exists (and hasn't been deleted) before a job is
+   * added to it or moved to it.
    * 
-   * return: null.
+   * Inside a transaction, the company stays locked until it ends, so it
+   * can't be deleted before the job is saved.
    * 
+   * return:
+   *    - raises BadRequestError if there's no such company
+   *    - returns undefined otherwise
    */
-  static checkForBadQueries(keys) {
-    const validParams = ["title", "minSalary", "hasEquity"];
-    const invalidKeys = keys.filter(k => validParams.indexOf(k) === -1);
-    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query 
-                                                       string are invalid: [${invalidKeys}]`);
+
+  static async checkCompanyExists(companyHandle) {
+    const companyRes = await db.query(
+      `SELECT handle
+       FROM companies
+       WHERE handle = $1 AND deleted_at IS NULL
+       FOR SHARE`,
+       [companyHandle]
+    );
+
+    if (!companyRes.rows[0]) throw new BadRequestError(`No company: ${companyHandle}`);
   };
 
 
@@ -61,23 +94,38 @@ class Job {
    *    salary: the job salary, a Number
    *    equity: the equity issued, a Number
    *    companyHandle: the company's "nickname", a String
+   *    slug: (optional) a unique, human-readable name for the job, a String
+   * 
+   * Users with a saved search the new job matches get an alert for it (see
+   * models/jobAlert.js); so do they when an update makes a job match. The
+   * company's webhooks get a job.created event.
    * 
    * Return: 
-   *    the newly created job
+   *    the newly created job, including its id
+   *    raises BadRequestError if the company doesn't exist, or another job
+   *    already has the slug
    */
 
-  static async create({ title, salary, equity, companyHandle }) {
-    const result = await db.query(
-        `INSERT INTO jobs
-         (title, salary, equity, company_handle)
-         VALUES
-         ($1, $2, $3, $4)
-         RETURNING title, salary, equity, company_handle AS companyHandle`,
-         [title, salary, equity, companyHandle]
-    );
+  static async create({ title, salary, equity, companyHandle, slug = null }) {
+    return db.withTransaction(async client => {
+      await this.checkCompanyExists(companyHandle);
+      if (slug) await this.checkForDuplicateSlug(slug);
+
+      const result = await client.query(
+          `INSERT INTO jobs
+           (title, salary, equity, company_handle, slug)
+           VALUES
+           ($1, $2, $3, $4, $5)
+           RETURNING id, title, salary, equity, company_handle AS companyHandle, slug`,
+           [title, salary, equity, companyHandle, slug]
+      );
     
-    const newJob = result.rows[0];
-    return newJob;
+      const newJob = result.rows[0];
+      await Audit.record("job", newJob.id, "create", { after: newJob });
+      await JobAlert.recordForJob(newJob.id);
+      await Webhook.enqueue(companyHandle, "job.created", Webhook.jobData(newJob));
+      return newJob;
+    });
   };
 
 
@@ -86,116 +134,357 @@ class Job {
    * parameters:
    *    query: the request.query object, or an empty object if there
    *           is no request query
+   *      - filters (see FILTERS above): title, minSalary, hasEquity,
+   *        companyHandle (one or more, comma separated), and technology
+   *        (jobs tagged with it; not case sensitive)
+   *      - paging (see helpers/pagination.js): limit, after, before, and
+   *        sort, which can use any of "title", "salary", "equity",
+   *        "companyHandle" and "id" (default "title")
    * 
-   * return: an array of all job listings
+   * return: { jobs, nextCursor, prevCursor }
+   *    where jobs is an array of job listings, each including its id
+   *    raises BadRequestError on unknown filters or values of the wrong type
    */
 
   static async findAll(query = {}) {
-    const keys = Object.keys(query);
-    this.checkForBadQueries(keys);
-
-    let queryKeys = keys.map((key, idx) => this.makeKeyStatementsForWhereClauses(query, key, idx)).join(" AND ");
-    let whereClause = queryKeys.length ? `WHERE ${queryKeys}` : "";
-
-    if (query.title) query.title = `%${query.title}%`;
-
-    const values = Object.values(query).filter(v => [true, false, 'true', 'false'].indexOf(v) === -1);
-    if (query.hasEquity !== undefined) values.push('0');
+    const { filtering, paging } = this.sqlForFindAll(query);
+    const conditions = ["deleted_at IS NULL", filtering.where, paging.where].filter(c => c.length);
+    let whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
     
     const results = await db.query(
-      `SELECT title, salary, equity, company_handle AS companyHandle
+      `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
        FROM jobs
        ${whereClause}
-       ORDER BY title`,
-       [...values]
+       ${paging.orderBy}
+       ${paging.limit}`,
+       [...filtering.values, ...paging.values]
     );
 
-    return results.rows;
+    const { rows, nextCursor, prevCursor } = paging.finish(results.rows);
+    return { jobs: rows, nextCursor, prevCursor };
   };
 
+  /** The filtering and paging SQL for a findAll query (see
+   * helpers/filters.js and helpers/pagination.js).
+   *
+   * Throws BadRequestError on a bad query, so routes can check one before
+   * doing anything else with it.
+   */
+
+  static sqlForFindAll(query = {}) {
+    const { page, filters } = extractPageParams(query);
+    const filtering = sqlForFilters(filters, FILTERS);
+    const paging = sqlForPage(page, {
+      sortable: {
+        title: "title",
+        salary: { column: "salary", type: "integer" },
+        equity: { column: "equity", type: "numeric" },
+        companyHandle: { column: "company_handle", field: "companyhandle" },
+        id: { column: "id", type: "integer" },
+      },
+      defaultSort: "title",
+      tiebreaker: "id",
+      paramOffset: filtering.values.length,
+    });
+    return { filtering, paging };
+  }
+
 
-  /** Method used to get a job with a specific title.
+  /** Method used to turn whatever was given in the URL into a job id.
    * 
    * Parameters:
-   *    title: the title of the job to search for: a String
+   *    ref: a job id ("12"), a job slug ("senior-engineer-c1"), or, for the
+   *         deprecated title routes, a job title ("Engineer"): a String
+   * 
+   * Return:
+   *    { id, matchedBy } where matchedBy is "id", "slug" or "title"
+   * 
+   *    - raises NotFoundError if no job matches the slug or title
+   *    - raises ConflictError if the title matches more than one job, since
+   *      we can't tell which one was meant
+   */
+
+  static async resolve(ref) {
+    if (/^\d+$/.test(ref)) return { id: +ref, matchedBy: "id" };
+
+    const slugRes = await db.query(
+      `SELECT id
+       FROM jobs
+       WHERE slug = $1 AND deleted_at IS NULL`,
+       [ref]
+    );
+    if (slugRes.rows[0]) return { id: slugRes.rows[0].id, matchedBy: "slug" };
+
+    const titleRes = await db.query(
+      `SELECT id
+       FROM jobs
+       WHERE title = $1 AND deleted_at IS NULL
+       ORDER BY id`,
+       [ref]
+    );
+    const ids = titleRes.rows.map(r => r.id);
+
+    if (!ids.length) throw new NotFoundError(`No job: ${ref}`);
+    if (ids.length > 1) {
+      throw new ConflictError(`The job title "${ref}" matches more than one job (ids ${ids.join(", ")}); use /jobs/:id instead`);
+    }
+    return { id: ids[0], matchedBy: "title" };
+  };
+
+
+  /** Method used to get a job by its id.
+   * 
+   * Parameters:
+   *    id: the id of the job to search for: a Number
    * 
    * Return:
    *    - if no job is found, raises NotFoundError
    *    - otherwise, returns the data about the job
    */
 
-  static async get(title) {
+  static async get(id) {
     const result = await db.query(
-      `SELECT title, salary, equity, company_handle AS companyHandle
+      `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
        FROM jobs
-       WHERE title = $1`,
-       [title]
+       WHERE id = $1 AND deleted_at IS NULL`,
+       [id]
     );
 
     const job = result.rows[0];
-    if (!job) throw new NotFoundError(`No job with the following title: ${title}`);
+    if (!job) throw new NotFoundError(`No job: ${id}`);
     return job;
   };
 
 
+  /** Method used to get several jobs by their ids at once.
+   * 
+   * Parameters:
+   *    ids: the ids of the jobs to get: an array of Numbers
+   * 
+   * Return:
+   *    - the jobs found, in no particular order; ids that aren't found (or
+   *      were deleted) are left out
+   */
+
+  static async getMany(ids) {
+    const result = await db.query(
+      `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
+       FROM jobs
+       WHERE id = ANY($1) AND deleted_at IS NULL`,
+       [ids]
+    );
+    return result.rows;
+  };
+
+
+  /** Method used to get every open job at several companies at once.
+   * 
+   * Parameters:
+   *    handles: the companies' handles: an array of Strings
+   * 
+   * Return:
+   *    - the companies' jobs (not deleted ones), in id order
+   */
+
+  static async findForCompanies(handles) {
+    const result = await db.query(
+      `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
+       FROM jobs
+       WHERE company_handle = ANY($1) AND deleted_at IS NULL
+       ORDER BY id`,
+       [handles]
+    );
+    return result.rows;
+  };
+
+
+  /** Method used to find out when jobs last changed, for conditional GETs
+   * (see helpers/conditionalGet.js).
+   * 
+   * Parameters:
+   *    id: a job's id, for just that job; otherwise it's for every job,
+   *        deleted ones included, since deleting a job changes the lists
+   * 
+   * Return:
+   *    - { version, lastModified }, where version changes whenever the jobs
+   *      do, and lastModified is when they last did
+   *    - null if there's no such job (or no jobs at all)
+   */
+
+  static async versionInfo(id) {
+    const result = id === undefined
+      ? await db.query(
+          `SELECT COUNT(*) || '-' || MAX(updated_at) AS version,
+                  MAX(updated_at) AS "lastModified"
+           FROM jobs`)
+      : await db.query(
+          `SELECT updated_at::TEXT AS version,
+                  updated_at AS "lastModified"
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`,
+           [id]
+        );
+
+    const info = result.rows[0];
+    return info && info.lastModified ? info : null;
+  };
+
+
   /** Method used to update an existing job.
    * 
    * parameters:
-   *    title: the title of the job to uppdate: a String
+   *    id: the id of the job to update: a Number
    *    data: all of the new data to update in the database: an Object
    *      - data can include, but does not have to include, all of the following:
-   *          { title, salary, equity, companyHandle }
+   *          { title, salary, equity, companyHandle, slug }
+   * 
+   * Everyone who applied to the job gets a job-updated notification.
    * 
    * return:
-   *    raises NotFoundError if no job with that title is found
+   *    raises NotFoundError if no job with that id is found
+   *    raises BadRequestError if another job already has the new slug, or
+   *      the job is being moved to a company that doesn't exist
    *    otherwise returns the job with updated data
    */
 
-  static async update(title, data) {
-    const { setCols, values } = sqlForPartialUpdate(
-      data,
-      {
-        companyHandle: "company_handle",
+  static async update(id, data) {
+    return db.withTransaction(async client => {
+      if (data.slug) await this.checkForDuplicateSlug(data.slug, id);
+      if (data.companyHandle !== undefined) await this.checkCompanyExists(data.companyHandle);
+
+      const { setCols, values } = sqlForPartialUpdate(
+        data,
+        {
+          companyHandle: "company_handle",
+        });
+      const before = await this.get(id);
+      const idVarIdx = "$" + (values.length + 1);
+
+      const querySql = `UPDATE jobs 
+                        SET ${setCols}, updated_at = NOW()
+                        WHERE id = ${idVarIdx} AND deleted_at IS NULL
+                        RETURNING id,
+                                  title, 
+                                  salary, 
+                                  equity, 
+                                  company_handle AS companyHandle,
+                                  slug`;
+      const result = await client.query(querySql, [...values, id]);
+      const job = result.rows[0];
+
+      if (!job) throw new NotFoundError(`No job: ${id}`);
+      await Audit.record("job", id, "update", { before, after: job });
+      await JobAlert.recordForJob(id);
+      await Notification.notifyApplicants(id, "job-updated", {
+        jobId: job.id,
+        title: job.title,
+        changed: Object.keys(data),
       });
-    const handleVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE jobs 
-                      SET ${setCols} 
-                      WHERE title = ${handleVarIdx} 
-                      RETURNING title, 
-                                salary, 
-                                equity, 
-                                company_handle AS companyHandle`;
-    const result = await db.query(querySql, [...values, title]);
-    const job = result.rows[0];
-
-    if (!job) throw new NotFoundError(`No company: ${title}`);
 
-    return job;
+      return job;
+    });
   }
 
 
-  /** Method used to delete jobs from the database.
+  /** Method used to delete jobs.
+   * 
+   * This is a soft delete: the job is only marked deleted (so applications to
+   * it are kept), and can be brought back with "restore" until it's purged.
+   * Everyone who applied to the job gets a job-deleted notification, and the
+   * company's webhooks get a job.deleted event.
    * 
    * Parameters:
-   *    -title: the title of the job to delete: a String
+   *    -id: the id of the job to delete: a Number
    * 
    * Return:
    *    - raises NotFoundError if the job does not exists
    *    - returns null otherwise
    */
 
-  static async remove(title) {
-    const result = await db.query(
-          `DELETE
-           FROM jobs
-           WHERE title = $1
-           RETURNING title`,
-        [title]);
-    const job = result.rows[0];
+  static async remove(id) {
+    return db.withTransaction(async client => {
+      const before = await this.get(id);
+      const result = await client.query(
+            `UPDATE jobs
+             SET deleted_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL
+             RETURNING id`,
+          [id]);
+      const job = result.rows[0];
+
+      if (!job) throw new NotFoundError(`No job: ${id}`);
+      await Audit.record("job", id, "delete", { before });
+      await Notification.notifyApplicants(id, "job-deleted", { jobId: before.id, title: before.title });
+      await Webhook.enqueue(before.companyhandle, "job.deleted", { id: before.id, title: before.title });
+    });
+  };
 
-    if (!job) throw new NotFoundError(`No company: ${title}`);
+
+  /** Method used to bring back a deleted job.
+   * 
+   * Parameters:
+   *    -id: the id of the job to restore: a Number
+   * 
+   * Return:
+   *    - raises NotFoundError if there is no deleted job with that id
+   *    - raises BadRequestError if the job's company is deleted too (restore
+   *      the company first)
+   *    - returns the job otherwise
+   */
+
+  static async restore(id) {
+    return db.withTransaction(async client => {
+      const found = await client.query(
+            `SELECT j.company_handle AS "companyHandle",
+                    c.deleted_at AS "companyDeletedAt"
+             FROM jobs AS j
+               JOIN companies AS c ON c.handle = j.company_handle
+             WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+          [id]);
+
+      const deleted = found.rows[0];
+      if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+      if (deleted.companyDeletedAt) {
+        throw new BadRequestError(`Company ${deleted.companyHandle} is deleted; restore it first`);
+      }
+
+      const result = await client.query(
+            `UPDATE jobs
+             SET deleted_at = NULL, updated_at = NOW()
+             WHERE id = $1
+             RETURNING id, title, salary, equity, company_handle AS companyHandle, slug`,
+          [id]);
+      const job = result.rows[0];
+      await Audit.record("job", id, "restore", { after: job });
+
+      return job;
+    });
+  };
+
+
+  /** Method used to permanently remove jobs deleted more than
+   * "olderThanDays" days ago.
+   * 
+   * Return:
+   *    - the ids of the jobs removed
+   */
+
+  static async purge(olderThanDays) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM jobs
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING id`,
+          [olderThanDays]);
+
+      const ids = result.rows.map(r => r.id);
+      for (let id of ids) await Audit.record("job", id, "purge");
+      return ids;
+    });
   };
 };
 
+Job.FILTERS = FILTERS;
+
 module.exports = Job;
\ No newline at end of file
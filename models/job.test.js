@@ -1,29 +1,36 @@
 const db = require("../db");
 
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, NotFoundError, ConflictError } = require("../expressError");
 const Job = require("./job");
+const Company = require("./company");
 
+let jobIds;
 
 beforeEach(async() => {
+    // other test files leave their companies behind
+    await db.query("DELETE FROM companies");
     await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
     VALUES ('c1', 'C1', 1, 'Desc1', 'http://c1.img'),
            ('c2', 'C2', 2, 'Desc2', 'http://c2.img'),
            ('c3', 'C3', 3, 'Desc3', 'http://c3.img')`);
 
-    await db.query(
+    const result = await db.query(
         `INSERT INTO jobs
          (title, salary, equity, company_handle)
          VALUES
          ('manager', 75000, 0.10, 'c1'),
          ('cook', 90000, 0.0, 'c2'),
-         ('teacher', 50000, 0.15, 'c3')`
+         ('teacher', 50000, 0.15, 'c3')
+         RETURNING id, title`
     );    
+    jobIds = Object.fromEntries(result.rows.map(r => [r.title, r.id]));
 });
 
 afterEach(async() => {
     await db.query("DELETE FROM companies");
     await db.query("DELETE FROM jobs");
+    await db.query("DELETE FROM technologies");
 });
 
 afterAll(async() => {
@@ -44,10 +51,12 @@ describe("create", function () {
       };
       let job = await Job.create(newJob);
       expect(job).toEqual({
+          id: expect.any(Number),
           title: "new",
           salary: 67000,
           equity: "0.3",
-          companyhandle: "c1"
+          companyhandle: "c1",
+          slug: null
       });
   
       const result = await db.query(
@@ -69,25 +78,31 @@ describe("create", function () {
   
   describe("findAll", function () {
     test("works: no filter", async function () {
-      let jobs = await Job.findAll();
+      let { jobs } = await Job.findAll();
       expect(jobs).toEqual([
         {
+          id: jobIds.cook,
           title: "cook",
           salary: 90000,
           equity: "0.0",
-          companyhandle: "c2"
+          companyhandle: "c2",
+          slug: null
         },
         {
+            id: jobIds.manager,
             title: "manager",
             salary: 75000,
             equity: "0.10",
-            companyhandle: "c1"
+            companyhandle: "c1",
+            slug: null
         },
         {
+          id: jobIds.teacher,
           title: "teacher",
           salary: 50000,
           equity: "0.15",
-          companyhandle: "c3"
+          companyhandle: "c3",
+          slug: null
         },
       ]);
     });
@@ -97,14 +112,16 @@ describe("create", function () {
         minSalary: 50000,
         hasEquity: true
       };
-      const jobs = await Job.findAll(queryString);
+      const { jobs } = await Job.findAll(queryString);
       expect(jobs).toEqual(
         [
           {
+            id: jobIds.manager,
             title: "manager",
             salary: 75000,
             equity: "0.10",
-            companyhandle: "c1"
+            companyhandle: "c1",
+            slug: null
           }
         ]
       );
@@ -113,19 +130,23 @@ describe("create", function () {
       const queryString = {
         title: "c"
       };
-      const jobs = await Job.findAll(queryString);
+      const { jobs } = await Job.findAll(queryString);
       expect(jobs).toEqual([
         {
+            id: jobIds.cook,
             title: "cook",
             salary: 90000,
             equity: "0.0",
-            companyhandle: "c2"
+            companyhandle: "c2",
+            slug: null
         },
         {
+            id: jobIds.teacher,
             title: "teacher",
             salary: 50000,
             equity: "0.15",
-            companyhandle: "c3"
+            companyhandle: "c3",
+            slug: null
         },
       ]);
     });
@@ -134,26 +155,66 @@ describe("create", function () {
         title: "c",
         hasEquity: true
       };
-      const jobs = await Job.findAll(queryString);
+      const { jobs } = await Job.findAll(queryString);
       expect(jobs).toEqual([
         {
+            id: jobIds.teacher,
             title: "teacher",
             salary: 50000,
             equity: "0.15",
-            companyhandle: "c3"
+            companyhandle: "c3",
+            slug: null
         },
       ]);
     });
+    test("works: multi-key sort and cursors", async() => {
+      await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('baker', 90000, 0.0, 'c1')`);
+      const first = await Job.findAll({ sort: "-salary,title", limit: 2 });
+      expect(first.jobs.map(j => j.title)).toEqual(["baker", "cook"]);
+
+      const second = await Job.findAll({ sort: "-salary,title", limit: 2, after: first.nextCursor });
+      expect(second.jobs.map(j => j.title)).toEqual(["manager", "teacher"]);
+      expect(second.nextCursor).toBeNull();
+    });
+    test("works: paging together with filters", async() => {
+      const first = await Job.findAll({ title: "c", limit: 1 });
+      expect(first.jobs.map(j => j.title)).toEqual(["cook"]);
+      const second = await Job.findAll({ title: "c", limit: 1, after: first.nextCursor });
+      expect(second.jobs.map(j => j.title)).toEqual(["teacher"]);
+      expect(second.nextCursor).toBeNull();
+    });
+    test("works: filter by technology, with other filters", async() => {
+      await db.query(`INSERT INTO technologies (name) VALUES ('sql')`);
+      await db.query(
+        `INSERT INTO job_technologies (job_id, technology)
+         VALUES ($1, 'sql'), ($2, 'sql')`,
+        [jobIds.manager, jobIds.cook]);
+      const { jobs } = await Job.findAll({ technology: "SQL", minSalary: 80000 });
+      expect(jobs.map(j => j.title)).toEqual(["cook"]);
+    });
     test("does not work: bad key in query", async() => {
       const queryString = {
         title: "c",
         minSalary: 1,
         potato: "soup"
       };
-      const keys = Object.keys(queryString);
-      await expect(() => {
-          Job.checkForBadQueries(keys);
-      }).toThrow();
+      await expect(Job.findAll(queryString)).rejects.toThrow(BadRequestError);
+    });
+    test("does not work: hasEquity isn't true or false", async() => {
+      await expect(Job.findAll({ hasEquity: "yes" }))
+          .rejects.toThrow(new BadRequestError("hasEquity must be true or false"));
+    });
+    test("works: hasEquity false finds jobs without equity", async() => {
+      const { jobs } = await Job.findAll({ hasEquity: "false" });
+      expect(jobs.map(j => j.title)).toEqual(["cook"]);
+    });
+    test("works: companyHandle takes several handles", async() => {
+      const { jobs } = await Job.findAll({ companyHandle: "c1,c2", minSalary: "80000" });
+      expect(jobs.map(j => j.title)).toEqual(["cook"]);
+      const all = await Job.findAll({ companyHandle: ["c1", "c3"] });
+      expect(all.jobs.map(j => j.title)).toEqual(["manager", "teacher"]);
     });
   });
   
@@ -161,20 +222,22 @@ describe("create", function () {
   
   describe("get", function () {
     test("works", async function () {
-      let job = await Job.get("manager");
+      let job = await Job.get(jobIds.manager);
       expect(job).toEqual(
         {
+            id: jobIds.manager,
             title: "manager",
             salary: 75000,
             equity: "0.10",
-            companyhandle: "c1"
+            companyhandle: "c1",
+            slug: null
         }
       );
     });
   
     test("not found if no such job", async function () {
       try {
-        await Job.get("nope");
+        await Job.get(0);
         fail();
       } catch (err) {
         expect(err instanceof NotFoundError).toBeTruthy();
@@ -182,6 +245,117 @@ describe("create", function () {
     });
   });
   
+  /************************************** getMany */
+
+  describe("getMany", function () {
+    test("works, leaving out ids that aren't found", async function () {
+      let jobs = await Job.getMany([jobIds.cook, jobIds.manager, 0]);
+      expect(jobs.map(j => j.title).sort()).toEqual(["cook", "manager"]);
+      expect(jobs).toContainEqual({
+        id: jobIds.cook,
+        title: "cook",
+        salary: 90000,
+        equity: "0.0",
+        companyhandle: "c2",
+        slug: null
+      });
+    });
+
+    test("leaves out deleted jobs", async function () {
+      await Job.remove(jobIds.cook);
+      let jobs = await Job.getMany([jobIds.cook]);
+      expect(jobs).toEqual([]);
+    });
+  });
+
+  /************************************** findForCompanies */
+
+  describe("findForCompanies", function () {
+    test("works", async function () {
+      await Job.create({ title: "chef", salary: 1, equity: 0, companyHandle: "c2" });
+      await Job.remove(jobIds.teacher);
+      let jobs = await Job.findForCompanies(["c2", "c3"]);
+      expect(jobs.map(j => [j.title, j.companyhandle])).toEqual([
+        ["cook", "c2"],
+        ["chef", "c2"],
+      ]);
+    });
+  });
+  
+  /************************************** versionInfo */
+
+  describe("versionInfo", function () {
+    test("works: one job", async function () {
+      const info = await Job.versionInfo(jobIds.cook);
+      expect(info).toEqual({ version: expect.any(String), lastModified: expect.any(Date) });
+
+      await Job.update(jobIds.cook, { salary: 1 });
+      expect((await Job.versionInfo(jobIds.cook)).version).not.toEqual(info.version);
+    });
+
+    test("works: all jobs, changing when one is deleted or restored", async function () {
+      const info = await Job.versionInfo();
+      await Job.remove(jobIds.cook);
+      const removed = await Job.versionInfo();
+      expect(removed.version).not.toEqual(info.version);
+      await Job.restore(jobIds.cook);
+      expect((await Job.versionInfo()).version).not.toEqual(removed.version);
+    });
+
+    test("deleting and restoring a company changes its jobs", async function () {
+      await db.query("UPDATE jobs SET updated_at = '2000-01-01'");
+      await Company.remove("c2");
+      await Company.restore("c2");
+      const cook = await Job.versionInfo(jobIds.cook);
+      expect(cook.lastModified.getFullYear()).toBeGreaterThan(2000);
+      const manager = await Job.versionInfo(jobIds.manager);
+      expect(manager.lastModified.getFullYear()).toEqual(2000);
+    });
+
+    test("null if no such job", async function () {
+      expect(await Job.versionInfo(0)).toBeNull();
+    });
+  });
+  
+  /************************************** resolve */
+
+  describe("resolve", function () {
+    test("works: id", async function () {
+      const result = await Job.resolve(String(jobIds.cook));
+      expect(result).toEqual({ id: jobIds.cook, matchedBy: "id" });
+    });
+
+    test("works: slug", async function () {
+      await Job.update(jobIds.cook, { slug: "head-cook" });
+      const result = await Job.resolve("head-cook");
+      expect(result).toEqual({ id: jobIds.cook, matchedBy: "slug" });
+    });
+
+    test("works: unique title", async function () {
+      const result = await Job.resolve("teacher");
+      expect(result).toEqual({ id: jobIds.teacher, matchedBy: "title" });
+    });
+
+    test("conflict if title matches more than one job", async function () {
+      await Job.create({ title: "teacher", salary: 1, equity: 0, companyHandle: "c1" });
+      try {
+        await Job.resolve("teacher");
+        fail();
+      } catch (err) {
+        expect(err instanceof ConflictError).toBeTruthy();
+      }
+    });
+
+    test("not found if nothing matches", async function () {
+      try {
+        await Job.resolve("nope");
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    });
+  });
+
 //   /************************************** update */
   
   describe("update", function () {
@@ -190,23 +364,27 @@ describe("create", function () {
          salary: 90000
       };
 
-      let job = await Job.update("manager", updateData);
+      let job = await Job.update(jobIds.manager, updateData);
       expect(job).toEqual({
+        id: jobIds.manager,
         title: "manager",
         salary: 90000,
         equity: "0.10",
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       });
   
       const result = await db.query(
-            `SELECT title, salary, equity, company_handle AS companyHandle
+            `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
              FROM jobs
              WHERE title = 'manager'`);
       expect(result.rows).toEqual([{
+        id: jobIds.manager,
         title: "manager",
         salary: 90000,
         equity: "0.10",
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       }]);
     });
   
@@ -218,26 +396,40 @@ describe("create", function () {
         companyHandle: "c1"
       };
   
-      let job = await Job.update("manager", updateDataSetNulls);
+      let job = await Job.update(jobIds.manager, updateDataSetNulls);
       expect(job).toEqual({
+        id: jobIds.manager,
         title: "manager",
         salary: null,
         equity: null,
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       });
   
       const result = await db.query(
-            `SELECT title, salary, equity, company_handle AS companyHandle
+            `SELECT id, title, salary, equity, company_handle AS companyHandle, slug
              FROM jobs
              WHERE title = 'manager'`);
       expect(result.rows).toEqual([{
+        id: jobIds.manager,
         title: "manager",
         salary: null,
         equity: null,
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       }]);
     });
   
+    test("bad request with duplicate slug", async function () {
+      await Job.update(jobIds.cook, { slug: "head-cook" });
+      try {
+        await Job.update(jobIds.manager, { slug: "head-cook" });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    });
+
     test("not found if no such job", async function () {
       const updateData = {
         salary: 90000
@@ -264,10 +456,15 @@ describe("create", function () {
   
 describe("remove", function () {
     test("works", async function () {
-        await Job.remove("manager");
+        await Job.remove(jobIds.manager);
         const res = await db.query(
-            "SELECT title FROM jobs WHERE title = 'manager'");
-        expect(res.rows.length).toEqual(0);
+            "SELECT deleted_at FROM jobs WHERE title = 'manager'");
+        expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    });
+
+    test("deleted jobs are left out of get", async function () {
+        await Job.remove(jobIds.manager);
+        await expect(Job.get(jobIds.manager)).rejects.toThrow(NotFoundError);
     });
 
     test("not found if no such job", async function () {
@@ -278,4 +475,52 @@ describe("remove", function () {
         expect(err.message).toEqual("job is not defined")
         };
     });
-});
\ No newline at end of file
+});
+
+//   /************************************** restore */
+
+describe("restore", function () {
+    test("works", async function () {
+        await Job.remove(jobIds.manager);
+        const job = await Job.restore(jobIds.manager);
+        expect(job).toEqual({
+            id: jobIds.manager,
+            title: "manager",
+            salary: 75000,
+            equity: "0.10",
+            companyhandle: "c1",
+            slug: null,
+        });
+        const res = await db.query(
+            "SELECT deleted_at FROM jobs WHERE id = $1", [jobIds.manager]);
+        expect(res.rows[0].deleted_at).toBeNull();
+    });
+
+    test("not found if the job isn't deleted", async function () {
+        await expect(Job.restore(jobIds.manager)).rejects.toThrow(NotFoundError);
+    });
+
+    test("bad request if the job's company is deleted", async function () {
+        await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+        await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobIds.manager]);
+        await expect(Job.restore(jobIds.manager)).rejects.toThrow(BadRequestError);
+    });
+});
+
+//   /************************************** purge */
+
+describe("purge", function () {
+    test("works", async function () {
+        await Job.remove(jobIds.manager);
+        await Job.remove(jobIds.cook);
+        await db.query(
+            `UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1`,
+            [jobIds.manager]);
+
+        const ids = await Job.purge(30);
+        expect(ids).toEqual([jobIds.manager]);
+
+        const res = await db.query("SELECT title FROM jobs ORDER BY title");
+        expect(res.rows.map(r => r.title)).toEqual(["cook", "teacher"]);
+    });
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for job alerts: a note to a user that a job matching one
+ * of their saved searches (see models/savedSearch.js) was posted or changed.
+ */
+
+class JobAlert {
+
+  /** Record an alert for every saved search a job matches; returns how many
+   * new alerts were made.
+   *
+   * A search matches the way GET /jobs filters. Title is a case-insensitive
+   * partial match, and %, _ and \ in it match only themselves. Salary must be
+   * at least minSalary. hasEquity true / false means equity above / equal to
+   * zero. A search only gets one alert per job, however often the job
+   * changes.
+   *
+   * Called by the Job model whenever a job is created or updated.
+   */
+
+  static async recordForJob(jobId) {
+    const result = await db.query(
+          `INSERT INTO job_alerts (saved_search_id, job_id)
+           SELECT s.id, j.id
+           FROM saved_searches AS s
+             JOIN users AS u ON u.username = s.username
+             JOIN jobs AS j
+               ON (s.title IS NULL
+                   OR j.title ILIKE '%' || replace(replace(replace(s.title,
+                                           '\\', '\\\\'), '%', '\\%'), '_', '\\_') || '%')
+              AND (s.min_salary IS NULL OR j.salary >= s.min_salary)
+              AND (s.has_equity IS NULL
+                   OR (s.has_equity AND j.equity > 0)
+                   OR (NOT s.has_equity AND j.equity = 0))
+           WHERE j.id = $1 AND j.deleted_at IS NULL AND u.deleted_at IS NULL
+           ON CONFLICT DO NOTHING`,
+        [jobId]);
+
+    return result.rowCount;
+  }
+
+  /** Find a user's alerts, newest first.
+   *
+   * unread: if true, only the alerts that haven't been read
+   *
+   * Alerts for jobs that have since been deleted are left out.
+   *
+   * Returns [{ id, search: { id, name }, job: { id, title, salary, equity,
+   *            companyHandle, slug }, createdAt, readAt }, ...]
+   */
+
+  static async findForUser(username, { unread = false } = {}) {
+    const result = await db.query(
+          `SELECT a.id,
+                  s.id AS "searchId",
+                  s.name AS "searchName",
+                  j.id AS "jobId",
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  j.slug,
+                  a.created_at AS "createdAt",
+                  a.read_at AS "readAt"
+           FROM job_alerts AS a
+             JOIN saved_searches AS s ON s.id = a.saved_search_id
+             JOIN jobs AS j ON j.id = a.job_id
+           WHERE s.username = $1
+             AND j.deleted_at IS NULL
+             AND ($2 = FALSE OR a.read_at IS NULL)
+           ORDER BY a.created_at DESC, a.id DESC`,
+        [username, unread]);
+
+    return result.rows.map(r => ({
+      id: r.id,
+      search: { id: r.searchId, name: r.searchName },
+      job: {
+        id: r.jobId,
+        title: r.title,
+        salary: r.salary,
+        equity: r.equity,
+        companyHandle: r.companyHandle,
+        slug: r.slug,
+      },
+      createdAt: r.createdAt,
+      readAt: r.readAt,
+    }));
+  }
+
+  /** Mark one of a user's alerts read. Marking it twice is fine.
+   *
+   * Returns { id, readAt }
+   *
+   * Throws NotFoundError if the user has no such alert.
+   */
+
+  static async markRead(username, id) {
+    const result = await db.query(
+          `UPDATE job_alerts AS a
+           SET read_at = COALESCE(a.read_at, NOW())
+           FROM saved_searches AS s
+           WHERE s.id = a.saved_search_id AND s.username = $1 AND a.id = $2
+           RETURNING a.id, a.read_at AS "readAt"`,
+        [username, id]);
+
+    const alert = result.rows[0];
+    if (!alert) throw new NotFoundError(`No alert: ${id}`);
+    return alert;
+  }
+
+  /** Mark all of a user's unread alerts read; returns how many there were. */
+
+  static async markAllRead(username) {
+    const result = await db.query(
+          `UPDATE job_alerts AS a
+           SET read_at = NOW()
+           FROM saved_searches AS s
+           WHERE s.id = a.saved_search_id AND s.username = $1 AND a.read_at IS NULL`,
+        [username]);
+
+    return result.rowCount;
+  }
+}
+
+
+module.exports = JobAlert;
@@ -0,0 +1,147 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const JobAlert = require("./jobAlert.js");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let searches;
+beforeEach(async () => {
+  searches = {
+    engineer: await SavedSearch.create("u1", { name: "engineer", filters: { title: "Engineer" } }),
+    rich: await SavedSearch.create("u1", { name: "rich", filters: { minSalary: 200000 } }),
+    equity: await SavedSearch.create("u2", { name: "equity", filters: { hasEquity: true } }),
+    noEquity: await SavedSearch.create("u2", { name: "no equity", filters: { hasEquity: false } }),
+  };
+});
+
+function alertSearches(alerts) {
+  return alerts.map(a => a.search.name).sort();
+}
+
+/************************************** recordForJob */
+
+describe("recordForJob", function () {
+  test("Job.create alerts every matching search", async function () {
+    const job = await Job.create({ title: "Senior engineer", salary: 250000, equity: 0.1, companyHandle: "c1" });
+
+    const u1Alerts = await JobAlert.findForUser("u1");
+    expect(alertSearches(u1Alerts)).toEqual(["engineer", "rich"]);
+    expect(u1Alerts[0]).toEqual({
+      id: expect.any(Number),
+      search: { id: expect.any(Number), name: expect.any(String) },
+      job: {
+        id: job.id,
+        title: "Senior engineer",
+        salary: 250000,
+        equity: "0.1",
+        companyHandle: "c1",
+        slug: null,
+      },
+      createdAt: expect.any(Date),
+      readAt: null,
+    });
+    expect(alertSearches(await JobAlert.findForUser("u2"))).toEqual(["equity"]);
+  });
+
+  test("% and _ in a search's title match only themselves", async function () {
+    await SavedSearch.create("u2", { name: "percent", filters: { title: "100%" } });
+    await SavedSearch.create("u2", { name: "underscore", filters: { title: "a_b" } });
+
+    await Job.create({ title: "1000 things", salary: 1, equity: null, companyHandle: "c1" });
+    await Job.create({ title: "axb", salary: 1, equity: null, companyHandle: "c1" });
+    expect(await JobAlert.findForUser("u2")).toEqual([]);
+
+    await Job.create({ title: "100% remote", salary: 1, equity: null, companyHandle: "c1" });
+    await Job.create({ title: "the a_b job", salary: 1, equity: null, companyHandle: "c1" });
+    expect(alertSearches(await JobAlert.findForUser("u2"))).toEqual(["percent", "underscore"]);
+  });
+
+  test("no alerts for a job matching nothing", async function () {
+    await Job.create({ title: "Cook", salary: 100, equity: null, companyHandle: "c1" });
+    expect(await JobAlert.findForUser("u1")).toEqual([]);
+    expect(await JobAlert.findForUser("u2")).toEqual([]);
+  });
+
+  test("Job.update alerts searches the job now matches, once each", async function () {
+    const job = await Job.create({ title: "Cook", salary: 100, equity: 0, companyHandle: "c1" });
+    expect(alertSearches(await JobAlert.findForUser("u2"))).toEqual(["no equity"]);
+
+    await Job.update(job.id, { title: "Cook engineer" });
+    await Job.update(job.id, { salary: 300000 });
+    await Job.update(job.id, { salary: 300001 });
+
+    expect(alertSearches(await JobAlert.findForUser("u1"))).toEqual(["engineer", "rich"]);
+    expect(alertSearches(await JobAlert.findForUser("u2"))).toEqual(["no equity"]);
+  });
+
+  test("no alerts for deleted users", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await Job.create({ title: "Engineer", salary: 300000, equity: 0, companyHandle: "c1" });
+    const alerts = await db.query(
+        `SELECT a.id FROM job_alerts AS a
+           JOIN saved_searches AS s ON s.id = a.saved_search_id
+         WHERE s.username = 'u1'`);
+    expect(alerts.rows).toEqual([]);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("unread only, and deleted jobs are left out", async function () {
+    const j1 = await Job.create({ title: "Engineer 1", salary: 1, equity: 0, companyHandle: "c1" });
+    const j2 = await Job.create({ title: "Engineer 2", salary: 1, equity: 0, companyHandle: "c1" });
+    const j3 = await Job.create({ title: "Engineer 3", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const alerts = await JobAlert.findForUser("u1");
+    expect(alerts.map(a => a.job.id)).toEqual([j3.id, j2.id, j1.id]);
+
+    await JobAlert.markRead("u1", alerts[0].id);
+    await Job.remove(j1.id);
+    const unread = await JobAlert.findForUser("u1", { unread: true });
+    expect(unread.map(a => a.job.id)).toEqual([j2.id]);
+  });
+});
+
+/************************************** markRead / markAllRead */
+
+describe("markRead", function () {
+  test("works, and marking twice keeps the first time", async function () {
+    await Job.create({ title: "Engineer", salary: 1, equity: 0, companyHandle: "c1" });
+    const [alert] = await JobAlert.findForUser("u1");
+
+    const marked = await JobAlert.markRead("u1", alert.id);
+    expect(marked).toEqual({ id: alert.id, readAt: expect.any(Date) });
+    const again = await JobAlert.markRead("u1", alert.id);
+    expect(again.readAt).toEqual(marked.readAt);
+  });
+
+  test("not found for another user's alert", async function () {
+    await Job.create({ title: "Engineer", salary: 1, equity: 0, companyHandle: "c1" });
+    const [alert] = await JobAlert.findForUser("u1");
+    await expect(JobAlert.markRead("u2", alert.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("markAllRead", function () {
+  test("works: only the user's own", async function () {
+    await Job.create({ title: "Engineer", salary: 300000, equity: 0, companyHandle: "c1" });
+    expect(await JobAlert.markAllRead("u1")).toEqual(2);
+    expect(await JobAlert.markAllRead("u1")).toEqual(0);
+    expect(await JobAlert.findForUser("u1", { unread: true })).toEqual([]);
+    expect(await JobAlert.findForUser("u2", { unread: true })).toHaveLength(1);
+  });
+});
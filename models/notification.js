@@ -0,0 +1,208 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { getRequestContext } = require("../helpers/requestContext");
+
+/** The kinds of notification, and what each one's data holds.
+ *
+ * application-updated: { jobId, jobTitle, fromState, toState }
+ * job-updated: { jobId, title, changed: [field, ...] }, to everyone who
+ *              applied to the job
+ * job-deleted: { jobId, title }, to everyone who applied to the job
+ * account-updated: { by, changed: [field, ...] }, when someone else (an
+ *                  admin) changes a user's account
+ */
+
+const TYPES = ["application-updated", "job-updated", "job-deleted", "account-updated"];
+
+/** Related functions for notifications: the in-app inbox telling users about
+ * things that happened to them.
+ *
+ * Users never get notifications about what they did themselves, and can turn
+ * each type off (see updatePreferences).
+ */
+
+class Notification {
+
+  /** Notify users of something; returns how many notifications were made.
+   *
+   * usernames: the users to notify. The logged in user (from the request
+   *            context), deleted users and users who turned the type off
+   *            are skipped.
+   * type: one of TYPES
+   * data: an object saying what happened (see TYPES)
+   */
+
+  static async notify(usernames, type, data = {}) {
+    const { actor = null } = getRequestContext();
+    const result = await db.query(
+          `INSERT INTO notifications (username, type, data)
+           SELECT u.username, $2, $3
+           FROM users AS u
+           WHERE u.username = ANY($1)
+             AND u.username IS DISTINCT FROM $4
+             AND u.deleted_at IS NULL
+             AND NOT EXISTS (SELECT 1
+                             FROM notification_preferences AS p
+                             WHERE p.username = u.username
+                               AND p.type = $2
+                               AND NOT p.enabled)`,
+        [usernames, type, JSON.stringify(data), actor]);
+
+    return result.rowCount;
+  }
+
+  /** Notify everyone who applied to a job; returns how many notifications
+   * were made. */
+
+  static async notifyApplicants(jobId, type, data = {}) {
+    const result = await db.query(
+          `SELECT username FROM applications WHERE job_id = $1`,
+        [jobId]);
+    if (!result.rows.length) return 0;
+
+    return this.notify(result.rows.map(r => r.username), type, data);
+  }
+
+  /** Find a user's notifications, newest first.
+   *
+   * query: the request.query object
+   *   - filters: unread ("true" for only the ones that haven't been read)
+   *   - paging (see helpers/pagination.js): limit, after, before, and sort,
+   *     which can only use "id" (default "-id", newest first)
+   *
+   * Returns { notifications, unread, nextCursor, prevCursor }
+   *   where notifications is [{ id, type, data, createdAt, readAt }, ...]
+   *   and unread is how many unread notifications the user has in all
+   *
+   * Throws BadRequestError on unknown parameters or bad values.
+   */
+
+  static async findForUser(username, query = {}) {
+    const { page, filters } = extractPageParams(query);
+    const { unread = "false", ...rest } = filters;
+    const invalidKeys = Object.keys(rest);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query
+                                                       string are invalid: [${invalidKeys}]`);
+    if (unread !== "true" && unread !== "false") throw new BadRequestError("unread must be true or false");
+
+    const conditions = ["username = $1"];
+    if (unread === "true") conditions.push("read_at IS NULL");
+
+    const paging = sqlForPage(page, {
+      sortable: { id: { column: "id", type: "integer" } },
+      defaultSort: "-id",
+      tiebreaker: "id",
+      paramOffset: 1,
+    });
+    if (paging.where) conditions.push(paging.where);
+
+    const result = await db.query(
+          `SELECT id,
+                  type,
+                  data,
+                  created_at AS "createdAt",
+                  read_at AS "readAt"
+           FROM notifications
+           WHERE ${conditions.join(" AND ")}
+           ${paging.orderBy}
+           ${paging.limit}`,
+        [username, ...paging.values]);
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::int AS unread
+           FROM notifications
+           WHERE username = $1 AND read_at IS NULL`,
+        [username]);
+
+    const { rows, nextCursor, prevCursor } = paging.finish(result.rows);
+    return { notifications: rows, unread: countRes.rows[0].unread, nextCursor, prevCursor };
+  }
+
+  /** Mark one of a user's notifications read. Marking it twice is fine.
+   *
+   * Returns { id, readAt }
+   *
+   * Throws NotFoundError if the user has no such notification.
+   */
+
+  static async markRead(username, id) {
+    const result = await db.query(
+          `UPDATE notifications
+           SET read_at = COALESCE(read_at, NOW())
+           WHERE username = $1 AND id = $2
+           RETURNING id, read_at AS "readAt"`,
+        [username, id]);
+
+    const notification = result.rows[0];
+    if (!notification) throw new NotFoundError(`No notification: ${id}`);
+    return notification;
+  }
+
+  /** Mark all of a user's unread notifications read; returns how many there
+   * were. */
+
+  static async markAllRead(username) {
+    const result = await db.query(
+          `UPDATE notifications
+           SET read_at = NOW()
+           WHERE username = $1 AND read_at IS NULL`,
+        [username]);
+
+    return result.rowCount;
+  }
+
+  /** Find which notification types a user gets.
+   *
+   * Returns { type: enabled, ... } for every type in TYPES
+   *
+   * Throws NotFoundError if there's no such user.
+   */
+
+  static async getPreferences(username) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT type, enabled
+           FROM notification_preferences
+           WHERE username = $1`,
+        [username]);
+
+    const preferences = Object.fromEntries(TYPES.map(t => [t, true]));
+    for (let { type, enabled } of result.rows) preferences[type] = enabled;
+    return preferences;
+  }
+
+  /** Turn notification types on or off for a user.
+   *
+   * preferences: { type: enabled, ... }, for some or all of TYPES
+   *
+   * Returns all of the user's preferences, as getPreferences().
+   *
+   * Throws NotFoundError if there's no such user.
+   */
+
+  static async updatePreferences(username, preferences) {
+    await this.getPreferences(username);
+
+    const types = Object.keys(preferences);
+    await db.query(
+          `INSERT INTO notification_preferences (username, type, enabled)
+           SELECT $1, type, enabled
+           FROM unnest($2::text[], $3::boolean[]) AS p(type, enabled)
+           ON CONFLICT (username, type) DO UPDATE SET enabled = EXCLUDED.enabled`,
+        [username, types, types.map(t => preferences[t])]);
+
+    return this.getPreferences(username);
+  }
+}
+
+Notification.TYPES = TYPES;
+
+
+module.exports = Notification;
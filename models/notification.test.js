@@ -0,0 +1,185 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Notification = require("./notification.js");
+const Application = require("./application.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const { runWithRequestContext } = require("../helpers/requestContext");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+beforeEach(async () => {
+  const result = await db.query(
+      `INSERT INTO jobs (title, salary, equity, company_handle)
+       VALUES ('j1', 100, 0, 'c1')
+       RETURNING id`);
+  jobId = result.rows[0].id;
+  await User.apply("u1", jobId);
+});
+
+/************************************** notify */
+
+describe("notify", function () {
+  test("works", async function () {
+    expect(await Notification.notify(["u1", "u2"], "job-deleted", { jobId: 1 })).toEqual(2);
+    const { notifications } = await Notification.findForUser("u2");
+    expect(notifications).toEqual([
+      {
+        id: expect.any(Number),
+        type: "job-deleted",
+        data: { jobId: 1 },
+        createdAt: expect.any(Date),
+        readAt: null,
+      },
+    ]);
+  });
+
+  test("skips the logged in user, deleted users and users who turned the type off", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    expect(await runWithRequestContext({ actor: "u1" }, () =>
+        Notification.notify(["u1", "u2"], "job-deleted"))).toEqual(0);
+
+    await Notification.updatePreferences("u1", { "job-deleted": false });
+    expect(await Notification.notify(["u1"], "job-deleted")).toEqual(0);
+    expect(await Notification.notify(["u1"], "job-updated")).toEqual(1);
+  });
+});
+
+/************************************** hooks */
+
+describe("notifications from other models", function () {
+  test("Application.transition notifies the applicant", async function () {
+    await Application.transition("u1", jobId, "interviewing");
+    const { notifications } = await Notification.findForUser("u1");
+    expect(notifications.map(n => [n.type, n.data])).toEqual([
+      ["application-updated", { jobId, jobTitle: "j1", fromState: "applied", toState: "interviewing" }],
+    ]);
+  });
+
+  test("Job.update and Job.remove notify applicants", async function () {
+    await Job.update(jobId, { title: "j1 again", salary: 200 });
+    await Job.remove(jobId);
+    const { notifications } = await Notification.findForUser("u1");
+    expect(notifications.map(n => [n.type, n.data])).toEqual([
+      ["job-deleted", { jobId, title: "j1 again" }],
+      ["job-updated", { jobId, title: "j1 again", changed: ["title", "salary"] }],
+    ]);
+    expect((await Notification.findForUser("u2")).notifications).toEqual([]);
+  });
+
+  test("User.update notifies the user only when someone else made the change", async function () {
+    await runWithRequestContext({ actor: "u1" }, () => User.update("u1", { firstName: "Me" }));
+    await User.update("u1", { firstName: "Nobody" });
+    expect((await Notification.findForUser("u1")).notifications).toEqual([]);
+
+    await runWithRequestContext({ actor: "u2" }, () => User.update("u1", { lastName: "Admin" }));
+    const { notifications } = await Notification.findForUser("u1");
+    expect(notifications.map(n => [n.type, n.data])).toEqual([
+      ["account-updated", { by: "u2", changed: ["lastName"] }],
+    ]);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("pages newest first, with the unread count", async function () {
+    for (let i = 0; i < 3; i++) await Notification.notify(["u1"], "job-updated", { i });
+
+    const first = await Notification.findForUser("u1", { limit: "2" });
+    expect(first.notifications.map(n => n.data.i)).toEqual([2, 1]);
+    expect(first.unread).toEqual(3);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await Notification.findForUser("u1", { limit: "2", after: first.nextCursor });
+    expect(second.notifications.map(n => n.data.i)).toEqual([0]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test("unread only", async function () {
+    await Notification.notify(["u1"], "job-updated", { i: 0 });
+    await Notification.notify(["u1"], "job-updated", { i: 1 });
+    const { notifications } = await Notification.findForUser("u1");
+    await Notification.markRead("u1", notifications[0].id);
+
+    const unread = await Notification.findForUser("u1", { unread: "true" });
+    expect(unread.notifications.map(n => n.data.i)).toEqual([0]);
+    expect(unread.unread).toEqual(1);
+  });
+
+  test("bad request on invalid filters", async function () {
+    await expect(Notification.findForUser("u1", { unread: "maybe" })).rejects.toThrow(BadRequestError);
+    await expect(Notification.findForUser("u1", { potato: "soup" })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** markRead / markAllRead */
+
+describe("markRead", function () {
+  test("works, and marking twice keeps the first time", async function () {
+    await Notification.notify(["u1"], "job-updated");
+    const [notification] = (await Notification.findForUser("u1")).notifications;
+
+    const marked = await Notification.markRead("u1", notification.id);
+    expect(marked).toEqual({ id: notification.id, readAt: expect.any(Date) });
+    expect((await Notification.markRead("u1", notification.id)).readAt).toEqual(marked.readAt);
+  });
+
+  test("not found for another user's notification", async function () {
+    await Notification.notify(["u1"], "job-updated");
+    const [notification] = (await Notification.findForUser("u1")).notifications;
+    await expect(Notification.markRead("u2", notification.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("markAllRead", function () {
+  test("works: only the user's own", async function () {
+    await Notification.notify(["u1", "u2"], "job-updated");
+    await Notification.notify(["u1"], "job-deleted");
+    expect(await Notification.markAllRead("u1")).toEqual(2);
+    expect(await Notification.markAllRead("u1")).toEqual(0);
+    expect((await Notification.findForUser("u2")).unread).toEqual(1);
+  });
+});
+
+/************************************** preferences */
+
+describe("preferences", function () {
+  test("every type is on by default", async function () {
+    expect(await Notification.getPreferences("u1")).toEqual({
+      "application-updated": true,
+      "job-updated": true,
+      "job-deleted": true,
+      "account-updated": true,
+    });
+  });
+
+  test("update", async function () {
+    await Notification.updatePreferences("u1", { "job-updated": false, "job-deleted": false });
+    const preferences = await Notification.updatePreferences("u1", { "job-deleted": true });
+    expect(preferences).toEqual({
+      "application-updated": true,
+      "job-updated": false,
+      "job-deleted": true,
+      "account-updated": true,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Notification.getPreferences("nope")).rejects.toThrow(NotFoundError);
+    await expect(Notification.updatePreferences("nope", { "job-updated": false }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+const db = require("../db");
+const User = require("./user");
+const RefreshToken = require("./refreshToken");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { APP_URL, PASSWORD_RESET_TTL_MINUTES } = require("../config");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is emailed to the user as a link. Only its hash is stored; it
+ * expires after PASSWORD_RESET_TTL_MINUTES and can only be used once.
+ */
+
+class PasswordReset {
+
+  /** Email a password reset link to every account using this email address.
+   *
+   * Does nothing if no account uses it, so callers shouldn't tell the person
+   * asking whether an account was found.
+   *
+   * Returns the number of reset links sent.
+   */
+
+  static async request(email) {
+    const usersRes = await db.query(
+          `SELECT username
+           FROM users
+           WHERE lower(email) = lower($1) AND deleted_at IS NULL`,
+        [email]);
+
+    for (let { username } of usersRes.rows) {
+      const { token, hash } = createOpaqueToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens
+             (token_hash, username, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [hash, username, PASSWORD_RESET_TTL_MINUTES]);
+
+      await sendMail({
+        to: email,
+        subject: "Reset your Jobly password",
+        text: `Someone asked to reset the password for the Jobly account "${username}".\n\n` +
+              `To choose a new password, go to:\n${APP_URL}/reset-password?token=${token}\n\n` +
+              `This link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+              `If you didn't ask for this, you can ignore this email.`,
+      });
+    }
+
+    return usersRes.rows.length;
+  }
+
+  /** Set a new password using a reset token.
+   *
+   * Also logs the user out everywhere, since whoever had their old password
+   * may still be logged in.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   */
+
+  static async confirm(token, password) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING username`,
+          [hashOpaqueToken(token)]);
+
+      const reset = result.rows[0];
+      if (!reset) throw new BadRequestError("Invalid or expired password reset token");
+
+      await User.update(reset.username, { password });
+      await RefreshToken.revokeAllForUser(reset.username);
+
+      return { username: reset.username };
+    });
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,103 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const RefreshToken = require("./refreshToken.js");
+const User = require("./user.js");
+const { getMailer } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(() => getMailer().clear());
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the reset token out of the last email sent. */
+
+function tokenFromLastEmail() {
+  const { outbox } = getMailer();
+  return outbox[outbox.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: emails a link, stores only the hash", async function () {
+    const sent = await PasswordReset.request("U1@email.com");
+    expect(sent).toEqual(1);
+
+    const { outbox } = getMailer();
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("U1@email.com");
+    expect(outbox[0].text).toContain("/reset-password?token=");
+
+    const token = tokenFromLastEmail();
+    const found = await db.query(
+        "SELECT token_hash, username FROM password_reset_tokens");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].username).toEqual("u1");
+    expect(found.rows[0].token_hash).not.toEqual(token);
+  });
+
+  test("sends nothing for unknown emails", async function () {
+    const sent = await PasswordReset.request("nobody@email.com");
+    expect(sent).toEqual(0);
+    expect(getMailer().outbox).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1@email.com");
+    const { familyId } = await RefreshToken.startFamily("u1");
+
+    const result = await PasswordReset.confirm(tokenFromLastEmail(), "newpassword");
+    expect(result).toEqual({ username: "u1" });
+
+    const user = await User.authenticate("u1", "newpassword");
+    expect(user.username).toEqual("u1");
+    expect(await RefreshToken.isFamilyRevoked(familyId)).toEqual(true);
+  });
+
+  test("tokens only work once", async function () {
+    await PasswordReset.request("u1@email.com");
+    const token = tokenFromLastEmail();
+    await PasswordReset.confirm(token, "newpassword");
+    try {
+      await PasswordReset.confirm(token, "otherpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await PasswordReset.request("u1@email.com");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(tokenFromLastEmail(), "newpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "newpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+
+/** Related functions for company recruiters.
+ *
+ * A recruiter is a user who can manage one company's profile, jobs and
+ * applications without being an admin. A user can recruit for several
+ * companies.
+ */
+
+class Recruiter {
+
+  /** Make a user a recruiter for a company.
+   *
+   * Returns { companyHandle, username }
+   *
+   * Throws NotFoundError if the company or user doesn't exist, and
+   * BadRequestError if the user is already a recruiter for the company.
+   */
+
+  static async add(companyHandle, username) {
+    return db.withTransaction(async client => {
+      const companyRes = await client.query(
+            `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL FOR SHARE`,
+          [companyHandle]);
+      if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+
+      const userRes = await client.query(
+            `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL FOR SHARE`,
+          [username]);
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      const result = await client.query(
+            `INSERT INTO company_recruiters (company_handle, username)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING company_handle AS "companyHandle", username`,
+          [companyHandle, username]);
+
+      const recruiter = result.rows[0];
+      if (!recruiter) {
+        throw new BadRequestError(`${username} is already a recruiter for ${companyHandle}`);
+      }
+      return recruiter;
+    });
+  }
+
+  /** Stop a user being a recruiter for a company; returns undefined.
+   *
+   * Throws NotFoundError if they weren't one.
+   */
+
+  static async remove(companyHandle, username) {
+    const result = await db.query(
+          `DELETE
+           FROM company_recruiters
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [companyHandle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} is not a recruiter for ${companyHandle}`);
+    }
+  }
+
+  /** Find all recruiters for a company.
+   *
+   * Returns [{ username, firstName, lastName, email }, ...]
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   */
+
+  static async findForCompany(companyHandle) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+        [companyHandle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email
+           FROM company_recruiters AS r
+             JOIN users AS u ON u.username = r.username
+           WHERE r.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY u.username`,
+        [companyHandle]);
+
+    return result.rows;
+  }
+
+  /** Is this user a recruiter for this company? */
+
+  static async isRecruiter(username, companyHandle) {
+    const result = await db.query(
+          `SELECT 1
+           FROM company_recruiters
+           WHERE username = $1 AND company_handle = $2`,
+        [username, companyHandle]);
+
+    return result.rows.length > 0;
+  }
+}
+
+
+module.exports = Recruiter;
@@ -0,0 +1,96 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Recruiter = require("./recruiter.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const recruiter = await Recruiter.add("c1", "u1");
+    expect(recruiter).toEqual({ companyHandle: "c1", username: "u1" });
+    expect(await Recruiter.isRecruiter("u1", "c1")).toEqual(true);
+    expect(await Recruiter.isRecruiter("u1", "c2")).toEqual(false);
+  });
+
+  test("bad request if already a recruiter", async function () {
+    await Recruiter.add("c1", "u1");
+    try {
+      await Recruiter.add("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Recruiter.add("nope", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Recruiter.add("c1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Recruiter.add("c1", "u1");
+    await Recruiter.remove("c1", "u1");
+    expect(await Recruiter.isRecruiter("u1", "c1")).toEqual(false);
+  });
+
+  test("not found if not a recruiter", async function () {
+    try {
+      await Recruiter.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    await Recruiter.add("c1", "u2");
+    await Recruiter.add("c1", "u1");
+    const recruiters = await Recruiter.findForCompany("c1");
+    expect(recruiters).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", email: "u1@email.com" },
+      { username: "u2", firstName: "U2F", lastName: "U2L", email: "u2@email.com" },
+    ]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Recruiter.findForCompany("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
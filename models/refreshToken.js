@@ -0,0 +1,173 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Every login starts a new token "family". Each refresh token can be used
+ * once: using it marks it used and hands back the next token in the same
+ * family. If a used token is ever presented again, it has been copied by
+ * someone, so the whole family is revoked -- that logs out both the thief and
+ * the real user, including their access tokens (which carry the family id).
+ *
+ * Only a hash of each refresh token is stored.
+ */
+
+class RefreshToken {
+
+  /** Store a new refresh token in a family; returns the token. */
+
+  static async addToFamily(familyId) {
+    const { token, hash } = createOpaqueToken();
+    await db.query(
+          `INSERT INTO refresh_tokens
+           (token_hash, family_id, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [hash, familyId, REFRESH_TOKEN_TTL_DAYS]);
+    return token;
+  }
+
+  /** Start a new token family for a user who just logged in.
+   *
+   * Returns { familyId, refreshToken }
+   */
+
+  static async startFamily(username) {
+    const familyId = crypto.randomUUID();
+    await db.query(
+          `INSERT INTO token_families (id, username)
+           VALUES ($1, $2)`,
+        [familyId, username]);
+
+    const refreshToken = await this.addToFamily(familyId);
+    return { familyId, refreshToken };
+  }
+
+  /** Find a refresh token by its value.
+   *
+   * Tokens of deleted users count as unknown.
+   *
+   * Returns { familyId, username, isAdmin, expiresAt, usedAt, revokedAt }
+   *
+   * Throws UnauthorizedError if there is no such token.
+   */
+
+  static async find(refreshToken) {
+    const result = await db.query(
+          `SELECT rt.family_id AS "familyId",
+                  f.username,
+                  u.is_admin AS "isAdmin",
+                  rt.expires_at AS "expiresAt",
+                  rt.used_at AS "usedAt",
+                  f.revoked_at AS "revokedAt"
+           FROM refresh_tokens AS rt
+             JOIN token_families AS f ON f.id = rt.family_id
+             JOIN users AS u ON u.username = f.username
+           WHERE rt.token_hash = $1 AND u.deleted_at IS NULL`,
+        [hashOpaqueToken(refreshToken)]);
+
+    const found = result.rows[0];
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+    return found;
+  }
+
+  /** Trade a refresh token for the next one in its family.
+   *
+   * Returns { username, isAdmin, familyId, refreshToken }
+   *   (isAdmin is read fresh from the database, so the new access token
+   *    reflects any change to the user's admin status)
+   *
+   * Throws UnauthorizedError if the token is unknown, expired, revoked or
+   * has already been used. Reuse also revokes the whole family.
+   */
+
+  static async rotate(refreshToken) {
+    const found = await this.find(refreshToken);
+
+    if (found.revokedAt) throw new UnauthorizedError("Refresh token has been revoked");
+
+    if (found.usedAt) {
+      await this.revokeFamily(found.familyId);
+      throw new UnauthorizedError("Refresh token was already used; please log in again");
+    }
+
+    if (found.expiresAt <= new Date()) throw new UnauthorizedError("Refresh token has expired");
+
+    // claim the token; if another request got there first this is reuse too
+    const claim = await db.query(
+          `UPDATE refresh_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL
+           RETURNING token_hash`,
+        [hashOpaqueToken(refreshToken)]);
+
+    if (!claim.rows[0]) {
+      await this.revokeFamily(found.familyId);
+      throw new UnauthorizedError("Refresh token was already used; please log in again");
+    }
+
+    const next = await this.addToFamily(found.familyId);
+    return {
+      username: found.username,
+      isAdmin: found.isAdmin,
+      familyId: found.familyId,
+      refreshToken: next,
+    };
+  }
+
+  /** Revoke a token family: its refresh tokens and access tokens stop working. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+          `UPDATE token_families
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [familyId]);
+  }
+
+  /** Revoke the family a refresh token belongs to (used for logging out).
+   *
+   * Returns the family id.
+   *
+   * Throws UnauthorizedError if there is no such token.
+   */
+
+  static async revokeByToken(refreshToken) {
+    const { familyId } = await this.find(refreshToken);
+    await this.revokeFamily(familyId);
+    return familyId;
+  }
+
+  /** Revoke every token family a user has, logging them out everywhere. */
+
+  static async revokeAllForUser(username) {
+    await db.query(
+          `UPDATE token_families
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+
+  /** Has this token family been revoked?
+   *
+   * Unknown families count as revoked.
+   */
+
+  static async isFamilyRevoked(familyId) {
+    const result = await db.query(
+          `SELECT revoked_at AS "revokedAt"
+           FROM token_families
+           WHERE id = $1`,
+        [familyId]);
+
+    const family = result.rows[0];
+    return !family || family.revokedAt !== null;
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,95 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** startFamily */
+
+describe("startFamily", function () {
+  test("works: only the hash is stored", async function () {
+    const { familyId, refreshToken } = await RefreshToken.startFamily("u1");
+    const found = await db.query(
+        "SELECT token_hash FROM refresh_tokens WHERE family_id = $1", [familyId]);
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).not.toEqual(refreshToken);
+    expect(await RefreshToken.isFamilyRevoked(familyId)).toEqual(false);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const { familyId, refreshToken } = await RefreshToken.startFamily("u1");
+    const rotated = await RefreshToken.rotate(refreshToken);
+    expect(rotated).toEqual({
+      username: "u1",
+      isAdmin: false,
+      familyId,
+      refreshToken: expect.any(String),
+    });
+    expect(rotated.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("reuse revokes the family", async function () {
+    const { familyId, refreshToken } = await RefreshToken.startFamily("u1");
+    const rotated = await RefreshToken.rotate(refreshToken);
+
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+    expect(await RefreshToken.isFamilyRevoked(familyId)).toEqual(true);
+    await expect(RefreshToken.rotate(rotated.refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if expired", async function () {
+    const { familyId, refreshToken } = await RefreshToken.startFamily("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE family_id = $1",
+        [familyId]);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow("Refresh token has expired");
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(RefreshToken.rotate("nope")).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoking */
+
+describe("revokeByToken", function () {
+  test("works", async function () {
+    const { familyId, refreshToken } = await RefreshToken.startFamily("u1");
+    await RefreshToken.revokeByToken(refreshToken);
+    expect(await RefreshToken.isFamilyRevoked(familyId)).toEqual(true);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow("Refresh token has been revoked");
+  });
+});
+
+describe("revokeAllForUser", function () {
+  test("works", async function () {
+    const one = await RefreshToken.startFamily("u1");
+    const two = await RefreshToken.startFamily("u1");
+    const other = await RefreshToken.startFamily("u2");
+    await RefreshToken.revokeAllForUser("u1");
+    expect(await RefreshToken.isFamilyRevoked(one.familyId)).toEqual(true);
+    expect(await RefreshToken.isFamilyRevoked(two.familyId)).toEqual(true);
+    expect(await RefreshToken.isFamilyRevoked(other.familyId)).toEqual(false);
+  });
+});
+
+describe("isFamilyRevoked", function () {
+  test("unknown families count as revoked", async function () {
+    expect(await RefreshToken.isFamilyRevoked("nope")).toEqual(true);
+  });
+});
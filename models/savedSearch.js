@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { parseFilters } = require("../helpers/filters");
+const Job = require("./job");
+
+// the GET /jobs filters a search can be saved with
+const SAVED_FILTERS = {
+  title: Job.FILTERS.title,
+  minSalary: Job.FILTERS.minSalary,
+  hasEquity: Job.FILTERS.hasEquity,
+};
+
+/** Related functions for saved job searches.
+ *
+ * A saved search is a named set of GET /jobs filters (title, minSalary and
+ * hasEquity). Whenever a job is posted or changed so that it matches a saved
+ * search, its owner gets an alert (see models/jobAlert.js).
+ */
+
+class SavedSearch {
+
+  /** Save a search for a user.
+   *
+   * data: { name, filters } where filters can have title, minSalary and
+   *       hasEquity, as GET /jobs takes them
+   *
+   * Returns { id, name, filters, createdAt }
+   *
+   * Throws NotFoundError if there's no such user, and BadRequestError on
+   * unknown filters or if the user already has a search with this name.
+   */
+
+  static async create(username, { name, filters }) {
+    return db.withTransaction(async client => {
+      parseFilters(filters, SAVED_FILTERS);
+      const { title = null, minSalary = null, hasEquity = null } = filters;
+
+      const userRes = await client.query(
+            `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL FOR SHARE`,
+          [username]);
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      const result = await client.query(
+            `INSERT INTO saved_searches (username, name, title, min_salary, has_equity)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT DO NOTHING
+             RETURNING id, name, title, min_salary AS "minSalary",
+                       has_equity AS "hasEquity", created_at AS "createdAt"`,
+          [username, name, title, minSalary, hasEquity]);
+
+      if (!result.rows[0]) throw new BadRequestError(`You already have a search named ${name}`);
+      return this.format(result.rows[0]);
+    });
+  }
+
+  /** Find all of a user's saved searches.
+   *
+   * Returns [{ id, name, filters, createdAt }, ...], by name
+   */
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT id, name, title, min_salary AS "minSalary",
+                  has_equity AS "hasEquity", created_at AS "createdAt"
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY name`,
+        [username]);
+
+    return result.rows.map(r => this.format(r));
+  }
+
+  /** Delete one of a user's saved searches, and its alerts; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such search.
+   */
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+        [username, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Turn a saved_searches row into { id, name, filters, createdAt }, with
+   * only the filters that are set. */
+
+  static format({ id, name, title, minSalary, hasEquity, createdAt }) {
+    const filters = {};
+    if (title !== null) filters.title = title;
+    if (minSalary !== null) filters.minSalary = minSalary;
+    if (hasEquity !== null) filters.hasEquity = hasEquity;
+    return { id, name, filters, createdAt };
+  }
+}
+
+
+module.exports = SavedSearch;
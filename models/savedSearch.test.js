@@ -0,0 +1,100 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const SavedSearch = require("./savedSearch.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Engineering",
+      filters: { title: "engineer", minSalary: 100000, hasEquity: true },
+    });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Engineering",
+      filters: { title: "engineer", minSalary: 100000, hasEquity: true },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("only the filters that were given are returned", async function () {
+    const search = await SavedSearch.create("u1", { name: "Anything", filters: {} });
+    expect(search.filters).toEqual({});
+
+    const noEquity = await SavedSearch.create("u1", { name: "No equity", filters: { hasEquity: false } });
+    expect(noEquity.filters).toEqual({ hasEquity: false });
+  });
+
+  test("bad request on unknown filters", async function () {
+    await expect(SavedSearch.create("u1", { name: "Bad", filters: { potato: "soup" } }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request on a duplicate name", async function () {
+    await SavedSearch.create("u1", { name: "Mine", filters: {} });
+    await expect(SavedSearch.create("u1", { name: "Mine", filters: {} }))
+        .rejects.toThrow(BadRequestError);
+
+    // other users can use the same name
+    const other = await SavedSearch.create("u2", { name: "Mine", filters: {} });
+    expect(other.name).toEqual("Mine");
+  });
+
+  test("not found if no such user", async function () {
+    await expect(SavedSearch.create("nope", { name: "Mine", filters: {} }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: by name, only the user's own", async function () {
+    await SavedSearch.create("u1", { name: "b", filters: { title: "dev" } });
+    await SavedSearch.create("u1", { name: "a", filters: {} });
+    await SavedSearch.create("u2", { name: "c", filters: {} });
+
+    const searches = await SavedSearch.findForUser("u1");
+    expect(searches.map(s => s.name)).toEqual(["a", "b"]);
+    expect(searches[1].filters).toEqual({ title: "dev" });
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, and deletes the search's alerts", async function () {
+    const search = await SavedSearch.create("u1", { name: "Mine", filters: {} });
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0, 'c1')
+         RETURNING id`);
+    await db.query(
+        `INSERT INTO job_alerts (saved_search_id, job_id) VALUES ($1, $2)`,
+        [search.id, jobRes.rows[0].id]);
+
+    await SavedSearch.remove("u1", search.id);
+    expect(await SavedSearch.findForUser("u1")).toEqual([]);
+    const alerts = await db.query("SELECT id FROM job_alerts");
+    expect(alerts.rows).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", { name: "Mine", filters: {} });
+    await expect(SavedSearch.remove("u2", search.id)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ts_headline marks matched words with these; they're swapped for <mark></mark>
+// once the rest of the snippet has been HTML-escaped (and taken out of the
+// text first, so only ts_headline's can be in it)
+const START_MATCH = "\u0002";
+const STOP_MATCH = "\u0003";
+const HEADLINE_OPTIONS =
+    `StartSel=${START_MATCH}, StopSel=${STOP_MATCH}, MaxWords=35, MinWords=15, MaxFragments=2`;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/** A snippet from ts_headline as HTML: its text escaped, and its matches
+ * wrapped in <mark></mark>. */
+
+function snippetHtml(snippet) {
+  return snippet
+      .replace(/[&<>"']/g, c => HTML_ESCAPES[c])
+      .split(START_MATCH).join("<mark>")
+      .split(STOP_MATCH).join("</mark>");
+}
+
+/** Full-text search across companies and jobs. */
+
+class Search {
+
+  /**
+   * Checking to make sure that the route's request query is valid,
+   * and throwing errors if it isn't.
+   *
+   * query: the request.query object
+   *
+   * return: { q, types, limit }, cleaned up for the "query" method
+   */
+
+  static checkForBadQueries(query) {
+    const validParams = ["q", "type", "limit"];
+    const invalidKeys = Object.keys(query).filter(k => validParams.indexOf(k) === -1);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query
+                                                       string are invalid: [${invalidKeys}]`);
+
+    const q = typeof query.q === "string" ? query.q.trim() : "";
+    if (!q) throw new BadRequestError("A search term is required: ?q=");
+
+    let types = ["company", "job"];
+    if (query.type !== undefined) {
+      if (types.indexOf(query.type) === -1) {
+        throw new BadRequestError(`type must be one of: [${types}]`);
+      }
+      types = [query.type];
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new BadRequestError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+      }
+    }
+
+    return { q, types, limit };
+  }
+
+  /** Search companies (name and description) and jobs (title).
+   *
+   * query: the request.query object: { q, type, limit }
+   *    q: the search terms; supports "quoted phrases", OR and -excluded words
+   *    type: (optional) "company" or "job" to only search one of them
+   *    limit: (optional) how many results to return (default 20, max 100)
+   *
+   * Words are matched on their stems, so "engineering" finds "engineer".
+   *
+   * Returns [{ type, id, title, snippet, rank }, ...], best match first
+   *   where for companies id is the handle and title is the name, and
+   *   snippet is the matching text as HTML: escaped, so it's safe to render,
+   *   with matches wrapped in <mark></mark> (the only tags in it)
+   */
+
+  static async query(query = {}) {
+    const { q, types, limit } = this.checkForBadQueries(query);
+
+    const result = await db.query(
+          `WITH search AS (SELECT websearch_to_tsquery('english', $1) AS tsq)
+           SELECT 'company' AS type,
+                  c.handle AS id,
+                  c.name AS title,
+                  ts_headline('english', translate(c.name || '. ' || c.description, $5, ''),
+                              s.tsq, $4) AS snippet,
+                  ts_rank(c.search_vector, s.tsq) AS rank
+           FROM companies AS c, search AS s
+           WHERE 'company' = ANY($2) AND c.search_vector @@ s.tsq AND c.deleted_at IS NULL
+           UNION ALL
+           SELECT 'job' AS type,
+                  j.id::text AS id,
+                  j.title,
+                  ts_headline('english', translate(j.title, $5, ''), s.tsq, $4) AS snippet,
+                  ts_rank(j.search_vector, s.tsq) AS rank
+           FROM jobs AS j, search AS s
+           WHERE 'job' = ANY($2) AND j.search_vector @@ s.tsq AND j.deleted_at IS NULL
+           ORDER BY rank DESC, type, id
+           LIMIT $3`,
+        [q, types, limit, HEADLINE_OPTIONS, START_MATCH + STOP_MATCH]);
+
+    return result.rows.map(row => ({ ...row, snippet: snippetHtml(row.snippet) }));
+  }
+}
+
+
+module.exports = Search;
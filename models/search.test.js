@@ -0,0 +1,117 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Search = require("./search.js");
+const Company = require("./company.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+beforeEach(async() => {
+  await Company.create({
+    handle: "rocket",
+    name: "Rocket Labs",
+    description: "We build rockets for small satellites.",
+  });
+  await Company.create({
+    handle: "bakery",
+    name: "Engineered Bread",
+    description: "A bakery.",
+  });
+  const job = await Job.create({
+    title: "Propulsion Engineer",
+    salary: 100000,
+    equity: 0,
+    companyHandle: "rocket",
+  });
+  jobId = job.id;
+});
+
+/************************************** query */
+
+describe("query", function () {
+  test("works: matches word stems across companies and jobs", async function () {
+    const results = await Search.query({ q: "engineering" });
+    const byType = Object.fromEntries(results.map(r => [r.type, r]));
+    expect(results.length).toEqual(2);
+    expect(byType.company).toEqual({
+      type: "company",
+      id: "bakery",
+      title: "Engineered Bread",
+      snippet: expect.stringContaining("<mark>Engineered</mark>"),
+      rank: expect.any(Number),
+    });
+    expect(byType.job).toEqual({
+      type: "job",
+      id: String(jobId),
+      title: "Propulsion Engineer",
+      snippet: "Propulsion <mark>Engineer</mark>",
+      rank: expect.any(Number),
+    });
+    expect(results[0].rank).toBeGreaterThanOrEqual(results[1].rank);
+  });
+
+  test("works: snippets are escaped HTML", async function () {
+    await db.query(`UPDATE companies SET description = $1 WHERE handle = 'rocket'`,
+        ['Satellites <img src=x onerror=alert(1)> & "rockets" \u0002 more']);
+    const results = await Search.query({ q: "satellite" });
+    expect(results[0].snippet).toContain(
+        "<mark>Satellites</mark> &lt;img src=x onerror=alert(1)&gt; &amp; &quot;rockets&quot;  more");
+    expect(results[0].snippet.replace(/<\/?mark>/g, "")).not.toMatch(/[<>\u0002]/);
+  });
+
+  test("works: searches company descriptions", async function () {
+    const results = await Search.query({ q: "satellite" });
+    expect(results.map(r => [r.type, r.id])).toEqual([["company", "rocket"]]);
+    expect(results[0].snippet).toContain("<mark>satellites</mark>");
+  });
+
+  test("works: name matches rank above description matches", async function () {
+    await db.query(
+        `UPDATE companies SET description = 'Rocket fuel for bakeries' WHERE handle = 'bakery'`);
+    const results = await Search.query({ q: "rocket", type: "company" });
+    expect(results.map(r => r.id)).toEqual(["rocket", "bakery"]);
+  });
+
+  test("works: type filter", async function () {
+    const results = await Search.query({ q: "engineer", type: "job" });
+    expect(results.map(r => r.type)).toEqual(["job"]);
+  });
+
+  test("works: kept up to date on update", async function () {
+    await Company.update("rocket", { description: "Submarines." });
+    expect(await Search.query({ q: "satellite" })).toEqual([]);
+    expect((await Search.query({ q: "submarine" })).map(r => r.id)).toEqual(["rocket"]);
+
+    await Job.update(jobId, { title: "Welding Supervisor" });
+    expect((await Search.query({ q: "welds", type: "job" })).map(r => r.id))
+        .toEqual([String(jobId)]);
+  });
+
+  test("works: limit", async function () {
+    const results = await Search.query({ q: "engineer", limit: "1" });
+    expect(results.length).toEqual(1);
+  });
+
+  test("bad request without a search term", async function () {
+    await expect(Search.query({ q: "  " })).rejects.toThrow(BadRequestError);
+    await expect(Search.query({})).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request on bad parameters", async function () {
+    await expect(Search.query({ q: "x", type: "user" })).rejects.toThrow(BadRequestError);
+    await expect(Search.query({ q: "x", limit: "0" })).rejects.toThrow(BadRequestError);
+    await expect(Search.query({ q: "x", potato: "soup" })).rejects.toThrow(BadRequestError);
+  });
+});
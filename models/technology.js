@@ -0,0 +1,273 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { MAX_PAGE_SIZE } = require("../helpers/pagination");
+
+const DEFAULT_RECOMMENDATIONS = 20;
+
+/** Related functions for technologies: the skills jobs ask for and users know.
+ *
+ * Technologies are created the first time something is tagged with them.
+ * Names aren't case sensitive; they're stored trimmed and lowercase.
+ */
+
+class Technology {
+
+  /** Turn a name as typed into the stored form ("  Node.js " -> "node.js"). */
+
+  static normalize(name) {
+    return String(name).trim().toLowerCase();
+  }
+
+  /** Make sure a technology exists; returns its stored name.
+   *
+   * Throws BadRequestError if the name is empty.
+   */
+
+  static async ensure(name) {
+    const technology = this.normalize(name);
+    if (!technology) throw new BadRequestError("Technology can't be empty");
+
+    await db.query(
+          `INSERT INTO technologies (name)
+           VALUES ($1)
+           ON CONFLICT DO NOTHING`,
+        [technology]);
+    return technology;
+  }
+
+  /** Find all technologies.
+   *
+   * Returns [{ name, jobs, users }, ...], by name
+   *   where jobs and users are how many open jobs and users are tagged with it
+   */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT t.name,
+                  (SELECT COUNT(*)::int
+                   FROM job_technologies AS jt
+                     JOIN jobs AS j ON j.id = jt.job_id
+                   WHERE jt.technology = t.name AND j.deleted_at IS NULL) AS jobs,
+                  (SELECT COUNT(*)::int
+                   FROM user_technologies AS ut
+                     JOIN users AS u ON u.username = ut.username
+                   WHERE ut.technology = t.name AND u.deleted_at IS NULL) AS users
+           FROM technologies AS t
+           ORDER BY t.name`);
+
+    return result.rows;
+  }
+
+  /** Delete a technology, untagging every job and user; returns undefined.
+   *
+   * The jobs count as changed (GET /jobs?technology= gives different results).
+   *
+   * Throws NotFoundError if there's no such technology.
+   */
+
+  static async remove(name) {
+    return db.withTransaction(async client => {
+      await client.query(
+            `UPDATE jobs
+             SET updated_at = NOW()
+             WHERE id IN (SELECT job_id FROM job_technologies WHERE technology = $1)`,
+          [this.normalize(name)]);
+      const result = await client.query(
+            `DELETE
+             FROM technologies
+             WHERE name = $1
+             RETURNING name`,
+          [this.normalize(name)]);
+
+      if (!result.rows[0]) throw new NotFoundError(`No technology: ${name}`);
+    });
+  }
+
+  /** Find the technologies a job asks for.
+   *
+   * Returns [name, ...], by name
+   */
+
+  static async forJob(jobId) {
+    const result = await db.query(
+          `SELECT technology
+           FROM job_technologies
+           WHERE job_id = $1
+           ORDER BY technology`,
+        [jobId]);
+
+    return result.rows.map(r => r.technology);
+  }
+
+  /** Tag a job with a technology. Tagging a job twice is fine. Either way
+   * the job counts as changed, like it does when it's untagged.
+   *
+   * Returns the job's technologies, as forJob().
+   *
+   * Throws NotFoundError if there's no such job.
+   */
+
+  static async addToJob(jobId, name) {
+    return db.withTransaction(async client => {
+      const jobRes = await client.query(
+            `UPDATE jobs
+             SET updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL
+             RETURNING id`,
+          [jobId]);
+      if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+      const technology = await this.ensure(name);
+      await client.query(
+            `INSERT INTO job_technologies (job_id, technology)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [jobId, technology]);
+
+      return this.forJob(jobId);
+    });
+  }
+
+  /** Untag a job; returns undefined.
+   *
+   * Throws NotFoundError if the job wasn't tagged with the technology.
+   */
+
+  static async removeFromJob(jobId, name) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM job_technologies
+             WHERE job_id = $1 AND technology = $2
+             RETURNING technology`,
+          [jobId, this.normalize(name)]);
+
+      if (!result.rows[0]) throw new NotFoundError(`Job ${jobId} isn't tagged with ${name}`);
+      await client.query(`UPDATE jobs SET updated_at = NOW() WHERE id = $1`, [jobId]);
+    });
+  }
+
+  /** Find the technologies a user knows.
+   *
+   * Returns [name, ...], by name
+   *
+   * Throws NotFoundError if there's no such user.
+   */
+
+  static async forUser(username) {
+    await this.checkUserExists(username);
+
+    const result = await db.query(
+          `SELECT technology
+           FROM user_technologies
+           WHERE username = $1
+           ORDER BY technology`,
+        [username]);
+
+    return result.rows.map(r => r.technology);
+  }
+
+  /** Add a technology to the ones a user knows. Adding one twice is fine.
+   *
+   * Returns the user's technologies, as forUser().
+   *
+   * Throws NotFoundError if there's no such user.
+   */
+
+  static async addToUser(username, name) {
+    return db.withTransaction(async client => {
+      await this.checkUserExists(username);
+
+      const technology = await this.ensure(name);
+      await client.query(
+            `INSERT INTO user_technologies (username, technology)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [username, technology]);
+
+      return this.forUser(username);
+    });
+  }
+
+  /** Remove a technology from the ones a user knows; returns undefined.
+   *
+   * Throws NotFoundError if the user didn't have it.
+   */
+
+  static async removeFromUser(username, name) {
+    const result = await db.query(
+          `DELETE
+           FROM user_technologies
+           WHERE username = $1 AND technology = $2
+           RETURNING technology`,
+        [username, this.normalize(name)]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} doesn't have ${name}`);
+  }
+
+  /** Recommend open jobs to a user, by how many of the job's technologies
+   * the user knows.
+   *
+   * Jobs that share no technologies with the user, and jobs they've already
+   * applied to, are left out. Jobs with more matches come first; between jobs
+   * with the same number of matches, the one asking for fewer technologies in
+   * all (so the user covers more of it) comes first.
+   *
+   * limit: how many jobs to return (default 20, max 500)
+   *
+   * Returns [{ id, title, salary, equity, companyHandle, slug,
+   *            matchingTechnologies, score }, ...]
+   *   where score is the number of matching technologies
+   *
+   * Throws NotFoundError if there's no such user, and BadRequestError on a
+   * bad limit.
+   */
+
+  static async recommendationsFor(username, limit = DEFAULT_RECOMMENDATIONS) {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new BadRequestError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    await this.checkUserExists(username);
+
+    const result = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  j.slug,
+                  array_agg(jt.technology ORDER BY jt.technology) AS "matchingTechnologies",
+                  COUNT(*)::int AS score
+           FROM jobs AS j
+             JOIN job_technologies AS jt ON jt.job_id = j.id
+             JOIN user_technologies AS ut
+               ON ut.technology = jt.technology AND ut.username = $1
+           WHERE j.deleted_at IS NULL
+             AND NOT EXISTS (SELECT 1
+                             FROM applications AS a
+                             WHERE a.job_id = j.id AND a.username = $1)
+           GROUP BY j.id
+           ORDER BY score DESC,
+                    (SELECT COUNT(*) FROM job_technologies WHERE job_id = j.id),
+                    j.id
+           LIMIT $2`,
+        [username, limit]);
+
+    return result.rows;
+  }
+
+  /** Throws NotFoundError if there's no such (undeleted) user. */
+
+  static async checkUserExists(username) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL FOR SHARE`,
+        [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+  }
+}
+
+
+module.exports = Technology;
@@ -0,0 +1,209 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Technology = require("./technology.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobIds;
+beforeEach(async () => {
+  const result = await db.query(
+      `INSERT INTO jobs (title, salary, equity, company_handle)
+       VALUES ('j1', 100, 0, 'c1'),
+              ('j2', 200, 0, 'c2'),
+              ('j3', 300, 0, 'c3'),
+              ('j4', 400, 0, 'c3')
+       RETURNING id, title`);
+  jobIds = Object.fromEntries(result.rows.map(r => [r.title, r.id]));
+});
+
+/************************************** addToJob / forJob */
+
+describe("addToJob", function () {
+  test("works: creates the technology, and normalizes the name", async function () {
+    await Technology.addToJob(jobIds.j1, "sql");
+    const technologies = await Technology.addToJob(jobIds.j1, "  Python ");
+    expect(technologies).toEqual(["python", "sql"]);
+    expect(await Technology.forJob(jobIds.j1)).toEqual(["python", "sql"]);
+  });
+
+  test("tagging twice is fine", async function () {
+    await Technology.addToJob(jobIds.j1, "sql");
+    expect(await Technology.addToJob(jobIds.j1, "SQL")).toEqual(["sql"]);
+  });
+
+  test("not found for a deleted job", async function () {
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobIds.j1]);
+    await expect(Technology.addToJob(jobIds.j1, "sql")).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request for an empty name", async function () {
+    await expect(Technology.addToJob(jobIds.j1, "   ")).rejects.toThrow(BadRequestError);
+  });
+});
+
+describe("removeFromJob", function () {
+  test("works", async function () {
+    await Technology.addToJob(jobIds.j1, "sql");
+    await Technology.removeFromJob(jobIds.j1, "SQL");
+    expect(await Technology.forJob(jobIds.j1)).toEqual([]);
+  });
+
+  test("not found if the job isn't tagged", async function () {
+    await expect(Technology.removeFromJob(jobIds.j1, "sql")).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("tagging changes the job", function () {
+  // make the job look like it last changed in 2000
+  async function setOld(jobId) {
+    await db.query("UPDATE jobs SET updated_at = '2000-01-01' WHERE id = $1", [jobId]);
+  }
+  async function changedSince2000(jobId) {
+    const result = await db.query(
+        "SELECT updated_at > '2001-01-01' AS changed FROM jobs WHERE id = $1", [jobId]);
+    return result.rows[0].changed;
+  }
+
+  test("addToJob, removeFromJob and remove mark the job changed", async function () {
+    await setOld(jobIds.j1);
+    await Technology.addToJob(jobIds.j1, "sql");
+    expect(await changedSince2000(jobIds.j1)).toBe(true);
+
+    await setOld(jobIds.j1);
+    await Technology.removeFromJob(jobIds.j1, "sql");
+    expect(await changedSince2000(jobIds.j1)).toBe(true);
+
+    await Technology.addToJob(jobIds.j1, "sql");
+    await setOld(jobIds.j1);
+    await setOld(jobIds.j2);
+    await Technology.remove("sql");
+    expect(await changedSince2000(jobIds.j1)).toBe(true);
+    expect(await changedSince2000(jobIds.j2)).toBe(false);
+  });
+});
+
+/************************************** addToUser / forUser */
+
+describe("addToUser", function () {
+  test("works", async function () {
+    expect(await Technology.addToUser("u1", "Node.js")).toEqual(["node.js"]);
+    expect(await Technology.forUser("u1")).toEqual(["node.js"]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Technology.addToUser("nope", "sql")).rejects.toThrow(NotFoundError);
+    await expect(Technology.forUser("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("removeFromUser", function () {
+  test("works", async function () {
+    await Technology.addToUser("u1", "sql");
+    await Technology.removeFromUser("u1", "sql");
+    expect(await Technology.forUser("u1")).toEqual([]);
+  });
+
+  test("not found if the user doesn't have it", async function () {
+    await expect(Technology.removeFromUser("u1", "sql")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll / remove */
+
+describe("findAll", function () {
+  test("works: counts open jobs and users", async function () {
+    await Technology.addToJob(jobIds.j1, "sql");
+    await Technology.addToJob(jobIds.j2, "sql");
+    await Technology.addToUser("u1", "sql");
+    await Technology.addToUser("u1", "python");
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobIds.j2]);
+
+    expect(await Technology.findAll()).toEqual([
+      { name: "python", jobs: 0, users: 1 },
+      { name: "sql", jobs: 1, users: 1 },
+    ]);
+  });
+});
+
+describe("remove", function () {
+  test("works: untags jobs and users", async function () {
+    await Technology.addToJob(jobIds.j1, "sql");
+    await Technology.addToUser("u1", "sql");
+    await Technology.remove("sql");
+    expect(await Technology.findAll()).toEqual([]);
+    expect(await Technology.forJob(jobIds.j1)).toEqual([]);
+    expect(await Technology.forUser("u1")).toEqual([]);
+  });
+
+  test("not found if no such technology", async function () {
+    await expect(Technology.remove("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** recommendationsFor */
+
+describe("recommendationsFor", function () {
+  beforeEach(async function () {
+    for (let t of ["sql", "python", "react"]) await Technology.addToUser("u1", t);
+    // j1: 2 of 2 match; j2: 2 of 3 match; j3: 1 match; j4: none
+    for (let t of ["sql", "python"]) await Technology.addToJob(jobIds.j1, t);
+    for (let t of ["python", "react", "go"]) await Technology.addToJob(jobIds.j2, t);
+    await Technology.addToJob(jobIds.j3, "sql");
+    await Technology.addToJob(jobIds.j4, "go");
+  });
+
+  test("works: ranks by matches, then by how much of the job is covered", async function () {
+    const jobs = await Technology.recommendationsFor("u1");
+    expect(jobs).toEqual([
+      {
+        id: jobIds.j1,
+        title: "j1",
+        salary: 100,
+        equity: "0",
+        companyHandle: "c1",
+        slug: null,
+        matchingTechnologies: ["python", "sql"],
+        score: 2,
+      },
+      expect.objectContaining({
+        id: jobIds.j2,
+        matchingTechnologies: ["python", "react"],
+        score: 2,
+      }),
+      expect.objectContaining({ id: jobIds.j3, score: 1 }),
+    ]);
+  });
+
+  test("leaves out jobs already applied to, and deleted jobs", async function () {
+    await User.apply("u1", jobIds.j1);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobIds.j3]);
+    const jobs = await Technology.recommendationsFor("u1");
+    expect(jobs.map(j => j.id)).toEqual([jobIds.j2]);
+  });
+
+  test("takes a limit", async function () {
+    const jobs = await Technology.recommendationsFor("u1", "1");
+    expect(jobs.map(j => j.id)).toEqual([jobIds.j1]);
+    await expect(Technology.recommendationsFor("u1", "0")).rejects.toThrow(BadRequestError);
+  });
+
+  test("nothing for a user with no technologies", async function () {
+    expect(await Technology.recommendationsFor("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Technology.recommendationsFor("nope")).rejects.toThrow(NotFoundError);
+  });
+});
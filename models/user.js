@@ -1,17 +1,39 @@
 "use strict";
 
 const db = require("../db");
+const Application = require("./application");
+const EmailVerification = require("./emailVerification");
+const Audit = require("./audit");
+const RefreshToken = require("./refreshToken");
+const Notification = require("./notification");
+const Webhook = require("./webhook");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { sqlForFilters } = require("../helpers/filters");
+const { getRequestContext } = require("../helpers/requestContext");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const config = require("../config.js");
+const { BCRYPT_WORK_FACTOR } = config;
 const { json } = require("body-parser");
 
+/** The filters User.findAll takes (see helpers/filters.js). */
+
+const FILTERS = {
+  username: { column: "username", op: "ilike" },
+  firstName: { column: "first_name", op: "ilike" },
+  lastName: { column: "last_name", op: "ilike" },
+  email: { column: "email", op: "ilike" },
+  isAdmin: { column: "is_admin", type: "boolean" },
+  emailVerified: { column: "email_verified", type: "boolean" },
+};
+
 /** Related functions for users. */
 
 class User {
@@ -23,13 +45,15 @@ class User {
    * 
    * Returns: an array of job ids, i.e. [6, 10, 1, 13]
    *    - if no jobs were applied to, returns an empty array
+   *    - jobs that have been deleted are left out
    */
   static async getJobsAppliedTo(username) {
     const jobs = await db.query(
-      `SELECT username, JSON_AGG(job_id) AS jobsAppliedTo
-        FROM applications
-        WHERE username = $1
-        GROUP BY username`,
+      `SELECT a.username, JSON_AGG(a.job_id) AS jobsAppliedTo
+        FROM applications AS a
+          JOIN jobs AS j ON j.id = a.job_id
+        WHERE a.username = $1 AND j.deleted_at IS NULL
+        GROUP BY a.username`,
         [username],
     );
     if (jobs.rows.length) return jobs.rows[0].jobsappliedto;
@@ -54,7 +78,7 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -74,77 +98,117 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * This doesn't email them a link to verify their email: the caller does
+   * that with EmailVerification.send() once the user has been committed, so
+   * nobody is emailed about an account that was rolled back.
    *
-   * Throws BadRequestError on duplicates.
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+   *
+   * Throws BadRequestError on duplicates (including deleted users, until
+   * they're purged).
    **/
 
   static async register(
       { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (username) DO NOTHING
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email,
+                       email_verified AS "emailVerified", is_admin AS "isAdmin"`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          email,
-          isAdmin,
-        ],
-    );
+            isAdmin,
+          ],
+      );
 
-    const user = result.rows[0];
+      const user = result.rows[0];
 
-    return user;
+      if (!user) throw new BadRequestError(`Duplicate username: ${username}`);
+      await Audit.record("user", user.username, "create", { after: user });
+
+      return user;
+    });
   }
 
   /** Find all users.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Accepts the filters in FILTERS above: username, firstName, lastName and
+   * email (each matching part of the value, not case sensitive), and isAdmin
+   * and emailVerified (true or false).
+   *
+   * Accepts the paging parameters from helpers/pagination.js: limit, after,
+   * before, and sort, which can use any of "username", "firstName",
+   * "lastName" and "email" (default "username").
+   *
+   * Returns { users, nextCursor, prevCursor }
+   *   where users is [{ username, firstName, lastName, email, emailVerified,
+   *                     isAdmin, jobApplicationsSubmitted }, ...]
+   *
+   * With { withApplications: false }, jobApplicationsSubmitted is left out,
+   * which saves a query per user.
+   *
+   * Throws BadRequestError on any other query parameter, or values of the
+   * wrong type.
    **/
 
-  static async findAll() {
+  static async findAll(query = {}, { withApplications = true } = {}) {
+    const { page, filters } = extractPageParams(query);
+    const filtering = sqlForFilters(filters, FILTERS);
+    const paging = sqlForPage(page, {
+      sortable: {
+        username: "username",
+        firstName: "first_name",
+        lastName: "last_name",
+        email: "email",
+      },
+      defaultSort: "username",
+      tiebreaker: "username",
+      paramOffset: filtering.values.length,
+    });
+    const conditions = ["deleted_at IS NULL", filtering.where, paging.where].filter(c => c.length);
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
+                  email_verified AS "emailVerified",
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ${whereClause}
+           ${paging.orderBy}
+           ${paging.limit}`,
+        [...filtering.values, ...paging.values],
     );
 
-    for (let user of result.rows) {
-      user.jobApplicationsSubmitted = await this.getJobsAppliedTo(user.username);
-    };
+    const { rows, nextCursor, prevCursor } = paging.finish(result.rows);
+    if (withApplications) {
+      for (let user of rows) {
+        user.jobApplicationsSubmitted = await this.getJobsAppliedTo(user.username);
+      };
+    }
   
-    return result.rows;
+    return { users: rows, nextCursor, prevCursor };
   };
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin, jobs }
    *   where jobs is { id, title, company_handle, company_name, state }
    *
    * Throws NotFoundError if user not found.
@@ -156,9 +220,10 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
+                  email_verified AS "emailVerified",
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -170,6 +235,29 @@ class User {
     return user;
   };
 
+  /** Given a list of usernames, return data about those users.
+   *
+   * Returns [{ username, firstName, lastName, email, emailVerified, isAdmin }, ...],
+   * in no particular order. Usernames that aren't found (or were deleted)
+   * are left out.
+   **/
+
+  static async getMany(usernames) {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  email_verified AS "emailVerified",
+                  is_admin AS "isAdmin"
+           FROM users
+           WHERE username = ANY($1) AND deleted_at IS NULL`,
+        [usernames],
+    );
+
+    return result.rows;
+  };
+
   /** Update user data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain
@@ -178,7 +266,13 @@ class User {
    * Data can include:
    *   { firstName, lastName, password, email, isAdmin }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Changing the email marks it unverified again, and emails a verification
+   * link to the new address.
+   *
+   * When someone else (an admin) makes the change, the user gets an
+   * account-updated notification.
+   *
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
    *
    * Throws NotFoundError if not found.
    *
@@ -188,49 +282,139 @@ class User {
    */
 
   static async update(username, data) {
-    if (data.password) {
-      data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
-    }
+    return db.withTransaction(async client => {
+      const changed = Object.keys(data);
+      let emailChanged = false;
+      if (data.email !== undefined) {
+        const current = await client.query(
+              `SELECT email FROM users WHERE username = $1 AND deleted_at IS NULL`,
+            [username]);
+        if (!current.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+        emailChanged = current.rows[0].email !== data.email;
+        if (emailChanged) data = { ...data, emailVerified: false };
+      }
 
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          firstName: "first_name",
-          lastName: "last_name",
-          isAdmin: "is_admin",
-        });
-    const usernameVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+      if (data.password) {
+        data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
+      }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+      const { setCols, values } = sqlForPartialUpdate(
+          data,
+          {
+            firstName: "first_name",
+            lastName: "last_name",
+            emailVerified: "email_verified",
+            isAdmin: "is_admin",
+          });
+      const { jobApplicationsSubmitted, ...before } = await this.get(username);
+      const usernameVarIdx = "$" + (values.length + 1);
+
+      const querySql = `UPDATE users 
+                        SET ${setCols} 
+                        WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
+                        RETURNING username,
+                                  first_name AS "firstName",
+                                  last_name AS "lastName",
+                                  email,
+                                  email_verified AS "emailVerified",
+                                  is_admin AS "isAdmin"`;
+      const result = await client.query(querySql, [...values, username]);
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      // the audit log never sees passwords, only that one was set
+      await Audit.record("user", username, "update", {
+        before,
+        after: data.password ? { ...user, passwordChanged: true } : user,
+      });
+      if (emailChanged) await EmailVerification.send(user.username, user.email);
+
+      const { actor } = getRequestContext();
+      if (actor && actor !== username) {
+        await Notification.notify([username], "account-updated", { by: actor, changed });
+      }
 
-    delete user.password;
-    return user;
+      delete user.password;
+      return user;
+    });
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Delete given user; returns undefined.
+   *
+   * This is a soft delete: the user (and their applications) are kept, but
+   * they can't log in, and every session they have is logged out. They can be
+   * brought back with restore() until they're purged.
+   */
 
   static async remove(username) {
-    let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
-        [username],
-    );
-    const user = result.rows[0];
+    return db.withTransaction(async client => {
+      const before = await this.get(username);
+      let result = await client.query(
+            `UPDATE users
+             SET deleted_at = NOW()
+             WHERE username = $1 AND deleted_at IS NULL
+             RETURNING username`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      await RefreshToken.revokeAllForUser(username);
+      await Audit.record("user", username, "delete", { before });
+    });
+  }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+  /** Bring back a deleted user.
+   *
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+   *
+   * Throws NotFoundError if there is no deleted user with this username.
+   */
+
+  static async restore(username) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE users
+             SET deleted_at = NULL
+             WHERE username = $1 AND deleted_at IS NOT NULL
+             RETURNING username,
+                       first_name AS "firstName",
+                       last_name AS "lastName",
+                       email,
+                       email_verified AS "emailVerified",
+                       is_admin AS "isAdmin"`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+      await Audit.record("user", username, "restore", { after: user });
+
+      return user;
+    });
+  }
+
+  /** Permanently remove users deleted more than `olderThanDays` days ago,
+   * along with their applications.
+   *
+   * Returns the usernames removed.
+   */
+
+  static async purge(olderThanDays) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM users
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING username`,
+          [olderThanDays],
+      );
+
+      const usernames = result.rows.map(r => r.username);
+      for (let username of usernames) await Audit.record("user", username, "purge");
+      return usernames;
+    });
   }
 
   /** Allow user to submit job applications for existing jobs 
@@ -239,41 +423,65 @@ class User {
    *    username: req.params.username, a String
    *    job_id: req.params.id, a Number
    * 
+   * The application starts out in the "applied" state, and that first state
+   * is recorded in the application's transition history. It all happens in
+   * one transaction, and the user and job rows stay locked until it's done,
+   * so neither can be deleted halfway through.
+   * 
    * Returns:
    *    - if no user is found, raises NotFoundError
-   *    - if the job id given is greater than the maximum job id, raises NotFoundError
-   *    - otherwise, returns { username: "tim", job_id: 15 }
+   *    - if config.REQUIRE_VERIFIED_EMAIL is on and the user hasn't verified
+   *      their email, raises ForbiddenError
+   *    - if there is no job with the given id (or it was deleted), raises NotFoundError
+   *    - otherwise, returns { job_id: 15, state: "applied" }
   */
 
   static async apply(username, job_id) {
-    const doesJobExist = await db.query(
-      `SELECT MAX(id)
-       FROM jobs`,
-    );
-
-    const doesUserExist = await db.query(
-      `SELECT username
-       FROM users
-       WHERE username = $1`,
-       [username]
-    );
-
-    if (!doesUserExist.rows.length) throw new NotFoundError("The requested user does not exist.");
+    return db.withTransaction(async client => {
+      const doesUserExist = await client.query(
+        `SELECT username, email_verified AS "emailVerified"
+         FROM users
+         WHERE username = $1 AND deleted_at IS NULL
+         FOR SHARE`,
+         [username]
+      );
+
+      if (!doesUserExist.rows.length) throw new NotFoundError("The requested user does not exist.");
+      if (config.REQUIRE_VERIFIED_EMAIL && !doesUserExist.rows[0].emailVerified) {
+        throw new ForbiddenError("Please verify your email address before applying to jobs.");
+      }
     
-    const id = doesJobExist.rows[0].max;
-    if (parseInt(job_id) > parseInt(id)) throw new NotFoundError(`Job id ${job_id} is greater than the max job id of ${id}`);
-
-    const jobApplication = await db.query(
-      `INSERT INTO applications
-       (username, job_id)
-       VALUES
-       ($1, $2)
-       RETURNING job_id`,
-       [username, job_id]
-    );
-
-    return jobApplication.rows[0];
+      if (!/^\d+$/.test(String(job_id))) throw new NotFoundError(`No job: ${job_id}`);
+      const doesJobExist = await client.query(
+        `SELECT id, company_handle AS "companyHandle"
+         FROM jobs
+         WHERE id = $1 AND deleted_at IS NULL
+         FOR SHARE`,
+         [job_id]
+      );
+      if (!doesJobExist.rows.length) throw new NotFoundError(`No job: ${job_id}`);
+
+      const jobApplication = await client.query(
+        `INSERT INTO applications
+         (username, job_id)
+         VALUES
+         ($1, $2)
+         RETURNING job_id, state`,
+         [username, job_id]
+      );
+
+      await Application.recordTransition(username, job_id, null, "applied");
+      await Webhook.enqueue(doesJobExist.rows[0].companyHandle, "application.created", {
+        username,
+        jobId: doesJobExist.rows[0].id,
+        state: "applied",
+      });
+
+      return jobApplication.rows[0];
+    });
   };
 };
 
+User.FILTERS = FILTERS;
+
 module.exports = User;
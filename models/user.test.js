@@ -4,9 +4,13 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 const db = require("../db.js");
+const config = require("../config.js");
+const { getMailer } = require("../helpers/mailer");
 const User = require("./user.js");
+const Webhook = require("./webhook");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -61,6 +65,7 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
+    emailVerified: false,
     isAdmin: false,
   };
 
@@ -76,6 +81,15 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: leaves the verification email to the caller", async function () {
+    getMailer().clear();
+    await User.register({
+      ...newUser,
+      password: "password",
+    });
+    expect(getMailer().outbox).toEqual([]);
+  });
+
   test("works: adds admin", async function () {
     let user = await User.register({
       ...newUser,
@@ -104,19 +118,29 @@ describe("register", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request for one of two racing registrations", async function () {
+    const results = await Promise.allSettled([
+      User.register({ ...newUser, password: "password" }),
+      User.register({ ...newUser, password: "password" }),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason).toBeInstanceOf(BadRequestError);
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
+        emailVerified: false,
         isAdmin: false,
         jobApplicationsSubmitted: []
       },
@@ -125,11 +149,38 @@ describe("findAll", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
+        emailVerified: false,
         isAdmin: false,
         jobApplicationsSubmitted: []
       },
     ]);
   });
+
+  test("works: filters", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u2'");
+    const verified = await User.findAll({ emailVerified: "true" });
+    expect(verified.users.map(u => u.username)).toEqual(["u2"]);
+
+    const byName = await User.findAll({ firstName: "u1", isAdmin: "false" });
+    expect(byName.users.map(u => u.username)).toEqual(["u1"]);
+  });
+
+  test("works: without applications", async function () {
+    const { users } = await User.findAll({ username: "u1" }, { withApplications: false });
+    expect(users).toEqual([{
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      emailVerified: false,
+      isAdmin: false,
+    }]);
+  });
+
+  test("bad request on unknown filters and bad values", async function () {
+    await expect(User.findAll({ potato: "soup" })).rejects.toThrow(BadRequestError);
+    await expect(User.findAll({ isAdmin: "maybe" })).rejects.toThrow(BadRequestError);
+  });
 });
 
 /************************************** get */
@@ -142,6 +193,7 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
       isAdmin: false,
       jobApplicationsSubmitted: []
     });
@@ -157,6 +209,28 @@ describe("get", function () {
   });
 });
 
+/************************************** getMany */
+
+describe("getMany", function () {
+  test("works, leaving out usernames that aren't found", async function () {
+    let users = await User.getMany(["u2", "u1", "nope"]);
+    expect(users.map(u => u.username).sort()).toEqual(["u1", "u2"]);
+    expect(users).toContainEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      emailVerified: false,
+      isAdmin: false,
+    });
+  });
+
+  test("leaves out deleted users", async function () {
+    await User.remove("u1");
+    expect(await User.getMany(["u1"])).toEqual([]);
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -172,9 +246,28 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      emailVerified: false,
     });
   });
 
+  test("works: changing email unverifies it and sends a link", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    getMailer().clear();
+
+    const user = await User.update("u1", { email: "changed@email.com" });
+    expect(user.emailVerified).toEqual(false);
+    expect(getMailer().outbox.map(m => m.to)).toEqual(["changed@email.com"]);
+  });
+
+  test("works: same email stays verified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    getMailer().clear();
+
+    const user = await User.update("u1", { email: "u1@email.com", firstName: "New" });
+    expect(user.emailVerified).toEqual(true);
+    expect(getMailer().outbox).toEqual([]);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -184,6 +277,7 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -219,8 +313,16 @@ describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("deleted users can't log in and are left out of findAll and get", async function () {
+    await User.remove("u1");
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(UnauthorizedError);
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
   });
 
   test("not found if no such user", async function () {
@@ -233,6 +335,45 @@ describe("remove", function () {
   });
 });
 
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      emailVerified: false,
+      isAdmin: false,
+    });
+    await User.authenticate("u1", "password1");
+  });
+
+  test("not found if the user isn't deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    await User.remove("u2");
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '31 days' WHERE username = 'u1'`);
+
+    const usernames = await User.purge(30);
+    expect(usernames).toEqual(["u1"]);
+
+    const res = await db.query("SELECT username FROM users");
+    expect(res.rows.map(r => r.username)).toEqual(["u2"]);
+  });
+});
+
 
 /*************************************** apply */
 describe("apply", () => {
@@ -259,6 +400,7 @@ describe("apply", () => {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
       isAdmin: false,
       jobApplicationsSubmitted: [jobId]
     });
@@ -272,4 +414,60 @@ describe("apply", () => {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if the job is deleted", async function () {
+    const jobRes = await db.query(
+      `INSERT INTO jobs (title, salary, equity, company_handle, deleted_at)
+       VALUES ('gone', 50000, 0.2, 'c3', NOW())
+       RETURNING id`);
+    await expect(User.apply("u1", jobRes.rows[0].id)).rejects.toThrow(NotFoundError);
+  });
+
+  test("saves nothing if a later step fails", async function () {
+    const jobRes = await db.query(
+      `INSERT INTO jobs (title, salary, equity, company_handle)
+       VALUES ('worker', 50000, 0.2, 'c3')
+       RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    jest.spyOn(Webhook, "enqueue").mockRejectedValueOnce(new Error("queue is down"));
+
+    await expect(User.apply("u1", jobId)).rejects.toThrow("queue is down");
+    const applications = await db.query("SELECT * FROM applications WHERE job_id = $1", [jobId]);
+    expect(applications.rows).toEqual([]);
+    const history = await db.query(
+        "SELECT * FROM application_transitions WHERE job_id = $1", [jobId]);
+    expect(history.rows).toEqual([]);
+
+    // and the user can still apply once it's working again
+    expect(await User.apply("u1", jobId)).toEqual({ job_id: jobId, state: "applied" });
+  });
+
+  describe("when verified emails are required", function () {
+    let jobId;
+
+    beforeEach(async function () {
+      config.REQUIRE_VERIFIED_EMAIL = true;
+      const result = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('worker', 50000, 0.2, 'c3')
+         RETURNING id`);
+      jobId = result.rows[0].id;
+    });
+    afterEach(() => { config.REQUIRE_VERIFIED_EMAIL = false; });
+
+    test("forbidden if email not verified", async function () {
+      try {
+        await User.apply("u1", jobId);
+        fail();
+      } catch (err) {
+        expect(err instanceof ForbiddenError).toBeTruthy();
+      }
+    });
+
+    test("works if email verified", async function () {
+      await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+      const application = await User.apply("u1", jobId);
+      expect(application).toEqual({ job_id: jobId, state: "applied" });
+    });
+  });
 });
@@ -0,0 +1,423 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { extractPageParams, sqlForPage } = require("../helpers/pagination");
+const { retryDelaySeconds, sendWebhook } = require("../helpers/webhooks");
+const { logger } = require("../helpers/logger");
+const config = require("../config");
+
+/** The events a webhook can subscribe to, and the data each one sends.
+ *
+ * application.created: { username, jobId, state }
+ * application.updated: { username, jobId, fromState, toState }
+ * job.created: { id, title, salary, equity, companyHandle, slug }
+ * job.deleted: { id, title }
+ */
+
+const EVENTS = ["application.created", "application.updated", "job.created", "job.deleted"];
+
+const STATUSES = ["pending", "succeeded", "failed"];
+
+// columns for webhooks; the secret is only ever returned by create()
+const WEBHOOK_COLUMNS = `id,
+                         company_handle AS "companyHandle",
+                         url,
+                         events,
+                         active,
+                         created_at AS "createdAt"`;
+
+const DELIVERY_COLUMNS = `id,
+                          webhook_id AS "webhookId",
+                          event,
+                          payload,
+                          status,
+                          attempts,
+                          next_attempt_at AS "nextAttemptAt",
+                          last_attempt_at AS "lastAttemptAt",
+                          response_status AS "responseStatus",
+                          last_error AS "lastError",
+                          created_at AS "createdAt"`;
+
+/** Related functions for webhooks: events POSTed to a company's own systems
+ * (like an applicant tracking system) as they happen.
+ *
+ * Events aren't sent while the request that caused them is running. Instead
+ * each one is queued as a delivery for every active webhook of the company
+ * that subscribes to it, and a worker (see startWorker) sends the queued
+ * deliveries, retrying failures with exponential backoff. Deliveries are kept
+ * afterwards as a log of what was sent and how it went.
+ *
+ * How requests are signed is described in helpers/webhooks.js.
+ */
+
+class Webhook {
+
+  /** Add a webhook to a company.
+   *
+   * data: { url, events, secret }
+   *   secret: (optional) the key for signing requests; a random one is made
+   *           if it's left out
+   *
+   * Returns { id, companyHandle, url, events, active, createdAt, secret }.
+   * This is the only time the secret is returned.
+   *
+   * Throws NotFoundError if there's no such company, and BadRequestError on
+   * unknown events.
+   */
+
+  static async create(handle, { url, events, secret }) {
+    return db.withTransaction(async client => {
+      this.checkEvents(events);
+      await this.checkCompanyExists(handle);
+
+      const result = await client.query(
+            `INSERT INTO webhooks (company_handle, url, events, secret)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${WEBHOOK_COLUMNS}, secret`,
+          [handle, url, [...new Set(events)], secret || crypto.randomBytes(32).toString("hex")]);
+
+      return result.rows[0];
+    });
+  }
+
+  /** Find a company's webhooks.
+   *
+   * Returns [{ id, companyHandle, url, events, active, createdAt }, ...]
+   *
+   * Throws NotFoundError if there's no such company.
+   */
+
+  static async findForCompany(handle) {
+    await this.checkCompanyExists(handle);
+
+    const result = await db.query(
+          `SELECT ${WEBHOOK_COLUMNS}
+           FROM webhooks
+           WHERE company_handle = $1
+           ORDER BY id`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Given a company and webhook id, return the webhook.
+   *
+   * Returns { id, companyHandle, url, events, active, createdAt }
+   *
+   * Throws NotFoundError if the company has no such webhook.
+   */
+
+  static async get(handle, id) {
+    const result = await db.query(
+          `SELECT ${WEBHOOK_COLUMNS}
+           FROM webhooks
+           WHERE company_handle = $1 AND id = $2`,
+        [handle, id]);
+
+    const webhook = result.rows[0];
+    if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+    return webhook;
+  }
+
+  /** Update a webhook with `data`; a partial update.
+   *
+   * data can include: { url, events, active }. Turning a webhook off stops
+   * new deliveries being queued for it, and holds back those already queued
+   * until it's turned on again.
+   *
+   * Returns { id, companyHandle, url, events, active, createdAt }
+   *
+   * Throws NotFoundError if the company has no such webhook, and
+   * BadRequestError on unknown events.
+   */
+
+  static async update(handle, id, data) {
+    if (data.events !== undefined) {
+      this.checkEvents(data.events);
+      data = { ...data, events: [...new Set(data.events)] };
+    }
+
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const result = await db.query(
+          `UPDATE webhooks
+           SET ${setCols}
+           WHERE company_handle = $${values.length + 1} AND id = $${values.length + 2}
+           RETURNING ${WEBHOOK_COLUMNS}`,
+        [...values, handle, id]);
+
+    const webhook = result.rows[0];
+    if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+    return webhook;
+  }
+
+  /** Delete a webhook, and its deliveries; returns undefined.
+   *
+   * Throws NotFoundError if the company has no such webhook.
+   */
+
+  static async remove(handle, id) {
+    const result = await db.query(
+          `DELETE
+           FROM webhooks
+           WHERE company_handle = $1 AND id = $2
+           RETURNING id`,
+        [handle, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No webhook: ${id}`);
+  }
+
+  /** Queue an event for delivery to every active webhook of a company that
+   * subscribes to it; returns how many deliveries were queued.
+   *
+   * The request body sent is { event, occurredAt, data }.
+   */
+
+  static async enqueue(handle, event, data) {
+    const result = await db.query(
+          `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+           SELECT id, $2, jsonb_build_object('event', $2::text,
+                                             'occurredAt', NOW(),
+                                             'data', $3::jsonb)
+           FROM webhooks
+           WHERE company_handle = $1 AND active AND $2 = ANY(events)`,
+        [handle, event, JSON.stringify(data)]);
+
+    return result.rowCount;
+  }
+
+  /** Find a webhook's deliveries, newest first.
+   *
+   * query: the request.query object
+   *   - filters: status ("pending", "succeeded" or "failed")
+   *   - paging (see helpers/pagination.js): limit, after, before, and sort,
+   *     which can only use "id" (default "-id", newest first)
+   *
+   * Returns { deliveries, nextCursor, prevCursor }
+   *   where deliveries is [{ id, webhookId, event, payload, status, attempts,
+   *                          nextAttemptAt, lastAttemptAt, responseStatus,
+   *                          lastError, createdAt }, ...]
+   *
+   * Throws NotFoundError if the company has no such webhook, and
+   * BadRequestError on unknown parameters or bad values.
+   */
+
+  static async findDeliveries(handle, webhookId, query = {}) {
+    const { page, filters } = extractPageParams(query);
+    const { status, ...rest } = filters;
+    const invalidKeys = Object.keys(rest);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query
+                                                       string are invalid: [${invalidKeys}]`);
+    if (status !== undefined && STATUSES.indexOf(status) === -1) {
+      throw new BadRequestError(`status must be one of: [${STATUSES}]`);
+    }
+
+    await this.get(handle, webhookId);
+
+    const conditions = ["webhook_id = $1"];
+    const values = [webhookId];
+    if (status !== undefined) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    const paging = sqlForPage(page, {
+      sortable: { id: { column: "id", type: "integer" } },
+      defaultSort: "-id",
+      tiebreaker: "id",
+      paramOffset: values.length,
+    });
+    if (paging.where) conditions.push(paging.where);
+
+    const result = await db.query(
+          `SELECT ${DELIVERY_COLUMNS}
+           FROM webhook_deliveries
+           WHERE ${conditions.join(" AND ")}
+           ${paging.orderBy}
+           ${paging.limit}`,
+        [...values, ...paging.values]);
+
+    const { rows, nextCursor, prevCursor } = paging.finish(result.rows);
+    return { deliveries: rows, nextCursor, prevCursor };
+  }
+
+  /** Send a delivery again right away, whatever happened to it before.
+   *
+   * The delivery starts over with a full set of attempts: if this one fails,
+   * it's retried like a new delivery. Like processDue, it's claimed for long
+   * enough to send it, so a worker doesn't send it at the same time.
+   *
+   * Returns the delivery after the attempt, as findDeliveries() does.
+   *
+   * Throws NotFoundError if the company's webhook has no such delivery.
+   */
+
+  static async redeliver(handle, webhookId, deliveryId) {
+    const leaseSeconds = config.WEBHOOK_TIMEOUT_MS / 1000 + 60;
+    const result = await db.query(
+          `UPDATE webhook_deliveries AS d
+           SET status = 'pending',
+               attempts = 0,
+               next_attempt_at = NOW() + make_interval(secs => $4)
+           FROM webhooks AS w
+           WHERE w.id = d.webhook_id
+             AND w.company_handle = $1 AND w.id = $2 AND d.id = $3
+           RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret`,
+        [handle, webhookId, deliveryId, leaseSeconds]);
+
+    const delivery = result.rows[0];
+    if (!delivery) throw new NotFoundError(`No delivery: ${deliveryId}`);
+    return this.attempt(delivery);
+  }
+
+  /** Make one attempt at sending a delivery, and record how it went.
+   *
+   * delivery: { id, event, payload, attempts, url, secret }
+   *
+   * Any 2xx response means it succeeded. Otherwise it's retried later, or,
+   * once it has had WEBHOOK_MAX_ATTEMPTS attempts, marked failed.
+   *
+   * Returns the delivery, as findDeliveries() does.
+   */
+
+  static async attempt({ id, event, payload, attempts, url, secret }) {
+    let responseStatus = null;
+    let error = null;
+    try {
+      responseStatus = await sendWebhook({
+        url,
+        secret,
+        event,
+        deliveryId: id,
+        body: JSON.stringify(payload),
+        timeoutMs: config.WEBHOOK_TIMEOUT_MS,
+      });
+      if (responseStatus < 200 || responseStatus > 299) {
+        error = `Receiver responded with status ${responseStatus}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    attempts += 1;
+    let status = "succeeded";
+    if (error) status = attempts >= config.WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+
+    const result = await db.query(
+          `UPDATE webhook_deliveries
+           SET status = $2,
+               attempts = $3,
+               last_attempt_at = NOW(),
+               next_attempt_at = NOW() + make_interval(secs => $4),
+               response_status = $5,
+               last_error = $6
+           WHERE id = $1
+           RETURNING ${DELIVERY_COLUMNS}`,
+        [
+          id,
+          status,
+          attempts,
+          retryDelaySeconds(attempts, config.WEBHOOK_RETRY_BASE_SECONDS),
+          responseStatus,
+          error,
+        ]);
+
+    return result.rows[0];
+  }
+
+  /** Send the pending deliveries that are due (for active webhooks), oldest
+   * first; returns how many were attempted.
+   *
+   * limit: the most deliveries to send in one go
+   *
+   * Deliveries are claimed by pushing their next attempt past the time the
+   * whole batch can take (they're sent one after another), so a delivery
+   * isn't sent twice if another worker runs at the same time. Rows another
+   * worker is claiming at that moment are skipped, not claimed twice.
+   */
+
+  static async processDue(limit = 20) {
+    const leaseSeconds = limit * (config.WEBHOOK_TIMEOUT_MS / 1000) + 60;
+    const result = await db.query(
+          `UPDATE webhook_deliveries AS d
+           SET next_attempt_at = NOW() + make_interval(secs => $2)
+           FROM webhooks AS w
+           WHERE w.id = d.webhook_id
+             AND d.id IN (SELECT due.id
+                          FROM webhook_deliveries AS due
+                            JOIN webhooks AS dw ON dw.id = due.webhook_id
+                          WHERE due.status = 'pending'
+                            AND due.next_attempt_at <= NOW()
+                            AND dw.active
+                          ORDER BY due.next_attempt_at, due.id
+                          LIMIT $1
+                          FOR UPDATE OF due SKIP LOCKED)
+           RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret`,
+        [limit, leaseSeconds]);
+
+    const deliveries = result.rows.sort((a, b) => a.id - b.id);
+    for (let delivery of deliveries) await this.attempt(delivery);
+    return deliveries.length;
+  }
+
+  /** Start sending due deliveries every intervalMs; returns a function that
+   * stops it.
+   *
+   * Each run keeps going while there are due deliveries, and a new run
+   * doesn't start until the last one has finished.
+   */
+
+  static startWorker(intervalMs = config.WEBHOOK_POLL_INTERVAL_MS) {
+    let timer;
+    let stopped = false;
+
+    const run = async () => {
+      try {
+        while (!stopped && await this.processDue() > 0) { /* keep going */ }
+      } catch (err) {
+        logger.error("webhook worker failed", { err });
+      }
+      if (!stopped) timer = setTimeout(run, intervalMs);
+    };
+    timer = setTimeout(run, intervalMs);
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /** Turn a job, as the Job model returns it, into a job.created event's
+   * data. */
+
+  static jobData(job) {
+    const { id, title, salary, equity, companyhandle, slug } = job;
+    return { id, title, salary, equity, companyHandle: companyhandle, slug };
+  }
+
+  /** Throws BadRequestError if any of events isn't one of EVENTS. */
+
+  static checkEvents(events) {
+    const unknown = events.filter(e => EVENTS.indexOf(e) === -1);
+    if (unknown.length) {
+      throw new BadRequestError(`Unknown events: [${unknown}]; allowed: [${EVENTS}]`);
+    }
+  }
+
+  /** Throws NotFoundError if there's no such (undeleted) company. */
+
+  static async checkCompanyExists(handle) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL FOR SHARE`,
+        [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+  }
+}
+
+Webhook.EVENTS = EVENTS;
+
+
+module.exports = Webhook;
@@ -0,0 +1,324 @@
+"use strict";
+
+const http = require("http");
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const config = require("../config");
+const Webhook = require("./webhook.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const Application = require("./application.js");
+const { verifySignature } = require("../helpers/webhooks");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+// a local receiver; responds to each request with `status`
+let server;
+let url;
+let received;
+let status;
+
+beforeAll(async function () {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+afterAll(async function () {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(function () {
+  received = [];
+  status = 200;
+});
+
+/** Make all pending deliveries due now. */
+async function makeDue() {
+  await db.query("UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second'");
+}
+
+/************************************** create / find / update / remove */
+
+describe("create", function () {
+  test("works, making a secret", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created", "job.created"] });
+    expect(webhook).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      url,
+      events: ["job.created"],
+      active: true,
+      createdAt: expect.any(Date),
+      secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+  });
+
+  test("the secret isn't returned again", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"], secret: "a-secret-secret!" });
+    expect(webhook.secret).toEqual("a-secret-secret!");
+    expect(await Webhook.get("c1", webhook.id)).not.toHaveProperty("secret");
+    expect(await Webhook.findForCompany("c1")).toEqual([
+      expect.not.objectContaining({ secret: expect.anything() }),
+    ]);
+  });
+
+  test("bad request on unknown events", async function () {
+    await expect(Webhook.create("c1", { url, events: ["job.eaten"] })).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Webhook.create("nope", { url, events: ["job.created"] })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await Webhook.create("c1", { url, events: ["job.created"] });
+    const webhook = await Webhook.update("c1", id, { events: ["job.deleted"], active: false });
+    expect(webhook).toEqual(expect.objectContaining({ id, events: ["job.deleted"], active: false }));
+  });
+
+  test("not found for another company's webhook", async function () {
+    const { id } = await Webhook.create("c1", { url, events: ["job.created"] });
+    await expect(Webhook.update("c2", id, { active: false })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.remove("c1", id);
+    expect(await Webhook.findForCompany("c1")).toEqual([]);
+    await expect(Webhook.remove("c1", id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("events from the other models are queued for subscribed, active webhooks", async function () {
+    const all = await Webhook.create("c1", {
+      url, events: ["application.created", "application.updated", "job.created", "job.deleted"],
+    });
+    await Webhook.create("c1", { url, events: ["job.deleted"] });
+    const off = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.update("c1", off.id, { active: false });
+    await Webhook.create("c2", { url, events: ["job.created"] });
+
+    const job = await Job.create({ title: "j1", salary: 100, equity: 0, companyHandle: "c1" });
+    await User.apply("u1", job.id);
+    await Application.transition("u1", job.id, "interviewing");
+    await Job.remove(job.id);
+
+    const { deliveries } = await Webhook.findDeliveries("c1", all.id);
+    expect(deliveries.map(d => [d.event, d.payload.data])).toEqual([
+      ["job.deleted", { id: job.id, title: "j1" }],
+      ["application.updated", { username: "u1", jobId: job.id, fromState: "applied", toState: "interviewing" }],
+      ["application.created", { username: "u1", jobId: job.id, state: "applied" }],
+      ["job.created", { id: job.id, title: "j1", salary: 100, equity: "0", companyHandle: "c1", slug: null }],
+    ]);
+    expect(deliveries[0]).toEqual({
+      id: expect.any(Number),
+      webhookId: all.id,
+      event: "job.deleted",
+      payload: { event: "job.deleted", occurredAt: expect.any(String), data: { id: job.id, title: "j1" } },
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: expect.any(Date),
+      lastAttemptAt: null,
+      responseStatus: null,
+      lastError: null,
+      createdAt: expect.any(Date),
+    });
+
+    const count = await db.query("SELECT COUNT(*)::int AS count FROM webhook_deliveries");
+    expect(count.rows[0].count).toEqual(5);
+  });
+});
+
+/************************************** processDue */
+
+describe("processDue", function () {
+  test("sends due deliveries, signed with the webhook's secret", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"], secret: "a-secret-secret!" });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    await makeDue();
+
+    expect(await Webhook.processDue()).toEqual(1);
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(body).toEqual({ event: "job.created", occurredAt: expect.any(String), data: { id: 1 } });
+    expect(verifySignature("a-secret-secret!", headers["x-jobly-timestamp"],
+        JSON.stringify(body), headers["x-jobly-signature"])).toEqual(true);
+
+    const { deliveries } = await Webhook.findDeliveries("c1", webhook.id);
+    expect(deliveries[0]).toEqual(expect.objectContaining({
+      status: "succeeded",
+      attempts: 1,
+      responseStatus: 200,
+      lastError: null,
+    }));
+
+    // nothing left to do
+    await makeDue();
+    expect(await Webhook.processDue()).toEqual(0);
+  });
+
+  test("workers running at once don't send a delivery twice", async function () {
+    await Webhook.create("c1", { url, events: ["job.created"] });
+    for (let id = 1; id <= 5; id++) await Webhook.enqueue("c1", "job.created", { id });
+    await makeDue();
+
+    const counts = await Promise.all([Webhook.processDue(3), Webhook.processDue(3)]);
+    await Webhook.processDue(3);
+    expect(counts[0] + counts[1]).toBeLessThanOrEqual(5);
+    expect(received.map(r => r.body.data.id).sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("claims last long enough for the whole batch to be sent", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    await makeDue();
+
+    const spy = jest.spyOn(Webhook, "attempt").mockImplementation(async delivery => delivery);
+    try {
+      await Webhook.processDue(20);
+    } finally {
+      spy.mockRestore();
+    }
+    const [delivery] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+    const leaseSeconds = (delivery.nextAttemptAt - Date.now()) / 1000;
+    expect(leaseSeconds).toBeGreaterThan(20 * config.WEBHOOK_TIMEOUT_MS / 1000);
+  });
+
+  test("deliveries that aren't due yet wait", async function () {
+    await Webhook.create("c1", { url, events: ["job.created"] });
+    await db.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+         SELECT id, 'job.created', '{}', NOW() + INTERVAL '1 hour' FROM webhooks`);
+    expect(await Webhook.processDue()).toEqual(0);
+    expect(received).toEqual([]);
+  });
+
+  test("failures are retried with backoff, then given up on", async function () {
+    const maxAttempts = config.WEBHOOK_MAX_ATTEMPTS;
+    config.WEBHOOK_MAX_ATTEMPTS = 2;
+    try {
+      status = 500;
+      const webhook = await Webhook.create("c1", { url, events: ["job.created"] });
+      await Webhook.enqueue("c1", "job.created", { id: 1 });
+      await makeDue();
+
+      await Webhook.processDue();
+      let [delivery] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+      expect(delivery).toEqual(expect.objectContaining({
+        status: "pending",
+        attempts: 1,
+        responseStatus: 500,
+        lastError: "Receiver responded with status 500",
+      }));
+      const wait = (delivery.nextAttemptAt - delivery.lastAttemptAt) / 1000;
+      expect(wait).toEqual(config.WEBHOOK_RETRY_BASE_SECONDS);
+
+      // not due until the backoff has passed
+      expect(await Webhook.processDue()).toEqual(0);
+
+      await makeDue();
+      await Webhook.processDue();
+      [delivery] = (await Webhook.findDeliveries("c1", webhook.id, { status: "failed" })).deliveries;
+      expect(delivery).toEqual(expect.objectContaining({ status: "failed", attempts: 2 }));
+      expect(received).toHaveLength(2);
+    } finally {
+      config.WEBHOOK_MAX_ATTEMPTS = maxAttempts;
+    }
+  });
+
+  test("unreachable receivers are recorded as errors", async function () {
+    const webhook = await Webhook.create("c1", { url: "http://127.0.0.1:1/hook", events: ["job.created"] });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    await makeDue();
+
+    await Webhook.processDue();
+    const [delivery] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+    expect(delivery.status).toEqual("pending");
+    expect(delivery.responseStatus).toBeNull();
+    expect(delivery.lastError).toEqual(expect.any(String));
+  });
+});
+
+/************************************** findDeliveries */
+
+describe("findDeliveries", function () {
+  test("bad request on invalid filters", async function () {
+    const { id } = await Webhook.create("c1", { url, events: ["job.created"] });
+    await expect(Webhook.findDeliveries("c1", id, { status: "lost" })).rejects.toThrow(BadRequestError);
+    await expect(Webhook.findDeliveries("c1", id, { potato: "soup" })).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found for another company's webhook", async function () {
+    const { id } = await Webhook.create("c1", { url, events: ["job.created"] });
+    await expect(Webhook.findDeliveries("c2", id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** redeliver */
+
+describe("redeliver", function () {
+  test("sends again right away, with a fresh set of attempts", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    await makeDue();
+    await Webhook.processDue();
+    const [sent] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+
+    const delivery = await Webhook.redeliver("c1", webhook.id, sent.id);
+    expect(delivery).toEqual(expect.objectContaining({ id: sent.id, status: "succeeded", attempts: 1 }));
+    expect(received).toHaveLength(2);
+    expect(received[1].headers["x-jobly-delivery"]).toEqual(String(sent.id));
+  });
+
+  test("workers don't send a delivery while it's being redelivered", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    await makeDue();
+    const [delivery] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+
+    // stand in for a send that hasn't finished yet
+    const spy = jest.spyOn(Webhook, "attempt").mockImplementation(async delivery => delivery);
+    try {
+      await Webhook.redeliver("c1", webhook.id, delivery.id);
+    } finally {
+      spy.mockRestore();
+    }
+    expect(await Webhook.processDue()).toEqual(0);
+    expect(received).toEqual([]);
+  });
+
+  test("not found for another webhook's delivery", async function () {
+    const webhook = await Webhook.create("c1", { url, events: ["job.created"] });
+    const other = await Webhook.create("c1", { url, events: ["job.created"] });
+    await Webhook.enqueue("c1", "job.created", { id: 1 });
+    const [delivery] = (await Webhook.findDeliveries("c1", webhook.id)).deliveries;
+    await expect(Webhook.redeliver("c1", other.id + 1, delivery.id)).rejects.toThrow(NotFoundError);
+    await expect(Webhook.redeliver("c2", webhook.id, delivery.id)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -4,14 +4,16 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const { createToken } = require("../helpers/tokens");
+const { getRateLimitStore } = require("../helpers/rateLimitStore");
+const { resetDatabase } = require("../models/_testCommon");
 
 async function commonBeforeAll() {
-  // noinspection SqlWithoutWhere
-  await db.query("DELETE FROM users");
-  // noinspection SqlWithoutWhere
-  await db.query("DELETE FROM companies");
-  await db.query("DELETE FROM applications");
-  await db.query("DELETE FROM jobs");
+  await resetDatabase();
+}
+
+async function commonBeforeEach() {
+  // every test starts with no rate limits used up
+  getRateLimitStore().clear();
 
   await Company.create(
       {
@@ -62,21 +64,13 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
-};
-
-async function commonBeforeEach() {
-  await db.query("BEGIN");
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await resetDatabase();
 }
 
 async function commonAfterAll() {
-  await db.query("DELETE FROM users");
-  await db.query("DELETE FROM companies");
-  await db.query("DELETE FROM jobs");
-  await db.query("DELETE FROM applications");
   await db.end();
 }
 
@@ -0,0 +1,288 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const express = require("express");
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { ensureLoggedInAndIsAdmin } = require("../middleware/auth");
+const { extractExportParams, streamExport } = require("../helpers/export");
+const { PAGE_PARAMS } = require("../helpers/openapi");
+const Application = require("../models/application");
+const Audit = require("../models/audit");
+const BulkImport = require("../models/bulkImport");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const User = require("../models/user");
+const { SOFT_DELETE_RETENTION_DAYS } = require("../config");
+
+const router = new express.Router();
+
+/** Read the body of a CSV upload (Content-Type: text/csv) as a string. */
+const readCsvBody = express.text({ type: "text/csv", limit: "5mb" });
+
+/** Check a CSV import request, and get its options from the query string.
+ *
+ * Returns { dryRun, strict }
+ *
+ * Throws BadRequestError if the body isn't CSV, or the query string has
+ * unknown parameters or values other than "true" / "false".
+ */
+
+function importOptions(req) {
+  if (typeof req.body !== "string") {
+    throw new BadRequestError("Send the CSV file as the request body, with Content-Type: text/csv");
+  }
+
+  const options = { dryRun: false, strict: false };
+  for (let [key, value] of Object.entries(req.query)) {
+    if (!(key in options)) throw new BadRequestError(`Unknown import option: ${key}`);
+    if (value !== "true" && value !== "false") {
+      throw new BadRequestError(`${key} must be true or false`);
+    }
+    options[key] = value === "true";
+  }
+  return options;
+}
+
+/** The status for an import's response: 201 if anything was created, 400 if
+ * nothing was because of bad rows, and 200 for a dry run. */
+
+function importStatus(report) {
+  if (report.imported.length) return 201;
+  if (report.errors.length && !report.dryRun) return 400;
+  return 200;
+}
+
+
+/** What GET /export/[kind] can export: the model whose findAll gives the rows
+ * (as result[kind]) and any options to pass it, the columns to export, and,
+ * where the rows' names don't match the import format's, how to rename them. */
+const EXPORTS = {
+  companies: {
+    model: Company,
+    columns: ["handle", "name", "description", "numEmployees", "logoUrl"],
+  },
+  jobs: {
+    model: Job,
+    columns: ["id", "title", "salary", "equity", "companyHandle", "slug"],
+    fromRow: ({ companyhandle, ...job }) => ({ ...job, companyHandle: companyhandle }),
+  },
+  users: {
+    model: User,
+    // the export has no column for them, so don't look them up
+    options: { withApplications: false },
+    columns: ["username", "firstName", "lastName", "email", "emailVerified", "isAdmin"],
+  },
+  applications: {
+    model: Application,
+    columns: ["username", "jobId", "jobTitle", "salary", "equity",
+              "companyHandle", "companyName", "state", "updatedAt"],
+  },
+};
+
+
+/** GET /audit  =>  { entries: [ { id, occurredAt, actor, requestId, entity,
+ *                                 entityId, action, before, after }, ...],
+ *                    nextCursor, prevCursor }
+ *
+ * The audit log of every create, update, delete, restore and purge of a
+ * company, job or user, newest first. before / after are what the row looked like.
+ *
+ * Can filter on:
+ * - actor: the username of who made the change
+ * - entity: "company", "job" or "user"
+ * - entityId: the handle, job id or username
+ * - from / to: a time range, like 2021-10-06T00:00:00Z (to is exclusive)
+ *
+ * Results come one page at a time:
+ * - limit: page size (default 50, max 500)
+ * - after / before: the nextCursor / prevCursor from a previous response
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.get("/audit", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const { entries, nextCursor, prevCursor } = await Audit.findAll(req.query);
+    return res.json({ entries, nextCursor, prevCursor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /import/companies  (CSV body)  =>
+ *   { dryRun, strict, rows, imported: [ company, ... ], errors: [ { line, messages }, ... ] }
+ *
+ * Adds companies from a CSV file sent as the request body, with
+ * Content-Type: text/csv. The first line is a header with the same names as
+ * POST /companies uses (handle,name,description,numEmployees,logoUrl), and
+ * every row is checked the same way.
+ *
+ * The rows without errors are all added together, or not at all. Query
+ * string options:
+ * - dryRun=true: check the file and report errors, but add nothing
+ * - strict=true: add nothing if any row has errors
+ *
+ * errors gives each bad row's line number in the file, and what's wrong with
+ * it. Responds 201 if anything was added, 400 if nothing was because of
+ * errors, and 200 for a dry run.
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/import/companies", ensureLoggedInAndIsAdmin, readCsvBody, async function (req, res, next) {
+  try {
+    const report = await BulkImport.companies(req.body, importOptions(req));
+    return res.status(importStatus(report)).json(report);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /import/jobs  (CSV body)  =>
+ *   { dryRun, strict, rows, imported: [ job, ... ], errors: [ { line, messages }, ... ] }
+ *
+ * Adds jobs from a CSV file, like POST /import/companies does companies. The
+ * header uses the same names as POST /jobs: title,salary,equity,companyHandle,slug
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/import/jobs", ensureLoggedInAndIsAdmin, readCsvBody, async function (req, res, next) {
+  try {
+    const report = await BulkImport.jobs(req.body, importOptions(req));
+    return res.status(importStatus(report)).json(report);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /export/[kind]  =>  a CSV or NDJSON file
+ *
+ * Downloads every company, job, user or application (kind is "companies",
+ * "jobs", "users" or "applications"), streamed a page at a time so big
+ * exports don't have to fit in memory. Users are exported without their
+ * passwords, and applications with their job's and company's details.
+ *
+ * Query string:
+ * - format: "csv" (the default, with a header line) or "ndjson" (one JSON
+ *   object per line)
+ * - the same filters and sort as the list routes take: GET /companies,
+ *   GET /jobs and GET /users, and for applications: username, jobId,
+ *   companyHandle and state
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.get("/export/:kind", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const { kind } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(EXPORTS, kind)) {
+      throw new NotFoundError(`Can't export ${kind}; try one of: [${Object.keys(EXPORTS)}]`);
+    }
+    const { model, options, columns, fromRow } = EXPORTS[kind];
+    const { format, filters } = extractExportParams(req.query);
+
+    await streamExport(res, {
+      name: kind,
+      format,
+      columns,
+      fetchPage: async paging => {
+        const result = await model.findAll({ ...filters, ...paging }, options);
+        const rows = fromRow ? result[kind].map(fromRow) : result[kind];
+        return { rows, nextCursor: result.nextCursor };
+      },
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /purge  =>  { purged: { jobs, companies, users } }
+ *
+ * Permanently removes jobs, companies and users that were deleted more than
+ * SOFT_DELETE_RETENTION_DAYS days ago. Their applications go with them.
+ *
+ * jobs, companies and users are the ids, handles and usernames removed.
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/purge", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const jobs = await Job.purge(SOFT_DELETE_RETENTION_DAYS);
+    const companies = await Company.purge(SOFT_DELETE_RETENTION_DAYS);
+    const users = await User.purge(SOFT_DELETE_RETENTION_DAYS);
+    return res.json({ purged: { jobs, companies, users } });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+const IMPORT_QUERY = {
+  dryRun: { type: "boolean", description: "check the file and report errors, but add nothing" },
+  strict: { type: "boolean", description: "add nothing if any row has errors" },
+};
+
+router.openapi = {
+  "GET /audit": {
+    summary: "List the audit log, newest first",
+    auth: "admin",
+    query: {
+      actor: { type: "string", description: "the username of who made the change" },
+      entity: { type: "string", description: "company, job or user" },
+      entityId: { type: "string", description: "the handle, job id or username" },
+      from: { type: "string", description: "the start of a time range, like 2021-10-06T00:00:00Z" },
+      to: { type: "string", description: "the end of a time range (exclusive)" },
+      ...PAGE_PARAMS,
+    },
+    returns: "{ entries: [ { id, occurredAt, actor, requestId, entity, entityId, action, before, after }, ... ], " +
+        "nextCursor, prevCursor }",
+  },
+  "POST /import/companies": {
+    summary: "Add companies from a CSV file",
+    description: "The header uses the same names as POST /companies: " +
+        "handle,name,description,numEmployees,logoUrl. Responds 201 if anything was added, " +
+        "400 if nothing was because of errors, and 200 for a dry run.",
+    auth: "admin",
+    bodyType: "text/csv",
+    query: IMPORT_QUERY,
+    status: [200, 201],
+    returns: "{ dryRun, strict, rows, imported: [ company, ... ], errors: [ { line, messages }, ... ] }",
+  },
+  "POST /import/jobs": {
+    summary: "Add jobs from a CSV file",
+    description: "The header uses the same names as POST /jobs: " +
+        "title,salary,equity,companyHandle,slug. Responds like POST /admin/import/companies.",
+    auth: "admin",
+    bodyType: "text/csv",
+    query: IMPORT_QUERY,
+    status: [200, 201],
+    returns: "{ dryRun, strict, rows, imported: [ job, ... ], errors: [ { line, messages }, ... ] }",
+  },
+  "GET /export/:kind": {
+    summary: "Download every company, job, user or application",
+    description: "kind is companies, jobs, users or applications. Takes the same filters " +
+        "and sort as the kind's list route; applications take username, jobId, " +
+        "companyHandle and state.",
+    auth: "admin",
+    query: {
+      format: { type: "string", description: "csv (the default) or ndjson" },
+      sort: PAGE_PARAMS.sort,
+    },
+    returnsType: ["text/csv", "application/x-ndjson"],
+    returns: "a CSV file, with a header line, or one JSON object per line",
+  },
+  "POST /purge": {
+    summary: "Permanently remove what was deleted more than SOFT_DELETE_RETENTION_DAYS days ago",
+    auth: "admin",
+    returns: "{ purged: { jobs, companies, users } }",
+  },
+};
+
+
+module.exports = router;
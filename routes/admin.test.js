@@ -0,0 +1,346 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const { createToken } = require("../helpers/tokens");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async () => { await db.query("DELETE FROM audit_log"); });
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const adminToken = createToken({ username: "u2", isAdmin: true });
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("works: records who made changes through the API", async function () {
+    await request(app)
+        .delete("/companies/c3")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ actor: "u2", entity: "company" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          occurredAt: expect.any(String),
+          actor: "u2",
+          requestId: expect.any(String),
+          entity: "company",
+          entityId: "c3",
+          action: "delete",
+          before: {
+            handle: "c3",
+            name: "C3",
+            description: "Desc3",
+            numEmployees: 3,
+            logoUrl: "http://c3.img",
+            jobs: [],
+          },
+          after: null,
+        },
+      ],
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("bad request on invalid filters", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ entity: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/admin/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /admin/purge */
+
+describe("POST /admin/purge", function () {
+  test("works: removes only rows deleted before the retention period", async function () {
+    await request(app)
+        .delete("/companies/c3")
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete("/companies/c2")
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete("/users/u3")
+        .set("authorization", `Bearer ${adminToken}`);
+    await db.query(
+        `UPDATE companies SET deleted_at = NOW() - INTERVAL '1 year' WHERE handle = 'c3'`);
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '1 year' WHERE username = 'u3'`);
+
+    const resp = await request(app)
+        .post("/admin/purge")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      purged: { jobs: [], companies: ["c3"], users: ["u3"] },
+    });
+
+    const companies = await db.query("SELECT handle FROM companies ORDER BY handle");
+    expect(companies.rows.map(r => r.handle)).toEqual(["c1", "c2"]);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/purge")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /admin/import */
+
+describe("POST /admin/import/companies", function () {
+  const csv = "handle,name,description,numEmployees\n" +
+              "new1,New One,First,10\n" +
+              "c1,Dup,Already here,5\n";
+
+  test("works: adds the good rows and reports the bad ones", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send(csv);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      dryRun: false,
+      strict: false,
+      rows: 2,
+      imported: [
+        {
+          handle: "new1",
+          name: "New One",
+          description: "First",
+          numEmployees: 10,
+          logoUrl: null,
+        },
+      ],
+      errors: [{ line: 3, messages: ["Duplicate company: c1"] }],
+    });
+
+    const found = await request(app).get("/companies/new1");
+    expect(found.statusCode).toEqual(200);
+  });
+
+  test("dry run", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies?dryRun=true")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send(csv);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.imported).toEqual([]);
+    expect(resp.body.errors.length).toEqual(1);
+  });
+
+  test("strict: bad request and nothing added if any row is bad", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies?strict=true")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send(csv);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.imported).toEqual([]);
+
+    const found = await request(app).get("/companies/new1");
+    expect(found.statusCode).toEqual(404);
+  });
+
+  test("bad request on unknown options", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies?force=true")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send(csv);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if the body isn't CSV", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .set("authorization", `Bearer ${adminToken}`)
+        .send({ handle: "new1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .set("authorization", `Bearer ${u1Token}`)
+        .set("content-type", "text/csv")
+        .send(csv);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /admin/import/jobs", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send("title,salary,equity,companyHandle\nj1,100,0.5,c1\n");
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.imported).toEqual([
+      {
+        id: expect.any(Number),
+        title: "j1",
+        salary: 100,
+        equity: "0.5",
+        companyhandle: "c1",
+        slug: null,
+      },
+    ]);
+  });
+
+  test("bad request if no row could be added", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .set("authorization", `Bearer ${adminToken}`)
+        .set("content-type", "text/csv")
+        .send("title,salary,equity,companyHandle\nj1,100,0.5,nope\n");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors).toEqual([{ line: 2, messages: ["No company: nope"] }]);
+  });
+});
+
+/************************************** GET /admin/export */
+
+describe("GET /admin/export/:kind", function () {
+  test("works: companies as CSV", async function () {
+    const resp = await request(app)
+        .get("/admin/export/companies")
+        .query({ minEmployees: 2 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("text/csv; charset=utf-8");
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="companies.csv"');
+    expect(resp.text).toEqual(
+        "handle,name,description,numEmployees,logoUrl\r\n" +
+        "c2,C2,Desc2,2,http://c2.img\r\n" +
+        "c3,C3,Desc3,3,http://c3.img\r\n");
+  });
+
+  test("works: users as NDJSON, without passwords", async function () {
+    const resp = await request(app)
+        .get("/admin/export/users")
+        .query({ format: "ndjson" })
+        .buffer(true)
+        .parse((res, cb) => {
+          let text = "";
+          res.on("data", chunk => { text += chunk; });
+          res.on("end", () => cb(null, text));
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/x-ndjson; charset=utf-8");
+
+    const lines = resp.body.trim().split("\n").map(line => JSON.parse(line));
+    expect(lines.map(u => u.username)).toEqual(["u1", "u2", "u3"]);
+    expect(lines[0]).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "user1@user.com",
+      emailVerified: false,
+      isAdmin: false,
+    });
+  });
+
+  test("works: streams every page", async function () {
+    await db.query(
+        `INSERT INTO companies (handle, name, description)
+         SELECT 'x' || n, 'X' || n, 'Lots' FROM generate_series(1, 600) AS n`);
+    const resp = await request(app)
+        .get("/admin/export/companies")
+        .set("authorization", `Bearer ${adminToken}`);
+    const lines = resp.text.trim().split("\r\n");
+    expect(lines.length).toEqual(1 + 3 + 600);
+    expect(new Set(lines).size).toEqual(lines.length);
+  });
+
+  test("works: applications with job and company details", async function () {
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0.5, 'c1')
+         RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/export/applications")
+        .query({ companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const [header, row] = resp.text.trim().split("\r\n");
+    expect(header).toEqual(
+        "username,jobId,jobTitle,salary,equity,companyHandle,companyName,state,updatedAt");
+    expect(row).toMatch(new RegExp(`^u1,${jobId},j1,100,0.5,c1,C1,applied,\\d{4}-`));
+  });
+
+  test("exports jobs in the import format", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle) VALUES ('j1', 100, 0.5, 'c1')`);
+    const resp = await request(app)
+        .get("/admin/export/jobs")
+        .set("authorization", `Bearer ${adminToken}`);
+    const [header, row] = resp.text.trim().split("\r\n");
+    expect(header).toEqual("id,title,salary,equity,companyHandle,slug");
+    expect(row).toMatch(/^\d+,j1,100,0.5,c1,$/);
+  });
+
+  test("bad request on invalid filters, before anything is sent", async function () {
+    const resp = await request(app)
+        .get("/admin/export/jobs")
+        .query({ nope: "x" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for an unknown kind", async function () {
+    const resp = await request(app)
+        .get("/admin/export/passwords")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/export/users")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -4,22 +4,66 @@
 
 const jsonschema = require("jsonschema");
 
+const db = require("../db");
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { checkLockout, recordLoginFailure, clearLoginFailures } = require("../helpers/lockout");
+const config = require("../config");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const verifyEmailSchema = require("../schemas/verifyEmail.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+const HOUR_MS = 60 * 60 * 1000;
+
+// limits on password guessing and sign-up spam; see config.js
+const loginWindowMs = () => config.LOGIN_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+const limitLoginsPerIp = rateLimit({
+  name: "login-ip",
+  limit: () => config.LOGIN_RATE_LIMIT_PER_IP,
+  windowMs: loginWindowMs,
+  key: req => req.ip,
+});
+
+const limitLoginsPerUsername = rateLimit({
+  name: "login-username",
+  limit: () => config.LOGIN_RATE_LIMIT_PER_USERNAME,
+  windowMs: loginWindowMs,
+  key: req => (req.body && typeof req.body.username === "string") ? req.body.username : null,
+});
+
+const limitRegistrationsPerIp = rateLimit({
+  name: "register-ip",
+  limit: () => config.REGISTER_RATE_LIMIT_PER_IP,
+  windowMs: HOUR_MS,
+  key: req => req.ip,
+});
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token which can be traded for a new JWT token at
+ * POST /auth/refresh when it expires.
+ *
+ * Rate limited per IP address and per username. After repeated wrong
+ * passwords the account is locked for a while (see helpers/lockout.js). Both
+ * respond 429 Too Many Requests, with a Retry-After header.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", limitLoginsPerIp, limitLoginsPerUsername, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userAuthSchema);
     if (!validator.valid) {
@@ -28,25 +72,42 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    await checkLockout(username);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) await recordLoginFailure(username);
+      throw err;
+    }
+    await clearLoginFailures(username);
+
+    const { familyId, refreshToken } = await RefreshToken.startFamily(user.username);
+    const token = createToken(user, familyId);
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Emails the new user a link to verify their email address (see
+ * POST /auth/verify-email).
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token (see POST /auth/token).
+ *
+ * Rate limited per IP address.
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/register", limitRegistrationsPerIp, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userRegisterSchema);
     if (!validator.valid) {
@@ -54,13 +115,229 @@ router.post("/register", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    // together, so a user is never left registered without a session
+    const { newUser, familyId, refreshToken } = await db.withTransaction(async () => {
+      const newUser = await User.register({ ...req.body, isAdmin: false });
+      return { newUser, ...await RefreshToken.startFamily(newUser.username) };
+    });
+    // only once they're committed, so the email is never for a rolled back user
+    await EmailVerification.send(newUser.username, newUser.email);
+    const token = createToken(newUser, familyId);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token only works once; sending one that was already used logs out
+ * every session that came from the same login.
+ *
+ * Raises UnauthorizedError if the refresh token is invalid, expired, revoked
+ * or already used.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, isAdmin, familyId, refreshToken } =
+        await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken({ username, isAdmin }, familyId);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token and every token that came from the same login,
+ * including JWT tokens that haven't expired yet.
+ *
+ * Raises UnauthorizedError if the refresh token is invalid.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await RefreshToken.revokeByToken(req.body.refreshToken);
+    return res.json({ loggedOut: true });
   } catch (err) {
     return next(err);
   }
 });
 
 
+/** POST /auth/password-reset/request:   { email } => { message }
+ *
+ * Emails a link for resetting the password to the accounts using this email.
+ * Responds the same way whether or not any account uses it, so this can't be
+ * used to find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body.email);
+    return res.status(202).json({
+      message: "If an account uses that email, a password reset link has been sent to it",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { passwordReset: true }
+ *
+ * Sets a new password using the token from a password reset email. Each token
+ * only works once. Also logs the user out of every session.
+ *
+ * Raises BadRequestError if the token is invalid, expired or already used.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ passwordReset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:   { token } => { emailVerified: true }
+ *
+ * Verifies a user's email address using the token from a verification email.
+ *
+ * Raises BadRequestError if the token is invalid, expired or already used, or
+ * was sent to an address the user no longer uses.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, verifyEmailSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await EmailVerification.confirm(req.body.token);
+    return res.json({ emailVerified: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend:   {} => { sent: true }
+ *
+ * Emails the logged in user a new verification link.
+ *
+ * Raises BadRequestError if their email is already verified.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const user = await User.get(res.locals.user.username);
+    if (user.emailVerified) throw new BadRequestError("Your email address is already verified");
+
+    await EmailVerification.send(user.username, user.email);
+    return res.json({ sent: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "POST /token": {
+    summary: "Log in",
+    description: "Rate limited per IP address and per username, and the account is " +
+        "locked for a while after repeated wrong passwords; both respond 429 with a " +
+        "Retry-After header.",
+    body: "userAuth",
+    returns: "{ token, refreshToken }",
+  },
+  "POST /register": {
+    summary: "Sign up, and get a verification email",
+    description: "Rate limited per IP address.",
+    body: "userRegister",
+    status: 201,
+    returns: "{ token, refreshToken }",
+  },
+  "POST /refresh": {
+    summary: "Trade a refresh token for new tokens",
+    description: "Each refresh token only works once.",
+    body: "refreshToken",
+    returns: "{ token, refreshToken }",
+  },
+  "POST /logout": {
+    summary: "Revoke a refresh token and every token from the same login",
+    body: "refreshToken",
+    returns: "{ loggedOut: true }",
+  },
+  "POST /password-reset/request": {
+    summary: "Email a password reset link",
+    body: "passwordResetRequest",
+    status: 202,
+    returns: "{ message }",
+  },
+  "POST /password-reset/confirm": {
+    summary: "Set a new password with a password reset token",
+    body: "passwordResetConfirm",
+    returns: "{ passwordReset: true }",
+  },
+  "POST /verify-email": {
+    summary: "Verify an email address with a verification token",
+    body: "verifyEmail",
+    returns: "{ emailVerified: true }",
+  },
+  "POST /verify-email/resend": {
+    summary: "Email the logged in user a new verification link",
+    auth: "login",
+    returns: "{ sent: true }",
+  },
+};
+
+
 module.exports = router;
@@ -3,12 +3,17 @@
 const request = require("supertest");
 
 const app = require("../app");
+const config = require("../config");
+const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const { getMailer } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +33,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -87,9 +93,32 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("no user is left behind if starting their session fails", async function () {
+    getMailer().clear();
+    jest.spyOn(RefreshToken, "startFamily").mockRejectedValueOnce(new Error("boom"));
+    try {
+      const resp = await request(app)
+          .post("/auth/register")
+          .send({
+            username: "new",
+            firstName: "first",
+            lastName: "last",
+            password: "password",
+            email: "new@email.com",
+          });
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      RefreshToken.startFamily.mockRestore();
+    }
+    await expect(User.get("new")).rejects.toThrow("No user: new");
+    // nor emailed about
+    expect(getMailer().outbox).toEqual([]);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +141,315 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body;
+  }
+
+  test("works", async function () {
+    const { refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.statusCode).toEqual(200);
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const { token, refreshToken } = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    // the token handed out by the first refresh is now revoked as well
+    const next = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+
+    const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(user.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works, and revokes the access token too", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const { token, refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+
+    const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(user.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  beforeEach(() => getMailer().clear());
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+
+    const { outbox } = getMailer();
+    expect(outbox.length).toEqual(1);
+    const token = outbox[0].text.match(/token=([0-9a-f]+)/)[1];
+
+    const confirm = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+    expect(confirm.body).toEqual({ passwordReset: true });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "newpassword",
+        });
+    expect(login.statusCode).toEqual(200);
+
+    const again = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "otherpassword" });
+    expect(again.statusCode).toEqual(400);
+  });
+
+  test("same response for unknown emails", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nobody@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(getMailer().outbox).toEqual([]);
+  });
+
+  test("bad request with invalid email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "newpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with short password", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  beforeEach(() => getMailer().clear());
+
+  test("works: with the link sent on registration", async function () {
+    const register = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+
+    const { outbox } = getMailer();
+    expect(outbox.map(m => m.to)).toEqual(["new@email.com"]);
+    const token = outbox[0].text.match(/token=([0-9a-f]+)/)[1];
+
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.body).toEqual({ emailVerified: true });
+
+    const user = await request(app)
+        .get("/users/new")
+        .set("authorization", `Bearer ${register.body.token}`);
+    expect(user.body.user.emailVerified).toEqual(true);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  beforeEach(() => getMailer().clear());
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(getMailer().outbox.map(m => m.to)).toEqual(["user1@user.com"]);
+  });
+
+  test("bad request if already verified", async function () {
+    await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    const token = getMailer().outbox[0].text.match(/token=([0-9a-f]+)/)[1];
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** rate limits and lockout */
+
+describe("rate limits", function () {
+  test("too many logins for one username: 429 with Retry-After", async function () {
+    for (let i = 0; i < config.LOGIN_RATE_LIMIT_PER_USERNAME; i++) {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "password1" });
+      expect(resp.statusCode).toEqual(200);
+    }
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+
+    // other usernames can still log in
+    const other = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(other.statusCode).toEqual(200);
+  });
+
+  test("too many registrations from one IP address", async function () {
+    for (let i = 0; i < config.REGISTER_RATE_LIMIT_PER_IP; i++) {
+      await request(app)
+          .post("/auth/register")
+          .send({ username: `new${i}` });
+    }
+
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          password: "password",
+          lastName: "last",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toBeDefined();
+  });
+
+  test("accounts lock after repeated wrong passwords", async function () {
+    for (let i = 0; i < config.LOCKOUT_THRESHOLD; i++) {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "wrong" });
+      expect(resp.statusCode).toEqual(401);
+    }
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual(String(config.LOCKOUT_BASE_SECONDS));
+  });
+});
@@ -5,15 +5,30 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureLoggedInAndIsAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureLoggedInAndIsAdmin,
+  ensureAdminOrRecruiterFor,
+} = require("../middleware/auth");
+const { PAGE_PARAMS, filterParams } = require("../helpers/openapi");
+const { isNotModified } = require("../helpers/conditionalGet");
 const Company = require("../models/company");
+const Recruiter = require("../models/recruiter");
+const Application = require("../models/application");
+const Webhook = require("../models/webhook");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const recruiterNewSchema = require("../schemas/recruiterNew.json");
+const webhookNewSchema = require("../schemas/webhookNew.json");
+const webhookUpdateSchema = require("../schemas/webhookUpdate.json");
 
 const router = new express.Router();
 
+/** Admins, or recruiters for the company in the URL. */
+const ensureAdminOrCompanyRecruiter = ensureAdminOrRecruiterFor(req => req.params.handle);
+
 
 /** POST / { company } =>  { company }
  *
@@ -40,20 +55,35 @@ router.post("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     nextCursor, prevCursor }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ *
+ * Results come one page at a time:
+ * - limit: page size (default 50, max 500)
+ * - after: the nextCursor from a previous response, for the next page
+ * - before: the prevCursor from a previous response, for the previous page
+ * - sort: e.g. "-numEmployees,name"; allowed keys are name, handle, numEmployees
+ *
+ * nextCursor / prevCursor are null when there is no next / previous page.
+ *
+ * Responds 304 Not Modified to If-None-Match / If-Modified-Since when no
+ * company has changed (see helpers/conditionalGet.js).
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const companies = await Company.findAll(req.query);
-    return res.json({ companies });
+    // a bad query is a 400, even when the client's copy is fresh
+    Company.sqlForFindAll(req.query);
+    if (isNotModified(req, res, await Company.versionInfo())) return res.status(304).end();
+    const { companies, nextCursor, prevCursor } = await Company.findAll(req.query);
+    return res.json({ companies, nextCursor, prevCursor });
   } catch (err) {
     return next(err);
   }
@@ -64,11 +94,16 @@ router.get("/", async function (req, res, next) {
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
  *   where jobs is [{ id, title, salary, equity }, ...]
  *
+ * Responds 304 Not Modified to If-None-Match / If-Modified-Since when the
+ * company hasn't changed.
+ *
  * Authorization required: none
  */
 
 router.get("/:handle", async function (req, res, next) {
   try {
+    const version = await Company.versionInfo(req.params.handle);
+    if (isNotModified(req, res, version)) return res.status(304).end();
     const company = await Company.get(req.params.handle);
     return res.json({ company });
   } catch (err) {
@@ -84,10 +119,10 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login AND admin priviledges
+ * Authorization required: login AND (admin priviledges OR recruiter for the company)
  */
 
-router.patch("/:handle", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureAdminOrCompanyRecruiter, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -103,6 +138,9 @@ router.patch("/:handle", ensureLoggedInAndIsAdmin, async function (req, res, nex
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * Marks the company and its jobs deleted; an admin can bring them back with
+ * POST /[handle]/restore until they're purged.
  *
  * Authorization: login AND admin priviledges
  */
@@ -116,5 +154,337 @@ router.delete("/:handle", ensureLoggedInAndIsAdmin, async function (req, res, ne
   }
 });
 
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Brings back a deleted company, along with the jobs deleted with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/:handle/restore", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const company = await Company.restore(req.params.handle);
+    return res.json({ company });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/applications  =>  { applications }
+ *
+ * Applications to all of the company's jobs:
+ *   [{ username, jobId, title, state, updatedAt }, ...]
+ *
+ * Authorization required: login AND (admin priviledges OR recruiter for the company)
+ */
+
+router.get("/:handle/applications", ensureAdminOrCompanyRecruiter, async function (req, res, next) {
+  try {
+    const applications = await Application.findForCompany(req.params.handle);
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/recruiters  =>  { recruiters }
+ *
+ * recruiters is [{ username, firstName, lastName, email }, ...]
+ *
+ * Authorization required: login AND (admin priviledges OR recruiter for the company)
+ */
+
+router.get("/:handle/recruiters", ensureAdminOrCompanyRecruiter, async function (req, res, next) {
+  try {
+    const recruiters = await Recruiter.findForCompany(req.params.handle);
+    return res.json({ recruiters });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/recruiters { username }  =>  { recruiter }
+ *
+ * Makes the user a recruiter for the company, so they can edit the company
+ * and manage its jobs and applications.
+ *
+ * Returns { companyHandle, username }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/:handle/recruiters", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, recruiterNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recruiter = await Recruiter.add(req.params.handle, req.body.username);
+    return res.status(201).json({ recruiter });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/recruiters/[username]  =>  { removed: username }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.delete("/:handle/recruiters/:username", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    await Recruiter.remove(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** Webhook and delivery ids in URLs must be whole numbers; anything else
+ * can't match, so it's a 404. */
+
+function checkIdParams(req) {
+  for (let name of ["id", "deliveryId"]) {
+    const value = req.params[name];
+    if (value !== undefined && !/^\d+$/.test(value)) throw new NotFoundError(`No ${name}: ${value}`);
+  }
+}
+
+
+/** GET /[handle]/webhooks => { webhooks: [ { id, companyHandle, url, events, active, createdAt }, ... ] }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.get("/:handle/webhooks", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const webhooks = await Webhook.findForCompany(req.params.handle);
+    return res.json({ webhooks });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[handle]/webhooks { url, events, secret } => { webhook }
+ *
+ * Subscribes url to events (any of application.created, application.updated,
+ * job.created and job.deleted) for the company's jobs. secret is optional;
+ * if it's left out a random one is made. Requests are signed with it (see
+ * helpers/webhooks.js).
+ *
+ * webhook is { id, companyHandle, url, events, active, createdAt, secret }.
+ * This is the only time the secret is returned.
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/:handle/webhooks", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, webhookNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const webhook = await Webhook.create(req.params.handle, req.body);
+    return res.status(201).json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[handle]/webhooks/[id] { url, events, active } => { webhook }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.patch("/:handle/webhooks/:id", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    checkIdParams(req);
+    const validator = jsonschema.validate(req.body, webhookUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const webhook = await Webhook.update(req.params.handle, +req.params.id, req.body);
+    return res.json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[handle]/webhooks/[id] => { deleted: id }
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.delete("/:handle/webhooks/:id", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    checkIdParams(req);
+    await Webhook.remove(req.params.handle, +req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[handle]/webhooks/[id]/deliveries => { deliveries: [ delivery, ... ], nextCursor, prevCursor }
+ *
+ * The webhook's delivery log, newest first.
+ *
+ * delivery is { id, webhookId, event, payload, status, attempts,
+ *               nextAttemptAt, lastAttemptAt, responseStatus, lastError,
+ *               createdAt }
+ *   where status is pending (waiting to be sent, or retried), succeeded or
+ *   failed (given up on)
+ *
+ * Query string: status, and the paging parameters limit, after and before
+ * (see helpers/pagination.js)
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.get("/:handle/webhooks/:id/deliveries", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    checkIdParams(req);
+    const result = await Webhook.findDeliveries(req.params.handle, +req.params.id, req.query);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[handle]/webhooks/[id]/deliveries/[deliveryId]/redeliver => { delivery }
+ *
+ * Sends a delivery again right away, whether it succeeded or failed before.
+ * If it fails, it's retried later like a new delivery. Returns the delivery
+ * after the attempt.
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.post("/:handle/webhooks/:id/deliveries/:deliveryId/redeliver", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    checkIdParams(req);
+    const { handle, id, deliveryId } = req.params;
+    const delivery = await Webhook.redeliver(handle, +id, +deliveryId);
+    return res.json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "POST /": {
+    summary: "Add a company",
+    auth: "admin",
+    body: "companyNew",
+    status: 201,
+    returns: "{ company }",
+  },
+  "GET /": {
+    summary: "List companies, a page at a time",
+    description: "sort keys: name, handle, numEmployees",
+    query: { ...filterParams(Company.FILTERS), ...PAGE_PARAMS },
+    status: [200, 304],
+    returns: "{ companies: [ { handle, name, description, numEmployees, logoUrl }, ... ], nextCursor, prevCursor }",
+  },
+  "GET /:handle": {
+    summary: "Get a company and its jobs",
+    status: [200, 304],
+    returns: "{ company: { handle, name, description, numEmployees, logoUrl, jobs } }",
+  },
+  "PATCH /:handle": {
+    summary: "Change a company",
+    auth: "recruiter",
+    body: "companyUpdate",
+    returns: "{ company }",
+  },
+  "DELETE /:handle": {
+    summary: "Delete a company and its jobs, until they're restored or purged",
+    auth: "admin",
+    returns: "{ deleted: handle }",
+  },
+  "POST /:handle/restore": {
+    summary: "Bring back a deleted company, and the jobs deleted with it",
+    auth: "admin",
+    returns: "{ company }",
+  },
+  "GET /:handle/applications": {
+    summary: "List the applications to the company's jobs",
+    auth: "recruiter",
+    returns: "{ applications: [ { username, jobId, title, state, updatedAt }, ... ] }",
+  },
+  "GET /:handle/recruiters": {
+    summary: "List the company's recruiters",
+    auth: "recruiter",
+    returns: "{ recruiters: [ { username, firstName, lastName, email }, ... ] }",
+  },
+  "POST /:handle/recruiters": {
+    summary: "Make a user a recruiter for the company",
+    auth: "admin",
+    body: "recruiterNew",
+    status: 201,
+    returns: "{ recruiter: { companyHandle, username } }",
+  },
+  "DELETE /:handle/recruiters/:username": {
+    summary: "Stop a user being a recruiter for the company",
+    auth: "admin",
+    returns: "{ removed: username }",
+  },
+  "GET /:handle/webhooks": {
+    summary: "List the company's webhooks",
+    auth: "admin",
+    returns: "{ webhooks: [ { id, companyHandle, url, events, active, createdAt }, ... ] }",
+  },
+  "POST /:handle/webhooks": {
+    summary: "Subscribe a URL to the company's events",
+    description: "The response is the only time the webhook's secret is returned.",
+    auth: "admin",
+    body: "webhookNew",
+    status: 201,
+    returns: "{ webhook: { id, companyHandle, url, events, active, createdAt, secret } }",
+  },
+  "PATCH /:handle/webhooks/:id": {
+    summary: "Change a webhook",
+    auth: "admin",
+    body: "webhookUpdate",
+    returns: "{ webhook }",
+  },
+  "DELETE /:handle/webhooks/:id": {
+    summary: "Delete a webhook",
+    auth: "admin",
+    returns: "{ deleted: id }",
+  },
+  "GET /:handle/webhooks/:id/deliveries": {
+    summary: "List a webhook's deliveries, newest first",
+    auth: "admin",
+    query: {
+      status: { type: "string", description: "pending, succeeded or failed" },
+      ...PAGE_PARAMS,
+    },
+    returns: "{ deliveries: [ delivery, ... ], nextCursor, prevCursor }",
+  },
+  "POST /:handle/webhooks/:id/deliveries/:deliveryId/redeliver": {
+    summary: "Send a delivery again right away",
+    auth: "admin",
+    returns: "{ delivery }",
+  },
+};
+
 
 module.exports = router;
@@ -3,9 +3,11 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const request = require("supertest");
+const http = require("http");
 
 const db = require("../db");
 const app = require("../app");
+const Company = require("../models/company");
 
 const {
   commonBeforeAll,
@@ -34,6 +36,15 @@ beforeEach(async() => {
   adminToken = jwt.sign({username: "newAdmin", isAdmin: true}, SECRET_KEY);
 });
 
+/** Make u2 a recruiter for c1; returns u2's token. */
+
+async function makeRecruiter() {
+  await db.query(
+    `INSERT INTO company_recruiters (company_handle, username)
+     VALUES ('c1', 'u2')`);
+  return jwt.sign({ username: "u2", isAdmin: false }, SECRET_KEY);
+}
+
 /************************************** POST /companies */
 
 describe("POST /companies", function () {
@@ -118,9 +129,34 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      nextCursor: null,
+      prevCursor: null,
     });
   });
 
+  test("works: limit, sort and cursors", async() => {
+    const resp = await request(app).get("/companies").query({ limit: 2, sort: "-name" });
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.prevCursor).toBeNull();
+
+    const next = await request(app).get("/companies")
+        .query({ limit: 2, sort: "-name", after: resp.body.nextCursor });
+    expect(next.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(next.body.nextCursor).toBeNull();
+    expect(next.body.prevCursor).toEqual(expect.any(String));
+  });
+
+  test("fails: sort key that isn't allowed", async() => {
+    const resp = await request(app).get("/companies").query({ sort: "logoUrl" });
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test("fails: bad cursor", async() => {
+    const resp = await request(app).get("/companies").query({ after: "nope" });
+    expect(resp.statusCode).toBe(400);
+  });
+
   test("works: good query string with all three parameters", async() => {
     const queryString = {
       name: "c",
@@ -178,7 +214,7 @@ describe("GET /companies", function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
     // should cause an error, all right :)
-    await db.query("DROP TABLE companies CASCADE");
+    jest.spyOn(Company, "findAll").mockRejectedValueOnce(new Error("the database is gone"));
     const resp = await request(app)
         .get("/companies")
         .set("authorization", `Bearer ${u1Token}`);
@@ -186,6 +222,74 @@ describe("GET /companies", function () {
   });
 });
 
+describe("GET /companies: conditional", function () {
+  test("304 for If-None-Match until a company changes", async function () {
+    const first = await request(app).get("/companies");
+    expect(first.headers.etag).toMatch(/^W\/".+"$/);
+    expect(first.headers["cache-control"]).toEqual("no-cache");
+
+    const again = await request(app).get("/companies").set("If-None-Match", first.headers.etag);
+    expect(again.statusCode).toEqual(304);
+    expect(again.text).toEqual("");
+
+    await request(app)
+        .patch("/companies/c3")
+        .send({ name: "C3-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const changed = await request(app).get("/companies").set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+    expect(changed.headers.etag).not.toEqual(first.headers.etag);
+  });
+
+  test("a deleted company changes the list", async function () {
+    const first = await request(app).get("/companies");
+    await request(app)
+        .delete("/companies/c3")
+        .set("authorization", `Bearer ${adminToken}`);
+    const changed = await request(app).get("/companies").set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+    expect(changed.body.companies).toHaveLength(2);
+  });
+
+  test("each query gets its own ETag", async function () {
+    const all = await request(app).get("/companies");
+    const some = await request(app).get("/companies").query({ name: "1" });
+    expect(some.headers.etag).not.toEqual(all.headers.etag);
+
+    const resp = await request(app).get("/companies").query({ name: "1" })
+        .set("If-None-Match", all.headers.etag);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("304 for If-Modified-Since", async function () {
+    const first = await request(app).get("/companies");
+    expect(first.headers["last-modified"]).toEqual(expect.any(String));
+    const resp = await request(app).get("/companies")
+        .set("If-Modified-Since", first.headers["last-modified"]);
+    expect(resp.statusCode).toEqual(304);
+  });
+
+  test("errors aren't given the list's ETag", async function () {
+    const url = "/companies?minEmployees=lots";
+    const resp = await request(app).get(url);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.headers["last-modified"]).toBeUndefined();
+    expect(resp.headers["cache-control"]).toBeUndefined();
+
+    // so asking again with it gets the error again, not a 304
+    const again = await request(app).get(url).set("If-None-Match", resp.headers.etag || "*");
+    expect(again.statusCode).toEqual(400);
+  });
+
+  test("bad request for a bad query, even with a fresh ETag", async function () {
+    const first = await request(app).get("/companies");
+    const resp = await request(app)
+        .get("/companies?bogus=1")
+        .set("If-None-Match", first.headers.etag);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** GET /companies/:handle */
 
 describe("GET /companies/:handle", function () {
@@ -221,6 +325,24 @@ describe("GET /companies/:handle", function () {
   });
 });
 
+describe("GET /companies/:handle: conditional", function () {
+  test("304 for If-None-Match until the company changes", async function () {
+    const first = await request(app).get("/companies/c1");
+    const again = await request(app).get("/companies/c1").set("If-None-Match", first.headers.etag);
+    expect(again.statusCode).toEqual(304);
+
+    // another company changing doesn't matter
+    await Company.update("c2", { name: "C2-new" });
+    const stillSame = await request(app).get("/companies/c1").set("If-None-Match", first.headers.etag);
+    expect(stillSame.statusCode).toEqual(304);
+
+    await Company.update("c1", { name: "C1-new" });
+    const changed = await request(app).get("/companies/c1").set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+    expect(changed.body.company.name).toEqual("C1-new");
+  });
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
@@ -253,6 +375,29 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works for the company's recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("fails for other companies' recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .patch(`/companies/c2`)
+        .send({
+          name: "C2-new",
+        })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
@@ -311,6 +456,14 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toBe(401);
   });
 
+  test("fails for the company's recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/companies/c1`);
@@ -324,3 +477,344 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admin users", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const gone = await request(app).get(`/companies/c1`);
+    expect(gone.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+    const back = await request(app).get(`/companies/c1`);
+    expect(back.statusCode).toEqual(200);
+  });
+
+  test("fails for non-admin users", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the company isn't deleted", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies/:handle/applications */
+
+describe("GET /companies/:handle/applications", function () {
+  let jobId;
+  beforeEach(async function () {
+    const result = await db.query(
+      `INSERT INTO jobs (title, salary, equity, company_handle)
+       VALUES ('worker', 50000, 0.2, 'c1')
+       RETURNING id`);
+    jobId = result.rows[0].id;
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for the company's recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          jobId,
+          title: "worker",
+          state: "applied",
+          updatedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.length).toEqual(1);
+  });
+
+  test("fails for other users", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("fails for other companies' recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .get(`/companies/c2/applications`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /companies/:handle/recruiters */
+
+describe("POST /companies/:handle/recruiters", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/recruiters`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ recruiter: { companyHandle: "c1", username: "u1" } });
+
+    const patch = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(patch.statusCode).toEqual(200);
+  });
+
+  test("recruiters can't add recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .post(`/companies/c1/recruiters`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/recruiters`)
+        .send({ username: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/recruiters`)
+        .send({})
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /companies/:handle/recruiters", function () {
+  test("works for the company's recruiters", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .get(`/companies/c1/recruiters`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({
+      recruiters: [
+        { username: "u2", firstName: "U2F", lastName: "U2L", email: "user2@user.com" },
+      ],
+    });
+  });
+
+  test("fails for other users", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/recruiters`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /companies/:handle/recruiters/:username", function () {
+  test("works for admin", async function () {
+    const token = await makeRecruiter();
+    const resp = await request(app)
+        .delete(`/companies/c1/recruiters/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+
+    const patch = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${token}`);
+    expect(patch.statusCode).toEqual(401);
+  });
+
+  test("not found if not a recruiter", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/recruiters/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /companies/:handle/webhooks */
+
+describe("webhooks", function () {
+  let server;
+  let url;
+  let received;
+
+  beforeAll(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  beforeEach(function () {
+    received = [];
+  });
+
+  afterAll(async function () {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test("admins can subscribe, see deliveries and redeliver", async function () {
+    const created = await request(app)
+        .post("/companies/c1/webhooks")
+        .send({ url, events: ["application.created"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(created.statusCode).toEqual(201);
+    expect(created.body).toEqual({
+      webhook: {
+        id: expect.any(Number),
+        companyHandle: "c1",
+        url,
+        events: ["application.created"],
+        active: true,
+        createdAt: expect.any(String),
+        secret: expect.any(String),
+      },
+    });
+    const { id } = created.body.webhook;
+
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0, 'c1')
+         RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const deliveries = await request(app)
+        .get(`/companies/c1/webhooks/${id}/deliveries`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(deliveries.body.deliveries).toEqual([
+      expect.objectContaining({
+        webhookId: id,
+        event: "application.created",
+        payload: {
+          event: "application.created",
+          occurredAt: expect.any(String),
+          data: { username: "u1", jobId, state: "applied" },
+        },
+        status: "pending",
+        attempts: 0,
+      }),
+    ]);
+
+    const deliveryId = deliveries.body.deliveries[0].id;
+    const redelivered = await request(app)
+        .post(`/companies/c1/webhooks/${id}/deliveries/${deliveryId}/redeliver`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(redelivered.body.delivery).toEqual(expect.objectContaining({
+      id: deliveryId,
+      status: "succeeded",
+      attempts: 1,
+      responseStatus: 200,
+    }));
+    expect(received).toEqual([deliveries.body.deliveries[0].payload]);
+
+    const list = await request(app)
+        .get("/companies/c1/webhooks")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(list.body.webhooks).toEqual([
+      {
+        id,
+        companyHandle: "c1",
+        url,
+        events: ["application.created"],
+        active: true,
+        createdAt: expect.any(String),
+      },
+    ]);
+  });
+
+  test("update and delete", async function () {
+    const created = await request(app)
+        .post("/companies/c1/webhooks")
+        .send({ url, events: ["job.created"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const { id } = created.body.webhook;
+
+    const updated = await request(app)
+        .patch(`/companies/c1/webhooks/${id}`)
+        .send({ active: false })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(updated.body.webhook.active).toEqual(false);
+
+    const deleted = await request(app)
+        .delete(`/companies/c1/webhooks/${id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(deleted.body).toEqual({ deleted: id });
+  });
+
+  test("bad request on invalid data", async function () {
+    const badUrl = await request(app)
+        .post("/companies/c1/webhooks")
+        .send({ url: "ftp://example.com", events: ["job.created"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(badUrl.statusCode).toEqual(400);
+
+    const badEvent = await request(app)
+        .post("/companies/c1/webhooks")
+        .send({ url, events: ["job.eaten"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(badEvent.statusCode).toEqual(400);
+  });
+
+  test("not found for bad ids", async function () {
+    const resp = await request(app)
+        .get("/companies/c1/webhooks/nope/deliveries")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for recruiters and other users", async function () {
+    const token = await makeRecruiter();
+    const recruiter = await request(app)
+        .get("/companies/c1/webhooks")
+        .set("authorization", `Bearer ${token}`);
+    expect(recruiter.statusCode).toEqual(401);
+
+    const user = await request(app)
+        .post("/companies/c1/webhooks")
+        .send({ url, events: ["job.created"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(user.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+/** Routes for GraphQL. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const { parse, validate, execute } = require("graphql");
+
+const { BadRequestError } = require("../expressError");
+const { GRAPHQL_MAX_DEPTH, GRAPHQL_MAX_COMPLEXITY } = require("../config");
+const { schema } = require("../graphql/schema");
+const { makeLoaders } = require("../graphql/loaders");
+const { checkQueryLimits } = require("../graphql/limits");
+const { logger } = require("../helpers/logger");
+
+const graphqlRequestSchema = require("../schemas/graphqlRequest.json");
+
+const router = new express.Router();
+
+
+/** An error from a resolver, as it's sent back. status is what the REST
+ * routes would have responded with (404 for a missing company, 401 for a
+ * user you can't see, ...). */
+
+function formatError(err) {
+  const status = (err.originalError && err.originalError.status) || 500;
+  if (status === 500) logger.error("graphql resolver failed", { err: err.originalError || err });
+  return {
+    message: err.message,
+    ...(err.locations ? { locations: err.locations } : {}),
+    ...(err.path ? { path: err.path } : {}),
+    extensions: { status },
+  };
+}
+
+
+/** POST / { query, variables, operationName }  =>  { data, errors }
+ *
+ * Runs a GraphQL query (see graphql/schema.js for what can be asked for).
+ * Queries that don't parse or don't match the schema, or that are nested
+ * more than GRAPHQL_MAX_DEPTH deep or cost more than GRAPHQL_MAX_COMPLEXITY
+ * (see graphql/limits.js), are rejected with a 400 before anything runs.
+ *
+ * Otherwise responds 200, with errors listing anything that couldn't be
+ * loaded (a missing company, a user you're not allowed to see, ...); each
+ * has an extensions.status saying what the REST routes would have
+ * responded with.
+ *
+ * Authorization required: none to run a query; some fields need login
+ * (see graphql/schema.js)
+ */
+
+router.post("/", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, graphqlRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { query, operationName } = req.body;
+    const variables = req.body.variables || {};
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      throw new BadRequestError([err.message]);
+    }
+    const errors = validate(schema, document);
+    if (errors.length) throw new BadRequestError(errors.map(e => e.message));
+    checkQueryLimits(schema, document, {
+      operationName,
+      variables,
+      maxDepth: GRAPHQL_MAX_DEPTH,
+      maxComplexity: GRAPHQL_MAX_COMPLEXITY,
+    });
+
+    const result = await execute({
+      schema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: { user: res.locals.user, loaders: makeLoaders() },
+    });
+
+    if (result.data === undefined) {
+      // nothing ran: bad variables, or no operation by that name
+      throw new BadRequestError(result.errors.map(e => e.message));
+    }
+    return res.json({
+      data: result.data,
+      ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "POST /": {
+    summary: "Run a GraphQL query over companies, jobs, users and applications",
+    description: "Errors loading parts of the query come back in errors, with " +
+        "extensions.status giving the status the REST routes would have responded with.",
+    body: "graphqlRequest",
+    returns: "{ data, errors }",
+  },
+};
+
+
+module.exports = router;
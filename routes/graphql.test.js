@@ -0,0 +1,222 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const Job = require("../models/job");
+const User = require("../models/user");
+const { createToken } = require("../helpers/tokens");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const adminToken = createToken({ username: "u2", isAdmin: true });
+
+let jobIds;
+beforeEach(async function () {
+  const j1 = await Job.create({ title: "J1", salary: 1, equity: "0.1", companyHandle: "c1" });
+  const j2 = await Job.create({ title: "J2", salary: 2, equity: "0", companyHandle: "c1" });
+  const j3 = await Job.create({ title: "J3", salary: 3, equity: null, companyHandle: "c2" });
+  jobIds = [j1.id, j2.id, j3.id];
+  await User.apply("u1", j1.id);
+  await User.apply("u3", j1.id);
+  await User.apply("u1", j3.id);
+});
+
+function graphql(query, { token, variables } = {}) {
+  const req = request(app).post("/graphql").send({ query, variables });
+  return token ? req.set("authorization", `Bearer ${token}`) : req;
+}
+
+/************************************** POST /graphql */
+
+describe("POST /graphql", function () {
+  test("works: a company with its jobs", async function () {
+    const resp = await graphql(`
+      query ($handle: String!) {
+        company(handle: $handle) { name jobs { title equity company { handle } } }
+      }`, { variables: { handle: "c1" } });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      data: {
+        company: {
+          name: "C1",
+          jobs: [
+            { title: "J1", equity: "0.1", company: { handle: "c1" } },
+            { title: "J2", equity: "0", company: { handle: "c1" } },
+          ],
+        },
+      },
+    });
+  });
+
+  test("works: pages take the REST routes' filters and paging", async function () {
+    const resp = await graphql(`{
+      jobs(minSalary: 2, sort: "-salary", limit: 1) { jobs { title companyHandle } nextCursor }
+      companies(name: "2") { companies { handle } }
+    }`);
+    expect(resp.body.data.jobs.jobs).toEqual([{ title: "J3", companyHandle: "c2" }]);
+    expect(resp.body.data.jobs.nextCursor).toEqual(expect.any(String));
+    expect(resp.body.data.companies).toEqual({ companies: [{ handle: "c2" }] });
+  });
+
+  test("works: admins see a company's applicants", async function () {
+    const resp = await graphql(`{
+      company(handle: "c1") {
+        jobs { title applicants { username } applications { username state updatedAt } }
+      }
+    }`, { token: adminToken });
+    expect(resp.body.errors).toBeUndefined();
+    expect(resp.body.data.company.jobs).toEqual([
+      {
+        title: "J1",
+        applicants: [{ username: "u1" }, { username: "u3" }],
+        applications: [
+          { username: "u1", state: "applied", updatedAt: expect.any(String) },
+          { username: "u3", state: "applied", updatedAt: expect.any(String) },
+        ],
+      },
+      { title: "J2", applicants: [], applications: [] },
+    ]);
+  });
+
+  test("works: users see themselves and their applications", async function () {
+    const resp = await graphql(`{
+      user(username: "u1") { email applications { state job { title company { name } } } }
+    }`, { token: u1Token });
+    expect(resp.body).toEqual({
+      data: {
+        user: {
+          email: "user1@user.com",
+          applications: [
+            { state: "applied", job: { title: "J1", company: { name: "C1" } } },
+            { state: "applied", job: { title: "J3", company: { name: "C2" } } },
+          ],
+        },
+      },
+    });
+  });
+
+  test("loads related things in batches, not one query each", async function () {
+    const spy = jest.spyOn(db, "query");
+    try {
+      const resp = await graphql(`{
+        companies { companies { handle jobs { title company { name } applicants { username } } } }
+      }`, { token: adminToken });
+      expect(resp.body.errors).toBeUndefined();
+      expect(resp.body.data.companies.companies).toHaveLength(3);
+
+      const sql = spy.mock.calls.map(([text]) => text);
+      // one each for: the companies, their jobs, the jobs' applications, the applicants
+      expect(sql.filter(q => /FROM companies/.test(q) && !/FROM jobs/.test(q))).toHaveLength(1);
+      expect(sql.filter(q => /FROM jobs\s+WHERE company_handle = ANY/.test(q))).toHaveLength(1);
+      expect(sql.filter(q => /FROM applications/.test(q))).toHaveLength(1);
+      expect(sql.filter(q => /FROM users\s+WHERE username = ANY/.test(q))).toHaveLength(1);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test("missing things are errors, alongside what was found", async function () {
+    const resp = await graphql(`{ a: company(handle: "c1") { name } b: company(handle: "nope") { name } }`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.data).toEqual({ a: { name: "C1" }, b: null });
+    expect(resp.body.errors).toEqual([{
+      message: "No company: nope",
+      locations: expect.any(Array),
+      path: ["b"],
+      extensions: { status: 404 },
+    }]);
+  });
+
+  test("bad filters are errors", async function () {
+    const resp = await graphql(`{ companies(minEmployees: 3, maxEmployees: 1) { companies { handle } } }`);
+    expect(resp.body.data).toBeNull();
+    expect(resp.body.errors[0]).toEqual(expect.objectContaining({
+      message: "minEmployees cannot be greater than maxEmployees.",
+      extensions: { status: 400 },
+    }));
+  });
+
+  test("unauth: applicants for non-admins", async function () {
+    const resp = await graphql(`{ job(id: ${jobIds[0]}) { title applicants { username } } }`,
+        { token: u1Token });
+    expect(resp.body.data).toEqual({ job: null });
+    expect(resp.body.errors[0].extensions).toEqual({ status: 401 });
+  });
+
+  test("unauth: other users", async function () {
+    const resp = await graphql(`{ user(username: "u3") { email } }`, { token: u1Token });
+    expect(resp.body.data).toEqual({ user: null });
+    expect(resp.body.errors[0].extensions).toEqual({ status: 401 });
+  });
+
+  test("unauth: an applicant's user, through their application", async function () {
+    const resp = await graphql(`{
+      user(username: "u1") { applications { job { applications { user { email } } } } }
+    }`, { token: u1Token });
+    expect(resp.body.errors[0].extensions).toEqual({ status: 401 });
+  });
+
+  test("unauth: users list for non-admins", async function () {
+    const resp = await graphql(`{ users { users { username } } }`, { token: u1Token });
+    expect(resp.body.data).toBeNull();
+    expect(resp.body.errors[0].extensions).toEqual({ status: 401 });
+  });
+
+  test("works: users list for admins", async function () {
+    const resp = await graphql(`{ users(isAdmin: false) { users { username } } }`,
+        { token: adminToken });
+    expect(resp.body.data.users.users.map(u => u.username)).toEqual(["u1", "u2", "u3"]);
+  });
+
+  test("bad request: no query", async function () {
+    const resp = await request(app).post("/graphql").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: syntax error", async function () {
+    const resp = await graphql(`{ company(handle: "c1") { name }`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message[0]).toMatch(/Syntax Error/);
+  });
+
+  test("bad request: unknown field", async function () {
+    const resp = await graphql(`{ company(handle: "c1") { password } }`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(['Cannot query field "password" on type "Company".']);
+  });
+
+  test("bad request: bad variables", async function () {
+    const resp = await graphql(`query ($id: Int!) { job(id: $id) { title } }`,
+        { variables: { id: "one" } });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: too deep", async function () {
+    const resp = await graphql(`{
+      company(handle: "c1") { jobs { company { jobs { company { jobs { company { name } } } } } } }
+    }`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toMatch(/nested too deeply/);
+  });
+
+  test("bad request: too complex", async function () {
+    const resp = await graphql(`{
+      jobs(limit: 500) { jobs { applications { job { applications { username } } } } }
+    }`, { token: adminToken });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toMatch(/too complex/);
+  });
+});
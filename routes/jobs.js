@@ -4,25 +4,46 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 const router = new express.Router();
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedInAndIsAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureLoggedInAndIsAdmin,
+  ensureAdminOrRecruiterFor,
+} = require("../middleware/auth");
+const { PAGE_PARAMS, filterParams } = require("../helpers/openapi");
+const { isNotModified } = require("../helpers/conditionalGet");
 
 const Job = require("../models/job");
+const Technology = require("../models/technology");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const technologyNewSchema = require("../schemas/technologyNew.json");
+
+/** Admins, or recruiters for the company the new job is for. */
+const ensureAdminOrRecruiterForNewJob = ensureAdminOrRecruiterFor(req => req.body.companyHandle);
+
+/** Admins, or recruiters for the job's company (and, when the job is being
+ * moved to another company, for that company too). Needs resolveJob first.
+ */
+const ensureAdminOrRecruiterForJob = ensureAdminOrRecruiterFor(async (req, res) => {
+  const job = await Job.get(res.locals.jobId);
+  const handles = [job.companyhandle];
+  if (req.body && req.body.companyHandle !== undefined) handles.push(req.body.companyHandle);
+  return handles;
+});
 
 
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salary, equity, companyHandle, slug }, slug is optional
  *
- * Returns { title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle, slug }
  *
- * Authorization required: login AND admin priviledges
+ * Authorization required: login AND (admin priviledges OR recruiter for companyHandle)
  */
 
- router.post("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+ router.post("/", ensureAdminOrRecruiterForNewJob, async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobNewSchema);
       if (!validator.valid) {
@@ -38,55 +59,99 @@ const jobUpdateSchema = require("../schemas/jobUpdate.json");
   });
   
   /** GET /  =>
-   *   { jobs: [ { title, salary, equity, companyHandle }, ...] }
+   *   { jobs: [ { id, title, salary, equity, companyHandle, slug }, ...],
+   *     nextCursor, prevCursor }
    *
    * Can filter on provided search filters as a query string:
    * - title: a String (can be a partial job title)
    * - minSalary: a Number
    * - hasEquity: bool
+   * - companyHandle: one or more company handles, comma separated
+   * - technology: only jobs tagged with this technology
+   *
+   * Results come one page at a time:
+   * - limit: page size (default 50, max 500)
+   * - after / before: the nextCursor / prevCursor from a previous response
+   * - sort: e.g. "-salary,title"; allowed keys are title, salary, equity,
+   *   companyHandle, id
+   *
+   * Responds 304 Not Modified to If-None-Match / If-Modified-Since when no
+   * job has changed (see helpers/conditionalGet.js).
    *
    * Authorization required: none
    */
   
   router.get("/", async function (req, res, next) {
     try {
-      const jobs = await Job.findAll(req.query);
-      return res.json({ jobs });
+      // a bad query is a 400, even when the client's copy is fresh
+      Job.sqlForFindAll(req.query);
+      if (isNotModified(req, res, await Job.versionInfo())) return res.status(304).end();
+      const { jobs, nextCursor, prevCursor } = await Job.findAll(req.query);
+      return res.json({ jobs, nextCursor, prevCursor });
     } catch (err) {
       return next(err);
     }
   });
   
-  /** GET /[title]  =>  { job }
+  /** Middleware: turn the :ref URL parameter into a job id.
    *
-   *  Job is is { title, salary, equity, company_handle }
+   * :ref can be a job id ("12") or a job slug ("senior-engineer-c1"). Job
+   * titles are still accepted while the old title-based routes are being
+   * phased out: those responses carry a "Deprecation" header and a "Link"
+   * to the id-based route, and an ambiguous title raises ConflictError (409).
+   *
+   * Stores the id on res.locals.jobId.
+   */
+
+  async function resolveJob(req, res, next) {
+    try {
+      const { id, matchedBy } = await Job.resolve(req.params.ref);
+      if (matchedBy === "title") {
+        res.set("Deprecation", "true");
+        res.set("Link", `</jobs/${id}>; rel="successor-version"`);
+      }
+      res.locals.jobId = id;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  /** GET /[ref]  =>  { job }
+   *
+   *  Job is is { id, title, salary, equity, company_handle, slug }
+   *
+   * Responds 304 Not Modified to If-None-Match / If-Modified-Since when the
+   * job hasn't changed.
    *
    * Authorization required: none
    */
   
-  router.get("/:title", async function (req, res, next) {
+  router.get("/:ref", resolveJob, async function (req, res, next) {
     try {
-      const job = await Job.get(req.params.title);
+      if (isNotModified(req, res, await Job.versionInfo(res.locals.jobId))) return res.status(304).end();
+      const job = await Job.get(res.locals.jobId);
       return res.json({ job });
     } catch (err) {
       return next(err);
     }
   });
   
-  /** PATCH /[title] { title, salary, equity, company_handle } => { job }
+  /** PATCH /[ref] { title, salary, equity, company_handle, slug } => { job }
    * 
    * ALL fields are optional.
    *
-   * Patches company data.
+   * Patches job data.
    *
-   * fields can be: { title, salary, equity, company_handle }
+   * fields can be: { title, salary, equity, company_handle, slug }
    *
-   * Returns { title, salary, equity, company_handle }
+   * Returns { id, title, salary, equity, company_handle, slug }
    *
-   * Authorization required: login AND admin priviledges
+   * Authorization required: login AND (admin priviledges OR recruiter for the
+   * job's company, and for company_handle when moving the job)
    */
   
-  router.patch("/:title", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  router.patch("/:ref", ensureLoggedIn, resolveJob, ensureAdminOrRecruiterForJob, async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobUpdateSchema);
       if (!validator.valid) {
@@ -94,26 +159,161 @@ const jobUpdateSchema = require("../schemas/jobUpdate.json");
         throw new BadRequestError(errs);
       }
   
-      const job = await Job.update(req.params.title, req.body);
+      const job = await Job.update(res.locals.jobId, req.body);
       return res.json({ job });
     } catch (err) {
       return next(err);
     }
   });
   
-  /** DELETE /[title]  =>  { deleted: title }
+  /** DELETE /[ref]  =>  { deleted: id }
    *
-   * Authorization: login AND admin priviledges
+   * Marks the job deleted; an admin can bring it back with POST /[id]/restore
+   * until it's purged.
+   *
+   * Authorization: login AND (admin priviledges OR recruiter for the job's company)
    */
   
-  router.delete("/:title", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  router.delete("/:ref", ensureLoggedIn, resolveJob, ensureAdminOrRecruiterForJob, async function (req, res, next) {
+    try {
+      await Job.remove(res.locals.jobId);
+      return res.json({ deleted: res.locals.jobId });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** GET /[ref]/technologies  =>  { technologies: [ name, ... ] }
+   *
+   * The technologies the job asks for.
+   *
+   * Authorization required: none
+   */
+
+  router.get("/:ref/technologies", resolveJob, async function (req, res, next) {
+    try {
+      const technologies = await Technology.forJob(res.locals.jobId);
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** POST /[ref]/technologies { technology }  =>  { technologies: [ name, ... ] }
+   *
+   * Tags the job with a technology (created if it's new). Returns all of the
+   * job's technologies.
+   *
+   * Authorization required: login AND (admin priviledges OR recruiter for the
+   * job's company)
+   */
+
+  router.post("/:ref/technologies", ensureLoggedIn, resolveJob, ensureAdminOrRecruiterForJob, async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, technologyNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const technologies = await Technology.addToJob(res.locals.jobId, req.body.technology);
+      return res.status(201).json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** DELETE /[ref]/technologies/[technology]  =>  { removed: technology }
+   *
+   * Authorization required: login AND (admin priviledges OR recruiter for the
+   * job's company)
+   */
+
+  router.delete("/:ref/technologies/:technology", ensureLoggedIn, resolveJob, ensureAdminOrRecruiterForJob, async function (req, res, next) {
     try {
-      await Job.remove(req.params.title);
-      return res.json({ deleted: req.params.title });
+      await Technology.removeFromJob(res.locals.jobId, req.params.technology);
+      return res.json({ removed: req.params.technology });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** POST /[id]/restore  =>  { job }
+   *
+   * Brings back a deleted job. Deleted jobs have no slug lookup, so this
+   * takes the job's id only.
+   *
+   * Authorization: login AND admin priviledges
+   */
+
+  router.post("/:id/restore", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+    try {
+      if (!/^\d+$/.test(req.params.id)) throw new NotFoundError(`No job: ${req.params.id}`);
+      const job = await Job.restore(+req.params.id);
+      return res.json({ job });
     } catch (err) {
       return next(err);
     }
   });
   
   
+  /** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+  router.openapi = {
+    "POST /": {
+      summary: "Post a job",
+      description: "Only admins and recruiters for the job's company can post it.",
+      auth: "recruiter",
+      body: "jobNew",
+      status: 201,
+      returns: "{ job: { id, title, salary, equity, companyHandle, slug } }",
+    },
+    "GET /": {
+      summary: "List jobs, a page at a time",
+      description: "sort keys: title, salary, equity, companyHandle, id",
+      query: { ...filterParams(Job.FILTERS), ...PAGE_PARAMS },
+      status: [200, 304],
+      returns: "{ jobs: [ { id, title, salary, equity, companyHandle, slug }, ... ], nextCursor, prevCursor }",
+    },
+    "GET /:ref": {
+      summary: "Get a job by its id or slug",
+      status: [200, 304],
+      returns: "{ job }",
+    },
+    "PATCH /:ref": {
+      summary: "Change a job",
+      description: "Moving the job to another company needs a recruiter for that company too.",
+      auth: "recruiter",
+      body: "jobUpdate",
+      returns: "{ job }",
+    },
+    "DELETE /:ref": {
+      summary: "Delete a job, until it's restored or purged",
+      auth: "recruiter",
+      returns: "{ deleted: id }",
+    },
+    "GET /:ref/technologies": {
+      summary: "List the technologies the job asks for",
+      returns: "{ technologies: [ name, ... ] }",
+    },
+    "POST /:ref/technologies": {
+      summary: "Tag the job with a technology",
+      auth: "recruiter",
+      body: "technologyNew",
+      status: 201,
+      returns: "{ technologies: [ name, ... ] }",
+    },
+    "DELETE /:ref/technologies/:technology": {
+      summary: "Untag the job",
+      auth: "recruiter",
+      returns: "{ removed: technology }",
+    },
+    "POST /:id/restore": {
+      summary: "Bring back a deleted job",
+      auth: "admin",
+      returns: "{ job }",
+    },
+  };
+
+
   module.exports = router;
\ No newline at end of file
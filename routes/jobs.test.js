@@ -12,7 +12,12 @@ const {
 } = require("./_testCommon");
 
 let adminToken;
+let jobIds;
 beforeEach(async() => {
+  // other test files leave their users and companies behind
+  await db.query("DELETE FROM companies");
+  await db.query("DELETE FROM users");
+
   const createAdmin = await db.query(
     `INSERT INTO users
      (username, password, first_name, last_name, email, is_admin)
@@ -28,14 +33,16 @@ beforeEach(async() => {
            ('c2', 'C2', 2, 'Desc2', 'http://c2.img'),
            ('c3', 'C3', 3, 'Desc3', 'http://c3.img')`);
 
-    await db.query(
+    const jobsRes = await db.query(
         `INSERT INTO jobs
          (title, salary, equity, company_handle)
          VALUES
          ('manager', 75000, 0.10, 'c1'),
          ('cook', 90000, 0.0, 'c2'),
-         ('teacher', 50000, 0.15, 'c3')`
+         ('teacher', 50000, 0.15, 'c3')
+         RETURNING id, title`
     );
+    jobIds = Object.fromEntries(jobsRes.rows.map(r => [r.title, r.id]));
 
   adminToken = jwt.sign({username: "newAdmin", isAdmin: true}, SECRET_KEY);
 });
@@ -44,12 +51,26 @@ afterEach(async() => {
     await db.query("DELETE FROM companies");
     await db.query("DELETE FROM jobs");
     await db.query("DELETE FROM users");
+    await db.query("DELETE FROM technologies");
 });
 
 afterAll(async() => {
     await db.end();
 });
 
+/** Add a user who recruits for the given company; returns their token. */
+
+async function makeRecruiter(companyHandle) {
+  await db.query(
+    `INSERT INTO users (username, password, first_name, last_name, email)
+     VALUES ('recruiter', 'cookies', 'Rec', 'Ruiter', 'recruiter@gmail.com')`);
+  await db.query(
+    `INSERT INTO company_recruiters (company_handle, username)
+     VALUES ($1, 'recruiter')`,
+    [companyHandle]);
+  return jwt.sign({ username: "recruiter", isAdmin: false }, SECRET_KEY);
+}
+
 /************************************** POST /jobs */
 
 describe("POST /jobs", function () {
@@ -91,10 +112,12 @@ describe("POST /jobs", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       job: {
+          id: expect.any(Number),
           title: "new1",
           salary: 76000,
           equity: "0.05",
-          companyhandle: "c1"
+          companyhandle: "c1",
+          slug: null
       },
     });
   });
@@ -126,6 +149,26 @@ describe("POST /jobs", function () {
 
 // /************************************** GET /jobs */
 
+describe("POST /jobs as a recruiter", function () {
+  test("works for their own company", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "new", salary: 10, equity: 0.1, companyHandle: "c1" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("fails for another company", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "new", salary: 10, equity: 0.1, companyHandle: "c2" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 describe("GET /jobs", function () {
   test("ok for anon", async function () {
     const resp = await request(app).get("/jobs");
@@ -133,24 +176,32 @@ describe("GET /jobs", function () {
       jobs:
           [
             {
+                id: jobIds.cook,
                 title: "cook",
                 salary: 90000,
                 equity: "0.0",
-                companyhandle: "c2"
+                companyhandle: "c2",
+                slug: null
             },
             {
+                id: jobIds.manager,
                 title: "manager",
                 salary: 75000,
                 equity: "0.10",
-                companyhandle: "c1"
+                companyhandle: "c1",
+                slug: null
             },
             {
+                id: jobIds.teacher,
                 title: "teacher",
                 salary: 50000,
                 equity: "0.15",
-                companyhandle: "c3"
+                companyhandle: "c3",
+                slug: null
             },
           ],
+      nextCursor: null,
+      prevCursor: null,
     });
   });
 
@@ -195,6 +246,115 @@ describe("GET /jobs", function () {
     expect(resp.statusCode).toBe(400);
     expect(resp.body.error.message).toContain("These parameters in your query");
   });
+
+  test("fails: minSalary isn't a number", async() => {
+    const resp = await request(app).get("/jobs").query({ minSalary: "lots" });
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body.error.message).toEqual("minSalary must be a number");
+  });
+
+  test("fails: a cursor edited to hold the wrong type of value", async() => {
+    const first = await request(app).get("/jobs").query({ sort: "salary", limit: 1 });
+    const cursor = JSON.parse(Buffer.from(first.body.nextCursor, "base64url").toString());
+    cursor.v[0] = "lots";
+    const after = Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+    const resp = await request(app).get("/jobs").query({ sort: "salary", limit: 1, after });
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body.error.message).toEqual("Invalid cursor");
+  });
+});
+
+describe("GET /jobs: conditional", function () {
+  test("bad request for a bad query, even with a fresh ETag", async function () {
+    const first = await request(app).get("/jobs");
+    const resp = await request(app)
+        .get("/jobs?bogus=1")
+        .set("If-None-Match", first.headers.etag);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("304 for If-None-Match until a job changes", async function () {
+    const first = await request(app).get("/jobs");
+    const again = await request(app).get("/jobs").set("If-None-Match", first.headers.etag);
+    expect(again.statusCode).toEqual(304);
+
+    await request(app)
+        .patch(`/jobs/${jobIds.cook}`)
+        .send({ salary: 95000 })
+        .set("authorization", `Bearer ${adminToken}`);
+    const changed = await request(app).get("/jobs").set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+  });
+
+  test("tagging a job changes the list", async function () {
+    const first = await request(app).get("/jobs").query({ technology: "excel" });
+    expect(first.body.jobs).toEqual([]);
+    await request(app)
+        .post(`/jobs/${jobIds.manager}/technologies`)
+        .send({ technology: "excel" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const changed = await request(app).get("/jobs").query({ technology: "excel" })
+        .set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+    expect(changed.body.jobs).toHaveLength(1);
+  });
+});
+
+/************************************** /jobs/:ref/technologies */
+
+describe("/jobs/:ref/technologies", function () {
+  test("admins can tag a job, and anyone can see its technologies", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/technologies`)
+        .send({ technology: "Excel" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ technologies: ["excel"] });
+
+    const found = await request(app).get(`/jobs/${jobIds.manager}/technologies`);
+    expect(found.body).toEqual({ technologies: ["excel"] });
+
+    const filtered = await request(app).get("/jobs").query({ technology: "excel" });
+    expect(filtered.body.jobs.map(j => j.title)).toEqual(["manager"]);
+  });
+
+  test("the company's recruiters can tag and untag its jobs", async function () {
+    const token = await makeRecruiter("c1");
+    const added = await request(app)
+        .post(`/jobs/${jobIds.manager}/technologies`)
+        .send({ technology: "excel" })
+        .set("authorization", `Bearer ${token}`);
+    expect(added.statusCode).toEqual(201);
+
+    const removed = await request(app)
+        .delete(`/jobs/${jobIds.manager}/technologies/excel`)
+        .set("authorization", `Bearer ${token}`);
+    expect(removed.body).toEqual({ removed: "excel" });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/technologies`)
+        .send({ technology: "excel" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/technologies`)
+        .send({ technology: " " })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found when untagging a technology the job doesn't have", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${jobIds.manager}/technologies/excel`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** GET /companies/:title */
@@ -204,19 +364,56 @@ describe("GET /companies/:title", function () {
     const resp = await request(app).get(`/jobs/manager`);
     expect(resp.body).toEqual({
       job: {
+        id: jobIds.manager,
         title: "manager",
         salary: 75000,
         equity: "0.10",
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       },
     });
   });
 
+  test("works by id", async function () {
+    const resp = await request(app).get(`/jobs/${jobIds.manager}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.job.title).toEqual("manager");
+    expect(resp.headers.deprecation).toBeUndefined();
+  });
+
+  test("works by slug", async function () {
+    await db.query(`UPDATE jobs SET slug = 'head-cook' WHERE id = $1`, [jobIds.cook]);
+    const resp = await request(app).get(`/jobs/head-cook`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.job.id).toEqual(jobIds.cook);
+    expect(resp.headers.deprecation).toBeUndefined();
+  });
+
+  test("title lookups are marked as deprecated", async function () {
+    const resp = await request(app).get(`/jobs/manager`);
+    expect(resp.headers.deprecation).toEqual("true");
+    expect(resp.headers.link).toEqual(`</jobs/${jobIds.manager}>; rel="successor-version"`);
+  });
+
+  test("conflict for an ambiguous title", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('manager', 80000, 0.0, 'c2')`);
+    const resp = await request(app).get(`/jobs/manager`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error.message).toContain("matches more than one job");
+  });
+
   test("not found for no such company", async function () {
     const resp = await request(app).get(`/jobs/nope`);
     expect(resp.statusCode).toEqual(404);
   });
 
+  test("not found for no such id", async function () {
+    const resp = await request(app).get(`/jobs/0`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
   test("throw error on bad endpoint", async() => {
       const resp = await request(app).get(`/jobz/manager`);
       expect(resp.statusCode).toBe(404);
@@ -225,6 +422,39 @@ describe("GET /companies/:title", function () {
 
 // /************************************** PATCH /companies/:title */
 
+describe("GET /jobs/:ref: conditional", function () {
+  test("304 for If-None-Match or If-Modified-Since until the job changes", async function () {
+    const first = await request(app).get(`/jobs/${jobIds.manager}`);
+    expect(first.headers.etag).toEqual(expect.any(String));
+
+    const byEtag = await request(app).get(`/jobs/${jobIds.manager}`)
+        .set("If-None-Match", first.headers.etag);
+    expect(byEtag.statusCode).toEqual(304);
+    const byDate = await request(app).get(`/jobs/${jobIds.manager}`)
+        .set("If-Modified-Since", first.headers["last-modified"]);
+    expect(byDate.statusCode).toEqual(304);
+
+    await request(app)
+        .patch(`/jobs/${jobIds.manager}`)
+        .send({ title: "boss" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const changed = await request(app).get(`/jobs/${jobIds.manager}`)
+        .set("If-None-Match", first.headers.etag);
+    expect(changed.statusCode).toEqual(200);
+    expect(changed.body.job.title).toEqual("boss");
+  });
+
+  test("not found for a deleted job, whatever the client has", async function () {
+    const first = await request(app).get(`/jobs/${jobIds.manager}`);
+    await request(app)
+        .delete(`/jobs/${jobIds.manager}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/jobs/${jobIds.manager}`)
+        .set("If-None-Match", first.headers.etag);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 describe("PATCH /companies/:title", function () {
   test("fails for non-admin users", async function () {
     const resp = await request(app)
@@ -246,10 +476,12 @@ describe("PATCH /companies/:title", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       job: {
+        id: jobIds.manager,
         title: "C1-new",
         salary: 75000,
         equity: "0.10",
-        companyhandle: "c1"
+        companyhandle: "c1",
+        slug: null
       },
     });
   });
@@ -263,6 +495,40 @@ describe("PATCH /companies/:title", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for admin by id, and can set a slug", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${jobIds.manager}`)
+        .send({
+          slug: "the-manager",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.job.slug).toEqual("the-manager");
+  });
+
+  test("bad request on an all-digit slug", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${jobIds.manager}`)
+        .send({
+          slug: "123",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("conflict on an ambiguous title", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('manager', 80000, 0.0, 'c2')`);
+    const resp = await request(app)
+        .patch(`/jobs/manager`)
+        .send({
+          salary: 1,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
   test("not found on no such job", async function () {
     const resp = await request(app)
         .patch(`/jobs/nope`)
@@ -296,12 +562,78 @@ describe("PATCH /companies/:title", function () {
 
 // /************************************** DELETE /companies/:title */
 
+describe("PATCH /jobs/:ref as a recruiter", function () {
+  test("works for their own company's jobs", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .patch(`/jobs/${jobIds.manager}`)
+        .send({ title: "boss" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("boss");
+  });
+
+  test("fails for another company's jobs", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .patch(`/jobs/${jobIds.cook}`)
+        .send({ title: "chef" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("fails moving a job to a company they don't recruit for", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .patch(`/jobs/${jobIds.manager}`)
+        .send({ companyHandle: "c2" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+    const found = await db.query(
+        `SELECT company_handle FROM jobs WHERE id = $1`, [jobIds.manager]);
+    expect(found.rows[0].company_handle).toEqual("c1");
+  });
+
+  test("bad request for columns that aren't job fields", async function () {
+    const token = await makeRecruiter("c1");
+    for (let body of [{ company_handle: "c2" }, { deleted_at: null }, { id: 1 }]) {
+      const resp = await request(app)
+          .patch(`/jobs/${jobIds.manager}`)
+          .send(body)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+    const found = await db.query(
+        `SELECT company_handle FROM jobs WHERE id = $1`, [jobIds.manager]);
+    expect(found.rows[0].company_handle).toEqual("c1");
+  });
+});
+
 describe("DELETE /jobs/:title", function () {
   test("works for admin users", async function () {
     const resp = await request(app)
         .delete(`/jobs/manager`)
         .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.body).toEqual({ deleted: "manager" });
+    expect(resp.body).toEqual({ deleted: jobIds.manager });
+  });
+
+  test("works for admin users by id", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${jobIds.cook}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: jobIds.cook });
+  });
+
+  test("conflict on an ambiguous title, and nothing is deleted", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('manager', 80000, 0.0, 'c2')`);
+    const resp = await request(app)
+        .delete(`/jobs/manager`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+    const found = await db.query(`SELECT id FROM jobs WHERE title = 'manager'`);
+    expect(found.rows.length).toEqual(2);
   });
 
   test("fails for non-admin users", async function () {
@@ -312,6 +644,22 @@ describe("DELETE /jobs/:title", function () {
     expect(resp.statusCode).toBe(401);
   });
 
+  test("works for the company's recruiters", async function () {
+    const token = await makeRecruiter("c1");
+    const resp = await request(app)
+        .delete(`/jobs/${jobIds.manager}`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ deleted: jobIds.manager });
+  });
+
+  test("fails for other companies' recruiters", async function () {
+    const token = await makeRecruiter("c2");
+    const resp = await request(app)
+        .delete(`/jobs/${jobIds.manager}`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/jobs/manager`);
@@ -325,3 +673,44 @@ describe("DELETE /jobs/:title", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admin users", async function () {
+    await request(app)
+        .delete(`/jobs/${jobIds.manager}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const gone = await request(app).get(`/jobs/${jobIds.manager}`);
+    expect(gone.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.id).toEqual(jobIds.manager);
+    const back = await request(app).get(`/jobs/${jobIds.manager}`);
+    expect(back.statusCode).toEqual(200);
+  });
+
+  test("fails for the company's recruiters", async function () {
+    const token = await makeRecruiter("c1");
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobIds.manager]);
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/restore`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for a title", async function () {
+    const resp = await request(app)
+        .post(`/jobs/manager/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if the job isn't deleted", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${jobIds.manager}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+/** Routes for search. */
+
+const express = require("express");
+
+const Search = require("../models/search");
+
+const router = new express.Router();
+
+
+/** GET /?q=  =>  { results: [ { type, id, title, snippet, rank }, ...] }
+ *
+ * Full-text search over company names and descriptions and job titles,
+ * best match first. Each result is tagged with its type:
+ * - { type: "company", id: handle, title: name, ... }
+ * - { type: "job", id: job id, title, ... }
+ *
+ * snippet is the matching text as HTML, with the matched words wrapped in
+ * <mark></mark>. Everything else in it is escaped, so it's safe to render.
+ *
+ * Query string:
+ * - q: the search terms (required)
+ * - type: "company" or "job" to only search one of them
+ * - limit: how many results to return (default 20, max 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const results = await Search.query(req.query);
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "GET /": {
+    summary: "Search companies and jobs, best match first",
+    query: {
+      q: { type: "string", required: true, description: "the search terms" },
+      type: { type: "string", description: "company or job, to only search one of them" },
+      limit: { type: "integer", description: "how many results (default 20, max 100)" },
+    },
+    returns: "{ results: [ { type, id, title, snippet, rank }, ... ] }",
+  },
+};
+
+
+module.exports = router;
@@ -0,0 +1,47 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Job = require("../models/job");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const job = await Job.create({ title: "Desc writer", salary: 1, equity: 0, companyHandle: "c1" });
+    const resp = await request(app).get("/search").query({ q: "desc1 OR writer" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.results.map(r => [r.type, r.id]).sort()).toEqual([
+      ["company", "c1"],
+      ["job", String(job.id)],
+    ]);
+  });
+
+  test("works: no matches", async function () {
+    const resp = await request(app).get("/search").query({ q: "zebra" });
+    expect(resp.body).toEqual({ results: [] });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid type", async function () {
+    const resp = await request(app).get("/search").query({ q: "c1", type: "user" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+/** Routes for technologies. */
+
+const express = require("express");
+
+const { ensureLoggedInAndIsAdmin } = require("../middleware/auth");
+const Technology = require("../models/technology");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { technologies: [ { name, jobs, users }, ... ] }
+ *
+ * Every technology, with how many open jobs ask for it and how many users
+ * know it. Jobs are tagged through POST /jobs/[ref]/technologies, and users
+ * through POST /users/[username]/technologies.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const technologies = await Technology.findAll();
+    return res.json({ technologies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[name]  =>  { deleted: name }
+ *
+ * Deletes the technology, untagging every job and user.
+ *
+ * Authorization required: login AND admin priviledges
+ */
+
+router.delete("/:name", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    await Technology.remove(req.params.name);
+    return res.json({ deleted: req.params.name });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "GET /": {
+    summary: "List technologies, with how many open jobs ask for each and how many users know it",
+    returns: "{ technologies: [ { name, jobs, users }, ... ] }",
+  },
+  "DELETE /:name": {
+    summary: "Delete a technology, untagging every job and user",
+    auth: "admin",
+    returns: "{ deleted: name }",
+  },
+};
+
+
+module.exports = router;
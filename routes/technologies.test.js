@@ -0,0 +1,71 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const { createToken } = require("../helpers/tokens");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const adminToken = createToken({ username: "u2", isAdmin: true });
+
+beforeEach(async function () {
+  await db.query(`INSERT INTO technologies (name) VALUES ('go'), ('sql')`);
+  await db.query(`INSERT INTO user_technologies (username, technology) VALUES ('u1', 'sql')`);
+});
+
+/************************************** GET /technologies */
+
+describe("GET /technologies", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/technologies");
+    expect(resp.body).toEqual({
+      technologies: [
+        { name: "go", jobs: 0, users: 0 },
+        { name: "sql", jobs: 0, users: 1 },
+      ],
+    });
+  });
+});
+
+/************************************** DELETE /technologies/:name */
+
+describe("DELETE /technologies/:name", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete("/technologies/sql")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "sql" });
+
+    const found = await request(app)
+        .get("/users/u1/technologies")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(found.body).toEqual({ technologies: [] });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete("/technologies/sql")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such technology", async function () {
+    const resp = await request(app)
+        .delete("/technologies/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
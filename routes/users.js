@@ -6,11 +6,24 @@ const jsonschema = require("jsonschema");
 
 const express = require("express");
 const { ensureLoggedIn, ensureLoggedInAndIsAdmin, ensureLoggedInIsAdminOrUser } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db");
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const Application = require("../models/application");
+const Technology = require("../models/technology");
+const SavedSearch = require("../models/savedSearch");
+const JobAlert = require("../models/jobAlert");
+const Notification = require("../models/notification");
+const EmailVerification = require("../models/emailVerification");
 const { createToken } = require("../helpers/tokens");
+const { PAGE_PARAMS, filterParams } = require("../helpers/openapi");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const technologyNewSchema = require("../schemas/technologyNew.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const notificationPreferencesSchema = require("../schemas/notificationPreferences.json");
 
 const router = express.Router();
 
@@ -22,7 +35,9 @@ const router = express.Router();
  * admin.
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, emailVerified, isAdmin }, token }
+ *
+ * The new user is emailed a link to verify their email address.
  *
  * Authorization required: login AND admin priviledges
  **/
@@ -35,8 +50,15 @@ router.post("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const user = await User.register(req.body);
-    const token = createToken(user);
+    // the token gets a family like a registered user's, so it stops working
+    // when their sessions are revoked
+    const { user, familyId } = await db.withTransaction(async () => {
+      const user = await User.register(req.body);
+      return { user, ...await RefreshToken.startFamily(user.username) };
+    });
+    // only once they're committed, so the email is never for a rolled back user
+    await EmailVerification.send(user.username, user.email);
+    const token = createToken(user, familyId);
     return res.status(201).json({ user, token });
   } catch (err) {
     return next(err);
@@ -44,17 +66,25 @@ router.post("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ], nextCursor, prevCursor }
+ *
+ * Can filter on provided search filters:
+ * - username, firstName, lastName, email (case-insensitive, partial matches)
+ * - isAdmin, emailVerified (true or false)
  *
- * Returns list of all users.
+ * Returns list of all users, one page at a time:
+ * - limit: page size (default 50, max 500)
+ * - after / before: the nextCursor / prevCursor from a previous response
+ * - sort: e.g. "lastName,firstName"; allowed keys are username, firstName,
+ *   lastName, email
  *
  * Authorization required: login AND admin priviledges
  **/
 
 router.get("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { users, nextCursor, prevCursor } = await User.findAll(req.query);
+    return res.json({ users, nextCursor, prevCursor });
   } catch (err) {
     return next(err);
   }
@@ -63,7 +93,7 @@ router.get("/", ensureLoggedInAndIsAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
  *
  * Authorization required:
  *    1). login
@@ -85,7 +115,10 @@ router.get("/:username", ensureLoggedInIsAdminOrUser, async function (req, res,
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Changing the email marks it unverified and emails a link to verify the new
+ * address.
+ *
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
  *
  * Authorization required:
  *    1). login
@@ -109,6 +142,9 @@ router.patch("/:username", ensureLoggedInIsAdminOrUser, async function (req, res
 
 
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * Marks the user deleted and logs them out everywhere; an admin can bring
+ * them back with POST /[username]/restore until they're purged.
  *
  * Authorization required:
  *    1). login
@@ -125,6 +161,25 @@ router.delete("/:username", ensureLoggedInIsAdminOrUser, async function (req, re
 });
 
 
+/** POST /[username]/restore  =>  { user }
+ *
+ * Brings back a deleted user.
+ *
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+ *
+ * Authorization required: login AND admin priviledges
+ **/
+
+router.post("/:username/restore", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const user = await User.restore(req.params.username);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** POST /:username/jobs/:id => { applied: job_id }
  * 
  * Authorization required:
@@ -137,7 +192,9 @@ router.delete("/:username", ensureLoggedInIsAdminOrUser, async function (req, re
  * 
  * Returns:
  *    - if no user is found, raises NotFoundError
- *    - if the job id is greater than the max job id in the database, also raises NotFoundError
+ *    - if there's no such job (or it was deleted), also raises NotFoundError
+ *    - if verified emails are required (REQUIRE_VERIFIED_EMAIL) and the user's
+ *      email isn't verified, raises ForbiddenError
  *    - otherwise, returns { applied: job_id }
  * 
  * Allows users to submit job applications
@@ -154,4 +211,576 @@ router.post("/:username/jobs/:id", ensureLoggedInIsAdminOrUser, async(req, res,
 })
 
 
+/** GET /:username/applications => { applications: [ { jobId, title, companyHandle, state, updatedAt }, ... ] }
+ * 
+ * Returns every job the user has applied to, with the current state of each application.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/applications", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const applications = await Application.findForUser(req.params.username);
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/jobs/:id => { application }
+ * 
+ * Application is { username, jobId, state, history }
+ *   where history is [{ fromState, toState, changedAt }, ...], oldest first
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/jobs/:id", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const { username, id } = req.params;
+    if (!/^\d+$/.test(id)) throw new NotFoundError(`No application from ${username} for job ${id}`);
+
+    const application = await Application.get(username, +id);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /:username/jobs/:id { state } => { application }
+ * 
+ * Moves an application to a new state. The allowed moves are:
+ *    applied -> interviewing -> offered -> hired
+ *    and any unfinished application -> rejected OR withdrawn
+ * 
+ * Returns { username, jobId, state }
+ * 
+ * Raises BadRequestError if the move isn't allowed from the current state.
+ * 
+ * Authorization required: login AND admin priviledges
+ */
+
+router.patch("/:username/jobs/:id", ensureLoggedInAndIsAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, id } = req.params;
+    if (!/^\d+$/.test(id)) throw new NotFoundError(`No application from ${username} for job ${id}`);
+
+    const application = await Application.transition(username, +id, req.body.state);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+
+/** GET /:username/technologies => { technologies: [ name, ... ] }
+ * 
+ * The technologies the user knows.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/technologies", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const technologies = await Technology.forUser(req.params.username);
+    return res.json({ technologies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/technologies { technology } => { technologies: [ name, ... ] }
+ * 
+ * Adds a technology (created if it's new) to the ones the user knows. Returns
+ * all of the user's technologies.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/technologies", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, technologyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const technologies = await Technology.addToUser(req.params.username, req.body.technology);
+    return res.status(201).json({ technologies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /:username/technologies/:technology => { removed: technology }
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.delete("/:username/technologies/:technology", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    await Technology.removeFromUser(req.params.username, req.params.technology);
+    return res.json({ removed: req.params.technology });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/recommendations => { jobs: [ job, ... ] }
+ * 
+ * Open jobs the user hasn't applied to, best match first, ranked by how many
+ * of each job's technologies the user knows. Jobs sharing no technologies
+ * with the user aren't included.
+ * 
+ * Job is { id, title, salary, equity, companyHandle, slug, matchingTechnologies, score }
+ *   where score is the number of matching technologies
+ * 
+ * Query string: limit, how many jobs to return (default 20, max 500)
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/recommendations", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const { limit, ...rest } = req.query;
+    const invalidKeys = Object.keys(rest);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query 
+                                                       string are invalid: [${invalidKeys}]`);
+
+    const jobs = await Technology.recommendationsFor(req.params.username, limit);
+    return res.json({ jobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/searches => { searches: [ { id, name, filters, createdAt }, ... ] }
+ * 
+ * The user's saved job searches, by name.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/searches", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findForUser(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/searches { name, filters } => { search }
+ * 
+ * Saves a job search. filters takes the same filters as GET /jobs: title,
+ * minSalary and hasEquity. From now on, whenever a job is posted or changed
+ * so that it matches the search, the user gets an alert for it.
+ * 
+ * search is { id, name, filters, createdAt }
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/searches", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, savedSearchNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /:username/searches/:id => { deleted: id }
+ * 
+ * Deletes a saved search, along with its alerts.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.delete("/:username/searches/:id", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.id)) throw new NotFoundError(`No saved search: ${req.params.id}`);
+
+    await SavedSearch.remove(req.params.username, +req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/alerts => { alerts: [ alert, ... ] }
+ * 
+ * Alerts for jobs matching the user's saved searches, newest first.
+ * 
+ * alert is { id, search: { id, name }, job: { id, title, salary, equity,
+ *            companyHandle, slug }, createdAt, readAt }
+ * 
+ * Query string: unread=true to only get the alerts that haven't been read
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/alerts", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const { unread = "false", ...rest } = req.query;
+    const invalidKeys = Object.keys(rest);
+    if (invalidKeys.length) throw new BadRequestError(`These parameters in your query 
+                                                       string are invalid: [${invalidKeys}]`);
+    if (unread !== "true" && unread !== "false") throw new BadRequestError("unread must be true or false");
+
+    const alerts = await JobAlert.findForUser(req.params.username, { unread: unread === "true" });
+    return res.json({ alerts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/alerts/read => { marked: count }
+ * 
+ * Marks all of the user's unread alerts read.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/alerts/read", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const marked = await JobAlert.markAllRead(req.params.username);
+    return res.json({ marked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/alerts/:id/read => { alert: { id, readAt } }
+ * 
+ * Marks one alert read.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/alerts/:id/read", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.id)) throw new NotFoundError(`No alert: ${req.params.id}`);
+
+    const alert = await JobAlert.markRead(req.params.username, +req.params.id);
+    return res.json({ alert });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/notifications => { notifications: [ notification, ... ], unread, nextCursor, prevCursor }
+ * 
+ * The user's notifications, newest first. unread is how many unread
+ * notifications they have in all.
+ * 
+ * notification is { id, type, data, createdAt, readAt }, where type is one of
+ * application-updated, job-updated, job-deleted or account-updated, and data
+ * says what happened (see models/notification.js)
+ * 
+ * Query string: unread=true to only get the ones that haven't been read, and
+ * the paging parameters limit, after and before (see helpers/pagination.js)
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/notifications", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const result = await Notification.findForUser(req.params.username, req.query);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/notifications/read => { marked: count }
+ * 
+ * Marks all of the user's unread notifications read.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/notifications/read", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const marked = await Notification.markAllRead(req.params.username);
+    return res.json({ marked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /:username/notifications/:id/read => { notification: { id, readAt } }
+ * 
+ * Marks one notification read.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.post("/:username/notifications/:id/read", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.id)) throw new NotFoundError(`No notification: ${req.params.id}`);
+
+    const notification = await Notification.markRead(req.params.username, +req.params.id);
+    return res.json({ notification });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /:username/notification-preferences => { preferences: { type: enabled, ... } }
+ * 
+ * Which notification types the user gets; every type is on until it's
+ * turned off.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.get("/:username/notification-preferences", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const preferences = await Notification.getPreferences(req.params.username);
+    return res.json({ preferences });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /:username/notification-preferences { type: enabled, ... } => { preferences }
+ * 
+ * Turns notification types on or off. Types that aren't given are left as
+ * they were. Returns all of the user's preferences.
+ * 
+ * Authorization required:
+ *    1). login
+ *    2). admin priviledges OR /:username === logged in user
+ */
+
+router.patch("/:username/notification-preferences", ensureLoggedInIsAdminOrUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, notificationPreferencesSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const preferences = await Notification.updatePreferences(req.params.username, req.body);
+    return res.json({ preferences });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** The OpenAPI entries for these routes (see helpers/openapi.js). */
+
+router.openapi = {
+  "POST /": {
+    summary: "Add a user (admins only; this isn't registration)",
+    auth: "admin",
+    body: "userNew",
+    status: 201,
+    returns: "{ user: { username, firstName, lastName, email, emailVerified, isAdmin }, token }",
+  },
+  "GET /": {
+    summary: "List users, a page at a time",
+    description: "sort keys: username, firstName, lastName, email",
+    auth: "admin",
+    query: { ...filterParams(User.FILTERS), ...PAGE_PARAMS },
+    returns: "{ users: [ { username, firstName, lastName, email }, ... ], nextCursor, prevCursor }",
+  },
+  "GET /:username": {
+    summary: "Get a user",
+    auth: "self",
+    returns: "{ user: { username, firstName, lastName, email, emailVerified, isAdmin } }",
+  },
+  "PATCH /:username": {
+    summary: "Change a user",
+    description: "Changing the email marks it unverified and emails a link to verify it.",
+    auth: "self",
+    body: "userUpdate",
+    returns: "{ user }",
+  },
+  "DELETE /:username": {
+    summary: "Delete a user and log them out everywhere, until they're restored or purged",
+    auth: "self",
+    returns: "{ deleted: username }",
+  },
+  "POST /:username/restore": {
+    summary: "Bring back a deleted user",
+    auth: "admin",
+    returns: "{ user }",
+  },
+  "POST /:username/jobs/:id": {
+    summary: "Apply to a job",
+    description: "Forbidden (403) if verified emails are required and the user's isn't verified.",
+    auth: "self",
+    returns: "{ applied: jobId }",
+  },
+  "GET /:username/applications": {
+    summary: "List the user's applications",
+    auth: "self",
+    returns: "{ applications: [ { jobId, title, companyHandle, state, updatedAt }, ... ] }",
+  },
+  "GET /:username/jobs/:id": {
+    summary: "Get an application and its history",
+    auth: "self",
+    returns: "{ application: { username, jobId, state, history } }",
+  },
+  "PATCH /:username/jobs/:id": {
+    summary: "Move an application to a new state",
+    description: "applied -> interviewing -> offered -> hired, and any unfinished " +
+        "application -> rejected or withdrawn",
+    auth: "admin",
+    body: "applicationUpdate",
+    returns: "{ application: { username, jobId, state } }",
+  },
+  "GET /:username/technologies": {
+    summary: "List the technologies the user knows",
+    auth: "self",
+    returns: "{ technologies: [ name, ... ] }",
+  },
+  "POST /:username/technologies": {
+    summary: "Add a technology the user knows",
+    auth: "self",
+    body: "technologyNew",
+    status: 201,
+    returns: "{ technologies: [ name, ... ] }",
+  },
+  "DELETE /:username/technologies/:technology": {
+    summary: "Remove a technology the user knows",
+    auth: "self",
+    returns: "{ removed: technology }",
+  },
+  "GET /:username/recommendations": {
+    summary: "Open jobs matching the user's technologies, best match first",
+    auth: "self",
+    query: { limit: { type: "integer", description: "how many jobs (default 20, max 500)" } },
+    returns: "{ jobs: [ { id, title, salary, equity, companyHandle, slug, matchingTechnologies, score }, ... ] }",
+  },
+  "GET /:username/searches": {
+    summary: "List the user's saved searches",
+    auth: "self",
+    returns: "{ searches: [ { id, name, filters, createdAt }, ... ] }",
+  },
+  "POST /:username/searches": {
+    summary: "Save a job search, to be alerted about jobs matching it",
+    auth: "self",
+    body: "savedSearchNew",
+    status: 201,
+    returns: "{ search: { id, name, filters, createdAt } }",
+  },
+  "DELETE /:username/searches/:id": {
+    summary: "Delete a saved search and its alerts",
+    auth: "self",
+    returns: "{ deleted: id }",
+  },
+  "GET /:username/alerts": {
+    summary: "List alerts for jobs matching the user's saved searches, newest first",
+    auth: "self",
+    query: { unread: { type: "boolean", description: "true for only the unread alerts" } },
+    returns: "{ alerts: [ { id, search, job, createdAt, readAt }, ... ] }",
+  },
+  "POST /:username/alerts/read": {
+    summary: "Mark all of the user's alerts read",
+    auth: "self",
+    returns: "{ marked: count }",
+  },
+  "POST /:username/alerts/:id/read": {
+    summary: "Mark an alert read",
+    auth: "self",
+    returns: "{ alert: { id, readAt } }",
+  },
+  "GET /:username/notifications": {
+    summary: "List the user's notifications, newest first",
+    auth: "self",
+    query: {
+      unread: { type: "boolean", description: "true for only the unread notifications" },
+      ...PAGE_PARAMS,
+    },
+    returns: "{ notifications: [ { id, type, data, createdAt, readAt }, ... ], unread, nextCursor, prevCursor }",
+  },
+  "POST /:username/notifications/read": {
+    summary: "Mark all of the user's notifications read",
+    auth: "self",
+    returns: "{ marked: count }",
+  },
+  "POST /:username/notifications/:id/read": {
+    summary: "Mark a notification read",
+    auth: "self",
+    returns: "{ notification: { id, readAt } }",
+  },
+  "GET /:username/notification-preferences": {
+    summary: "Get which notification types the user gets",
+    auth: "self",
+    returns: "{ preferences: { type: enabled, ... } }",
+  },
+  "PATCH /:username/notification-preferences": {
+    summary: "Turn notification types on or off",
+    auth: "self",
+    body: "notificationPreferences",
+    returns: "{ preferences: { type: enabled, ... } }",
+  },
+};
+
+
 module.exports = router;
@@ -7,6 +7,8 @@ const { SECRET_KEY } = require("../config");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const { getMailer } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
@@ -106,11 +108,53 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        emailVerified: false,
         isAdmin: false,
       }, token: expect.any(String),
     });
   });
 
+  test("the new user is emailed a verification link", async function () {
+    getMailer().clear();
+    await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          isAdmin: false,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    const { outbox } = getMailer();
+    expect(outbox.map(m => m.to)).toEqual(["new@email.com"]);
+    expect(outbox[0].text).toContain("/verify-email?token=");
+  });
+
+  test("the new user's token is revoked with their sessions", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          isAdmin: false,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    const { token } = resp.body;
+    expect(jwt.verify(token, SECRET_KEY).fam).toEqual(expect.any(String));
+
+    await RefreshToken.revokeAllForUser("u-new");
+    const after = await request(app)
+        .get("/users/u-new")
+        .set("authorization", `Bearer ${token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
   test("works for admin: create new admin", async function () {
     const resp = await request(app)
         .post("/users")
@@ -130,6 +174,7 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        emailVerified: false,
         isAdmin: true,
       }, token: expect.any(String),
     });
@@ -185,6 +230,7 @@ describe("GET /users", function () {
           firstName: "new",
           lastName: "Admin",
           email: "newAdmin@gmail.com",
+          emailVerified: false,
           isAdmin: true,
           jobApplicationsSubmitted: []
         },
@@ -193,6 +239,7 @@ describe("GET /users", function () {
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
+          emailVerified: false,
           isAdmin: false,
           jobApplicationsSubmitted: []
         },
@@ -201,6 +248,7 @@ describe("GET /users", function () {
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
+          emailVerified: false,
           isAdmin: false,
           jobApplicationsSubmitted: []
         },
@@ -209,13 +257,34 @@ describe("GET /users", function () {
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
+          emailVerified: false,
           isAdmin: false,
           jobApplicationsSubmitted: []
         },
       ],
+      nextCursor: null,
+      prevCursor: null,
     });
   });
 
+  test("works for admin: filters", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ isAdmin: true })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.users.map(u => u.username)).toEqual(["newAdmin"]);
+  });
+
+  test("bad request on invalid filters", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ isAdmin: "maybe" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body.error.message).toEqual("isAdmin must be true or false");
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -226,7 +295,7 @@ describe("GET /users", function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
     // should cause an error, all right :)
-    await db.query("DROP TABLE users CASCADE");
+    jest.spyOn(User, "findAll").mockRejectedValueOnce(new Error("the database is gone"));
     const resp = await request(app)
         .get("/users")
         .set("authorization", `Bearer ${adminToken}`);
@@ -247,6 +316,7 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
         jobApplicationsSubmitted: []
       },
@@ -263,6 +333,7 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
         jobApplicationsSubmitted: []
       },
@@ -318,6 +389,7 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
       },
     });
@@ -352,6 +424,7 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
       },
     });
@@ -399,6 +472,7 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
       },
     });
@@ -455,6 +529,45 @@ describe("DELETE /users/:username", function () {
   });
 });
 
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        emailVerified: false,
+        isAdmin: false,
+      },
+    });
+  });
+
+  test("unauth for the user themselves", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the user isn't deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /********************************************* POST /users/:username/jobs/:id */
 
 describe("POST /users/:username/jobs/:id", () => {
@@ -525,3 +638,454 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.body.error.message).toEqual("Unauthorized");
   });
 });
+
+/********************************************* application state routes */
+
+describe("application state routes", () => {
+  let jobId;
+  beforeEach(async() => {
+    const newJob = await db.query(
+      `INSERT INTO jobs
+       (title, salary, equity, company_handle)
+       VALUES
+       ('worker', 50000, 0.2, 'c3')
+       RETURNING id`
+    );
+    jobId = newJob.rows[0].id;
+    await User.apply("u1", jobId);
+  });
+
+  test("GET /users/:username/applications shows the current state", async() => {
+    const resp = await request(app)
+        .get("/users/u1/applications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          jobId,
+          title: "worker",
+          companyHandle: "c3",
+          state: "applied",
+          updatedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("GET /users/:username/applications unauth for other users", async() => {
+    const resp = await request(app)
+        .get("/users/newAdmin/applications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toBe(401);
+  });
+
+  test("GET /users/:username/jobs/:id shows the history", async() => {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.application.state).toEqual("applied");
+    expect(resp.body.application.history).toEqual([
+      { fromState: null, toState: "applied", changedAt: expect.any(String) },
+    ]);
+  });
+
+  test("GET /users/:username/jobs/:id not found for a non-numeric id", async() => {
+    const resp = await request(app)
+        .get("/users/u1/jobs/abc")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("PATCH /users/:username/jobs/:id works for admin", async() => {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      application: { username: "u1", jobId, state: "interviewing" },
+    });
+  });
+
+  test("PATCH /users/:username/jobs/:id fails for non-admin users", async() => {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toBe(401);
+  });
+
+  test("PATCH /users/:username/jobs/:id bad request on invalid move", async() => {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(400);
+    expect(resp.body.error.message).toEqual("Cannot move application from applied to hired");
+  });
+
+  test("PATCH /users/:username/jobs/:id not found for a non-numeric id", async() => {
+    const resp = await request(app)
+        .patch("/users/u1/jobs/abc")
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test("PATCH /users/:username/jobs/:id bad request on invalid state", async() => {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "ghosted" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+/************************************** /users/:username/technologies */
+
+describe("/users/:username/technologies", function () {
+  test("users can add, see and remove their own technologies", async function () {
+    const added = await request(app)
+        .post("/users/u1/technologies")
+        .send({ technology: "Python" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(added.statusCode).toEqual(201);
+    expect(added.body).toEqual({ technologies: ["python"] });
+
+    const found = await request(app)
+        .get("/users/u1/technologies")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(found.body).toEqual({ technologies: ["python"] });
+
+    const removed = await request(app)
+        .delete("/users/u1/technologies/python")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(removed.body).toEqual({ removed: "python" });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u2/technologies")
+        .send({ technology: "python" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u1/technologies")
+        .send({ technology: 5 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  test("works: jobs matching the user's technologies", async function () {
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0, 'c1'), ('j2', 200, 0, 'c2')
+         RETURNING id`);
+    const [j1, j2] = jobRes.rows.map(r => r.id);
+    await request(app)
+        .post(`/jobs/${j1}/technologies`)
+        .send({ technology: "python" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post(`/jobs/${j2}/technologies`)
+        .send({ technology: "go" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post("/users/u1/technologies")
+        .send({ technology: "python" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/users/u1/recommendations")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      jobs: [
+        {
+          id: j1,
+          title: "j1",
+          salary: 100,
+          equity: "0",
+          companyHandle: "c1",
+          slug: null,
+          matchingTechnologies: ["python"],
+          score: 1,
+        },
+      ],
+    });
+  });
+
+  test("bad request on invalid query parameters", async function () {
+    const resp = await request(app)
+        .get("/users/u1/recommendations")
+        .query({ limit: 1, potato: "soup" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u2/recommendations")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/searches and /alerts */
+
+describe("saved searches and alerts", function () {
+  test("users get alerts for new jobs matching their searches", async function () {
+    const saved = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Engineering", filters: { title: "engineer", hasEquity: true } })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(saved.statusCode).toEqual(201);
+    expect(saved.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "Engineering",
+        filters: { title: "engineer", hasEquity: true },
+        createdAt: expect.any(String),
+      },
+    });
+
+    const searches = await request(app)
+        .get("/users/u1/searches")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(searches.body).toEqual({ searches: [saved.body.search] });
+
+    const posted = await request(app)
+        .post("/jobs")
+        .send({ title: "Software Engineer", salary: 100, equity: 0.5, companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post("/jobs")
+        .send({ title: "Software Engineer", salary: 100, equity: 0, companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const alerts = await request(app)
+        .get("/users/u1/alerts")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(alerts.body).toEqual({
+      alerts: [
+        {
+          id: expect.any(Number),
+          search: { id: saved.body.search.id, name: "Engineering" },
+          job: {
+            id: posted.body.job.id,
+            title: "Software Engineer",
+            salary: 100,
+            equity: "0.5",
+            companyHandle: "c1",
+            slug: null,
+          },
+          createdAt: expect.any(String),
+          readAt: null,
+        },
+      ],
+    });
+
+    const read = await request(app)
+        .post(`/users/u1/alerts/${alerts.body.alerts[0].id}/read`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(read.body).toEqual({
+      alert: { id: alerts.body.alerts[0].id, readAt: expect.any(String) },
+    });
+
+    const unread = await request(app)
+        .get("/users/u1/alerts?unread=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(unread.body).toEqual({ alerts: [] });
+  });
+
+  test("mark all read", async function () {
+    await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "All", filters: {} })
+        .set("authorization", `Bearer ${u1Token}`);
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('j1', 100, 0, 'c1')`);
+    await request(app)
+        .post("/jobs")
+        .send({ title: "j2", salary: 100, equity: 0, companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post("/users/u1/alerts/read")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ marked: 1 });
+  });
+
+  test("delete a search", async function () {
+    const saved = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "All", filters: {} })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/searches/${saved.body.search.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: saved.body.search.id });
+
+    const again = await request(app)
+        .delete(`/users/u1/searches/${saved.body.search.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(again.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid searches", async function () {
+    const badSchema = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Bad", filters: { minSalary: "lots" } })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(badSchema.statusCode).toEqual(400);
+
+    const badFilter = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Bad", filters: { potato: "soup" } })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(badFilter.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid alert query parameters", async function () {
+    const resp = await request(app)
+        .get("/users/u1/alerts?unread=maybe")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for a bad alert id", async function () {
+    const resp = await request(app)
+        .post("/users/u1/alerts/nope/read")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for other users", async function () {
+    const searches = await request(app)
+        .get("/users/u2/searches")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(searches.statusCode).toEqual(401);
+
+    const alerts = await request(app)
+        .get("/users/u2/alerts")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(alerts.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/notifications */
+
+describe("notifications", function () {
+  test("users are notified when an admin changes their account", async function () {
+    await request(app)
+        .patch("/users/u1")
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .patch("/users/u1")
+        .send({ lastName: "Mine" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/users/u1/notifications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      notifications: [
+        {
+          id: expect.any(Number),
+          type: "account-updated",
+          data: { by: "newAdmin", changed: ["firstName"] },
+          createdAt: expect.any(String),
+          readAt: null,
+        },
+      ],
+      unread: 1,
+      nextCursor: null,
+      prevCursor: null,
+    });
+
+    const read = await request(app)
+        .post(`/users/u1/notifications/${resp.body.notifications[0].id}/read`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(read.body).toEqual({
+      notification: { id: resp.body.notifications[0].id, readAt: expect.any(String) },
+    });
+
+    const unread = await request(app)
+        .get("/users/u1/notifications?unread=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(unread.body.notifications).toEqual([]);
+    expect(unread.body.unread).toEqual(0);
+  });
+
+  test("mark all read", async function () {
+    await request(app)
+        .patch("/users/u1")
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post("/users/u1/notifications/read")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ marked: 1 });
+  });
+
+  test("preferences", async function () {
+    const updated = await request(app)
+        .patch("/users/u1/notification-preferences")
+        .send({ "account-updated": false })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(updated.body).toEqual({
+      preferences: {
+        "application-updated": true,
+        "job-updated": true,
+        "job-deleted": true,
+        "account-updated": false,
+      },
+    });
+
+    await request(app)
+        .patch("/users/u1")
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get("/users/u1/notifications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.notifications).toEqual([]);
+
+    const found = await request(app)
+        .get("/users/u1/notification-preferences")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(found.body).toEqual(updated.body);
+  });
+
+  test("bad request on invalid preferences", async function () {
+    const resp = await request(app)
+        .patch("/users/u1/notification-preferences")
+        .send({ "potato-updated": false })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for a bad notification id", async function () {
+    const resp = await request(app)
+        .post("/users/u1/notifications/nope/read")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u2/notifications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
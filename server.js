@@ -1,8 +1,48 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const db = require("./db");
+const config = require("./config");
+const { checkMigrations } = require("./helpers/migrations");
+const { logger } = require("./helpers/logger");
+const { startPruning } = require("./helpers/rateLimitStore");
+const Webhook = require("./models/webhook");
 
-app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
-});
+/** The name of the database the app uses, without the rest of its
+ * connection string (host, user, password), which don't belong in logs. */
+
+function databaseName(uri) {
+  if (!uri.includes("://")) return uri;
+  return decodeURIComponent(new URL(uri).pathname.slice(1));
+}
+
+async function start() {
+  // refuse to run against a database whose schema is behind the code
+  try {
+    await checkMigrations(db);
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+
+  app.listen(config.PORT, function () {
+    logger.info("started", {
+      url: `http://localhost:${config.PORT}`,
+      database: databaseName(config.getDatabaseUri()),
+      dbPoolSize: config.DB_POOL_SIZE,
+      bcryptWorkFactor: config.BCRYPT_WORK_FACTOR,
+      accessTokenExpiresIn: config.ACCESS_TOKEN_EXPIRES_IN,
+      mailer: config.MAILER,
+      requireVerifiedEmail: config.REQUIRE_VERIFIED_EMAIL,
+      rateLimitStore: config.RATE_LIMIT_STORE,
+    });
+  });
+
+  // sends queued webhook deliveries in the background
+  Webhook.startWorker();
+
+  // clears expired rate limit counters out of the database
+  startPruning();
+}
+
+start();